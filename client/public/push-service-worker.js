@@ -0,0 +1,48 @@
+/* eslint-disable no-restricted-globals */
+// Shows Web Push notifications and confirms their delivery to the API.
+// Registered by src/services/pushNotifications.js with the API base URL as ?api=
+const API_BASE_URL = new URL(self.location).searchParams.get('api');
+
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+
+  event.waitUntil((async () => {
+    await self.registration.showNotification(payload.title || 'Groundwater Detection System', {
+      body: payload.body,
+      tag: payload.data?.stationId,
+      data: { url: payload.url || '/dashboard' },
+    });
+
+    if (payload.receipt && API_BASE_URL) {
+      try {
+        await fetch(`${API_BASE_URL}/notifications/receipts/push`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            messageId: payload.receipt.deliveryId,
+            token: payload.receipt.token,
+            status: 'delivered',
+          }),
+        });
+      } catch (error) {
+        // The receipt is informational; the notification is already shown
+      }
+    }
+  })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const url = event.notification.data?.url || '/';
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+
+    if (existing) {
+      await existing.focus();
+      return existing.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
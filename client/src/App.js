@@ -12,7 +12,12 @@ import Analysis from './pages/Analysis';
 import Reports from './pages/Reports';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Profile from './pages/Profile';
+import ModelEvaluation from './pages/ModelEvaluation';
+import ImportReadings from './pages/ImportReadings';
 import NotFound from './pages/NotFound';
 
 function App() {
@@ -35,6 +40,9 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           
           {/* Protected routes */}
           <Route path="/dashboard" element={
@@ -77,6 +85,22 @@ function App() {
             </ProtectedRoute>
           } />
           
+          <Route path="/admin/models" element={
+            <ProtectedRoute roles={['admin', 'researcher']}>
+              <Layout>
+                <ModelEvaluation />
+              </Layout>
+            </ProtectedRoute>
+          } />
+          
+          <Route path="/admin/import" element={
+            <ProtectedRoute roles={['admin']}>
+              <Layout>
+                <ImportReadings />
+              </Layout>
+            </ProtectedRoute>
+          } />
+          
           {/* 404 route */}
           <Route path="*" element={<NotFound />} />
           </Routes>
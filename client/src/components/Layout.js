@@ -10,7 +10,9 @@ import {
   Menu, 
   X,
   Bell,
-  Settings
+  Settings,
+  Activity,
+  Upload
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -25,7 +27,9 @@ const Layout = ({ children }) => {
     { name: 'Map View', href: '/map', icon: Map },
     { name: 'Analysis', href: '/analysis', icon: BarChart3 },
     { name: 'Reports', href: '/reports', icon: FileText },
-  ];
+    { name: 'Model Evaluation', href: '/admin/models', icon: Activity, roles: ['admin', 'researcher'] },
+    { name: 'Import Readings', href: '/admin/import', icon: Upload, roles: ['admin'] },
+  ].filter((item) => !item.roles || item.roles.includes(user?.role));
 
   const handleLogout = () => {
     logout();
@@ -2,8 +2,8 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+const ProtectedRoute = ({ children, roles }) => {
+  const { isAuthenticated, isLoading, user } = useAuth();
   const location = useLocation();
 
   if (isLoading) {
@@ -22,6 +22,16 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (user?.twoFactorSetupRequired && location.pathname !== '/profile') {
+    // The API refuses other requests until the required second factor is set up
+    return <Navigate to="/profile?tab=security" replace />;
+  }
+
+  if (roles && !roles.includes(user?.role)) {
+    // Authenticated but not allowed on this page
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import { authAPI, refreshAccessToken } from '../services/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -74,47 +74,63 @@ export const AuthProvider = ({ children }) => {
   // Check if user is logged in on app start
   useEffect(() => {
     const checkAuth = async () => {
-      const token = localStorage.getItem('token');
-      if (token) {
+      if (!localStorage.getItem('token')) {
+        // No access token, but the refresh token cookie may still hold a session
         try {
-          const response = await authAPI.getMe();
-          dispatch({
-            type: 'AUTH_SUCCESS',
-            payload: {
-              user: response.data.user,
-              token
-            }
-          });
+          await refreshAccessToken();
         } catch (error) {
-          localStorage.removeItem('token');
-          dispatch({
-            type: 'AUTH_FAILURE',
-            payload: error.response?.data?.message || 'Authentication failed'
-          });
+          dispatch({ type: 'AUTH_FAILURE', payload: null });
+          return;
         }
-      } else {
-        dispatch({ type: 'AUTH_FAILURE', payload: null });
+      }
+
+      try {
+        const response = await authAPI.getMe();
+        dispatch({
+          type: 'AUTH_SUCCESS',
+          payload: {
+            user: response.data.user,
+            token: localStorage.getItem('token')
+          }
+        });
+      } catch (error) {
+        localStorage.removeItem('token');
+        dispatch({
+          type: 'AUTH_FAILURE',
+          payload: error.response?.data?.message || 'Authentication failed'
+        });
       }
     };
 
     checkAuth();
   }, []);
 
+  const completeLogin = (response) => {
+    const { token, user } = response.data;
+
+    localStorage.setItem('token', token);
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: { user, token }
+    });
+
+    toast.success('Login successful!');
+    return { success: true };
+  };
+
   const login = async (email, password) => {
     dispatch({ type: 'AUTH_START' });
     
     try {
       const response = await authAPI.login({ email, password });
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token }
-      });
-      
-      toast.success('Login successful!');
-      return { success: true };
+
+      // Password accepted; the login finishes with verifyTwoFactorLogin
+      if (response.data.data?.twoFactorRequired) {
+        dispatch({ type: 'AUTH_FAILURE', payload: null });
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.data.challengeToken };
+      }
+
+      return completeLogin(response);
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       dispatch({
@@ -126,6 +142,17 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactorLogin = async (challengeToken, factor) => {
+    try {
+      const response = await authAPI.verifyTwoFactorLogin({ challengeToken, ...factor });
+      return completeLogin(response);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, error: message, code: error.response?.data?.code };
+    }
+  };
+
   const register = async (userData) => {
     dispatch({ type: 'AUTH_START' });
     
@@ -152,12 +179,38 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      // The local session is cleared either way
+    }
     localStorage.removeItem('token');
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully');
   };
 
+  const logoutAllDevices = async () => {
+    try {
+      const response = await authAPI.logoutAll();
+      localStorage.removeItem('token');
+      dispatch({ type: 'LOGOUT' });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Logout failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Ended elsewhere (revoked from another device or refresh failed): clear local state only
+  const endLocalSession = useCallback((message) => {
+    localStorage.removeItem('token');
+    dispatch({ type: 'LOGOUT' });
+    if (message) toast.error(message);
+  }, []);
+
   const updateProfile = async (profileData) => {
     try {
       const response = await authAPI.updateProfile(profileData);
@@ -186,6 +239,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Pick up account changes made outside this page, e.g. an email verified from the emailed link
+  const reloadUser = useCallback(async () => {
+    try {
+      const response = await authAPI.getMe();
+      dispatch({ type: 'UPDATE_USER', payload: response.data.user });
+    } catch (error) {
+      // Keep the current user; the interceptor handles ended sessions
+    }
+  }, []);
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -193,10 +256,14 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactorLogin,
     register,
     logout,
+    logoutAllDevices,
+    endLocalSession,
     updateProfile,
     changePassword,
+    reloadUser,
     clearError
   };
 
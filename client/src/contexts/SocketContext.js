@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { refreshAccessToken } from '../services/api';
 import toast from 'react-hot-toast';
 
 const SocketContext = createContext();
@@ -8,15 +9,13 @@ const SocketContext = createContext();
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const { isAuthenticated, token } = useAuth();
+  const { isAuthenticated, endLocalSession } = useAuth();
 
   useEffect(() => {
-    if (isAuthenticated && token) {
-      // Initialize socket connection
+    if (isAuthenticated) {
+      // Initialize socket connection; each (re)connect sends the latest access token
       const newSocket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:5000', {
-        auth: {
-          token
-        },
+        auth: (callback) => callback({ token: localStorage.getItem('token') }),
         transports: ['websocket', 'polling']
       });
 
@@ -31,10 +30,34 @@ export const SocketProvider = ({ children }) => {
       });
 
       newSocket.on('connect_error', (error) => {
-        console.error('Socket connection error:', error);
+        // Rejected by the server's JWT check; the message says why
+        console.error('Socket connection error:', error.data?.message || error.message);
         setIsConnected(false);
       });
 
+      // The access token the connection was opened with expired: renew it and reconnect
+      newSocket.on('session-expired', async () => {
+        try {
+          await refreshAccessToken();
+          newSocket.connect();
+        } catch (error) {
+          endLocalSession('Your session has expired. Please log in again.');
+        }
+      });
+
+      // Logged out from another device or by a password change
+      newSocket.on('session-revoked', () => {
+        endLocalSession('This session was logged out. Please log in again.');
+      });
+
+      // Personal notifications arrive in this user's room
+      newSocket.on('notification', (notification) => {
+        toast(notification.title, {
+          icon: '🔔',
+          duration: 5000,
+        });
+      });
+
       // Listen for real-time updates
       newSocket.on('new-reading', (data) => {
         console.log('New reading received:', data);
@@ -59,25 +82,24 @@ export const SocketProvider = ({ children }) => {
 
       setSocket(newSocket);
 
+      // Also runs on logout, closing the connection
       return () => {
         newSocket.close();
         setSocket(null);
         setIsConnected(false);
       };
-    } else {
-      // Clean up socket if not authenticated
-      if (socket) {
-        socket.close();
-        setSocket(null);
-        setIsConnected(false);
-      }
     }
-  }, [isAuthenticated, token, socket]);
+  }, [isAuthenticated, endLocalSession]);
 
   const subscribeToStation = (stationId) => {
     if (socket && isConnected) {
-      socket.emit('subscribe-station', stationId);
-      console.log(`Subscribed to station: ${stationId}`);
+      socket.emit('subscribe-station', stationId, (result) => {
+        if (result?.success) {
+          console.log(`Subscribed to station: ${stationId}`);
+        } else {
+          console.error(`Could not subscribe to station ${stationId}:`, result?.message);
+        }
+      });
     }
   };
 
@@ -259,6 +259,11 @@ const Analysis = () => {
                   <div className="text-xs text-gray-500">
                     Range: {analysis.data.groundwaterAssessment.depth.range.min}m - {analysis.data.groundwaterAssessment.depth.range.max}m
                   </div>
+                  {analysis.data.groundwaterAssessment.depth.stations?.length > 1 && (
+                    <div className="text-xs text-gray-500">
+                      {analysis.data.groundwaterAssessment.depth.method === 'kriging' ? 'Kriged' : 'Interpolated'} from {analysis.data.groundwaterAssessment.depth.stations.length} stations
+                    </div>
+                  )}
                 </div>
 
                 {/* Sustainability */}
@@ -451,7 +456,10 @@ const Analysis = () => {
                   <div>
                     <h4 className="font-medium text-gray-900 mb-2">Model Information</h4>
                     <div className="space-y-2 text-sm text-gray-600">
-                      <div>Model: {analysis.data.mlPredictions.model}</div>
+                      <div>
+                        Model: {analysis.data.mlPredictions.model}
+                        {analysis.data.mlPredictions.modelVersion && ` v${analysis.data.mlPredictions.modelVersion}`}
+                      </div>
                       <div>Confidence: {analysis.data.mlPredictions.predictionConfidence}%</div>
                       <div>Features: {analysis.data.mlPredictions.features.length}</div>
                     </div>
@@ -459,7 +467,10 @@ const Analysis = () => {
                   <div>
                     <h4 className="font-medium text-gray-900 mb-2">Feature Importance</h4>
                     <div className="space-y-1">
-                      {Object.entries(analysis.data.mlPredictions.featureImportance).slice(0, 5).map(([feature, importance]) => (
+                      {Object.keys(analysis.data.mlPredictions.featureImportance || {}).length === 0 && (
+                        <p className="text-sm text-gray-500">Not available until a model has been trained.</p>
+                      )}
+                      {Object.entries(analysis.data.mlPredictions.featureImportance || {}).slice(0, 5).map(([feature, importance]) => (
                         <div key={feature} className="flex items-center justify-between text-sm">
                           <span className="text-gray-600 capitalize">{feature.replace(/_/g, ' ')}</span>
                           <span className="text-gray-900 font-medium">{(importance * 100).toFixed(1)}%</span>
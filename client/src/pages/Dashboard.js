@@ -9,9 +9,10 @@ import {
   CheckCircle,
   Clock,
   BarChart3,
-  RefreshCw
+  RefreshCw,
+  Bell
 } from 'lucide-react';
-import { geolocationAPI, readingsAPI } from '../services/api';
+import { geolocationAPI, readingsAPI, notificationsAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
@@ -19,6 +20,7 @@ const Dashboard = () => {
   const { user } = useAuth();
   const [userLocation, setUserLocation] = useState(null);
   const [isLoadingLocation, setIsLoadingLocation] = useState(false);
+  const [notificationType, setNotificationType] = useState('');
 
   // Get user location
   useEffect(() => {
@@ -71,6 +73,16 @@ const Dashboard = () => {
     }
   );
 
+  // Fetch notification inbox
+  const { data: notificationHistory, refetch: refetchNotifications } = useQuery(
+    ['notification-history', notificationType],
+    () => notificationsAPI.getHistory({ limit: 5, type: notificationType || undefined }),
+    {
+      staleTime: 60 * 1000, // 1 minute
+      refetchInterval: 2 * 60 * 1000, // Refetch every 2 minutes
+    }
+  );
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'critical': return 'text-red-600 bg-red-100';
@@ -98,6 +110,25 @@ const Dashboard = () => {
     toast.success('Analysis refreshed');
   };
 
+  const handleMarkAsRead = async (id) => {
+    try {
+      await notificationsAPI.markAsRead(id);
+      refetchNotifications();
+    } catch (error) {
+      toast.error('Failed to update notification');
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationsAPI.markAllAsRead(notificationType || undefined);
+      refetchNotifications();
+      toast.success('All notifications marked as read');
+    } catch (error) {
+      toast.error('Failed to update notifications');
+    }
+  };
+
   return (
     <>
       <Helmet>
@@ -301,6 +332,79 @@ const Dashboard = () => {
           </div>
         )}
 
+        {/* Notification Inbox */}
+        {notificationHistory && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Bell className="w-5 h-5 mr-2" />
+                Notifications
+                {notificationHistory.data.data.unreadCount > 0 && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    {notificationHistory.data.data.unreadCount} unread
+                  </span>
+                )}
+              </h3>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={notificationType}
+                  onChange={(e) => setNotificationType(e.target.value)}
+                  className="input-field py-1 text-sm"
+                >
+                  <option value="">All types</option>
+                  <option value="critical">Critical</option>
+                  <option value="low">Low</option>
+                  <option value="maintenance">Maintenance</option>
+                  <option value="offline">Offline</option>
+                  <option value="trend">Trend</option>
+                </select>
+                <button
+                  onClick={handleMarkAllAsRead}
+                  disabled={notificationHistory.data.data.unreadCount === 0}
+                  className="btn-secondary text-sm"
+                >
+                  Mark all read
+                </button>
+              </div>
+            </div>
+            {notificationHistory.data.data.notifications.length === 0 ? (
+              <p className="text-sm text-gray-500">No notifications yet</p>
+            ) : (
+              <div className="space-y-3">
+                {notificationHistory.data.data.notifications.map((notification) => (
+                  <div
+                    key={notification._id}
+                    className={`p-4 rounded-lg ${notification.read ? 'bg-gray-50' : 'bg-blue-50'}`}
+                  >
+                    <div className="flex items-start justify-between mb-1">
+                      <h4 className="font-medium text-gray-900">{notification.title}</h4>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(notification.type)}`}>
+                        {notification.type}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 mb-2">{notification.message}</p>
+                    <div className="flex items-center justify-between text-xs text-gray-500">
+                      <span>
+                        {new Date(notification.createdAt).toLocaleString()}
+                        {notification.station && ` · ${notification.station.name}`}
+                        {` · via ${notification.channel}`}
+                      </span>
+                      {!notification.read && (
+                        <button
+                          onClick={() => handleMarkAsRead(notification._id)}
+                          className="text-blue-600 hover:text-blue-500"
+                        >
+                          Mark as read
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* System Overview */}
         {latestReadings && (
           <div className="card">
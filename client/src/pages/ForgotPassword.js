@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useForm } from 'react-hook-form';
+import { Mail, KeyRound, ArrowLeft } from 'lucide-react';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ForgotPassword = () => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+    try {
+      await authAPI.requestPasswordReset(data.email);
+      setSentTo(data.email);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not request a password reset');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Forgot Password - Groundwater Detection System</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <div className="mx-auto w-16 h-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center mb-4">
+              <KeyRound className="w-8 h-8 text-white" />
+            </div>
+            <h2 className="text-3xl font-bold text-gray-900">
+              Forgot your password?
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">
+              We will email you a link to choose a new one
+            </p>
+          </div>
+
+          {sentTo ? (
+            <div className="p-4 bg-green-50 rounded-lg text-sm text-green-800">
+              If an account exists for <strong>{sentTo}</strong>, a password reset link is on its way.
+              The link can only be used once and expires after a short time.
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address'
+                      }
+                    })}
+                    type="email"
+                    className={`input-field pl-10 ${errors.email ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {isLoading ? <div className="loading-spinner"></div> : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <div className="text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ForgotPassword;
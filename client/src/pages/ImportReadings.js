@@ -0,0 +1,381 @@
+import React, { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Upload, FileText, CheckCircle, AlertTriangle, ArrowLeft } from 'lucide-react';
+import { readingsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const STEPS = ['Upload', 'Preview', 'Done'];
+
+// Reading fields the importer can map, required ones first
+const IMPORT_FIELDS = [
+  { key: 'stationId', label: 'Station ID', required: true },
+  { key: 'timestamp', label: 'Timestamp', required: true },
+  { key: 'waterLevel', label: 'Water Level (m bgl)', required: true },
+  { key: 'batteryLevel', label: 'Battery (%)' },
+  { key: 'signalStrength', label: 'Signal (dBm)' },
+  { key: 'temperature', label: 'Temperature (°C)' },
+  { key: 'humidity', label: 'Humidity (%)' },
+  { key: 'rainfall', label: 'Rainfall (mm)' },
+  { key: 'ph', label: 'pH' },
+  { key: 'tds', label: 'TDS' },
+  { key: 'turbidity', label: 'Turbidity' },
+  { key: 'conductivity', label: 'Conductivity' },
+  { key: 'dataSource', label: 'Data Source' },
+  { key: 'notes', label: 'Notes' }
+];
+
+const ImportReadings = () => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [dataSource, setDataSource] = useState('dwlr');
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const runPreview = async (columnMapping = mapping) => {
+    if (!file) {
+      toast.error('Choose a CSV or Excel file first');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await readingsAPI.importFile(file, {
+        dryRun: 'true',
+        dataSource,
+        mapping: JSON.stringify(columnMapping)
+      });
+      setPreview(response.data.data);
+      setMapping(response.data.data.columnMapping);
+      setStep(1);
+    } catch (error) {
+      // Missing columns still return a preview so they can be mapped by hand
+      if (error.response?.status === 422 && error.response.data?.data) {
+        setPreview(error.response.data.data);
+        setMapping(error.response.data.data.columnMapping);
+        setStep(1);
+      }
+      toast.error(error.response?.data?.message || 'Failed to validate file');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const runImport = async () => {
+    setIsLoading(true);
+    try {
+      const response = await readingsAPI.importFile(file, {
+        dryRun: 'false',
+        dataSource,
+        mapping: JSON.stringify(mapping)
+      });
+      setResult(response.data.data);
+      setStep(2);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Import failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setMapping({});
+    setPreview(null);
+    setResult(null);
+  };
+
+  const missingColumns = preview?.missingColumns || [];
+
+  return (
+    <>
+      <Helmet>
+        <title>Import Readings - Groundwater Detection System</title>
+      </Helmet>
+
+      <div className="p-6 space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            Import Historic Readings
+          </h1>
+          <p className="text-gray-600">
+            Upload DWLR or manual readings from a CSV or Excel file, check the preview, then import
+          </p>
+        </div>
+
+        {/* Steps */}
+        <div className="flex items-center space-x-4">
+          {STEPS.map((label, index) => (
+            <div key={label} className="flex items-center">
+              <span className={`w-7 h-7 rounded-full flex items-center justify-center text-sm font-medium ${
+                index <= step ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'
+              }`}>
+                {index + 1}
+              </span>
+              <span className={`ml-2 text-sm ${index === step ? 'font-medium text-gray-900' : 'text-gray-500'}`}>
+                {label}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {/* Step 1: Upload */}
+        {step === 0 && (
+          <div className="card space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                File (.csv, .xlsx — max 10 MB)
+              </label>
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="input-field"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Needs columns for the station code (e.g. DWLR001), timestamp and water level in meters below ground.
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Default Data Source
+              </label>
+              <select
+                value={dataSource}
+                onChange={(e) => setDataSource(e.target.value)}
+                className="input-field"
+              >
+                <option value="dwlr">DWLR telemetry</option>
+                <option value="manual">Manual dip readings</option>
+              </select>
+            </div>
+            <button
+              onClick={() => runPreview({})}
+              disabled={!file || isLoading}
+              className="btn-primary flex items-center"
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              {isLoading ? 'Validating...' : 'Validate File'}
+            </button>
+          </div>
+        )}
+
+        {/* Step 2: Preview */}
+        {step === 1 && preview && (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="card">
+                <div className="text-sm text-gray-500">Rows</div>
+                <div className="text-2xl font-bold text-gray-900">{preview.totalRows || 0}</div>
+              </div>
+              <div className="card">
+                <div className="text-sm text-gray-500">Ready to Import</div>
+                <div className="text-2xl font-bold text-green-600">{preview.validRows || 0}</div>
+              </div>
+              <div className="card">
+                <div className="text-sm text-gray-500">Invalid</div>
+                <div className="text-2xl font-bold text-red-600">{preview.invalidRows || 0}</div>
+              </div>
+              <div className="card">
+                <div className="text-sm text-gray-500">Duplicates</div>
+                <div className="text-2xl font-bold text-yellow-600">{preview.duplicateRows || 0}</div>
+              </div>
+            </div>
+
+            {/* Column Mapping */}
+            <div className="card">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <FileText className="w-5 h-5 mr-2" />
+                Column Mapping
+              </h2>
+              {missingColumns.length > 0 && (
+                <p className="text-sm text-red-600 mb-4">
+                  Choose columns for: {missingColumns.join(', ')}
+                </p>
+              )}
+              <div className="grid md:grid-cols-3 gap-4">
+                {IMPORT_FIELDS.map((field) => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {field.label}{field.required && ' *'}
+                    </label>
+                    <select
+                      value={mapping[field.key] || ''}
+                      onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value || undefined })}
+                      className="input-field"
+                    >
+                      <option value="">Not imported</option>
+                      {preview.columns.map((column) => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => runPreview(mapping)}
+                disabled={isLoading}
+                className="btn-secondary mt-4"
+              >
+                Re-validate with Mapping
+              </button>
+            </div>
+
+            {/* Stations */}
+            {preview.stations?.length > 0 && (
+              <div className="card">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Stations</h2>
+                <div className="flex flex-wrap gap-2">
+                  {preview.stations.map((station) => (
+                    <span key={station.id} className="px-3 py-1 rounded-full text-sm bg-blue-50 text-blue-800">
+                      {station.name} ({station.stationId}) · {station.rows} rows
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Row Errors */}
+            {preview.errors?.length > 0 && (
+              <div className="card">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                  <AlertTriangle className="w-5 h-5 mr-2 text-red-500" />
+                  Row Errors
+                  {preview.invalidRows > preview.errors.length && (
+                    <span className="ml-2 text-sm font-normal text-gray-500">
+                      (first {preview.errors.length} of {preview.invalidRows})
+                    </span>
+                  )}
+                </h2>
+                <div className="overflow-x-auto max-h-80">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-200">
+                        <th className="py-2 pr-4">Row</th>
+                        <th className="py-2 pr-4">Station</th>
+                        <th className="py-2 pr-4">Errors</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.errors.map((row) => (
+                        <tr key={row.row} className="border-b border-gray-100">
+                          <td className="py-2 pr-4">{row.row}</td>
+                          <td className="py-2 pr-4">{row.stationId || '—'}</td>
+                          <td className="py-2 pr-4 text-red-600">{row.errors.join('; ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Row Preview */}
+            {preview.rows?.length > 0 && (
+              <div className="card">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  Preview
+                  <span className="ml-2 text-sm font-normal text-gray-500">
+                    (first {preview.rows.length} rows)
+                  </span>
+                </h2>
+                <div className="overflow-x-auto max-h-96">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-200">
+                        <th className="py-2 pr-4">Row</th>
+                        <th className="py-2 pr-4">Station</th>
+                        <th className="py-2 pr-4">Timestamp</th>
+                        <th className="py-2 pr-4">Water Level (m)</th>
+                        <th className="py-2 pr-4">Source</th>
+                        <th className="py-2 pr-4">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map((row) => (
+                        <tr key={row.row} className="border-b border-gray-100">
+                          <td className="py-2 pr-4">{row.row}</td>
+                          <td className="py-2 pr-4">{row.stationId}</td>
+                          <td className="py-2 pr-4">{row.timestamp ? new Date(row.timestamp).toLocaleString() : '—'}</td>
+                          <td className="py-2 pr-4">{row.waterLevel ?? '—'}</td>
+                          <td className="py-2 pr-4 uppercase">{row.dataSource}</td>
+                          <td className="py-2 pr-4">
+                            {row.errors.length > 0 ? (
+                              <span className="text-red-600">Invalid</span>
+                            ) : row.duplicate ? (
+                              <span className="text-yellow-600">
+                                Duplicate ({row.duplicate === 'file' ? 'in file' : 'already stored'})
+                              </span>
+                            ) : row.warnings.length > 0 ? (
+                              <span className="text-yellow-600">{row.warnings.join('; ')}</span>
+                            ) : (
+                              <span className="text-green-600">OK</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="flex items-center justify-between">
+              <button onClick={reset} className="btn-secondary flex items-center">
+                <ArrowLeft className="w-4 h-4 mr-2" />
+                Choose Another File
+              </button>
+              <button
+                onClick={runImport}
+                disabled={isLoading || missingColumns.length > 0 || !preview.validRows}
+                className="btn-primary flex items-center"
+              >
+                <Upload className="w-4 h-4 mr-2" />
+                {isLoading ? 'Importing...' : `Import ${preview.validRows || 0} Readings`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Step 3: Done */}
+        {step === 2 && result && (
+          <div className="card space-y-4">
+            <div className="flex items-center">
+              <CheckCircle className="w-6 h-6 mr-2 text-green-600" />
+              <h2 className="text-lg font-semibold text-gray-900">Import Complete</h2>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <div className="text-gray-500">Imported</div>
+                <div className="text-xl font-bold text-gray-900">{result.imported}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Flagged by Quality Checks</div>
+                <div className="text-xl font-bold text-yellow-600">{result.flagged}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Skipped</div>
+                <div className="text-xl font-bold text-gray-900">{result.skipped}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Chunks Written</div>
+                <div className="text-xl font-bold text-gray-900">{result.chunks}</div>
+              </div>
+            </div>
+            <button onClick={reset} className="btn-primary">
+              Import Another File
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ImportReadings;
@@ -2,16 +2,19 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useForm } from 'react-hook-form';
-import { Eye, EyeOff, Mail, Lock, ArrowRight } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, ArrowRight, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
 const Login = () => {
-  const { login, isAuthenticated, error, clearError } = useAuth();
+  const { login, verifyTwoFactorLogin, isAuthenticated, error, clearError } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [factorCode, setFactorCode] = useState('');
 
   const {
     register,
@@ -41,6 +44,31 @@ const Login = () => {
     
     if (result.success) {
       navigate(from, { replace: true });
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
+  };
+
+  const resetSecondFactor = () => {
+    setChallengeToken(null);
+    setUseRecoveryCode(false);
+    setFactorCode('');
+  };
+
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    const factor = useRecoveryCode ? { recoveryCode: factorCode.trim() } : { code: factorCode.trim() };
+    const result = await verifyTwoFactorLogin(challengeToken, factor);
+    setIsLoading(false);
+
+    if (result.success) {
+      navigate(from, { replace: true });
+    } else if (['challenge_expired', 'invalid_challenge'].includes(result.code)) {
+      // The password step has to be repeated
+      resetSecondFactor();
+    } else {
+      setFactorCode('');
     }
   };
 
@@ -58,113 +86,180 @@ const Login = () => {
               <Lock className="w-8 h-8 text-white" />
             </div>
             <h2 className="text-3xl font-bold text-gray-900">
-              Sign in to your account
+              {challengeToken ? 'Two-factor authentication' : 'Sign in to your account'}
             </h2>
             <p className="mt-2 text-sm text-gray-600">
-              Access the Groundwater Detection System
+              {challengeToken ? 'Confirm it\'s you to finish signing in' : 'Access the Groundwater Detection System'}
             </p>
           </div>
 
           {/* Form */}
-          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-            <div className="space-y-4">
-              {/* Email */}
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                  Email address
-                </label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Mail className="h-5 w-5 text-gray-400" />
-                  </div>
-                  <input
-                    {...register('email', {
-                      required: 'Email is required',
-                      pattern: {
-                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                        message: 'Invalid email address'
-                      }
-                    })}
-                    type="email"
-                    className={`input-field pl-10 ${errors.email ? 'border-red-300 focus:ring-red-500' : ''}`}
-                    placeholder="Enter your email"
-                  />
-                </div>
-                {errors.email && (
-                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-                )}
-              </div>
-
-              {/* Password */}
+          {challengeToken ? (
+            <form className="mt-8 space-y-6" onSubmit={onSubmitCode}>
               <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                  Password
+                <label htmlFor="factorCode" className="block text-sm font-medium text-gray-700 mb-1">
+                  {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
                 </label>
                 <div className="relative">
                   <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Lock className="h-5 w-5 text-gray-400" />
+                    <ShieldCheck className="h-5 w-5 text-gray-400" />
                   </div>
                   <input
-                    {...register('password', {
-                      required: 'Password is required',
-                      minLength: {
-                        value: 6,
-                        message: 'Password must be at least 6 characters'
-                      }
-                    })}
-                    type={showPassword ? 'text' : 'password'}
-                    className={`input-field pl-10 pr-10 ${errors.password ? 'border-red-300 focus:ring-red-500' : ''}`}
-                    placeholder="Enter your password"
+                    id="factorCode"
+                    value={factorCode}
+                    onChange={(e) => setFactorCode(e.target.value)}
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    maxLength={useRecoveryCode ? 11 : 6}
+                    autoFocus
+                    className="input-field pl-10 tracking-widest"
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
                   />
-                  <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                    onClick={() => setShowPassword(!showPassword)}
-                  >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                    ) : (
-                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                    )}
-                  </button>
                 </div>
-                {errors.password && (
-                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-                )}
+                <p className="mt-1 text-sm text-gray-500">
+                  {useRecoveryCode
+                    ? 'Each recovery code can be used once.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
               </div>
-            </div>
 
-            {/* Submit Button */}
-            <div>
               <button
                 type="submit"
-                disabled={isLoading}
-                className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                disabled={isLoading || !factorCode.trim()}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
               >
-                {isLoading ? (
-                  <div className="loading-spinner"></div>
-                ) : (
-                  <>
-                    Sign in
-                    <ArrowRight className="ml-2 w-4 h-4 group-hover:translate-x-1 transition-transform" />
-                  </>
-                )}
+                {isLoading ? <div className="loading-spinner"></div> : 'Verify'}
               </button>
-            </div>
 
-            {/* Links */}
-            <div className="text-center">
-              <p className="text-sm text-gray-600">
-                Don't have an account?{' '}
-                <Link
-                  to="/register"
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setFactorCode('');
+                  }}
                   className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
                 >
-                  Sign up here
-                </Link>
-              </p>
-            </div>
-          </form>
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={resetSecondFactor}
+                  className="font-medium text-gray-600 hover:text-gray-500 transition-colors"
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div className="space-y-4">
+                {/* Email */}
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email address
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      {...register('email', {
+                        required: 'Email is required',
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: 'Invalid email address'
+                        }
+                      })}
+                      type="email"
+                      className={`input-field pl-10 ${errors.email ? 'border-red-300 focus:ring-red-500' : ''}`}
+                      placeholder="Enter your email"
+                    />
+                  </div>
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                  )}
+                </div>
+
+                {/* Password */}
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: {
+                          value: 6,
+                          message: 'Password must be at least 6 characters'
+                        }
+                      })}
+                      type={showPassword ? 'text' : 'password'}
+                      className={`input-field pl-10 pr-10 ${errors.password ? 'border-red-300 focus:ring-red-500' : ''}`}
+                      placeholder="Enter your password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                  )}
+                  <div className="mt-2 text-right">
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+                </div>
+              </div>
+
+              {/* Submit Button */}
+              <div>
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  {isLoading ? (
+                    <div className="loading-spinner"></div>
+                  ) : (
+                    <>
+                      Sign in
+                      <ArrowRight className="ml-2 w-4 h-4 group-hover:translate-x-1 transition-transform" />
+                    </>
+                  )}
+                </button>
+              </div>
+
+              {/* Links */}
+              <div className="text-center">
+                <p className="text-sm text-gray-600">
+                  Don't have an account?{' '}
+                  <Link
+                    to="/register"
+                    className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
+                  >
+                    Sign up here
+                  </Link>
+                </p>
+              </div>
+            </form>
+          )}
 
           {/* Demo Credentials */}
           <div className="mt-8 p-4 bg-blue-50 rounded-lg">
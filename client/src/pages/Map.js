@@ -1,9 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { useQuery } from 'react-query';
-import { MapContainer, TileLayer, Marker, Popup, Circle } from 'react-leaflet';
-import { MapPin, Droplets, AlertTriangle, CheckCircle } from 'lucide-react';
-import { stationsAPI, readingsAPI } from '../services/api';
+import { MapContainer, TileLayer, Marker, Popup, Circle, ImageOverlay, useMap, useMapEvents } from 'react-leaflet';
+import { MapPin, Droplets, AlertTriangle, CheckCircle, Layers, Activity, Battery, Signal, WifiOff } from 'lucide-react';
+import { stationsAPI, readingsAPI, geolocationAPI } from '../services/api';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 
@@ -15,9 +15,145 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+// Largest bounding box span (degrees) the surface endpoint accepts
+const MAX_SURFACE_SPAN = 10;
+
+// Shallow water is green, deep (depleted) water is red
+const SURFACE_COLORS = [[34, 197, 94], [234, 179, 8], [239, 68, 68]];
+
+const getDepthColor = (value, min, max) => {
+  const t = max > min ? (value - min) / (max - min) : 0;
+  const scaled = t * (SURFACE_COLORS.length - 1);
+  const index = Math.min(Math.floor(scaled), SURFACE_COLORS.length - 2);
+  const fraction = scaled - index;
+  return SURFACE_COLORS[index].map((channel, i) => (
+    Math.round(channel + (SURFACE_COLORS[index + 1][i] - channel) * fraction)
+  ));
+};
+
+// Draw the interpolated grid to an image for an ImageOverlay
+const renderSurfaceImage = (surface) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = surface.width;
+  canvas.height = surface.height;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(surface.width, surface.height);
+
+  surface.values.forEach((value, i) => {
+    if (value === null) return;
+    const [r, g, b] = getDepthColor(value, surface.stats.min, surface.stats.max);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = 255;
+  });
+
+  context.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+};
+
+// Report the visible map bounds whenever the map moves
+const BoundsTracker = ({ onChange }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    onChange(map.getBounds());
+  }, [map, onChange]);
+
+  useMapEvents({
+    moveend: () => onChange(map.getBounds())
+  });
+
+  return null;
+};
+
+const HEALTH_STYLES = {
+  ok: { label: 'Healthy', className: 'bg-green-100 text-green-800' },
+  degraded: { label: 'Degraded', className: 'bg-yellow-100 text-yellow-800' },
+  offline: { label: 'Offline', className: 'bg-red-100 text-red-800' },
+  unknown: { label: 'No data', className: 'bg-gray-100 text-gray-800' }
+};
+
+// Connectivity, battery forecast and signal quality for the selected station
+const StationHealthPanel = ({ stationId }) => {
+  const { data, isLoading } = useQuery(
+    ['station-health', stationId],
+    () => stationsAPI.getHealth(stationId),
+    {
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  const health = data?.data?.data?.health;
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Checking station health...</p>;
+  }
+
+  if (!health) {
+    return <p className="text-sm text-gray-500">Health information is unavailable.</p>;
+  }
+
+  const style = HEALTH_STYLES[health.state] || HEALTH_STYLES.unknown;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center">
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+          {style.label}
+        </span>
+        {health.silentHours !== null && (
+          <span className="ml-3 text-sm text-gray-600">
+            Last reading {health.silentHours < 1 ? 'under an hour' : `${Math.round(health.silentHours)} hours`} ago
+          </span>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4 text-sm text-gray-600">
+        <div className="flex items-start">
+          <Battery className="w-4 h-4 mr-2 mt-0.5" />
+          <div>
+            <div>Battery: {health.battery.level !== undefined ? `${health.battery.level}%` : 'Not reported'}</div>
+            {health.battery.ratePerDay !== undefined && health.battery.ratePerDay !== null && (
+              <div className="text-xs text-gray-500">{health.battery.ratePerDay}% per day</div>
+            )}
+            {health.battery.depletionDate && (
+              <div className="text-xs text-gray-500">
+                Expected to run low by {new Date(health.battery.depletionDate).toLocaleDateString()}
+              </div>
+            )}
+          </div>
+        </div>
+        <div className="flex items-start">
+          <Signal className="w-4 h-4 mr-2 mt-0.5" />
+          <div>
+            <div>Signal: {health.signal.current !== undefined ? `${health.signal.current} dBm` : 'Not reported'}</div>
+            {health.signal.baseline !== undefined && health.signal.baseline !== null && (
+              <div className="text-xs text-gray-500">Baseline {health.signal.baseline} dBm</div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {health.issues.length > 0 && (
+        <ul className="space-y-1">
+          {health.issues.map((issue) => (
+            <li key={issue.code} className="flex items-center text-sm text-red-700">
+              {issue.code === 'offline' ? <WifiOff className="w-4 h-4 mr-2" /> : <AlertTriangle className="w-4 h-4 mr-2" />}
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 const Map = () => {
   const [userLocation, setUserLocation] = useState(null);
   const [selectedStation, setSelectedStation] = useState(null);
+  const [showSurface, setShowSurface] = useState(false);
+  const [bounds, setBounds] = useState(null);
 
   // Get user location
   useEffect(() => {
@@ -52,6 +188,32 @@ const Map = () => {
     }
   );
 
+  const surfaceParams = bounds && {
+    south: Math.round(bounds.getSouth() * 100) / 100,
+    west: Math.round(bounds.getWest() * 100) / 100,
+    north: Math.round(bounds.getNorth() * 100) / 100,
+    east: Math.round(bounds.getEast() * 100) / 100
+  };
+  const surfaceTooLarge = surfaceParams && (
+    surfaceParams.north - surfaceParams.south > MAX_SURFACE_SPAN ||
+    surfaceParams.east - surfaceParams.west > MAX_SURFACE_SPAN
+  );
+
+  // Fetch interpolated depth surface for the visible area
+  const { data: surfaceResponse, isFetching: isLoadingSurface } = useQuery(
+    ['water-surface', surfaceParams],
+    () => geolocationAPI.getSurface(surfaceParams),
+    {
+      enabled: showSurface && !!surfaceParams && !surfaceTooLarge,
+      staleTime: 5 * 60 * 1000, // 5 minutes
+      keepPreviousData: true,
+      retry: false
+    }
+  );
+
+  const surface = surfaceResponse?.data?.data;
+  const surfaceImage = useMemo(() => (surface ? renderSurfaceImage(surface) : null), [surface]);
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'critical': return '#ef4444';
@@ -107,6 +269,13 @@ const Map = () => {
             </p>
           </div>
           <div className="flex items-center space-x-4">
+            <button
+              onClick={() => setShowSurface(!showSurface)}
+              className={`${showSurface ? 'btn-primary' : 'btn-secondary'} flex items-center`}
+            >
+              <Layers className="w-4 h-4 mr-2" />
+              Depth Surface
+            </button>
             <div className="text-sm text-gray-600">
               {stations?.data?.stations?.length || 0} stations
             </div>
@@ -125,6 +294,17 @@ const Map = () => {
                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                 attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
               />
+
+              <BoundsTracker onChange={setBounds} />
+
+              {/* Interpolated depth surface */}
+              {showSurface && surface && surfaceImage && (
+                <ImageOverlay
+                  url={surfaceImage}
+                  bounds={[[surface.bbox.south, surface.bbox.west], [surface.bbox.north, surface.bbox.east]]}
+                  opacity={0.55}
+                />
+              )}
               
               {/* User location */}
               {userLocation && (
@@ -187,6 +367,34 @@ const Map = () => {
           </div>
         </div>
 
+        {/* Surface Legend */}
+        {showSurface && (
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Depth to Water Surface</h3>
+            {surfaceTooLarge ? (
+              <p className="text-sm text-gray-500">Zoom in to an area under {MAX_SURFACE_SPAN}° across to see the surface.</p>
+            ) : isLoadingSurface && !surface ? (
+              <p className="text-sm text-gray-500">Interpolating water levels...</p>
+            ) : surface ? (
+              <div className="space-y-2">
+                <div
+                  className="h-3 w-full rounded"
+                  style={{ background: `linear-gradient(to right, ${SURFACE_COLORS.map(c => `rgb(${c.join(',')})`).join(', ')})` }}
+                ></div>
+                <div className="flex justify-between text-sm text-gray-600">
+                  <span>{surface.stats.min}m (shallow)</span>
+                  <span>{surface.stats.max}m (deep)</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {surface.method === 'kriging' ? 'Ordinary kriging' : 'Inverse distance weighting'} from {surface.stations.length} stations
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Not enough stations with readings in this area.</p>
+            )}
+          </div>
+        )}
+
         {/* Legend */}
         <div className="card">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Status Legend</h3>
@@ -234,6 +442,13 @@ const Map = () => {
                 </div>
               </div>
             </div>
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <h4 className="font-medium text-gray-900 mb-2 flex items-center">
+                <Activity className="w-4 h-4 mr-2" />
+                Station Health
+              </h4>
+              <StationHealthPanel stationId={selectedStation._id} />
+            </div>
             <div className="mt-4 pt-4 border-t border-gray-200">
               <button
                 onClick={() => setSelectedStation(null)}
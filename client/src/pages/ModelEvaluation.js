@@ -0,0 +1,343 @@
+import React, { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { useQuery } from 'react-query';
+import { Activity, Play, Award, Cpu } from 'lucide-react';
+import { backtestsAPI, stationsAPI, mlModelsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+const MODEL_LABELS = {
+  'holt-winters': 'Holt-Winters (seasonal)',
+  holt: 'Damped Holt',
+  linear: 'Linear trend',
+  persistence: 'Persistence baseline'
+};
+
+const formatMetric = (value, suffix = '') => (
+  value === null || value === undefined ? '—' : `${Math.round(value * 100) / 100}${suffix}`
+);
+
+const ModelEvaluation = () => {
+  const { user } = useAuth();
+  const [horizonDays, setHorizonDays] = useState('');
+  const [stationId, setStationId] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [isTraining, setIsTraining] = useState(false);
+
+  // Fetch model comparison across stations
+  const { data: comparison, isLoading, refetch } = useQuery(
+    ['backtest-comparison', horizonDays],
+    () => backtestsAPI.getComparison({ horizonDays: horizonDays || undefined }),
+    {
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  // Fetch stations for the per-station breakdown
+  const { data: stations } = useQuery(
+    'stations',
+    () => stationsAPI.getAll({ limit: 100 }),
+    {
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  // Fetch latest results for the selected station
+  const { data: stationResults } = useQuery(
+    ['backtest-station', stationId],
+    () => backtestsAPI.getStation(stationId),
+    {
+      enabled: !!stationId,
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  // Fetch trained availability model versions
+  const { data: trainedModels, refetch: refetchModels } = useQuery(
+    'ml-models',
+    () => mlModelsAPI.getAll(),
+    {
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  const handleTrainModel = async () => {
+    setIsTraining(true);
+    try {
+      await mlModelsAPI.train({});
+      toast.success('Model training started. The new version will appear when it completes.');
+      setTimeout(() => refetchModels(), 10000);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start model training');
+    } finally {
+      setIsTraining(false);
+    }
+  };
+
+  const handleActivateModel = async (version) => {
+    try {
+      await mlModelsAPI.activate(version);
+      toast.success(`Model v${version} activated`);
+      refetchModels();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to activate model');
+    }
+  };
+
+  const handleRunBacktest = async () => {
+    setIsRunning(true);
+    try {
+      await backtestsAPI.run({
+        stationIds: stationId ? [stationId] : undefined,
+        horizonDays: horizonDays ? parseInt(horizonDays) : undefined
+      });
+      toast.success('Backtest started. Results will appear when it completes.');
+      setTimeout(() => refetch(), 10000);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start backtest');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const models = comparison?.data?.data?.models || [];
+  const evaluations = stationResults?.data?.data?.evaluations || [];
+  const modelVersions = trainedModels?.data?.data?.models || [];
+
+  return (
+    <>
+      <Helmet>
+        <title>Model Evaluation - Groundwater Detection System</title>
+      </Helmet>
+
+      <div className="p-6 space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">
+              Forecast Model Evaluation
+            </h1>
+            <p className="text-gray-600">
+              Rolling-origin backtests of forecast accuracy on historic readings
+            </p>
+          </div>
+          {user?.role === 'admin' && (
+            <button
+              onClick={handleRunBacktest}
+              disabled={isRunning}
+              className="btn-primary flex items-center"
+            >
+              <Play className="w-4 h-4 mr-2" />
+              {stationId ? 'Backtest Station' : 'Backtest All Stations'}
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="card">
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Forecast Horizon
+              </label>
+              <select
+                value={horizonDays}
+                onChange={(e) => setHorizonDays(e.target.value)}
+                className="input-field"
+              >
+                <option value="">All horizons</option>
+                <option value="7">7 days</option>
+                <option value="30">30 days</option>
+                <option value="90">90 days</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Station
+              </label>
+              <select
+                value={stationId}
+                onChange={(e) => setStationId(e.target.value)}
+                className="input-field"
+              >
+                <option value="">All stations</option>
+                {stations?.data?.data?.stations?.map((station) => (
+                  <option key={station._id} value={station._id}>
+                    {station.name} ({station.stationId})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Model Comparison */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Activity className="w-5 h-5 mr-2" />
+            Model Comparison (all stations)
+          </h2>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : models.length === 0 ? (
+            <p className="text-sm text-gray-500">No backtest results yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4">Model</th>
+                    <th className="py-2 pr-4">Horizon</th>
+                    <th className="py-2 pr-4">Stations</th>
+                    <th className="py-2 pr-4">MAE (m)</th>
+                    <th className="py-2 pr-4">RMSE (m)</th>
+                    <th className="py-2 pr-4">MAPE</th>
+                    <th className="py-2 pr-4">Interval Coverage</th>
+                    <th className="py-2 pr-4">Last Run</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {models.map((item) => (
+                    <tr key={`${item.model}-${item.horizonDays}`} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-900">{MODEL_LABELS[item.model] || item.model}</td>
+                      <td className="py-2 pr-4">{item.horizonDays} days</td>
+                      <td className="py-2 pr-4">{item.stations}</td>
+                      <td className="py-2 pr-4">{formatMetric(item.metrics.mae)}</td>
+                      <td className="py-2 pr-4">{formatMetric(item.metrics.rmse)}</td>
+                      <td className="py-2 pr-4">{formatMetric(item.metrics.mape, '%')}</td>
+                      <td className="py-2 pr-4">
+                        {item.metrics.coverage === null ? '—' : `${Math.round(item.metrics.coverage * 100)}%`}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-500">{new Date(item.lastRun).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Availability Model Versions */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+              <Cpu className="w-5 h-5 mr-2" />
+              Availability Model Versions
+            </h2>
+            {user?.role === 'admin' && (
+              <button
+                onClick={handleTrainModel}
+                disabled={isTraining}
+                className="btn-secondary flex items-center"
+              >
+                <Play className="w-4 h-4 mr-2" />
+                Train New Version
+              </button>
+            )}
+          </div>
+          {modelVersions.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No trained model yet. Analyses use heuristic scoring until one is trained.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4">Version</th>
+                    <th className="py-2 pr-4">Samples</th>
+                    <th className="py-2 pr-4">Validation RMSE (m)</th>
+                    <th className="py-2 pr-4">Persistence RMSE (m)</th>
+                    <th className="py-2 pr-4">R²</th>
+                    <th className="py-2 pr-4">Top Feature</th>
+                    <th className="py-2 pr-4">Trained</th>
+                    <th className="py-2 pr-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {modelVersions.map((model) => (
+                    <tr key={model._id} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-900">
+                        v{model.version}
+                        {model.status === 'active' && (
+                          <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            Active
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{model.training?.samples}</td>
+                      <td className="py-2 pr-4">{formatMetric(model.metrics?.validationRmse)}</td>
+                      <td className="py-2 pr-4">{formatMetric(model.metrics?.persistenceRmse)}</td>
+                      <td className="py-2 pr-4">{formatMetric(model.metrics?.r2)}</td>
+                      <td className="py-2 pr-4 capitalize">
+                        {Object.keys(model.featureImportance || {})[0]?.replace(/_/g, ' ') || '—'}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-500">{new Date(model.createdAt).toLocaleString()}</td>
+                      <td className="py-2 pr-4">
+                        {user?.role === 'admin' && model.status !== 'active' && (
+                          <button
+                            onClick={() => handleActivateModel(model.version)}
+                            className="text-blue-600 hover:text-blue-700 font-medium"
+                          >
+                            Activate
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Station Breakdown */}
+        {stationId && (
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Award className="w-5 h-5 mr-2" />
+              {stationResults?.data?.data?.station?.name || 'Station'} Results
+              {stationResults?.data?.data?.bestModel && (
+                <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                  Best: {MODEL_LABELS[stationResults.data.data.bestModel]}
+                </span>
+              )}
+            </h2>
+            {evaluations.length === 0 ? (
+              <p className="text-sm text-gray-500">This station has not been backtested yet.</p>
+            ) : (
+              <div className="space-y-4">
+                {evaluations.map((evaluation) => (
+                  <div key={evaluation._id} className="p-4 bg-gray-50 rounded-lg">
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="font-medium text-gray-900">
+                        {MODEL_LABELS[evaluation.model]} · {evaluation.horizonDays} day horizon
+                      </h3>
+                      <span className="text-xs text-gray-500">
+                        {evaluation.evaluation.origins} origins · {evaluation.metrics.samples} samples
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                      {evaluation.byHorizon.map((bucket) => (
+                        <div key={bucket.fromDay}>
+                          <div className="text-gray-500">Days {bucket.fromDay}-{bucket.toDay}</div>
+                          <div className="text-gray-900">
+                            RMSE {formatMetric(bucket.rmse)}m · MAPE {formatMetric(bucket.mape, '%')}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ModelEvaluation;
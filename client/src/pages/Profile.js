@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { useForm } from 'react-hook-form';
 import { 
@@ -9,14 +9,43 @@ import {
   Shield, 
   Save,
   Eye,
-  EyeOff
+  EyeOff,
+  Calendar,
+  Phone,
+  Monitor,
+  LogOut,
+  KeyRound
 } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI, notificationsAPI } from '../services/api';
+import { isPushSupported, subscribeToPush, unsubscribeFromPush } from '../services/pushNotifications';
 import toast from 'react-hot-toast';
 
+// Short browser and OS label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token))?.[1];
+  const os = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token))?.[1];
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser, os].filter(Boolean).join(' on ');
+};
+
 const Profile = () => {
-  const { user, updateProfile, changePassword } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const { user, updateProfile, changePassword, logoutAllDevices, reloadUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [factorCode, setFactorCode] = useState('');
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+  const [twoFactorPolicy, setTwoFactorPolicy] = useState(null);
+  const [verificationSending, setVerificationSending] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -29,6 +58,7 @@ const Profile = () => {
     defaultValues: {
       name: user?.name || '',
       email: user?.email || '',
+      phone: user?.phone || '',
       latitude: user?.location?.coordinates?.[1] || '',
       longitude: user?.location?.coordinates?.[0] || ''
     }
@@ -55,7 +85,21 @@ const Profile = () => {
     }
   });
 
+  const {
+    register: registerDigest,
+    handleSubmit: handleSubmitDigest,
+    watch: watchDigest
+  } = useForm({
+    defaultValues: {
+      frequency: user?.preferences?.digest?.frequency || 'off',
+      hour: user?.preferences?.digest?.hour ?? 8,
+      weekday: user?.preferences?.digest?.weekday ?? 1,
+      timezone: user?.preferences?.digest?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+    }
+  });
+
   const newPassword = watch('newPassword');
+  const digestFrequency = watchDigest('frequency');
 
   const onSubmitProfile = async (data) => {
     const result = await updateProfile(data);
@@ -73,16 +117,188 @@ const Profile = () => {
   };
 
   const onSubmitNotifications = async (data) => {
-    const result = await updateProfile({ preferences: data });
+    if (isPushSupported()) {
+      try {
+        if (data.push) await subscribeToPush();
+        else await unsubscribeFromPush();
+      } catch (error) {
+        toast.error(error.message);
+      }
+    }
+
+    const result = await updateProfile({
+      preferences: {
+        notifications: { email: data.email, sms: data.sms, push: data.push },
+        alertRadius: parseInt(data.alertRadius)
+      }
+    });
     if (result.success) {
       toast.success('Notification preferences updated');
     }
   };
 
+  const onSubmitDigest = async (data) => {
+    try {
+      await notificationsAPI.updatePreferences({
+        digest: {
+          ...data,
+          hour: parseInt(data.hour),
+          weekday: parseInt(data.weekday)
+        }
+      });
+      toast.success('Digest settings updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update digest settings');
+    }
+  };
+
+  const previewDigest = async () => {
+    try {
+      const response = await notificationsAPI.previewDigest('html');
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/html' }));
+      window.open(url, '_blank');
+    } catch (error) {
+      toast.error('Failed to build digest preview');
+    }
+  };
+
+  const loadSessions = useCallback(async () => {
+    setSessionsLoading(true);
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      toast.error('Failed to load sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'sessions') loadSessions();
+  }, [activeTab, loadSessions]);
+
+  const revokeSession = async (session) => {
+    try {
+      await authAPI.revokeSession(session.id);
+      toast.success('Session logged out');
+      loadSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log out session');
+    }
+  };
+
+  const loadTwoFactor = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setTwoFactor(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load two-factor status');
+    }
+  }, []);
+
+  const loadTwoFactorPolicy = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactorPolicy();
+      setTwoFactorPolicy(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load two-factor policy');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab !== 'security') return;
+    loadTwoFactor();
+    if (user?.role === 'admin') loadTwoFactorPolicy();
+  }, [activeTab, user?.role, loadTwoFactor, loadTwoFactorPolicy]);
+
+  // Codes may be typed from the app or a printed list, so either kind is sent as typed
+  const secondFactor = () => (
+    /^\d{6}$/.test(factorCode.trim()) ? { code: factorCode.trim() } : { recoveryCode: factorCode.trim() }
+  );
+
+  // Wraps a two-factor request: one at a time, code field cleared afterwards, errors toasted
+  const runTwoFactorAction = async (action, failureMessage) => {
+    setTwoFactorBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.response?.data?.message || failureMessage);
+    } finally {
+      setFactorCode('');
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const startTwoFactorSetup = () => runTwoFactorAction(async () => {
+    const response = await authAPI.beginTwoFactorSetup();
+    setEnrollment(response.data.data);
+    setRecoveryCodes(null);
+  }, 'Failed to start two-factor setup');
+
+  const confirmTwoFactorSetup = (e) => {
+    e.preventDefault();
+    return runTwoFactorAction(async () => {
+      const response = await authAPI.confirmTwoFactorSetup(factorCode.trim());
+      setEnrollment(null);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      toast.success('Two-factor authentication enabled');
+      await Promise.all([loadTwoFactor(), reloadUser()]);
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const newRecoveryCodes = () => runTwoFactorAction(async () => {
+    const response = await authAPI.regenerateRecoveryCodes(secondFactor());
+    setRecoveryCodes(response.data.data.recoveryCodes);
+    toast.success(response.data.message);
+    await loadTwoFactor();
+  }, 'Failed to generate recovery codes');
+
+  const turnOffTwoFactor = () => runTwoFactorAction(async () => {
+    const response = await authAPI.disableTwoFactor(secondFactor());
+    setRecoveryCodes(null);
+    toast.success(response.data.message);
+    await Promise.all([loadTwoFactor(), reloadUser()]);
+  }, 'Failed to disable two-factor authentication');
+
+  const toggleRequiredRole = async (role) => {
+    const requiredRoles = twoFactorPolicy.requiredRoles.includes(role)
+      ? twoFactorPolicy.requiredRoles.filter(r => r !== role)
+      : [...twoFactorPolicy.requiredRoles, role];
+    try {
+      const response = await authAPI.updateTwoFactorPolicy(requiredRoles);
+      setTwoFactorPolicy(response.data.data);
+      toast.success(response.data.message);
+      await Promise.all([loadTwoFactor(), reloadUser()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update two-factor policy');
+    }
+  };
+
+  const resendVerification = async () => {
+    setVerificationSending(true);
+    try {
+      const response = await authAPI.requestEmailVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setVerificationSending(false);
+    }
+  };
+
+  const logoutEverywhere = async () => {
+    if (window.confirm('Log out of every device, including this one?')) {
+      await logoutAllDevices();
+    }
+  };
+
   const tabs = [
     { id: 'profile', name: 'Profile', icon: <User className="w-4 h-4" /> },
     { id: 'password', name: 'Password', icon: <Shield className="w-4 h-4" /> },
-    { id: 'notifications', name: 'Notifications', icon: <Bell className="w-4 h-4" /> }
+    { id: 'notifications', name: 'Notifications', icon: <Bell className="w-4 h-4" /> },
+    { id: 'sessions', name: 'Sessions', icon: <Monitor className="w-4 h-4" /> },
+    { id: 'security', name: 'Security', icon: <KeyRound className="w-4 h-4" /> }
   ];
 
   return (
@@ -102,6 +318,36 @@ const Profile = () => {
           </p>
         </div>
 
+        {/* Email verification */}
+        {user && !user.emailVerified && (
+          <div className="flex items-center justify-between p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <div className="flex items-center">
+              <Mail className="w-5 h-5 text-yellow-600 mr-3" />
+              <p className="text-sm text-yellow-800">
+                Confirm <strong>{user.email}</strong> to receive alerts and digests by email.
+              </p>
+            </div>
+            <button
+              onClick={resendVerification}
+              disabled={verificationSending}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              {verificationSending ? 'Sending...' : 'Resend link'}
+            </button>
+          </div>
+        )}
+
+        {/* Required two-factor setup */}
+        {user?.twoFactorSetupRequired && (
+          <div className="flex items-center p-4 bg-red-50 border border-red-200 rounded-lg">
+            <KeyRound className="w-5 h-5 text-red-600 mr-3" />
+            <p className="text-sm text-red-800">
+              Two-factor authentication is required for the <strong>{user.role.replace('_', ' ')}</strong> role.
+              Set it up on the Security tab to continue using the system.
+            </p>
+          </div>
+        )}
+
         {/* Tabs */}
         <div className="border-b border-gray-200">
           <nav className="-mb-px flex space-x-8">
@@ -179,6 +425,32 @@ const Profile = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Mobile Number
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Phone className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    {...registerProfile('phone', {
+                      pattern: {
+                        value: /^\+[1-9]\d{6,14}$/,
+                        message: 'Use international format, e.g. +919876543210'
+                      }
+                    })}
+                    type="tel"
+                    placeholder="+919876543210"
+                    className={`input-field pl-10 ${profileErrors.phone ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  />
+                </div>
+                <p className="mt-1 text-sm text-gray-500">Used for SMS alerts</p>
+                {profileErrors.phone && (
+                  <p className="mt-1 text-sm text-red-600">{profileErrors.phone.message}</p>
+                )}
+              </div>
+
               <div className="grid md:grid-cols-2 gap-6">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -436,6 +708,247 @@ const Profile = () => {
             </form>
           </div>
         )}
+
+        {activeTab === 'notifications' && (
+          <div className="card">
+            <div className="flex items-center mb-2">
+              <Calendar className="w-5 h-5 text-gray-500 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Email Digest</h2>
+            </div>
+            <p className="text-sm text-gray-500 mb-6">
+              A summary of your monitored stations with latest levels, trends and alerts
+            </p>
+            <form onSubmit={handleSubmitDigest(onSubmitDigest)} className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+                  <select {...registerDigest('frequency')} className="input-field">
+                    <option value="off">Off</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Delivery Hour</label>
+                  <select {...registerDigest('hour')} className="input-field">
+                    {Array.from({ length: 24 }, (_, hour) => (
+                      <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {digestFrequency === 'weekly' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Day</label>
+                    <select {...registerDigest('weekday')} className="input-field">
+                      {['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].map((day, index) => (
+                        <option key={day} value={index}>{day}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Timezone</label>
+                  <input
+                    {...registerDigest('timezone')}
+                    type="text"
+                    className="input-field"
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+                <button type="button" onClick={previewDigest} className="btn-secondary">
+                  Preview
+                </button>
+                <button type="submit" className="btn-primary flex items-center">
+                  <Save className="w-4 h-4 mr-2" />
+                  Save Digest Settings
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Sessions Tab */}
+        {activeTab === 'sessions' && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-6">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Active Sessions</h2>
+                <p className="text-sm text-gray-500">Devices currently signed in to your account</p>
+              </div>
+              <button type="button" onClick={logoutEverywhere} className="btn-secondary flex items-center">
+                <LogOut className="w-4 h-4 mr-2" />
+                Log Out All Devices
+              </button>
+            </div>
+
+            {sessionsLoading ? (
+              <p className="text-sm text-gray-500">Loading sessions...</p>
+            ) : sessions.length === 0 ? (
+              <p className="text-sm text-gray-500">No active sessions</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {sessions.map((session) => (
+                  <li key={session.id} className="py-4 flex items-center justify-between">
+                    <div className="flex items-start">
+                      <Monitor className="w-5 h-5 text-gray-400 mr-3 mt-0.5" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {describeDevice(session.userAgent)}
+                          {session.current && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                              This device
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {session.ipAddress && `${session.ipAddress} · `}
+                          Last active {new Date(session.lastUsedAt).toLocaleString()} · Signed in {new Date(session.createdAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <button
+                        type="button"
+                        onClick={() => revokeSession(session)}
+                        className="text-sm text-red-600 hover:text-red-800"
+                      >
+                        Log out
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {/* Security Tab */}
+        {activeTab === 'security' && (
+          <div className="space-y-6">
+            <div className="card">
+              <h2 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h2>
+              <p className="text-sm text-gray-500 mb-6">
+                Sign in with a code from an authenticator app (Google Authenticator, Authy, 1Password...) as well as your password
+              </p>
+
+              {!twoFactor ? (
+                <p className="text-sm text-gray-500">Loading...</p>
+              ) : recoveryCodes ? (
+                <div>
+                  <p className="text-sm text-gray-700 mb-3">
+                    Store these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator; they will not be shown again.
+                  </p>
+                  <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm text-gray-900 mb-4">
+                    {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      navigator.clipboard.writeText(recoveryCodes.join('\n'));
+                      toast.success('Recovery codes copied');
+                    }}
+                    className="btn-secondary mr-3"
+                  >
+                    Copy Codes
+                  </button>
+                  <button type="button" onClick={() => setRecoveryCodes(null)} className="btn-primary">
+                    I've Saved Them
+                  </button>
+                </div>
+              ) : enrollment ? (
+                <form onSubmit={confirmTwoFactorSetup} className="space-y-4">
+                  <p className="text-sm text-gray-700">
+                    1. Scan this QR code with your authenticator app, or enter the key by hand.
+                  </p>
+                  <div className="flex items-center space-x-6">
+                    <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-40 h-40 border border-gray-200 rounded" />
+                    <code className="text-sm break-all text-gray-900">{enrollment.secret}</code>
+                  </div>
+                  <p className="text-sm text-gray-700">2. Enter the 6-digit code the app shows.</p>
+                  <div className="flex space-x-3">
+                    <input
+                      value={factorCode}
+                      onChange={(e) => setFactorCode(e.target.value)}
+                      autoComplete="one-time-code"
+                      inputMode="numeric"
+                      maxLength={6}
+                      className="input-field w-40 tracking-widest"
+                      placeholder="123456"
+                    />
+                    <button type="submit" disabled={twoFactorBusy || factorCode.trim().length !== 6} className="btn-primary disabled:opacity-50">
+                      Enable
+                    </button>
+                    <button type="button" onClick={() => setEnrollment(null)} className="btn-secondary">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : twoFactor.enabled ? (
+                <div className="space-y-4">
+                  <p className="text-sm text-gray-700">
+                    <span className="px-2 py-0.5 mr-2 text-xs rounded-full bg-green-100 text-green-800">Enabled</span>
+                    Since {new Date(twoFactor.enabledAt).toLocaleDateString()} · {twoFactor.recoveryCodesRemaining} recovery code(s) left
+                  </p>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <input
+                      value={factorCode}
+                      onChange={(e) => setFactorCode(e.target.value)}
+                      autoComplete="one-time-code"
+                      className="input-field w-56"
+                      placeholder="Authentication or recovery code"
+                    />
+                    <button type="button" onClick={newRecoveryCodes} disabled={twoFactorBusy || !factorCode.trim()} className="btn-secondary disabled:opacity-50">
+                      New Recovery Codes
+                    </button>
+                    {!twoFactor.required && (
+                      <button
+                        type="button"
+                        onClick={turnOffTwoFactor}
+                        disabled={twoFactorBusy || !factorCode.trim()}
+                        className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        Turn Off
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500">Enter a current code to confirm either action.</p>
+                </div>
+              ) : (
+                <button type="button" onClick={startTwoFactorSetup} disabled={twoFactorBusy} className="btn-primary flex items-center disabled:opacity-50">
+                  <KeyRound className="w-4 h-4 mr-2" />
+                  Set Up Two-Factor Authentication
+                </button>
+              )}
+            </div>
+
+            {user?.role === 'admin' && twoFactorPolicy && (
+              <div className="card">
+                <h2 className="text-lg font-semibold text-gray-900">Require Two-Factor Authentication</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                  Users in these roles cannot use the system until they set up two-factor authentication
+                </p>
+                <div className="space-y-3">
+                  {twoFactorPolicy.enforceableRoles.map(role => (
+                    <label key={role} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={twoFactorPolicy.requiredRoles.includes(role)}
+                        onChange={() => toggleRequiredRole(role)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <span className="ml-3 text-sm text-gray-700 capitalize">{role.replace('_', ' ')}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </>
   );
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { MailCheck, MailX } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, reloadUser } = useAuth();
+  const [result, setResult] = useState({ status: token ? 'verifying' : 'error', message: 'This verification link is incomplete.' });
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so confirm only once even if the effect runs twice
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    authAPI.confirmEmailVerification(token)
+      .then((response) => setResult({ status: 'verified', message: `${response.data.data.email} is verified. Alerts will now be emailed to it.` }))
+      .catch((error) => setResult({ status: 'error', message: error.response?.data?.message || 'Could not verify your email address.' }));
+  }, [token]);
+
+  useEffect(() => {
+    if (result.status === 'verified' && isAuthenticated) reloadUser();
+  }, [result.status, isAuthenticated, reloadUser]);
+
+  return (
+    <>
+      <Helmet>
+        <title>Verify Email - Groundwater Detection System</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full text-center space-y-6">
+          <div className={`mx-auto w-16 h-16 rounded-full flex items-center justify-center ${result.status === 'error' ? 'bg-red-500' : 'bg-gradient-to-r from-blue-600 to-purple-600'}`}>
+            {result.status === 'error' ? (
+              <MailX className="w-8 h-8 text-white" />
+            ) : (
+              <MailCheck className="w-8 h-8 text-white" />
+            )}
+          </div>
+
+          <h2 className="text-3xl font-bold text-gray-900">
+            {result.status === 'verifying' && 'Verifying your email...'}
+            {result.status === 'verified' && 'Email verified'}
+            {result.status === 'error' && 'Verification failed'}
+          </h2>
+
+          {result.status !== 'verifying' && (
+            <p className="text-gray-600">
+              {result.message}
+              {result.status === 'error' && ' You can request a new link from your profile.'}
+            </p>
+          )}
+
+          <Link
+            to={isAuthenticated ? '/profile' : '/login'}
+            className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all duration-200"
+          >
+            {isAuthenticated ? 'Go to profile' : 'Sign in'}
+          </Link>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default VerifyEmail;
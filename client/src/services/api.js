@@ -1,16 +1,38 @@
 import axios from 'axios';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 // Create axios instance
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  // The refresh token is an httpOnly cookie set by the auth routes
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Requests whose 401 means wrong credentials or an ended session, not an expired access token
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshRequest = null;
+
+// Exchange the refresh token cookie for a new access token; concurrent callers share one request
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_BASE_URL}/auth/refresh`, null, { withCredentials: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -25,17 +47,34 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// Response interceptor: renew an expired access token once and retry, otherwise send to login
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status === 401 && config && !SESSION_ENDPOINTS.includes(config.url)) {
+      if (!config.retriedAfterRefresh) {
+        try {
+          const token = await refreshAccessToken();
+          config.retriedAfterRefresh = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return api(config);
+        } catch (refreshError) {
+          // Fall through: the session has ended
+        }
+      }
+
       localStorage.removeItem('token');
       window.location.href = '/login';
     }
+
+    // The user's role requires two-factor authentication they have not set up yet
+    if (response?.status === 403 && response.data?.code === 'two_factor_setup_required' && window.location.pathname !== '/profile') {
+      window.location.href = '/profile?tab=security';
+    }
     return Promise.reject(error);
   }
 );
@@ -43,10 +82,26 @@ api.interceptors.response.use(
 // Auth API
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
+  verifyTwoFactorLogin: (data) => api.post('/auth/login/2fa', data),
   register: (userData) => api.post('/auth/register', userData),
   getMe: () => api.get('/auth/me'),
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  requestEmailVerification: () => api.post('/auth/verify-email/request'),
+  confirmEmailVerification: (token) => api.post('/auth/verify-email/confirm', { token }),
+  requestPasswordReset: (email) => api.post('/auth/password-reset/request', { email }),
+  confirmPasswordReset: (token, password) => api.post('/auth/password-reset/confirm', { token, password }),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  beginTwoFactorSetup: () => api.post('/auth/2fa/setup'),
+  confirmTwoFactorSetup: (code) => api.post('/auth/2fa/confirm', { code }),
+  regenerateRecoveryCodes: (factor) => api.post('/auth/2fa/recovery-codes', factor),
+  disableTwoFactor: (factor) => api.post('/auth/2fa/disable', factor),
+  getTwoFactorPolicy: () => api.get('/auth/2fa/policy'),
+  updateTwoFactorPolicy: (requiredRoles) => api.put('/auth/2fa/policy', { requiredRoles }),
 };
 
 // Stations API
@@ -55,11 +110,31 @@ export const stationsAPI = {
   getById: (id) => api.get(`/stations/${id}`),
   getReadings: (id, params) => api.get(`/stations/${id}/readings`, { params }),
   getTrends: (id, params) => api.get(`/stations/${id}/trends`, { params }),
+  getForecast: (id, params) => api.get(`/stations/${id}/forecast`, { params }),
+  getFleetHealth: (params) => api.get('/stations/health', { params }),
+  getHealth: (id) => api.get(`/stations/${id}/health`),
+  getGaps: (id, params) => api.get(`/stations/${id}/gaps`, { params }),
+  fillGaps: (id, options) => api.post(`/stations/${id}/gaps/fill`, options),
+  getThresholds: (id) => api.get(`/stations/${id}/thresholds`),
+  updateThresholds: (id, thresholdData) => api.put(`/stations/${id}/thresholds`, thresholdData),
+  getCredentials: (id) => api.get(`/stations/${id}/credentials`),
+  createCredential: (id, credentialData) => api.post(`/stations/${id}/credentials`, credentialData),
+  rotateCredential: (id, credentialId, options) => api.post(`/stations/${id}/credentials/${credentialId}/rotate`, options),
+  revokeCredential: (id, credentialId) => api.delete(`/stations/${id}/credentials/${credentialId}`),
   create: (stationData) => api.post('/stations', stationData),
   update: (id, stationData) => api.put(`/stations/${id}`, stationData),
   delete: (id) => api.delete(`/stations/${id}`),
 };
 
+// Threshold profiles API
+export const thresholdsAPI = {
+  getAll: (params) => api.get('/thresholds', { params }),
+  getById: (id) => api.get(`/thresholds/${id}`),
+  create: (profileData) => api.post('/thresholds', profileData),
+  update: (id, profileData) => api.put(`/thresholds/${id}`, profileData),
+  delete: (id) => api.delete(`/thresholds/${id}`),
+};
+
 // Readings API
 export const readingsAPI = {
   getAll: (params) => api.get('/readings', { params }),
@@ -67,6 +142,8 @@ export const readingsAPI = {
   getById: (id) => api.get(`/readings/${id}`),
   create: (readingData) => api.post('/readings', readingData),
   createBulk: (readingsData) => api.post('/readings/bulk', readingsData),
+  importFile: (file, fields) => uploadFile(file, '/readings/import', fields),
+  export: (params) => api.get('/readings/export', { params, responseType: 'blob' }),
   update: (id, readingData) => api.put(`/readings/${id}`, readingData),
   delete: (id) => api.delete(`/readings/${id}`),
   getStats: (params) => api.get('/readings/stats/overview', { params }),
@@ -77,6 +154,8 @@ export const geolocationAPI = {
   getNearestStation: (location) => api.post('/geolocation/nearest-station', location),
   analyzeLocation: (location) => api.post('/geolocation/analyze', location),
   getTrends: (location) => api.post('/geolocation/trends', location),
+  interpolate: (location) => api.post('/geolocation/interpolate', location),
+  getSurface: (params) => api.get('/geolocation/surface', { params }),
   getEnvironmentalData: (location) => api.post('/geolocation/environmental-data', location),
 };
 
@@ -90,6 +169,20 @@ export const analysisAPI = {
   getStats: (params) => api.get('/analysis/stats/overview', { params }),
 };
 
+// Forecast backtesting API
+export const backtestsAPI = {
+  getComparison: (params) => api.get('/backtests', { params }),
+  getStation: (stationId) => api.get(`/backtests/stations/${stationId}`),
+  run: (runData) => api.post('/backtests/run', runData),
+};
+
+// Trained ML models API
+export const mlModelsAPI = {
+  getAll: () => api.get('/ml/models'),
+  train: (trainData) => api.post('/ml/models/train', trainData),
+  activate: (version) => api.put(`/ml/models/${version}/activate`),
+};
+
 // Notifications API
 export const notificationsAPI = {
   getAll: () => api.get('/notifications'),
@@ -98,7 +191,54 @@ export const notificationsAPI = {
   unsubscribe: (stationId) => api.delete(`/notifications/subscribe/${stationId}`),
   sendTest: (testData) => api.post('/notifications/test', testData),
   getHistory: (params) => api.get('/notifications/history', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
   markAsRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllAsRead: (type) => api.put('/notifications/read-all', type ? { type } : {}),
+  previewDigest: (format = 'json') => api.get('/notifications/digest/preview', {
+    params: { format },
+    responseType: format === 'json' ? 'json' : 'text'
+  }),
+  getChannels: () => api.get('/notifications/channels'),
+  getPushPublicKey: () => api.get('/notifications/push/public-key'),
+  savePushSubscription: (subscription) => api.post('/notifications/push/subscriptions', subscription),
+  removePushSubscription: (endpoint) => api.delete('/notifications/push/subscriptions', { data: { endpoint } }),
+};
+
+// Alert rules API
+export const alertsAPI = {
+  getRules: (params) => api.get('/alerts/rules', { params }),
+  createRule: (ruleData) => api.post('/alerts/rules', ruleData),
+  updateRule: (id, ruleData) => api.put(`/alerts/rules/${id}`, ruleData),
+  deleteRule: (id) => api.delete(`/alerts/rules/${id}`),
+};
+
+// Maintenance API
+export const maintenanceAPI = {
+  getTasks: (params) => api.get('/maintenance', { params }),
+  getTask: (id) => api.get(`/maintenance/${id}`),
+  createTask: (taskData) => api.post('/maintenance', taskData),
+  assign: (id, assignedTo) => api.put(`/maintenance/${id}/assign`, { assignedTo }),
+  schedule: (id, window) => api.put(`/maintenance/${id}/schedule`, window),
+  addNote: (id, text) => api.post(`/maintenance/${id}/notes`, { text }),
+  addPhotos: (id, photos) => {
+    const formData = new FormData();
+    Array.from(photos).forEach(photo => formData.append('photos', photo));
+    return api.post(`/maintenance/${id}/attachments`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+  complete: (id, completionData) => api.put(`/maintenance/${id}/complete`, completionData),
+  cancel: (id) => api.put(`/maintenance/${id}/cancel`),
+};
+
+// Jobs API
+export const jobsAPI = {
+  getAll: () => api.get('/jobs'),
+  getRuns: (name, params) => api.get(`/jobs/${name}/runs`, { params }),
+  run: (name) => api.post(`/jobs/${name}/run`),
+  setEnabled: (name, enabled) => api.put(`/jobs/${name}`, { enabled }),
 };
 
 // Reports API
@@ -135,9 +275,12 @@ export const downloadFile = async (url, filename) => {
   }
 };
 
-export const uploadFile = async (file, endpoint) => {
+export const uploadFile = async (file, endpoint, fields = {}) => {
   const formData = new FormData();
   formData.append('file', file);
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) formData.append(key, value);
+  });
   
   return api.post(endpoint, formData, {
     headers: {
@@ -0,0 +1,50 @@
+import { API_BASE_URL, notificationsAPI } from './api';
+
+const SERVICE_WORKER_URL = `/push-service-worker.js?api=${encodeURIComponent(API_BASE_URL)}`;
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+// Ask for permission, subscribe this browser and register the subscription with the API
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('Push notifications are not supported in this browser');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notification permission was not granted');
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const { data } = await notificationsAPI.getPushPublicKey();
+
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.data.publicKey),
+    });
+
+  await notificationsAPI.savePushSubscription(subscription.toJSON());
+  return subscription;
+};
+
+// Unsubscribe this browser and remove the subscription from the API
+export const unsubscribeFromPush = async () => {
+  if (!isPushSupported()) return;
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = await registration?.pushManager.getSubscription();
+  if (!subscription) return;
+
+  await notificationsAPI.removePushSubscription(subscription.endpoint).catch(() => {});
+  await subscription.unsubscribe();
+};
@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
@@ -22,13 +23,6 @@ const io = new Server(server, {
 app.use(helmet());
 app.use(compression());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
-
 // CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
@@ -36,8 +30,16 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Device uploads signed with HMAC are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.headers['x-signature']) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Refresh tokens arrive as an httpOnly cookie
+app.use(cookieParser());
 
 // Logging
 app.use(morgan('combined'));
@@ -48,12 +50,33 @@ mongoose.connect(mongoURI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  // Load the active trained availability model for analyses
+  require('./services/mlPredictionService').loadActiveModel();
+  // Optional MQTT ingestion for loggers that do not post over HTTP (enabled by MQTT_URL)
+  require('./services/mqttBridge').startMqttBridge();
+  // Recurring jobs are coordinated through MongoDB, so they start once it is reachable
+  require('./services/scheduledJobs').registerScheduledJobs();
+  require('./services/jobScheduler').startScheduler()
+    .catch(error => console.error('Job scheduler error:', error));
+})
 .catch(err => {
   console.error('MongoDB connection error:', err);
   console.log('Please make sure MongoDB is running or set MONGODB_URI in .env file');
 });
 
+// Device uploads are limited per credential, since many loggers can share one NAT or
+// cellular gateway address; they are mounted ahead of the per-IP limit
+app.use('/api/ingest', require('./routes/ingest'));
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100 // limit each IP to 100 requests per windowMs
+});
+app.use(limiter);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/stations', require('./routes/stations'));
@@ -61,30 +84,38 @@ app.use('/api/readings', require('./routes/readings'));
 app.use('/api/analysis', require('./routes/analysis'));
 app.use('/api/geolocation', require('./routes/geolocation'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/maintenance', require('./routes/maintenance'));
+app.use('/api/thresholds', require('./routes/thresholds'));
+app.use('/api/backtests', require('./routes/backtests'));
+app.use('/api/ml/models', require('./routes/mlModels'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/jobs', require('./routes/jobs'));
+
+// OGC SensorThings API (read-only), open to partner dashboards on other origins
+app.use('/sta/v1.1', cors(), require('./routes/sensorThings'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
+  const eventBus = require('./services/eventBus').getEventBusStatus();
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    eventBus: { enabled: eventBus.enabled, connected: eventBus.connected }
   });
 });
 
-// Socket.io for real-time updates
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('subscribe-station', (stationId) => {
-    socket.join(`station-${stationId}`);
-    console.log(`User ${socket.id} subscribed to station ${stationId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.io for real-time updates; connections must carry a valid JWT
+require('./services/socketService').attachSocketHandlers(io);
+
+// Domain events drive socket emits and alerting; with REDIS_URL set they and socket
+// broadcasts are shared with every API instance
+require('./services/eventSubscribers').registerEventSubscribers();
+require('./services/eventBus').startEventBus()
+  .catch(error => console.error('Event bus error:', error));
+require('./services/socketService').attachRedisAdapter()
+  .catch(error => console.error('Socket.IO Redis adapter error:', error));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
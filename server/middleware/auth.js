@@ -1,8 +1,38 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isTwoFactorSetupRequired } = require('../services/twoFactorService');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
+// Verify a JWT and load its active user; resolves with { user, decoded } or { error }
+const verifyToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: 'Not authorized to access this route' };
+  }
+
+  // Access tokens belong to a session, so logging out takes effect before they expire
+  const sessionActive = decoded.sid && await Session.exists({ _id: decoded.sid, user: decoded.id, isActive: true });
+  if (!sessionActive) {
+    return { error: 'Session has ended' };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { error: 'No user found with this token' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'User account is deactivated' };
+  }
+
+  return { user, decoded };
+};
+
+// Verify the JWT; with enforceTwoFactor, users whose role requires a second factor must have set one up
+const authenticate = ({ enforceTwoFactor }) => async (req, res, next) => {
   try {
     let token;
 
@@ -19,35 +49,26 @@ const protect = async (req, res, next) => {
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'No user found with this token'
-        });
-      }
-
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'User account is deactivated'
-        });
-      }
+    const { user, decoded, error } = await verifyToken(token);
 
-      req.user = user;
-      next();
-    } catch (error) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'Not authorized to access this route'
+        message: error
       });
     }
+
+    if (enforceTwoFactor && await isTwoFactorSetupRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role; set it up from your profile',
+        code: 'two_factor_setup_required'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -56,6 +77,55 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Protect routes - verify JWT token
+const protect = authenticate({ enforceTwoFactor: true });
+
+// Protect account routes - also open to users who still have to set up two-factor authentication
+const protectAccount = authenticate({ enforceTwoFactor: false });
+
+// Socket.IO middleware - verify the JWT sent as auth: { token } (or a Bearer header)
+const authenticateSocket = async (socket, next) => {
+  const fail = (message, code) => {
+    const error = new Error(message);
+    error.data = { success: false, message, ...(code && { code }) };
+    next(error);
+  };
+
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    let token = auth.token;
+
+    if (!token && headers.authorization && headers.authorization.startsWith('Bearer')) {
+      token = headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return fail('Not authorized to access this route');
+    }
+
+    const { user, decoded, error } = await verifyToken(token);
+
+    if (error) {
+      return fail(error);
+    }
+
+    // Sockets join role rooms, so they get the same two-factor enforcement as protected routes
+    if (await isTwoFactorSetupRequired(user)) {
+      return fail(
+        'Two-factor authentication is required for your role; set it up from your profile',
+        'two_factor_setup_required'
+      );
+    }
+
+    socket.user = user;
+    socket.sessionId = decoded.sid;
+    socket.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    next();
+  } catch (error) {
+    fail('Server error in authentication');
+  }
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -79,16 +149,14 @@ const optionalAuth = async (req, res, next) => {
     }
 
     if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
-        
-        if (user && user.isActive) {
-          req.user = user;
-        }
-      } catch (error) {
+      const { user, decoded, error } = await verifyToken(token);
+
+      if (error) {
         // Token invalid, but continue without user
-        console.log('Invalid token in optional auth:', error.message);
+        console.log('Invalid token in optional auth:', error);
+      } else {
+        req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
 
@@ -99,7 +167,10 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyToken,
   protect,
+  protectAccount,
+  authenticateSocket,
   authorize,
   optionalAuth
 };
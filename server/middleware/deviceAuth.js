@@ -0,0 +1,74 @@
+const DeviceCredential = require('../models/DeviceCredential');
+const Station = require('../models/Station');
+
+// Signed requests older or newer than this are refused, so captured requests cannot be replayed later
+const MAX_SIGNATURE_SKEW_MS = 5 * 60 * 1000;
+
+// Authenticate a DWLR logger by API key (X-Api-Key: <keyId>.<secret>)
+// or HMAC signature (X-Key-Id, X-Timestamp, X-Signature = hex HMAC-SHA256 of "<timestamp>.<body>")
+const authenticateDevice = async (req, res, next) => {
+  const unauthorized = () => res.status(401).json({
+    success: false,
+    message: 'Invalid device credentials'
+  });
+
+  try {
+    let credential;
+    const apiKey = req.headers['x-api-key'];
+
+    if (apiKey) {
+      const separator = apiKey.indexOf('.');
+      if (separator === -1) return unauthorized();
+
+      credential = await DeviceCredential.findUsable(apiKey.slice(0, separator));
+      if (!credential || !credential.verifyApiKey(apiKey.slice(separator + 1))) return unauthorized();
+    } else if (req.headers['x-key-id'] && req.headers['x-signature']) {
+      const timestamp = req.headers['x-timestamp'];
+      const sentAt = Number(timestamp) < 1e12 ? Number(timestamp) * 1000 : Number(timestamp);
+      if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > MAX_SIGNATURE_SKEW_MS) {
+        return res.status(401).json({
+          success: false,
+          message: 'Signature timestamp missing or outside the allowed window'
+        });
+      }
+
+      credential = await DeviceCredential.findUsable(req.headers['x-key-id']);
+      const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+      if (!credential || !credential.verifySignature(`${timestamp}.${body}`, req.headers['x-signature'])) {
+        return unauthorized();
+      }
+    } else {
+      return res.status(401).json({
+        success: false,
+        message: 'Device credentials required'
+      });
+    }
+
+    const station = await Station.findById(credential.station);
+    if (!station || !station.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Station is not active'
+      });
+    }
+
+    // Usage tracking must not hold up the upload
+    DeviceCredential.updateOne(
+      { _id: credential._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    ).catch(error => console.error('Device credential usage update error:', error));
+
+    req.device = { credential, station };
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in device authentication'
+    });
+  }
+};
+
+module.exports = {
+  authenticateDevice
+};
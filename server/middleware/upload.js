@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10 MB
+
+// Photos are served with the type of their extension, never the type the client claimed
+const PHOTO_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic'
+};
+const PHOTO_EXTENSIONS = Object.keys(PHOTO_TYPES);
+const MAX_PHOTOS = 5;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// Keep uploads in memory - imports parse the buffer and nothing is written to disk
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single spreadsheet in the given field, answering upload errors with 400
+const uploadSpreadsheet = (field = 'file') => (req, res, next) => {
+  spreadsheetUpload.single(field)(req, res, (error) => {
+    if (!error) return next();
+
+    let message = 'File upload failed';
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `File must be smaller than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`;
+    } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Upload a single ${SPREADSHEET_EXTENSIONS.join(', ')} file in the "${field}" field`;
+    }
+
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// Photos are kept on disk under random names; the original name is stored with the record
+const photoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const directory = path.join(UPLOAD_DIR, 'maintenance');
+      fs.mkdir(directory, { recursive: true }, error => cb(error, directory));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_PHOTOS },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!PHOTO_EXTENSIONS.includes(extension) || !file.mimetype.startsWith('image/')) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept up to MAX_PHOTOS images in the given field, answering upload errors with 400
+const uploadPhotos = (field = 'photos') => (req, res, next) => {
+  photoUpload.array(field, MAX_PHOTOS)(req, res, (error) => {
+    if (!error) return next();
+
+    let message = 'Photo upload failed';
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `Photos must be smaller than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`;
+    } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Upload up to ${MAX_PHOTOS} ${PHOTO_EXTENSIONS.join(', ')} images in the "${field}" field`;
+    }
+
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// Content type of a stored photo from its file name
+const photoType = (filename) => PHOTO_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+module.exports = { UPLOAD_DIR, uploadSpreadsheet, uploadPhotos, photoType };
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A single-use email verification or password reset link; the signed token carries this record's id
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  // Address the link was sent to; verification only counts while the account still uses it
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: { type: Date },
+  requestedIp: { type: String },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1, isActive: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to mark a token used, once; resolves with null if it was used, replaced or expired
+accountTokenSchema.statics.consume = function(id, userId, purpose) {
+  return this.findOneAndUpdate(
+    { _id: id, user: userId, purpose, isActive: true, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date(), isActive: false },
+    { new: true }
+  );
+};
+
+// Static method to cancel a user's outstanding tokens for a purpose
+accountTokenSchema.statics.invalidate = function(userId, purpose) {
+  return this.updateMany(
+    { user: userId, purpose, isActive: true },
+    { isActive: false }
+  );
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  scope: {
+    type: String,
+    enum: ['user', 'global'], // global rules are admin-defined and notify all subscribers
+    default: 'user'
+  },
+  stations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  }], // empty = applies to every station
+  condition: {
+    type: {
+      type: String,
+      enum: ['depth_exceeds', 'level_drop', 'battery_below', 'no_reading'],
+      required: true
+    },
+    threshold: { type: Number, required: true }, // meters, meters, percentage, hours
+    windowDays: { type: Number, min: 1, max: 365 } // level_drop only
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  cooldownMinutes: {
+    type: Number,
+    min: 0,
+    default: 360
+  },
+  lastFired: {
+    type: Map,
+    of: Date,
+    default: {}
+  }, // stationId -> last time this rule fired for it
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+alertRuleSchema.index({ enabled: 1, isActive: 1, stations: 1 });
+alertRuleSchema.index({ 'condition.type': 1 });
+
+// Virtual for human readable description of the condition
+alertRuleSchema.virtual('description').get(function() {
+  const { type, threshold, windowDays } = this.condition;
+  switch (type) {
+    case 'depth_exceeds': return `Water level deeper than ${threshold}m`;
+    case 'level_drop': return `Water level drops ${threshold}m within ${windowDays} days`;
+    case 'battery_below': return `Battery below ${threshold}%`;
+    case 'no_reading': return `No reading for ${threshold} hours`;
+    default: return type;
+  }
+});
+
+// Static method to get enabled rules that apply to a station
+alertRuleSchema.statics.getRulesForStation = async function(stationId, conditionTypes) {
+  const filter = {
+    enabled: true,
+    isActive: true,
+    $or: [
+      { stations: { $size: 0 } },
+      { stations: stationId }
+    ]
+  };
+
+  if (conditionTypes) {
+    filter['condition.type'] = { $in: conditionTypes };
+  }
+
+  return await this.find(filter);
+};
+
+// Static method to atomically claim a firing slot outside the cooldown window
+alertRuleSchema.statics.claimFiring = async function(rule, stationId, now = new Date()) {
+  const key = `lastFired.${stationId}`;
+  const cutoff = new Date(now.getTime() - rule.cooldownMinutes * 60 * 1000);
+
+  return await this.findOneAndUpdate(
+    {
+      _id: rule._id,
+      $or: [
+        { [key]: { $exists: false } },
+        { [key]: { $lte: cutoff } }
+      ]
+    },
+    {
+      $set: { [key]: now },
+      $inc: { triggerCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
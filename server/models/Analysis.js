@@ -37,7 +37,16 @@ const analysisSchema = new mongoose.Schema({
       range: {
         min: { type: Number },
         max: { type: Number }
-      }
+      },
+      method: { type: String, enum: ['nearest', 'idw', 'kriging'], default: 'nearest' },
+      uncertainty: { type: Number }, // meters, one standard deviation
+      stations: [{
+        _id: false,
+        stationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Station' },
+        distance: { type: Number }, // km
+        waterLevel: { type: Number }, // meters
+        weight: { type: Number }
+      }]
     },
     sustainability: {
       yearsRemaining: { type: Number, required: true },
@@ -112,6 +121,7 @@ const analysisSchema = new mongoose.Schema({
   },
   mlPredictions: {
     model: { type: String, default: 'ensemble' },
+    modelVersion: { type: Number }, // trained model version, empty for heuristic scoring
     features: [String],
     featureImportance: mongoose.Schema.Types.Mixed,
     predictionConfidence: { type: Number, min: 0, max: 100 },
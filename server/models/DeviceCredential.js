@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// HMAC secrets have to be recoverable to verify signatures, so they are stored encrypted.
+// The key has no fallback: a missing or shared key would let anyone who knows it sign as a device
+const getEncryptionKey = () => {
+  if (!process.env.DEVICE_SECRET_KEY) {
+    throw new Error('DEVICE_SECRET_KEY must be set to issue or verify HMAC device credentials');
+  }
+  return crypto.createHash('sha256').update(process.env.DEVICE_SECRET_KEY).digest();
+};
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const deviceCredentialSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Credential name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['api_key', 'hmac'],
+    default: 'api_key'
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String, // api_key: SHA-256 of the secret
+    select: false
+  },
+  encryptedSecret: {
+    type: String, // hmac: AES-256-GCM iv:tag:ciphertext
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  expiresAt: { type: Date }, // set when rotated, so loggers can be reconfigured
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceCredential'
+  },
+  revokedAt: { type: Date },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to check whether credentials of a type can be issued with the current configuration
+deviceCredentialSchema.statics.canIssue = function(type = 'api_key') {
+  return type !== 'hmac' || !!process.env.DEVICE_SECRET_KEY;
+};
+
+// Static method to issue a credential, returning the secret once
+deviceCredentialSchema.statics.issue = async function({ station, type = 'api_key', name, createdBy }) {
+  const keyId = `dk_${crypto.randomBytes(8).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const data = { station, type, name, keyId, createdBy };
+
+  if (type === 'hmac') {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    data.encryptedSecret = [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join(':');
+  } else {
+    data.secretHash = hashSecret(secret);
+  }
+
+  const credential = await this.create(data);
+
+  return {
+    credential,
+    // API keys are sent as one header value; HMAC devices keep the key id and secret apart
+    secret: type === 'api_key' ? `${keyId}.${secret}` : secret
+  };
+};
+
+// Static method to find a credential that may currently authenticate
+deviceCredentialSchema.statics.findUsable = async function(keyId) {
+  return await this.findOne({
+    keyId,
+    status: 'active',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).select('+secretHash +encryptedSecret');
+};
+
+// Check an API key secret
+deviceCredentialSchema.methods.verifyApiKey = function(secret) {
+  if (this.type !== 'api_key' || !this.secretHash || !secret) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(secret), 'hex'), Buffer.from(this.secretHash, 'hex'));
+};
+
+// Check a hex HMAC-SHA256 signature of a payload
+deviceCredentialSchema.methods.verifySignature = function(payload, signature) {
+  if (this.type !== 'hmac' || !this.encryptedSecret || !/^[0-9a-f]{64}$/i.test(signature || '')) return false;
+
+  const [iv, tag, encrypted] = this.encryptedSecret.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  const secret = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+};
+
+// Remove secret material from JSON output
+deviceCredentialSchema.methods.toJSON = function() {
+  const credential = this.toObject();
+  delete credential.secretHash;
+  delete credential.encryptedSecret;
+  return credential;
+};
+
+module.exports = mongoose.model('DeviceCredential', deviceCredentialSchema);
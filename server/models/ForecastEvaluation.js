@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const metricsSchema = {
+  mae: { type: Number }, // meters
+  rmse: { type: Number }, // meters
+  mape: { type: Number }, // percentage
+  coverage: { type: Number }, // share of actuals inside the prediction interval (0-1)
+  samples: { type: Number, default: 0 }
+};
+
+const forecastEvaluationSchema = new mongoose.Schema({
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true,
+    index: true
+  },
+  model: {
+    type: String,
+    enum: ['holt-winters', 'holt', 'linear', 'persistence'],
+    required: true
+  },
+  horizonDays: {
+    type: Number,
+    required: true
+  },
+  metrics: metricsSchema,
+  // Error growth across the horizon, bucketed by lead time
+  byHorizon: [{
+    _id: false,
+    fromDay: { type: Number },
+    toDay: { type: Number },
+    ...metricsSchema
+  }],
+  evaluation: {
+    method: { type: String, default: 'rolling-origin' },
+    origins: { type: Number }, // number of forecast origins evaluated
+    stepDays: { type: Number },
+    minTrainingDays: { type: Number },
+    confidenceLevel: { type: Number },
+    period: {
+      start: { type: Date },
+      end: { type: Date }
+    }
+  },
+  runId: {
+    type: String,
+    index: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+forecastEvaluationSchema.index({ stationId: 1, model: 1, runAt: -1 });
+forecastEvaluationSchema.index({ model: 1, runAt: -1 });
+
+// Static method to get the latest evaluation of every model for a station
+forecastEvaluationSchema.statics.getLatestForStation = async function(stationId) {
+  return await this.aggregate([
+    { $match: { stationId: new mongoose.Types.ObjectId(stationId), isActive: true } },
+    { $sort: { runAt: -1 } },
+    { $group: { _id: { model: '$model', horizonDays: '$horizonDays' }, latest: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$latest' } },
+    { $sort: { 'metrics.rmse': 1 } }
+  ]);
+};
+
+// Static method to compare models across stations using each station's latest run
+forecastEvaluationSchema.statics.getModelComparison = async function(horizonDays) {
+  const match = { isActive: true };
+  if (horizonDays) match.horizonDays = horizonDays;
+
+  return await this.aggregate([
+    { $match: match },
+    { $sort: { runAt: -1 } },
+    {
+      $group: {
+        _id: { stationId: '$stationId', model: '$model', horizonDays: '$horizonDays' },
+        latest: { $first: '$$ROOT' }
+      }
+    },
+    {
+      $group: {
+        _id: { model: '$_id.model', horizonDays: '$_id.horizonDays' },
+        stations: { $sum: 1 },
+        mae: { $avg: '$latest.metrics.mae' },
+        rmse: { $avg: '$latest.metrics.rmse' },
+        mape: { $avg: '$latest.metrics.mape' },
+        coverage: { $avg: '$latest.metrics.coverage' },
+        samples: { $sum: '$latest.metrics.samples' },
+        lastRun: { $max: '$latest.runAt' }
+      }
+    },
+    { $sort: { '_id.horizonDays': 1, rmse: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('ForecastEvaluation', forecastEvaluationSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Shared state of a recurring job, used to coordinate the server instances that run it
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: { type: String },
+  schedule: {
+    type: String, // cron expression
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lock: {
+    owner: { type: String }, // host:pid of the instance running the job
+    lockedAt: { type: Date },
+    expiresAt: { type: Date } // a crashed instance's lock is ignored after this
+  },
+  lastScheduledFor: { type: Date }, // cron slot most recently claimed, so each slot runs once across instances
+  lastRun: {
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    status: { type: String, enum: ['running', 'succeeded', 'failed'] },
+    error: { type: String }
+  },
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Static method to claim a job's lock, returning the job or null if another run holds it
+jobSchema.statics.acquireLock = async function(name, owner, lockMs, { slot } = {}) {
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [{ 'lock.expiresAt': null }, { 'lock.expiresAt': { $lt: now } }]
+  };
+  const update = {
+    lock: { owner, lockedAt: now, expiresAt: new Date(now.getTime() + lockMs) }
+  };
+
+  if (slot) {
+    filter.enabled = true;
+    filter.lastScheduledFor = { $ne: slot };
+    update.lastScheduledFor = slot;
+  }
+
+  return await this.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Static method to extend a held lock while a long run continues
+jobSchema.statics.renewLock = async function(name, owner, lockMs) {
+  return await this.updateOne(
+    { name, 'lock.owner': owner },
+    { 'lock.expiresAt': new Date(Date.now() + lockMs) }
+  );
+};
+
+// Static method to release a held lock
+jobSchema.statics.releaseLock = async function(name, owner) {
+  return await this.updateOne(
+    { name, 'lock.owner': owner },
+    { $unset: { lock: 1 } }
+  );
+};
+
+module.exports = mongoose.model('Job', jobSchema);
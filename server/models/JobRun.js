@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instance: { type: String }, // host:pid that ran the job
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  attempts: [{
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    error: { type: String }
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  result: { type: mongoose.Schema.Types.Mixed }, // summary returned by the job handler
+  error: { type: String }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep 90 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
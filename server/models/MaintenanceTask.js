@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const maintenanceTaskSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station is required'],
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  type: {
+    type: String,
+    enum: ['inspection', 'calibration', 'battery_replacement', 'sensor_replacement', 'cleaning', 'repair', 'other'],
+    default: 'inspection'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'assigned', 'scheduled', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  schedule: {
+    start: { type: Date },
+    end: { type: Date },
+    windowStarted: { type: Boolean, default: false } // station has been put into maintenance for this window
+  },
+  notes: [{
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    text: { type: String, required: true, maxlength: 2000 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  attachments: [{
+    filename: { type: String, required: true }, // name on disk
+    originalName: { type: String },
+    mimeType: { type: String },
+    size: { type: Number },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  nextDueIntervalDays: {
+    type: Number,
+    min: [1, 'Interval must be at least 1 day'] // overrides the station's maintenance interval on completion
+  },
+  completion: {
+    completedAt: { type: Date },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String, maxlength: 5000 },
+    nextMaintenance: { type: Date }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+maintenanceTaskSchema.index({ station: 1, status: 1, 'schedule.start': 1 });
+maintenanceTaskSchema.index({ assignedTo: 1, status: 1 });
+
+// Static method to find the maintenance window covering a station at a given time
+maintenanceTaskSchema.statics.findActiveWindow = async function(stationId, at = new Date()) {
+  return await this.findOne({
+    station: stationId,
+    status: 'scheduled',
+    'schedule.start': { $lte: at },
+    'schedule.end': { $gte: at },
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('MaintenanceTask', maintenanceTaskSchema);
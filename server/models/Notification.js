@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['critical', 'low', 'maintenance', 'offline', 'trend', 'digest', 'test', 'general'],
+    default: 'general'
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push', 'webhook'],
+    required: true
+  },
+  delivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'delivered', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attemptedAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    provider: { type: String }, // adapter that handled the channel
+    messageId: { type: String }, // provider message id, matched by delivery receipts
+    deliveredAt: { type: Date },
+    error: { type: String }
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for inbox queries
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index({ user: 1, type: 1, createdAt: -1 });
+notificationSchema.index({ channel: 1, 'delivery.messageId': 1 }, { sparse: true });
+
+// Method to mark a single notification as read
+notificationSchema.methods.markAsRead = async function() {
+  if (this.read) return this;
+
+  this.read = true;
+  this.readAt = new Date();
+  return await this.save();
+};
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.getUnreadCount = async function(userId) {
+  return await this.countDocuments({
+    user: userId,
+    read: false,
+    isActive: true
+  });
+};
+
+// Static method to mark all notifications for a user as read
+notificationSchema.statics.markAllAsRead = async function(userId, filter = {}) {
+  const result = await this.updateMany(
+    { ...filter, user: userId, read: false, isActive: true },
+    { read: true, readAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to record a provider's delivery report; a delivered notification is never downgraded
+notificationSchema.statics.applyReceipt = async function(channel, messageId, { status, error, at = new Date() }) {
+  const update = { 'delivery.status': status };
+  if (status === 'delivered') update['delivery.deliveredAt'] = at;
+  if (status === 'failed') update['delivery.error'] = error || `${channel} delivery failed`;
+
+  const result = await this.updateMany(
+    { channel, 'delivery.messageId': messageId, 'delivery.status': { $ne: 'delivered' } },
+    update
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription, created by the service worker
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Subscription endpoint is required'],
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: { type: String },
+  lastSuccessAt: { type: Date },
+  failureCount: { type: Number, default: 0 },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to save a subscription, moving it to the user if the browser changed hands
+pushSubscriptionSchema.statics.register = async function(userId, { endpoint, keys }, userAgent) {
+  return await this.findOneAndUpdate(
+    { endpoint },
+    { user: userId, keys, userAgent, isActive: true, failureCount: 0 },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
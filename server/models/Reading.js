@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Set at ingest by the quality control pipeline; flagged readings are excluded from analysis
+const QUALITY_FLAGS = ['rate_of_change', 'outlier', 'flatline', 'out_of_range', 'duplicate', 'drift'];
+
 const readingSchema = new mongoose.Schema({
   stationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -58,8 +61,18 @@ const readingSchema = new mongoose.Schema({
       max: 100,
       default: 100
     },
-    notes: { type: String }
+    notes: { type: String },
+    // How an interpolated reading was generated
+    provenance: {
+      method: { type: String, enum: ['linear', 'spline', 'seasonal'] },
+      basedOn: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Reading' }],
+      generatedAt: { type: Date }
+    }
   },
+  qualityFlags: [{
+    type: String,
+    enum: QUALITY_FLAGS
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -85,6 +98,11 @@ readingSchema.virtual('timeCategory').get(function() {
   return 'night';
 });
 
+readingSchema.statics.QUALITY_FLAGS = QUALITY_FLAGS;
+
+// Query condition matching readings that passed every quality check
+readingSchema.statics.UNFLAGGED = { 'qualityFlags.0': { $exists: false } };
+
 // Static method to get latest readings for all stations
 readingSchema.statics.getLatestReadings = async function() {
   return await this.aggregate([
@@ -101,14 +119,15 @@ readingSchema.statics.getLatestReadings = async function() {
 };
 
 // Static method to get readings within date range
-readingSchema.statics.getReadingsInRange = async function(stationId, startDate, endDate) {
+readingSchema.statics.getReadingsInRange = async function(stationId, startDate, endDate, { includeFlagged = false } = {}) {
   return await this.find({
     stationId,
     timestamp: {
       $gte: startDate,
       $lte: endDate
     },
-    isActive: true
+    isActive: true,
+    ...(includeFlagged ? {} : this.UNFLAGGED)
   }).sort({ timestamp: 1 });
 };
 
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Roles whose accounts can change stations, readings or policy data
+const TWO_FACTOR_ENFORCEABLE_ROLES = ['admin', 'government', 'policy_maker'];
+
+// Site-wide security settings, kept in a single document
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Users in these roles must enroll in two-factor authentication before using the API
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: TWO_FACTOR_ENFORCEABLE_ROLES
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+securityPolicySchema.statics.TWO_FACTOR_ENFORCEABLE_ROLES = TWO_FACTOR_ENFORCEABLE_ROLES;
+
+// Static method to load the policy, falling back to defaults until one is saved
+securityPolicySchema.statics.getCurrent = async function() {
+  return await this.findOne({ key: 'global' }) || new this();
+};
+
+// Static method to save changes to the policy
+securityPolicySchema.statics.updateCurrent = function(changes) {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $set: changes },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A signed-in device: holds the hash of its current refresh token, which rotates on every use
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token replaced by the last rotation, accepted briefly for requests that raced it
+  previousTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  userAgent: { type: String },
+  ipAddress: { type: String },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_changed', 'two_factor_enabled']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, isActive: 1, lastUsedAt: -1 });
+// Sessions are removed once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get a user's sessions that can still be refreshed, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, isActive: true, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke sessions matching a filter, returning the ids that were revoked
+sessionSchema.statics.revoke = async function(filter, reason) {
+  const sessions = await this.find({ ...filter, isActive: true }).select('_id');
+  if (sessions.length === 0) return [];
+
+  const ids = sessions.map(session => session._id);
+  await this.updateMany(
+    { _id: { $in: ids } },
+    { isActive: false, revokedAt: new Date(), revokedReason: reason }
+  );
+  return ids;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ThresholdProfile = require('./ThresholdProfile');
 
 const stationSchema = new mongoose.Schema({
   stationId: {
@@ -47,6 +48,14 @@ const stationSchema = new mongoose.Schema({
       lastTested: { type: Date }
     }
   },
+  thresholds: {
+    profile: { type: mongoose.Schema.Types.ObjectId, ref: 'ThresholdProfile' },
+    bands: [{
+      _id: false,
+      status: { type: String, enum: ['critical', 'low', 'moderate', 'good'], required: true },
+      maxDepth: { type: Number, min: 0 }
+    }] // station-specific override, takes precedence over the profile
+  },
   status: {
     type: String,
     enum: ['active', 'maintenance', 'inactive', 'error'],
@@ -54,14 +63,45 @@ const stationSchema = new mongoose.Schema({
   },
   lastReading: {
     waterLevel: { type: Number }, // meters below ground level
+    // Classified with the station's resolved thresholds when the reading is stored
+    waterLevelStatus: { type: String, enum: ['critical', 'low', 'moderate', 'good'] },
     timestamp: { type: Date },
     batteryLevel: { type: Number }, // percentage
     signalStrength: { type: Number } // dBm
   },
+  health: {
+    state: { type: String, enum: ['ok', 'degraded', 'offline', 'unknown'], default: 'unknown' },
+    issues: [{
+      code: { type: String, enum: ['offline', 'battery_low', 'battery_depleting', 'signal_weak', 'signal_degraded'] },
+      message: { type: String }
+    }],
+    silentHours: { type: Number }, // since the last reading
+    battery: {
+      level: { type: Number },
+      ratePerDay: { type: Number }, // percentage points, negative while draining
+      depletionDate: { type: Date }
+    },
+    signal: {
+      current: { type: Number }, // dBm, median of the recent window
+      baseline: { type: Number }
+    },
+    statusChangedByCheck: { type: Boolean, default: false }, // status set to error by the health check, restored when readings resume
+    checkedAt: { type: Date }
+  },
+  mqtt: { // logger connection through the MQTT bridge, updated by every bridge instance
+    connected: { type: Boolean }, // last status the device published; unset until it publishes one
+    since: { type: Date },
+    lastMessageAt: { type: Date },
+    messages: { type: Number },
+    accepted: { type: Number },
+    rejected: { type: Number },
+    lastError: { type: String }
+  },
   metadata: {
     installationDate: { type: Date },
     lastMaintenance: { type: Date },
     nextMaintenance: { type: Date },
+    maintenanceIntervalDays: { type: Number, min: 1 }, // routine maintenance cycle, defaults to MAINTENANCE_INTERVAL_DAYS
     dataFrequency: { type: String, default: 'hourly' }, // hourly, daily, weekly
     operator: { type: String },
     contactInfo: {
@@ -81,18 +121,49 @@ const stationSchema = new mongoose.Schema({
 stationSchema.index({ location: '2dsphere' });
 stationSchema.index({ stationId: 1 });
 stationSchema.index({ 'address.state': 1, 'address.district': 1 });
+stationSchema.index({ 'health.state': 1 });
 
 // Virtual for current water level status
 stationSchema.virtual('waterLevelStatus').get(function() {
-  if (!this.lastReading || !this.lastReading.waterLevel) return 'unknown';
-  
-  const level = this.lastReading.waterLevel;
-  if (level < 5) return 'critical';
-  if (level < 10) return 'low';
-  if (level < 20) return 'moderate';
-  return 'good';
+  if (!this.lastReading) return 'unknown';
+  if (this.lastReading.waterLevelStatus) return this.lastReading.waterLevelStatus;
+
+  // Last readings stored before the status was kept; `npm run migrate:thresholds` fills them in
+  return ThresholdProfile.classify(this.lastReading.waterLevel, this.getThresholdBands());
 });
 
+// Method to get the bands available without a query (override, then populated profile)
+stationSchema.methods.getThresholdBands = function() {
+  if (this.thresholds?.bands?.length > 0) return this.thresholds.bands;
+
+  const profile = this.thresholds?.profile;
+  if (profile && profile.bands?.length > 0) return profile.bands;
+
+  return ThresholdProfile.DEFAULT_BANDS;
+};
+
+// Method to resolve bands: override, assigned profile, aquifer default, network default
+stationSchema.methods.resolveThresholdBands = async function() {
+  if (this.thresholds?.bands?.length > 0) return this.thresholds.bands;
+
+  if (this.thresholds?.profile) {
+    const profile = this.thresholds.profile.bands
+      ? this.thresholds.profile
+      : await ThresholdProfile.findById(this.thresholds.profile);
+    if (profile && profile.isActive && profile.bands.length > 0) return profile.bands;
+  }
+
+  const aquiferDefault = await ThresholdProfile.getAquiferDefault(this.technicalDetails?.aquiferType);
+  if (aquiferDefault) return aquiferDefault.bands;
+
+  return ThresholdProfile.DEFAULT_BANDS;
+};
+
+// Method to classify a water level with this station's thresholds
+stationSchema.methods.classifyWaterLevel = async function(waterLevel) {
+  return ThresholdProfile.classify(waterLevel, await this.resolveThresholdBands());
+};
+
 // Method to get nearby stations
 stationSchema.methods.getNearbyStations = async function(radiusKm = 10) {
   const Station = this.constructor;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const thresholdProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  aquiferType: {
+    type: String,
+    enum: ['unconfined', 'confined', 'semi-confined', 'leaky']
+  }, // used as the fallback for stations of this aquifer type
+  isAquiferDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Ordered depth bands (meters below ground level). A reading takes the status
+  // of the first band whose maxDepth it is shallower than; the last band has no
+  // maxDepth and catches everything deeper.
+  bands: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: ['critical', 'low', 'moderate', 'good'],
+      required: true
+    },
+    maxDepth: { type: Number, min: 0 }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+thresholdProfileSchema.index({ aquiferType: 1, isAquiferDefault: 1 });
+
+// Network-wide fallback, matching the original fixed 5/10/20 m cutoffs
+const DEFAULT_BANDS = [
+  { status: 'critical', maxDepth: 5 },
+  { status: 'low', maxDepth: 10 },
+  { status: 'moderate', maxDepth: 20 },
+  { status: 'good' }
+];
+
+thresholdProfileSchema.statics.DEFAULT_BANDS = DEFAULT_BANDS;
+
+// Static method to classify a water level against a set of bands
+thresholdProfileSchema.statics.classify = function(waterLevel, bands = DEFAULT_BANDS) {
+  if (waterLevel === undefined || waterLevel === null) return 'unknown';
+
+  const activeBands = bands && bands.length > 0 ? bands : DEFAULT_BANDS;
+  for (const band of activeBands) {
+    if (band.maxDepth === undefined || band.maxDepth === null || waterLevel < band.maxDepth) {
+      return band.status;
+    }
+  }
+
+  return activeBands[activeBands.length - 1].status;
+};
+
+// Static method to check bands are ascending and end with an open band
+thresholdProfileSchema.statics.validateBands = function(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return 'At least one band is required';
+  }
+
+  for (let i = 0; i < bands.length; i++) {
+    const { maxDepth } = bands[i];
+    const isLast = i === bands.length - 1;
+    const open = maxDepth === undefined || maxDepth === null;
+
+    if (isLast && !open) return 'The last band must not have a maxDepth';
+    if (!isLast && open) return 'Only the last band may omit maxDepth';
+    if (!isLast && i > 0 && maxDepth <= bands[i - 1].maxDepth) {
+      return 'Band maxDepth values must be strictly ascending';
+    }
+  }
+
+  return null;
+};
+
+thresholdProfileSchema.path('bands').validate(function(bands) {
+  return this.constructor.validateBands(bands) === null;
+}, 'Bands must be ascending by maxDepth and end with an open band');
+
+// Static method to get the default profile for an aquifer type
+thresholdProfileSchema.statics.getAquiferDefault = async function(aquiferType) {
+  if (!aquiferType) return null;
+
+  return await this.findOne({
+    aquiferType,
+    isAquiferDefault: true,
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('ThresholdProfile', thresholdProfileSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const trainedModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['bagged-linear-regression'],
+    default: 'bagged-linear-regression'
+  },
+  target: {
+    description: { type: String },
+    horizonDays: { type: Number } // days after the analysis the target depth is observed
+  },
+  featureNames: [String],
+  // Standardisation applied to features before they reach the regressors
+  scaling: {
+    means: [Number],
+    stds: [Number]
+  },
+  // Serialized ml-regression MultivariateLinearRegression members
+  members: [mongoose.Schema.Types.Mixed],
+  metrics: {
+    validationRmse: { type: Number }, // meters
+    validationMae: { type: Number }, // meters
+    r2: { type: Number },
+    persistenceRmse: { type: Number }, // carrying the depth at analysis time forward
+    validationSamples: { type: Number },
+    validationFrom: { type: Date } // the newest samples, from this analysis date, are held out
+  },
+  // Permutation importance on held-out samples, normalised to sum to 1
+  featureImportance: mongoose.Schema.Types.Mixed,
+  training: {
+    samples: { type: Number },
+    from: { type: Date },
+    to: { type: Date },
+    seed: { type: Number }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'archived'
+  },
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+trainedModelSchema.index({ name: 1, version: -1 }, { unique: true });
+trainedModelSchema.index({ name: 1, status: 1 });
+
+// Static method to get the model version currently used for predictions
+trainedModelSchema.statics.getActive = async function(name) {
+  return await this.findOne({ name, status: 'active', isActive: true });
+};
+
+// Static method to get the next version number for a model
+trainedModelSchema.statics.getNextVersion = async function(name) {
+  const latest = await this.findOne({ name }).sort({ version: -1 }).select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+// Static method to make one version active and archive the rest
+trainedModelSchema.statics.activate = async function(name, version) {
+  const model = await this.findOne({ name, version, isActive: true });
+  if (!model) return null;
+
+  await this.updateMany(
+    { name, status: 'active', version: { $ne: version } },
+    { $set: { status: 'archived' } }
+  );
+
+  model.status = 'active';
+  await model.save();
+
+  return model;
+};
+
+module.exports = mongoose.model('TrainedModel', trainedModelSchema);
@@ -15,15 +15,26 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Email alerts are only sent once the address is confirmed
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: { type: Date },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\+[1-9]\d{6,14}$/, 'Phone number must be in international format, e.g. +919876543210']
+  },
   role: {
     type: String,
-    enum: ['citizen', 'researcher', 'policy_maker', 'admin', 'government', 'farmer'],
+    enum: ['citizen', 'researcher', 'policy_maker', 'admin', 'government', 'farmer', 'technician'],
     default: 'citizen'
   },
   location: {
@@ -41,10 +52,33 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      webhook: { type: Boolean, default: false }
+    },
+    webhook: {
+      url: { type: String, trim: true },
+      secret: { type: String, select: false } // signs webhook requests, shown once when the URL is set
     },
     alertRadius: { type: Number, default: 10 }, // km
-    monitoringStations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Station' }]
+    monitoringStations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Station' }],
+    digest: {
+      frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+      hour: { type: Number, min: 0, max: 23, default: 8 }, // local delivery hour
+      weekday: { type: Number, min: 0, max: 6, default: 1 }, // weekly only, 0 = Sunday
+      timezone: { type: String, default: 'Asia/Kolkata' },
+      lastSentAt: { type: Date }
+    }
+  },
+  // TOTP (RFC 6238) second factor; secrets are AES-256-GCM encrypted, recovery codes SHA-256 hashed
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false }, // enrollment not yet confirmed with a code
+    lastUsedStep: { type: Number, select: false }, // a code is accepted once
+    recoveryCodes: { type: [String], select: false },
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, select: false }
   },
   isActive: {
     type: Boolean,
@@ -60,6 +94,7 @@ const userSchema = new mongoose.Schema({
 
 // Create geospatial index
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ 'preferences.digest.frequency': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -83,6 +118,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
   return user;
 };
 
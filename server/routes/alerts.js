@@ -0,0 +1,265 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const AlertRule = require('../models/AlertRule');
+const Station = require('../models/Station');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ruleValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+  body('scope').optional().isIn(['user', 'global']).withMessage('Invalid scope'),
+  body('stations').optional().isArray().withMessage('Stations must be an array'),
+  body('stations.*').isMongoId().withMessage('Valid station ID required'),
+  body('condition.type').optional().isIn(['depth_exceeds', 'level_drop', 'battery_below', 'no_reading']).withMessage('Invalid condition type'),
+  body('condition.threshold').optional().isFloat({ min: 0 }).withMessage('Threshold must be positive'),
+  body('condition.windowDays').optional().isInt({ min: 1, max: 365 }).withMessage('Window must be 1-365 days'),
+  body('severity').optional().isIn(['info', 'warning', 'critical']).withMessage('Invalid severity'),
+  body('cooldownMinutes').optional().isInt({ min: 0 }).withMessage('Cooldown must be a positive number of minutes'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be boolean')
+];
+
+/**
+ * Check the stations a rule targets, returning the error response to send or null
+ */
+async function checkRuleTargets(scope, stations, { checkStations = true } = {}) {
+  // Personal rules must target specific stations to avoid network-wide alert floods
+  if (scope === 'user' && stations.length === 0) {
+    return { status: 400, message: 'Personal alert rules must target at least one station' };
+  }
+
+  if (checkStations && stations.length > 0) {
+    const found = await Station.countDocuments({ _id: { $in: stations }, isActive: true });
+    if (found !== stations.length) {
+      return { status: 404, message: 'One or more stations not found' };
+    }
+  }
+
+  return null;
+}
+
+// @desc    Get alert rules visible to the user
+// @route   GET /api/alerts/rules
+// @access  Private
+router.get('/rules', protect, [
+  query('stationId').optional().isMongoId().withMessage('Valid station ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { isActive: true };
+
+    // Admins see every rule, other users see their own plus global rules
+    if (req.user.role !== 'admin') {
+      filter.$or = [{ owner: req.user._id }, { scope: 'global' }];
+    }
+
+    if (req.query.stationId) {
+      filter.stations = req.query.stationId;
+    }
+
+    const rules = await AlertRule.find(filter)
+      .populate('stations', 'name stationId')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules.map(rule => ({
+          ...rule.toObject(),
+          description: rule.description
+        })),
+        count: rules.length
+      }
+    });
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert rules'
+    });
+  }
+});
+
+// @desc    Create alert rule
+// @route   POST /api/alerts/rules
+// @access  Private (global rules: Admin)
+router.post('/rules', protect, [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('condition.type').notEmpty().withMessage('Condition type is required'),
+  body('condition.threshold').notEmpty().withMessage('Condition threshold is required'),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scope = 'user', stations = [], condition, severity, cooldownMinutes, enabled } = req.body;
+
+    if (scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can create global alert rules'
+      });
+    }
+
+    const targetError = await checkRuleTargets(scope, stations);
+    if (targetError) {
+      return res.status(targetError.status).json({
+        success: false,
+        message: targetError.message
+      });
+    }
+
+    const rule = await AlertRule.create({
+      name,
+      owner: req.user._id,
+      scope,
+      stations,
+      condition,
+      severity,
+      cooldownMinutes,
+      enabled
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating alert rule'
+    });
+  }
+});
+
+// @desc    Update alert rule
+// @route   PUT /api/alerts/rules/:id
+// @access  Private (Owner/Admin)
+router.put('/rules/:id', protect, ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule || !rule.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    if (!rule.owner.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this alert rule'
+      });
+    }
+
+    if (req.body.scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can create global alert rules'
+      });
+    }
+
+    const fields = ['name', 'scope', 'stations', 'severity', 'cooldownMinutes', 'enabled'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    // Checked on the merged rule, so changing only the scope or only the stations cannot skip it;
+    // stations already on the rule are not looked up again unless the update replaces them
+    const targetError = await checkRuleTargets(rule.scope, rule.stations, {
+      checkStations: req.body.stations !== undefined
+    });
+    if (targetError) {
+      return res.status(targetError.status).json({
+        success: false,
+        message: targetError.message
+      });
+    }
+
+    if (req.body.condition) {
+      rule.condition = { ...rule.condition.toObject(), ...req.body.condition };
+      rule.lastFired = new Map(); // A new condition starts with a clean cooldown state
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating alert rule'
+    });
+  }
+});
+
+// @desc    Delete alert rule
+// @route   DELETE /api/alerts/rules/:id
+// @access  Private (Owner/Admin)
+router.delete('/rules/:id', protect, async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule || !rule.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    if (!rule.owner.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this alert rule'
+      });
+    }
+
+    rule.isActive = false;
+    rule.enabled = false;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting alert rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,109 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { protect, protectAccount, authorize } = require('../middleware/auth');
+const { syncUserRooms } = require('../services/socketService');
+const {
+  SESSION_OPTIONS,
+  SessionError,
+  startSession,
+  refreshSession,
+  revokeSessions,
+  endSession,
+  getRefreshCookieOptions
+} = require('../services/sessionService');
+const {
+  AccountTokenError,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  confirmEmailVerification,
+  resetPassword
+} = require('../services/accountTokenService');
+const { isSuccessful } = require('../services/notificationService');
+const {
+  TwoFactorError,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueLoginChallenge,
+  resolveLoginChallenge,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  isTwoFactorSetupRequired
+} = require('../services/twoFactorService');
+const SecurityPolicy = require('../models/SecurityPolicy');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Refresh tokens travel only in an httpOnly cookie scoped to these routes
+const setRefreshCookie = (res, refreshToken) => {
+  if (refreshToken) {
+    res.cookie(SESSION_OPTIONS.cookieName, refreshToken, getRefreshCookieOptions());
+  }
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(SESSION_OPTIONS.cookieName, getRefreshCookieOptions(true));
+};
+
+// Notification channels the profile form can switch on and off
+const PROFILE_NOTIFICATION_CHANNELS = ['email', 'sms', 'push', 'webhook'];
+
+// Status codes for second factor failures; anything else is a bad request
+const TWO_FACTOR_ERROR_STATUS = {
+  invalid_code: 401,
+  locked: 429,
+  challenge_expired: 401,
+  invalid_challenge: 401,
+  required_by_policy: 403
+};
+
+const sendTwoFactorError = (res, error) => {
+  res.status(TWO_FACTOR_ERROR_STATUS[error.code] || 400).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+};
+
+// Either a code from the authenticator app or one of the recovery codes
+const secondFactorValidation = [
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('An authentication code or recovery code is required')
+];
+
+// Finish a login once every required factor has been checked
+const completeLogin = async (req, res, user) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session: short-lived access token plus a refresh token cookie
+  const { accessToken, refreshToken } = await startSession(user, req);
+  setRefreshCookie(res, refreshToken);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: accessToken,
+    expiresIn: SESSION_OPTIONS.accessTokenExpiresIn,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+      twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+      phone: user.phone,
+      role: user.role,
+      location: user.location,
+      preferences: user.preferences
+    }
   });
 };
 
@@ -57,17 +151,26 @@ router.post('/register', [
       }
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Confirmation link goes out in the background; registration does not wait for the mail server
+    sendVerificationEmail(user, req).catch(error => console.error('Verification email error:', error));
+
+    // Start a session: short-lived access token plus a refresh token cookie
+    const { accessToken, refreshToken } = await startSession(user, req);
+    setRefreshCookie(res, refreshToken);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      token: accessToken,
+      expiresIn: SESSION_OPTIONS.accessTokenExpiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: false,
+        twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+        phone: user.phone,
         role: user.role,
         location: user.location
       }
@@ -127,31 +230,374 @@ router.post('/login', [
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // With two-factor enabled, the password only earns a challenge for the code step
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueLoginChallenge(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @desc    Finish a login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (login challenge token)
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  ...secondFactorValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = resolveLoginChallenge(req.body.challengeToken);
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const { method, recoveryCodesRemaining } = await verifySecondFactor(user._id, req.body);
+    if (method === 'recovery_code') {
+      console.log(`User ${user.email} signed in with a recovery code (${recoveryCodesRemaining} left)`);
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @desc    Exchange the refresh token cookie for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { session, accessToken, refreshToken } = await refreshSession(req.cookies[SESSION_OPTIONS.cookieName], req);
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await revokeSessions({ _id: session._id }, 'revoked');
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    setRefreshCookie(res, refreshToken);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        location: user.location,
-        preferences: user.preferences
+      message: 'Token refreshed',
+      token: accessToken,
+      expiresIn: SESSION_OPTIONS.accessTokenExpiresIn
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+});
+
+// @desc    Log out this device
+// @route   POST /api/auth/logout
+// @access  Public (refresh token cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req.cookies[SESSION_OPTIONS.cookieName]);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Log out every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protectAccount, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ user: req.user._id }, 'logout_all');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked.length} session(s)`,
+      data: { revoked: revoked.length }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Get the user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protectAccount, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === String(req.sessionId)
+        }))
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get sessions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @desc    Log out one of the user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protectAccount, async (req, res) => {
+  try {
+    const revoked = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await revokeSessions({ _id: req.params.id, user: req.user._id }, 'revoked')
+      : [];
+
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (req.params.id === String(req.sessionId)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session logged out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/verify-email/request
+// @access  Private
+router.post('/verify-email/request', protectAccount, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    const receipt = await sendVerificationEmail(req.user, req);
+    if (!isSuccessful(receipt)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Verification email could not be sent; please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Verification request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @desc    Confirm an email address with the emailed token
+// @route   POST /api/auth/verify-email/confirm
+// @access  Public
+router.post('/verify-email/confirm', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await confirmEmailVerification(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      data: { email: user.email, emailVerified: true }
+    });
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/password-reset/request
+// @access  Public
+router.post('/password-reset/request', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user, req);
+      } catch (error) {
+        // Throttled requests get the same answer, so responses do not reveal which emails have accounts
+        if (!(error instanceof AccountTokenError)) throw error;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @desc    Set a new password with the emailed token
+// @route   POST /api/auth/password-reset/confirm
+// @access  Public
+router.post('/password-reset/confirm', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await resetPassword(req.body.token, req.body.password);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset; please log in with your new password'
+    });
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
     });
   }
 });
@@ -159,7 +605,7 @@ router.post('/login', [
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.get('/me', protectAccount, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
@@ -169,6 +615,10 @@ router.get('/me', protect, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+        phone: user.phone,
         role: user.role,
         location: user.location,
         preferences: user.preferences,
@@ -187,10 +637,13 @@ router.get('/me', protect, async (req, res) => {
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', protectAccount, [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
-  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('phone').optional({ values: 'falsy' }).matches(/^\+[1-9]\d{6,14}$/).withMessage('Phone number must be in international format, e.g. +919876543210'),
+  body('preferences.notifications.*').optional().isBoolean().toBoolean().withMessage('Notification preferences must be boolean'),
+  body('preferences.alertRadius').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Alert radius must be 1-100 km')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -202,17 +655,27 @@ router.put('/profile', protect, [
       });
     }
 
-    const { name, latitude, longitude, preferences } = req.body;
+    const { name, phone, latitude, longitude, preferences } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
+    if (phone) updateData.phone = phone;
+    if (phone === '' || phone === null) updateData.$unset = { phone: 1 };
     if (latitude && longitude) {
       updateData.location = {
         type: 'Point',
         coordinates: [longitude, latitude]
       };
     }
-    if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences };
+    // Only these preferences are edited here; webhooks, digests and monitored stations have their own routes
+    if (preferences) {
+      PROFILE_NOTIFICATION_CHANNELS.forEach(channel => {
+        if (preferences.notifications?.[channel] !== undefined) {
+          updateData[`preferences.notifications.${channel}`] = preferences.notifications[channel];
+        }
+      });
+      if (preferences.alertRadius !== undefined) updateData['preferences.alertRadius'] = preferences.alertRadius;
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -220,6 +683,11 @@ router.put('/profile', protect, [
       { new: true, runValidators: true }
     );
 
+    // Location and alert radius decide the rooms of the user's live connections
+    if (updateData.location || updateData['preferences.alertRadius'] !== undefined) {
+      syncUserRooms(user._id).catch(error => console.error('Socket room sync error:', error));
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -227,6 +695,8 @@ router.put('/profile', protect, [
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        phone: user.phone,
         role: user.role,
         location: user.location,
         preferences: user.preferences
@@ -244,7 +714,7 @@ router.put('/profile', protect, [
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
-router.put('/change-password', protect, [
+router.put('/change-password', protectAccount, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ], async (req, res) => {
@@ -276,9 +746,13 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Other devices signed in with the old password are logged out
+    const revoked = await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } }, 'password_changed');
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { sessionsRevoked: revoked.length }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -289,4 +763,219 @@ router.put('/change-password', protect, [
   }
 });
 
+// @desc    Get the user's two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', protectAccount, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    const policy = await getTwoFactorPolicy();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+        required: policy.twoFactorRequiredRoles.includes(user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+});
+
+// @desc    Start two-factor setup: a new secret and its QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protectAccount, async (req, res) => {
+  try {
+    const enrollment = await beginEnrollment(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      data: enrollment
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting two-factor setup'
+    });
+  }
+});
+
+// @desc    Confirm two-factor setup with a code from the app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post('/2fa/confirm', protectAccount, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+
+    // Devices signed in with only a password are logged out
+    const revoked = await revokeSessions({ user: req.user._id, _id: { $ne: req.sessionId } }, 'two_factor_enabled');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again',
+      data: { recoveryCodes, sessionsRevoked: revoked.length }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protectAccount, secondFactorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protectAccount, secondFactorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await disableTwoFactor(req.user, req.body);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Get the roles that must use two-factor authentication
+// @route   GET /api/auth/2fa/policy
+// @access  Private (Admin only; an admin still required to enroll cannot change the policy)
+router.get('/2fa/policy', protect, authorize('admin'), async (req, res) => {
+  try {
+    const policy = await getTwoFactorPolicy();
+
+    res.json({
+      success: true,
+      data: {
+        requiredRoles: policy.twoFactorRequiredRoles,
+        enforceableRoles: SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor policy'
+    });
+  }
+});
+
+// @desc    Set the roles that must use two-factor authentication
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (Admin only)
+router.put('/2fa/policy', protect, authorize('admin'), [
+  body('requiredRoles').isArray().withMessage('Required roles must be an array'),
+  body('requiredRoles.*').isIn(SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES)
+    .withMessage(`Two-factor can be required for: ${SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await updateTwoFactorPolicy(req.body.requiredRoles, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: {
+        requiredRoles: policy.twoFactorRequiredRoles,
+        enforceableRoles: SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor policy'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Station = require('../models/Station');
+const ForecastEvaluation = require('../models/ForecastEvaluation');
+const { protect, authorize } = require('../middleware/auth');
+const { backtestStations, DEFAULT_OPTIONS } = require('../services/backtestService');
+
+const router = express.Router();
+
+// @desc    Compare forecast models across all stations
+// @route   GET /api/backtests
+// @access  Private (Admin/Researcher)
+router.get('/', protect, authorize('admin', 'researcher'), async (req, res) => {
+  try {
+    const horizonDays = parseInt(req.query.horizonDays) || undefined;
+    const comparison = await ForecastEvaluation.getModelComparison(horizonDays);
+
+    const latestRun = await ForecastEvaluation.findOne({ isActive: true })
+      .sort({ runAt: -1 })
+      .select('runId runAt');
+
+    res.json({
+      success: true,
+      data: {
+        models: comparison.map(item => ({
+          model: item._id.model,
+          horizonDays: item._id.horizonDays,
+          stations: item.stations,
+          metrics: {
+            mae: item.mae,
+            rmse: item.rmse,
+            mape: item.mape,
+            coverage: item.coverage,
+            samples: item.samples
+          },
+          lastRun: item.lastRun
+        })),
+        latestRun
+      }
+    });
+  } catch (error) {
+    console.error('Get model comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching model comparison'
+    });
+  }
+});
+
+// @desc    Get latest backtest results for a station
+// @route   GET /api/backtests/stations/:id
+// @access  Private (Admin/Researcher)
+router.get('/stations/:id', protect, authorize('admin', 'researcher'), async (req, res) => {
+  try {
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const evaluations = await ForecastEvaluation.getLatestForStation(station._id);
+
+    res.json({
+      success: true,
+      data: {
+        station: {
+          id: station._id,
+          name: station.name,
+          stationId: station.stationId
+        },
+        evaluations,
+        bestModel: evaluations.length > 0 ? evaluations[0].model : null
+      }
+    });
+  } catch (error) {
+    console.error('Get station backtests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching station backtests'
+    });
+  }
+});
+
+// @desc    Run forecast backtests (Admin only)
+// @route   POST /api/backtests/run
+// @access  Private (Admin)
+router.post('/run', protect, authorize('admin'), [
+  body('stationIds').optional().isArray().withMessage('Station IDs must be an array'),
+  body('stationIds.*').isMongoId().withMessage('Valid station ID required'),
+  body('models').optional().isArray({ min: 1 }).withMessage('Models must be a non-empty array'),
+  body('models.*').isIn(DEFAULT_OPTIONS.models).withMessage('Invalid model'),
+  body('horizonDays').optional().isInt({ min: 1, max: 365 }).withMessage('Horizon must be 1-365 days'),
+  body('stepDays').optional().isInt({ min: 1, max: 90 }).withMessage('Step must be 1-90 days'),
+  body('maxOrigins').optional().isInt({ min: 1, max: 100 }).withMessage('Max origins must be 1-100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { stationIds, models, horizonDays, stepDays, maxOrigins } = req.body;
+    const runId = crypto.randomUUID();
+    const options = { runId, stationIds };
+
+    if (models) options.models = models;
+    if (horizonDays) options.horizonDays = horizonDays;
+    if (stepDays) options.stepDays = stepDays;
+    if (maxOrigins) options.maxOrigins = maxOrigins;
+
+    // Backtests refit every model many times, so run them in the background
+    backtestStations(options)
+      .then(summary => console.log('Backtest run completed:', summary))
+      .catch(error => console.error('Backtest run error:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Backtest run started',
+      data: { runId }
+    });
+  } catch (error) {
+    console.error('Start backtest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting backtest'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Station = require('../models/Station');
 const Reading = require('../models/Reading');
 const Analysis = require('../models/Analysis');
 const { optionalAuth } = require('../middleware/auth');
 const { performGroundwaterAnalysis } = require('../services/analysisService');
 const { getExternalData } = require('../services/externalDataService');
+const { interpolateWaterLevel, interpolateSurface } = require('../services/spatialInterpolationService');
 
 const router = express.Router();
 
@@ -166,6 +167,124 @@ router.post('/analyze', optionalAuth, [
   }
 });
 
+// @desc    Interpolate water level between monitoring stations
+// @route   POST /api/geolocation/interpolate
+// @access  Public
+router.post('/interpolate', [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('radius').optional().isInt({ min: 1, max: 100 }).withMessage('Radius must be between 1-100 km'),
+  body('method').optional().isIn(['auto', 'kriging', 'idw']).withMessage('Method must be auto, kriging or idw')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude, radius = 50, method = 'auto' } = req.body;
+
+    const interpolation = await interpolateWaterLevel(latitude, longitude, {
+      radiusKm: radius,
+      method
+    });
+
+    if (!interpolation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No stations with recent readings found within the specified radius'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        location: { latitude, longitude },
+        ...interpolation
+      }
+    });
+  } catch (error) {
+    console.error('Interpolation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during water level interpolation'
+    });
+  }
+});
+
+// @desc    Get interpolated water level grid for a bounding box
+// @route   GET /api/geolocation/surface
+// @access  Public
+router.get('/surface', [
+  query('south').isFloat({ min: -90, max: 90 }).withMessage('Valid south latitude required'),
+  query('north').isFloat({ min: -90, max: 90 }).withMessage('Valid north latitude required'),
+  query('west').isFloat({ min: -180, max: 180 }).withMessage('Valid west longitude required'),
+  query('east').isFloat({ min: -180, max: 180 }).withMessage('Valid east longitude required'),
+  query('date').optional().isISO8601().withMessage('Date must be a valid ISO 8601 date'),
+  query('cells').optional().isInt({ min: 10, max: 100 }).withMessage('Cells must be between 10-100'),
+  query('method').optional().isIn(['auto', 'kriging', 'idw']).withMessage('Method must be auto, kriging or idw')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bbox = {
+      south: parseFloat(req.query.south),
+      west: parseFloat(req.query.west),
+      north: parseFloat(req.query.north),
+      east: parseFloat(req.query.east)
+    };
+
+    if (bbox.south >= bbox.north || bbox.west >= bbox.east) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bounding box must have south < north and west < east'
+      });
+    }
+
+    if (bbox.north - bbox.south > 10 || bbox.east - bbox.west > 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bounding box cannot span more than 10 degrees'
+      });
+    }
+
+    const options = { method: req.query.method || 'auto' };
+    if (req.query.date) options.date = new Date(req.query.date);
+    if (req.query.cells) options.cells = parseInt(req.query.cells);
+
+    const surface = await interpolateSurface(bbox, options);
+
+    if (!surface) {
+      return res.status(422).json({
+        success: false,
+        message: 'At least two stations with readings are needed to build a surface'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: surface
+    });
+  } catch (error) {
+    console.error('Water level surface error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building water level surface'
+    });
+  }
+});
+
 // @desc    Get water level trends for location
 // @route   POST /api/geolocation/trends
 // @access  Public
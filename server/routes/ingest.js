@@ -0,0 +1,94 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { protect, authorize } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { getBridgeStatus } = require('../services/mqttBridge');
+const { parseDevicePayload, ingestDeviceReadings } = require('../services/readingIngestionService');
+
+const router = express.Router();
+
+const INGEST_LIMITS = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  failedAuthPerIp: 100, // uploads with bad credentials from one address, e.g. guessed or revoked keys
+  perCredential: 300 // uploads from one logger
+};
+
+// Only refused credentials count against an address, so loggers behind a shared gateway are not throttled together
+const failedAuthLimiter = rateLimit({
+  windowMs: INGEST_LIMITS.windowMs,
+  max: INGEST_LIMITS.failedAuthPerIp,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401
+});
+
+// Each authenticated logger has its own budget
+const deviceLimiter = rateLimit({
+  windowMs: INGEST_LIMITS.windowMs,
+  max: INGEST_LIMITS.perCredential,
+  keyGenerator: (req) => req.device.credential.keyId
+});
+
+// @desc    Upload readings from a DWLR logger (single reading or buffered batch)
+// @route   POST /api/ingest/readings
+// @access  Device credential
+router.post('/readings', failedAuthLimiter, authenticateDevice, deviceLimiter, async (req, res) => {
+  try {
+    const { station } = req.device;
+    const { readings, rejected, wrongStation } = parseDevicePayload(req.body, station);
+
+    if (wrongStation) {
+      return res.status(403).json({
+        success: false,
+        message: 'Credential is not valid for the station in the payload'
+      });
+    }
+
+    if (readings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid readings in payload',
+        errors: rejected
+      });
+    }
+
+    const { created, duplicates, errors } = await ingestDeviceReadings(station, readings);
+    const allRejected = [...rejected, ...errors].sort((a, b) => a.index - b.index);
+
+    res.status(201).json({
+      success: true,
+      message: `Accepted ${created.length} of ${readings.length + rejected.length} readings`,
+      data: {
+        accepted: created.length,
+        duplicates: duplicates.length,
+        flagged: created.filter(reading => reading.qualityFlags?.length > 0).length,
+        rejected: allRejected
+      }
+    });
+  } catch (error) {
+    console.error('Device ingest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ingesting device readings'
+    });
+  }
+});
+
+// @desc    Get MQTT bridge and per-device connection status (Admin only)
+// @route   GET /api/ingest/mqtt/status
+// @access  Private (Admin)
+router.get('/mqtt/status', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getBridgeStatus()
+    });
+  } catch (error) {
+    console.error('Get MQTT status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching MQTT status'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const JobRun = require('../models/JobRun');
+const { protect, authorize } = require('../middleware/auth');
+const { listJobs, triggerJob, setJobEnabled, isJobDefined } = require('../services/jobScheduler');
+
+const router = express.Router();
+
+// @desc    Get scheduled jobs with their last run (Admin only)
+// @route   GET /api/jobs
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching jobs'
+    });
+  }
+});
+
+// @desc    Get run history of a job (Admin only)
+// @route   GET /api/jobs/:name/runs
+// @access  Private (Admin)
+router.get('/:name/runs', protect, authorize('admin'), [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be 1-200'),
+  query('status').optional().isIn(['running', 'succeeded', 'failed']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!isJobDefined(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const filter = { job: req.params.name };
+    if (req.query.status) filter.status = req.query.status;
+
+    const runs = await JobRun.find(filter)
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching job runs'
+    });
+  }
+});
+
+// @desc    Run a job now (Admin only)
+// @route   POST /api/jobs/:name/run
+// @access  Private (Admin)
+router.post('/:name/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!isJobDefined(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const run = await triggerJob(req.params.name, req.user._id);
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    // The job continues in the background; poll the run history for the outcome
+    res.status(202).json({
+      success: true,
+      message: `Job ${req.params.name} started`,
+      data: { run }
+    });
+  } catch (error) {
+    console.error('Trigger job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting job'
+    });
+  }
+});
+
+// @desc    Enable or disable a job's scheduled runs (Admin only)
+// @route   PUT /api/jobs/:name
+// @access  Private (Admin)
+router.put('/:name', protect, authorize('admin'), [
+  body('enabled').isBoolean().withMessage('Enabled must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await setJobEnabled(req.params.name, req.body.enabled === true || req.body.enabled === 'true');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${job.name} ${job.enabled ? 'enabled' : 'disabled'}`,
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Update job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating job'
+    });
+  }
+});
+
+module.exports = router;
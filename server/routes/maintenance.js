@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const MaintenanceTask = require('../models/MaintenanceTask');
+const Station = require('../models/Station');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { UPLOAD_DIR, uploadPhotos, photoType } = require('../middleware/upload');
+const { scheduleTask, completeTask, cancelTask } = require('../services/maintenanceService');
+
+const router = express.Router();
+
+const OPEN_STATUSES = ['open', 'assigned', 'scheduled'];
+
+// @desc    Get maintenance tasks (technicians see the tasks assigned to them)
+// @route   GET /api/maintenance
+// @access  Private (Admin, Technician)
+router.get('/', protect, authorize('admin', 'technician'), [
+  query('station').optional().isMongoId().withMessage('Valid station ID required'),
+  query('status').optional().isIn(['open', 'assigned', 'scheduled', 'completed', 'cancelled']).withMessage('Invalid status'),
+  query('assignedTo').optional().isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { isActive: true };
+    if (req.query.station) filter.station = req.query.station;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo;
+    if (req.user.role !== 'admin') filter.assignedTo = req.user._id;
+
+    const tasks = await MaintenanceTask.find(filter)
+      .populate('station', 'name stationId status')
+      .populate('assignedTo', 'name email')
+      .sort({ 'schedule.start': 1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await MaintenanceTask.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        tasks,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get maintenance tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching maintenance tasks'
+    });
+  }
+});
+
+// @desc    Get single maintenance task
+// @route   GET /api/maintenance/:id
+// @access  Private (Admin, assigned Technician)
+router.get('/:id', protect, authorize('admin', 'technician'), async (req, res) => {
+  try {
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    await task.populate([
+      { path: 'station', select: 'name stationId status metadata' },
+      { path: 'assignedTo', select: 'name email' },
+      { path: 'notes.author', select: 'name' },
+      { path: 'completion.completedBy', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Get maintenance task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching maintenance task'
+    });
+  }
+});
+
+// @desc    Create maintenance task (Admin only)
+// @route   POST /api/maintenance
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('station').isMongoId().withMessage('Valid station ID required'),
+  body('title').trim().notEmpty().withMessage('Task title is required'),
+  body('type').optional().isIn(['inspection', 'calibration', 'battery_replacement', 'sensor_replacement', 'cleaning', 'repair', 'other']).withMessage('Invalid task type'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid priority'),
+  body('nextDueIntervalDays').optional().isInt({ min: 1 }).withMessage('Interval must be at least 1 day')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.body.station);
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const { title, description, type, priority, nextDueIntervalDays } = req.body;
+    const task = await MaintenanceTask.create({
+      station: station._id,
+      title,
+      description,
+      type,
+      priority,
+      nextDueIntervalDays,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance task created successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Create maintenance task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating maintenance task'
+    });
+  }
+});
+
+// @desc    Assign maintenance task to a technician (Admin only)
+// @route   PUT /api/maintenance/:id/assign
+// @access  Private (Admin)
+router.put('/:id/assign', protect, authorize('admin'), [
+  body('assignedTo').isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    if (!OPEN_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot assign a ${task.status} task`
+      });
+    }
+
+    const technician = await User.findOne({
+      _id: req.body.assignedTo,
+      role: { $in: ['technician', 'admin'] },
+      isActive: true
+    });
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: 'Technician not found'
+      });
+    }
+
+    task.assignedTo = technician._id;
+    if (task.status === 'open') task.status = 'assigned';
+    await task.save();
+
+    res.json({
+      success: true,
+      message: `Task assigned to ${technician.name}`,
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Assign maintenance task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning maintenance task'
+    });
+  }
+});
+
+// @desc    Schedule the maintenance window (station goes into maintenance and alerts are suppressed)
+// @route   PUT /api/maintenance/:id/schedule
+// @access  Private (Admin, assigned Technician)
+router.put('/:id/schedule', protect, authorize('admin', 'technician'), [
+  body('start').isISO8601().withMessage('Valid start date required'),
+  body('end').isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End must be after start'
+      });
+    }
+
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    if (!OPEN_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot schedule a ${task.status} task`
+      });
+    }
+
+    await scheduleTask(task, { start, end });
+
+    res.json({
+      success: true,
+      message: 'Maintenance scheduled successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Schedule maintenance task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scheduling maintenance task'
+    });
+  }
+});
+
+// @desc    Add a note to a maintenance task
+// @route   POST /api/maintenance/:id/notes
+// @access  Private (Admin, assigned Technician)
+router.post('/:id/notes', protect, authorize('admin', 'technician'), [
+  body('text').trim().isLength({ min: 1, max: 2000 }).withMessage('Note must be 1-2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    task.notes.push({ author: req.user._id, text: req.body.text });
+    await task.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: { note: task.notes[task.notes.length - 1] }
+    });
+  } catch (error) {
+    console.error('Add maintenance note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding note'
+    });
+  }
+});
+
+// @desc    Attach site photos to a maintenance task
+// @route   POST /api/maintenance/:id/attachments
+// @access  Private (Admin, assigned Technician)
+router.post('/:id/attachments', protect, authorize('admin', 'technician'), uploadPhotos('photos'), async (req, res) => {
+  try {
+    const task = await findTaskForUser(req, res);
+    if (!task) {
+      removeUploadedFiles(req.files);
+      return;
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No photos uploaded'
+      });
+    }
+
+    const attachments = req.files.map(file => ({
+      filename: file.filename,
+      originalName: file.originalname,
+      mimeType: photoType(file.filename),
+      size: file.size,
+      uploadedBy: req.user._id
+    }));
+    task.attachments.push(...attachments);
+    await task.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${attachments.length} photo(s) attached`,
+      data: { attachments: task.attachments.slice(-attachments.length) }
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    console.error('Attach maintenance photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while attaching photos'
+    });
+  }
+});
+
+// @desc    Download a maintenance task photo
+// @route   GET /api/maintenance/:id/attachments/:attachmentId
+// @access  Private (Admin, assigned Technician)
+router.get('/:id/attachments/:attachmentId', protect, authorize('admin', 'technician'), async (req, res) => {
+  try {
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    const filePath = attachment && path.join(UPLOAD_DIR, 'maintenance', path.basename(attachment.filename));
+
+    if (!attachment || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    // Downloaded rather than rendered, with the type of the stored extension
+    res.attachment(attachment.originalName || attachment.filename);
+    res.type(photoType(attachment.filename));
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Get maintenance attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attachment'
+    });
+  }
+});
+
+// @desc    Complete a maintenance task with notes
+// @route   PUT /api/maintenance/:id/complete
+// @access  Private (Admin, assigned Technician)
+router.put('/:id/complete', protect, authorize('admin', 'technician'), [
+  body('notes').trim().isLength({ min: 1, max: 5000 }).withMessage('Completion notes must be 1-5000 characters'),
+  body('completedAt').optional().isISO8601().withMessage('Valid completion date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    if (!OPEN_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Task is already ${task.status}`
+      });
+    }
+
+    const completedAt = req.body.completedAt ? new Date(req.body.completedAt) : new Date();
+    if (completedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Completion date cannot be in the future'
+      });
+    }
+
+    await completeTask(task, { notes: req.body.notes, completedAt }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Maintenance task completed successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Complete maintenance task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing maintenance task'
+    });
+  }
+});
+
+// @desc    Cancel a maintenance task (Admin only)
+// @route   PUT /api/maintenance/:id/cancel
+// @access  Private (Admin)
+router.put('/:id/cancel', protect, authorize('admin'), async (req, res) => {
+  try {
+    const task = await findTaskForUser(req, res);
+    if (!task) return;
+
+    if (!OPEN_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Task is already ${task.status}`
+      });
+    }
+
+    await cancelTask(task);
+
+    res.json({
+      success: true,
+      message: 'Maintenance task cancelled successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Cancel maintenance task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling maintenance task'
+    });
+  }
+});
+
+/**
+ * Load the task in the route, answering 404 when it is missing or not assigned to the technician
+ */
+async function findTaskForUser(req, res) {
+  const task = await MaintenanceTask.findById(req.params.id);
+  const visible = task && task.isActive &&
+    (req.user.role === 'admin' || task.assignedTo?.equals(req.user._id));
+
+  if (!visible) {
+    res.status(404).json({
+      success: false,
+      message: 'Maintenance task not found'
+    });
+    return null;
+  }
+
+  return task;
+}
+
+function removeUploadedFiles(files = []) {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+}
+
+module.exports = router;
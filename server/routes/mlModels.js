@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TrainedModel = require('../models/TrainedModel');
+const { protect, authorize } = require('../middleware/auth');
+const { AVAILABILITY_MODEL, setActiveModel, getActiveModelInfo } = require('../services/mlPredictionService');
+const { trainAvailabilityModel } = require('../services/modelTrainingService');
+const { publish } = require('../services/eventBus');
+
+const router = express.Router();
+
+// @desc    Get trained availability model versions
+// @route   GET /api/ml/models
+// @access  Private (Admin/Researcher)
+router.get('/', protect, authorize('admin', 'researcher'), async (req, res) => {
+  try {
+    const models = await TrainedModel.find({ name: AVAILABILITY_MODEL, isActive: true })
+      .select('-members -scaling')
+      .populate('trainedBy', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        models,
+        loaded: getActiveModelInfo()
+      }
+    });
+  } catch (error) {
+    console.error('Get ML models error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching models'
+    });
+  }
+});
+
+// @desc    Train a new availability model version (Admin only)
+// @route   POST /api/ml/models/train
+// @access  Private (Admin)
+router.post('/train', protect, authorize('admin'), [
+  body('horizonDays').optional().isInt({ min: 7, max: 365 }).withMessage('Horizon must be 7-365 days'),
+  body('maxSamples').optional().isInt({ min: 30, max: 10000 }).withMessage('Max samples must be 30-10000'),
+  body('members').optional().isInt({ min: 1, max: 100 }).withMessage('Members must be 1-100'),
+  body('activate').optional().isBoolean().withMessage('Activate must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { horizonDays, maxSamples, members, activate = true } = req.body;
+    const options = { trainedBy: req.user.id, activate };
+
+    if (horizonDays) options.horizonDays = horizonDays;
+    if (maxSamples) options.maxSamples = maxSamples;
+    if (members) options.members = members;
+
+    // Rebuilding features replays trend analysis per sample, so train in the background
+    trainAvailabilityModel(options)
+      .then(model => console.log(`Trained ${model.name} model v${model.version}:`, model.metrics))
+      .catch(error => console.error('Model training error:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Model training started'
+    });
+  } catch (error) {
+    console.error('Start model training error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting model training'
+    });
+  }
+});
+
+// @desc    Activate a trained model version (Admin only)
+// @route   PUT /api/ml/models/:version/activate
+// @access  Private (Admin)
+router.put('/:version/activate', protect, authorize('admin'), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const model = Number.isInteger(version)
+      ? await TrainedModel.activate(AVAILABILITY_MODEL, version)
+      : null;
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    setActiveModel(model);
+    // Other API instances reload the model when they receive the event
+    publish('model.activated', { name: AVAILABILITY_MODEL, version: model.version });
+
+    res.json({
+      success: true,
+      message: `Model v${model.version} activated`,
+      data: { loaded: getActiveModelInfo() }
+    });
+  } catch (error) {
+    console.error('Activate ML model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while activating model'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,17 @@
+const crypto = require('crypto');
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Station = require('../models/Station');
 const Reading = require('../models/Reading');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { sendNotification } = require('../services/notificationService');
+const { buildDigest, renderDigest } = require('../services/digestService');
+const { listChannels, verifyDeliveryToken } = require('../services/notificationChannels');
+const { syncUserRooms, leaveStationRoom } = require('../services/socketService');
+const { OUTBOUND_OPTIONS, checkOutboundUrl, checkPushEndpoint } = require('../services/outboundRequests');
 
 const router = express.Router();
 
@@ -49,7 +56,19 @@ router.put('/preferences', protect, [
   body('email').optional().isBoolean().withMessage('Email preference must be boolean'),
   body('sms').optional().isBoolean().withMessage('SMS preference must be boolean'),
   body('push').optional().isBoolean().withMessage('Push preference must be boolean'),
-  body('alertRadius').optional().isInt({ min: 1, max: 100 }).withMessage('Alert radius must be 1-100 km')
+  body('webhook').optional().isBoolean().withMessage('Webhook preference must be boolean'),
+  body('webhookUrl').optional({ values: 'falsy' }).isURL({
+    protocols: OUTBOUND_OPTIONS.webhookProtocols,
+    require_protocol: true,
+    require_tld: process.env.NODE_ENV === 'production'
+  }).withMessage('Valid webhook URL required')
+    .bail()
+    .custom(url => checkOutboundUrl(url, { protocols: OUTBOUND_OPTIONS.webhookProtocols })),
+  body('alertRadius').optional().isInt({ min: 1, max: 100 }).withMessage('Alert radius must be 1-100 km'),
+  body('digest.frequency').optional().isIn(['off', 'daily', 'weekly']).withMessage('Digest frequency must be off, daily or weekly'),
+  body('digest.hour').optional().isInt({ min: 0, max: 23 }).withMessage('Digest hour must be 0-23'),
+  body('digest.weekday').optional().isInt({ min: 0, max: 6 }).withMessage('Digest weekday must be 0-6'),
+  body('digest.timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,13 +80,23 @@ router.put('/preferences', protect, [
       });
     }
 
-    const { email, sms, push, alertRadius } = req.body;
+    const { email, sms, push, webhook, webhookUrl, alertRadius, digest = {} } = req.body;
     const updateData = {};
+    let webhookSecret;
 
     if (email !== undefined) updateData['preferences.notifications.email'] = email;
     if (sms !== undefined) updateData['preferences.notifications.sms'] = sms;
     if (push !== undefined) updateData['preferences.notifications.push'] = push;
+    if (webhook !== undefined) updateData['preferences.notifications.webhook'] = webhook;
+    if (webhookUrl !== undefined) {
+      // A new URL gets a new signing secret, returned only in this response
+      webhookSecret = webhookUrl ? crypto.randomBytes(32).toString('hex') : undefined;
+      updateData['preferences.webhook'] = webhookUrl ? { url: webhookUrl, secret: webhookSecret } : {};
+    }
     if (alertRadius !== undefined) updateData['preferences.alertRadius'] = alertRadius;
+    ['frequency', 'hour', 'weekday', 'timezone'].forEach(field => {
+      if (digest[field] !== undefined) updateData[`preferences.digest.${field}`] = digest[field];
+    });
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -75,12 +104,20 @@ router.put('/preferences', protect, [
       { new: true, runValidators: true }
     );
 
+    // The alert radius decides which region rooms live connections are in
+    if (alertRadius !== undefined) {
+      syncUserRooms(user._id).catch(error => console.error('Socket room sync error:', error));
+    }
+
     res.json({
       success: true,
       message: 'Notification preferences updated successfully',
       data: {
         preferences: user.preferences.notifications,
-        alertRadius: user.preferences.alertRadius
+        alertRadius: user.preferences.alertRadius,
+        digest: user.preferences.digest,
+        webhookUrl: user.preferences.webhook?.url,
+        webhookSecret
       }
     });
   } catch (error) {
@@ -128,6 +165,8 @@ router.post('/subscribe', protect, [
       { new: true }
     );
 
+    syncUserRooms(user._id).catch(error => console.error('Socket room sync error:', error));
+
     res.json({
       success: true,
       message: 'Successfully subscribed to station alerts',
@@ -162,6 +201,8 @@ router.delete('/subscribe/:stationId', protect, async (req, res) => {
       { new: true }
     );
 
+    leaveStationRoom(user._id, stationId);
+
     res.json({
       success: true,
       message: 'Successfully unsubscribed from station alerts',
@@ -182,7 +223,7 @@ router.delete('/subscribe/:stationId', protect, async (req, res) => {
 // @route   POST /api/notifications/test
 // @access  Private
 router.post('/test', protect, [
-  body('type').isIn(['email', 'sms', 'push']).withMessage('Invalid notification type'),
+  body('type').isIn(['email', 'sms', 'push', 'webhook']).withMessage('Invalid notification type'),
   body('message').notEmpty().withMessage('Message is required')
 ], async (req, res) => {
   try {
@@ -211,7 +252,7 @@ router.post('/test', protect, [
       type,
       title: 'Test Notification',
       message,
-      data: { test: true }
+      data: { test: true, alertType: 'test' }
     });
 
     res.json({
@@ -228,46 +269,263 @@ router.post('/test', protect, [
   }
 });
 
+// @desc    Get notification channels with their configuration and counters (Admin only)
+// @route   GET /api/notifications/channels
+// @access  Private (Admin)
+router.get('/channels', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { channels: listChannels() }
+    });
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification channels'
+    });
+  }
+});
+
+// @desc    Get the VAPID public key browsers subscribe with
+// @route   GET /api/notifications/push/public-key
+// @access  Public
+router.get('/push/public-key', async (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) {
+    return res.status(503).json({
+      success: false,
+      message: 'Push notifications are not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { publicKey: process.env.VAPID_PUBLIC_KEY }
+  });
+});
+
+// @desc    Register this browser's push subscription
+// @route   POST /api/notifications/push/subscriptions
+// @access  Private
+router.post('/push/subscriptions', protect, [
+  body('endpoint').isURL({ protocols: ['https', 'http'], require_protocol: true, require_tld: false }).withMessage('Valid endpoint URL required')
+    .bail()
+    .custom(checkPushEndpoint),
+  body('keys.p256dh').isString().notEmpty().withMessage('p256dh key is required'),
+  body('keys.auth').isString().notEmpty().withMessage('auth key is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await PushSubscription.register(
+      req.user.id,
+      { endpoint: req.body.endpoint, keys: req.body.keys },
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Push subscription saved',
+      data: { subscription: { id: subscription._id, endpoint: subscription.endpoint } }
+    });
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving push subscription'
+    });
+  }
+});
+
+// @desc    Remove a push subscription
+// @route   DELETE /api/notifications/push/subscriptions
+// @access  Private
+router.delete('/push/subscriptions', protect, [
+  body('endpoint').notEmpty().withMessage('Endpoint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await PushSubscription.updateOne(
+      { endpoint: req.body.endpoint, user: req.user.id },
+      { isActive: false }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Push subscription removed'
+    });
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing push subscription'
+    });
+  }
+});
+
+// @desc    Record a delivery report from a provider or the push service worker
+// @route   POST /api/notifications/receipts/:channel
+// @access  Public (X-Receipt-Token shared secret, or the per-delivery token)
+router.post('/receipts/:channel', [
+  body('messageId').isString().notEmpty().withMessage('Message ID is required'),
+  body('status').isIn(['delivered', 'failed']).withMessage('Status must be delivered or failed'),
+  body('error').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId, status, error, token } = req.body;
+    if (!isReceiptAuthorized(req.get('x-receipt-token'), messageId, token)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid receipt token'
+      });
+    }
+
+    const updated = await Notification.applyReceipt(req.params.channel, messageId, { status, error });
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Record delivery receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording delivery receipt'
+    });
+  }
+});
+
+// @desc    Preview the user's digest without sending it
+// @route   GET /api/notifications/digest/preview
+// @access  Private
+router.get('/digest/preview', protect, [
+  query('format').optional().isIn(['json', 'html', 'text']).withMessage('Format must be json, html or text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const digest = await buildDigest(user);
+    const format = req.query.format || 'json';
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          frequency: digest.frequency,
+          since: digest.since,
+          stations: digest.context.stations
+        }
+      });
+    }
+
+    const rendered = renderDigest(digest, { inlineCharts: true });
+    res.type(format === 'html' ? 'html' : 'text').send(rendered[format]);
+  } catch (error) {
+    console.error('Preview digest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building digest'
+    });
+  }
+});
+
 // @desc    Get notification history
 // @route   GET /api/notifications/history
 // @access  Private
-router.get('/history', protect, async (req, res) => {
+router.get('/history', protect, [
+  query('stationId').optional().isMongoId().withMessage('Valid station ID required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // In a real implementation, you would have a Notification model
-    // For now, return mock data
-    const mockHistory = [
-      {
-        id: '1',
-        type: 'critical',
-        title: 'Critical Water Level Alert',
-        message: 'Water level at Delhi Ridge Station has reached critical levels',
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-        read: false,
-        stationId: 'station123'
-      },
-      {
-        id: '2',
-        type: 'maintenance',
-        title: 'Station Maintenance Scheduled',
-        message: 'Delhi Ridge Station will undergo maintenance tomorrow',
-        timestamp: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
-        read: true,
-        stationId: 'station123'
-      }
-    ];
+    // Build filter object
+    const filter = { user: req.user.id, isActive: true };
+
+    if (req.query.type) {
+      filter.type = { $in: req.query.type.split(',') };
+    }
+
+    if (req.query.channel) {
+      filter.channel = req.query.channel;
+    }
+
+    if (req.query.stationId) {
+      filter.station = req.query.stationId;
+    }
+
+    if (req.query.read !== undefined) {
+      filter.read = req.query.read === 'true';
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('station', 'name stationId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.getUnreadCount(req.user.id)
+    ]);
 
     res.json({
       success: true,
       data: {
-        notifications: mockHistory.slice(skip, skip + limit),
+        notifications,
+        unreadCount,
         pagination: {
           current: page,
-          pages: Math.ceil(mockHistory.length / limit),
-          total: mockHistory.length,
+          pages: Math.ceil(total / limit),
+          total,
           limit
         }
       }
@@ -281,15 +539,95 @@ router.get('/history', protect, async (req, res) => {
   }
 });
 
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const [unreadCount, byType] = await Promise.all([
+      Notification.getUnreadCount(req.user.id),
+      Notification.aggregate([
+        { $match: { user: req.user._id, read: false, isActive: true } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount,
+        byType: byType.reduce((acc, item) => {
+          acc[item._id] = item.count;
+          return acc;
+        }, {})
+      }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching unread count'
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, [
+  body('type').optional().isIn(Notification.schema.path('type').enumValues).withMessage('Invalid notification type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.body.type ? { type: req.body.type } : {};
+    const updated = await Notification.markAllAsRead(req.user.id, filter);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Mark all notifications as read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking notifications as read'
+    });
+  }
+});
+
 // @desc    Mark notification as read
 // @route   PUT /api/notifications/:id/read
 // @access  Private
 router.put('/:id/read', protect, async (req, res) => {
   try {
-    // In a real implementation, update the notification in database
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.markAsRead();
+
     res.json({
       success: true,
-      message: 'Notification marked as read'
+      message: 'Notification marked as read',
+      data: { notification }
     });
   } catch (error) {
     console.error('Mark notification as read error:', error);
@@ -300,6 +638,32 @@ router.put('/:id/read', protect, async (req, res) => {
   }
 });
 
+/**
+ * Accept receipts carrying the shared provider token or the token issued with the delivery
+ */
+function isReceiptAuthorized(headerToken, messageId, deliveryToken) {
+  const shared = process.env.NOTIFICATION_RECEIPT_TOKEN;
+  if (shared && typeof headerToken === 'string') {
+    const expected = Buffer.from(shared);
+    const provided = Buffer.from(headerToken);
+    if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) return true;
+  }
+
+  return verifyDeliveryToken(messageId, deliveryToken);
+}
+
+/**
+ * Whether the value is an IANA timezone name the runtime knows
+ */
+function isValidTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return typeof value === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Get notifications for a user based on their preferences and location
  */
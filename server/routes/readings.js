@@ -1,9 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Reading = require('../models/Reading');
 const Station = require('../models/Station');
+const ThresholdProfile = require('../models/ThresholdProfile');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
-const { io } = require('../index');
+const { ingestReading, ingestReadings } = require('../services/readingIngestionService');
+const { IMPORT_OPTIONS, parseFile, validateRows, buildPreview, commitImport } = require('../services/readingImportService');
+const { EXPORT_FORMATS, QUALITY_FILTERS, resolveStations, buildExportFilter, streamReadings } = require('../services/readingExportService');
+const { uploadSpreadsheet } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -26,6 +30,12 @@ router.get('/', optionalAuth, async (req, res) => {
     if (req.query.status) {
       filter.waterLevelStatus = req.query.status;
     }
+
+    if (req.query.flagged === 'true') {
+      filter['qualityFlags.0'] = { $exists: true };
+    } else if (req.query.flagged === 'false') {
+      Object.assign(filter, Reading.UNFLAGGED);
+    }
     
     if (req.query.startDate && req.query.endDate) {
       filter.timestamp = {
@@ -105,6 +115,71 @@ router.get('/latest', optionalAuth, async (req, res) => {
   }
 });
 
+// @desc    Stream readings as CSV, NDJSON or WaterML 2.0
+// @route   GET /api/readings/export
+// @access  Public
+router.get('/export', optionalAuth, [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('quality').optional().isIn(QUALITY_FILTERS).withMessage(`Quality must be one of: ${QUALITY_FILTERS.join(', ')}`),
+  query('includeInterpolated').optional().isBoolean().withMessage('includeInterpolated must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Stations by Mongo ID or station code, comma separated
+    const identifiers = (req.query.stationIds || req.query.stationId || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    const stations = await resolveStations(identifiers);
+
+    if (stations.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching stations found'
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const filter = buildExportFilter(stations, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      quality: req.query.quality || 'clean',
+      includeInterpolated: req.query.includeInterpolated !== 'false'
+    });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const name = stations.length === 1 ? stations[0].stationId : 'stations';
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="readings-${name}-${Date.now()}.${extension}"`);
+
+    await streamReadings(res, { format, stations, filter });
+  } catch (error) {
+    console.error('Export readings error:', error);
+
+    // Once streaming has started the status line is gone; cut the response short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting readings'
+    });
+  }
+});
+
 // @desc    Get single reading by ID
 // @route   GET /api/readings/:id
 // @access  Public
@@ -139,7 +214,6 @@ router.get('/:id', optionalAuth, async (req, res) => {
 router.post('/', protect, authorize('admin'), [
   body('stationId').isMongoId().withMessage('Valid station ID required'),
   body('waterLevel').isFloat({ min: 0 }).withMessage('Water level must be positive'),
-  body('waterLevelStatus').isIn(['critical', 'low', 'moderate', 'good']).withMessage('Invalid status'),
   body('timestamp').optional().isISO8601().withMessage('Valid timestamp required')
 ], async (req, res) => {
   try {
@@ -161,32 +235,7 @@ router.post('/', protect, authorize('admin'), [
       });
     }
 
-    const readingData = {
-      ...req.body,
-      timestamp: req.body.timestamp ? new Date(req.body.timestamp) : new Date()
-    };
-
-    const reading = await Reading.create(readingData);
-
-    // Update station's last reading
-    await Station.findByIdAndUpdate(station._id, {
-      lastReading: {
-        waterLevel: reading.waterLevel,
-        timestamp: reading.timestamp,
-        batteryLevel: reading.batteryLevel,
-        signalStrength: reading.signalStrength
-      }
-    });
-
-    // Emit real-time update via Socket.IO
-    io.to(`station-${station._id}`).emit('new-reading', {
-      stationId: station._id,
-      reading: {
-        waterLevel: reading.waterLevel,
-        status: reading.waterLevelStatus,
-        timestamp: reading.timestamp
-      }
-    });
+    const reading = await ingestReading(station, req.body);
 
     res.status(201).json({
       success: true,
@@ -208,8 +257,7 @@ router.post('/', protect, authorize('admin'), [
 router.post('/bulk', protect, authorize('admin'), [
   body('readings').isArray({ min: 1 }).withMessage('Readings array is required'),
   body('readings.*.stationId').isMongoId().withMessage('Valid station ID required'),
-  body('readings.*.waterLevel').isFloat({ min: 0 }).withMessage('Water level must be positive'),
-  body('readings.*.waterLevelStatus').isIn(['critical', 'low', 'moderate', 'good']).withMessage('Invalid status')
+  body('readings.*.waterLevel').isFloat({ min: 0 }).withMessage('Water level must be positive')
 ], async (req, res) => {
   try {
     const validationErrors = validationResult(req);
@@ -225,52 +273,25 @@ router.post('/bulk', protect, authorize('admin'), [
     const createdReadings = [];
     const processingErrors = [];
 
-    // Process readings in batches
-    for (const readingData of readings) {
-      try {
-        // Verify station exists
-        const station = await Station.findById(readingData.stationId);
-        if (!station || !station.isActive) {
-          processingErrors.push({
-            stationId: readingData.stationId,
-            error: 'Station not found'
-          });
-          continue;
-        }
-
-        const reading = await Reading.create({
-          ...readingData,
-          timestamp: readingData.timestamp ? new Date(readingData.timestamp) : new Date()
-        });
-
-        createdReadings.push(reading);
-
-        // Update station's last reading
-        await Station.findByIdAndUpdate(station._id, {
-          lastReading: {
-            waterLevel: reading.waterLevel,
-            timestamp: reading.timestamp,
-            batteryLevel: reading.batteryLevel,
-            signalStrength: reading.signalStrength
-          }
-        });
-
-        // Emit real-time update
-        io.to(`station-${station._id}`).emit('new-reading', {
-          stationId: station._id,
-          reading: {
-            waterLevel: reading.waterLevel,
-            status: reading.waterLevelStatus,
-            timestamp: reading.timestamp
-          }
-        });
+    // Group by station so each batch is stored in time order
+    const byStation = new Map();
+    readings.forEach(readingData => {
+      const key = String(readingData.stationId);
+      if (!byStation.has(key)) byStation.set(key, []);
+      byStation.get(key).push(readingData);
+    });
 
-      } catch (error) {
-        processingErrors.push({
-          stationId: readingData.stationId,
-          error: error.message
-        });
+    for (const [stationId, stationReadings] of byStation) {
+      // Verify station exists
+      const station = await Station.findById(stationId);
+      if (!station || !station.isActive) {
+        stationReadings.forEach(() => processingErrors.push({ stationId, error: 'Station not found' }));
+        continue;
       }
+
+      const { created, errors } = await ingestReadings(station, stationReadings);
+      createdReadings.push(...created);
+      errors.forEach(({ error }) => processingErrors.push({ stationId, error }));
     }
 
     res.status(201).json({
@@ -278,6 +299,7 @@ router.post('/bulk', protect, authorize('admin'), [
       message: `Bulk operation completed. ${createdReadings.length} readings created.`,
       data: {
         created: createdReadings.length,
+        flagged: createdReadings.filter(r => r.qualityFlags.length > 0).length,
         errors: processingErrors.length,
         details: processingErrors
       }
@@ -291,24 +313,139 @@ router.post('/bulk', protect, authorize('admin'), [
   }
 });
 
+// @desc    Import historic readings from a CSV/Excel file (Admin only)
+// @route   POST /api/readings/import
+// @access  Private (Admin)
+router.post('/import', protect, authorize('admin'), uploadSpreadsheet('file'), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be boolean'),
+  body('dataSource').optional().isIn(['dwlr', 'manual']).withMessage('Data source must be dwlr or manual'),
+  body('mapping').optional().isJSON().withMessage('Mapping must be a JSON object of field to column')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or Excel file is required'
+      });
+    }
+
+    // Preview unless the caller explicitly commits
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+
+    let rows;
+    try {
+      rows = await parseFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read file: ${error.message}`
+      });
+    }
+
+    if (rows.length === 0 || rows.length > IMPORT_OPTIONS.maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `File must contain between 1 and ${IMPORT_OPTIONS.maxRows} rows`
+      });
+    }
+
+    const validation = await validateRows(rows, {
+      mapping: req.body.mapping ? JSON.parse(req.body.mapping) : {},
+      dataSource: req.body.dataSource || 'dwlr'
+    });
+    const preview = buildPreview(validation);
+
+    if (validation.missingColumns.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `Could not find columns for: ${validation.missingColumns.join(', ')}`,
+        data: preview
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${preview.validRows} of ${preview.totalRows} rows ready to import`,
+        data: { dryRun: true, ...preview }
+      });
+    }
+
+    const result = await commitImport(validation);
+
+    res.status(201).json({
+      success: true,
+      message: `Import completed. ${result.imported} readings created.`,
+      data: {
+        dryRun: false,
+        ...result,
+        invalidRows: preview.invalidRows,
+        duplicateRows: preview.duplicateRows,
+        errors: preview.errors
+      }
+    });
+  } catch (error) {
+    console.error('Import readings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing readings'
+    });
+  }
+});
+
 // @desc    Update reading (Admin only)
 // @route   PUT /api/readings/:id
 // @access  Private (Admin)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+router.put('/:id', protect, authorize('admin'), [
+  body('waterLevel').optional().isFloat({ min: 0 }).withMessage('Water level must be positive'),
+  body('qualityFlags').optional().isArray().withMessage('Quality flags must be an array'),
+  body('qualityFlags.*').isIn(Reading.QUALITY_FLAGS).withMessage('Invalid quality flag')
+], async (req, res) => {
   try {
-    const reading = await Reading.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    if (!reading) {
+    // Reviewers can clear or set quality flags by hand
+    const { waterLevelStatus, ...updateData } = req.body;
+
+    const existing = await Reading.findById(req.params.id);
+
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Reading not found'
       });
     }
 
+    // Re-derive the status whenever the level changes
+    if (updateData.waterLevel !== undefined) {
+      const station = await Station.findById(existing.stationId);
+      updateData.waterLevelStatus = station
+        ? await station.classifyWaterLevel(updateData.waterLevel)
+        : ThresholdProfile.classify(updateData.waterLevel);
+    }
+
+    const reading = await Reading.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
     res.json({
       success: true,
       message: 'Reading updated successfully',
@@ -363,6 +500,13 @@ router.get('/stats/overview', optionalAuth, async (req, res) => {
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
 
+    // Readings flagged by quality control are left out unless asked for
+    const baseFilter = {
+      timestamp: { $gte: startDate, $lte: endDate },
+      isActive: true,
+      ...(req.query.includeFlagged === 'true' ? {} : Reading.UNFLAGGED)
+    };
+
     // Get statistics
     const [
       totalReadings,
@@ -370,38 +514,22 @@ router.get('/stats/overview', optionalAuth, async (req, res) => {
       lowReadings,
       moderateReadings,
       goodReadings,
+      flaggedReadings,
       avgWaterLevel
     ] = await Promise.all([
+      Reading.countDocuments(baseFilter),
+      Reading.countDocuments({ ...baseFilter, waterLevelStatus: 'critical' }),
+      Reading.countDocuments({ ...baseFilter, waterLevelStatus: 'low' }),
+      Reading.countDocuments({ ...baseFilter, waterLevelStatus: 'moderate' }),
+      Reading.countDocuments({ ...baseFilter, waterLevelStatus: 'good' }),
       Reading.countDocuments({
         timestamp: { $gte: startDate, $lte: endDate },
-        isActive: true
-      }),
-      Reading.countDocuments({
-        timestamp: { $gte: startDate, $lte: endDate },
-        waterLevelStatus: 'critical',
-        isActive: true
-      }),
-      Reading.countDocuments({
-        timestamp: { $gte: startDate, $lte: endDate },
-        waterLevelStatus: 'low',
-        isActive: true
-      }),
-      Reading.countDocuments({
-        timestamp: { $gte: startDate, $lte: endDate },
-        waterLevelStatus: 'moderate',
-        isActive: true
-      }),
-      Reading.countDocuments({
-        timestamp: { $gte: startDate, $lte: endDate },
-        waterLevelStatus: 'good',
-        isActive: true
+        isActive: true,
+        'qualityFlags.0': { $exists: true }
       }),
       Reading.aggregate([
         {
-          $match: {
-            timestamp: { $gte: startDate, $lte: endDate },
-            isActive: true
-          }
+          $match: baseFilter
         },
         {
           $group: {
@@ -425,6 +553,7 @@ router.get('/stats/overview', optionalAuth, async (req, res) => {
           moderate: moderateReadings,
           good: goodReadings
         },
+        flaggedReadings,
         averageWaterLevel: Math.round(avgLevel * 100) / 100,
         lastUpdated: new Date()
       }
@@ -409,7 +409,8 @@ async function generateSummaryReport(days) {
     Station.countDocuments({ isActive: true, status: 'active' }),
     Reading.countDocuments({
       timestamp: { $gte: startDate, $lte: endDate },
-      isActive: true
+      isActive: true,
+      ...Reading.UNFLAGGED
     }),
     Analysis.countDocuments({
       'metadata.analysisDate': { $gte: startDate, $lte: endDate },
@@ -418,13 +419,15 @@ async function generateSummaryReport(days) {
     Reading.countDocuments({
       timestamp: { $gte: startDate, $lte: endDate },
       waterLevelStatus: 'critical',
-      isActive: true
+      isActive: true,
+      ...Reading.UNFLAGGED
     }),
     Reading.aggregate([
       {
         $match: {
           timestamp: { $gte: startDate, $lte: endDate },
-          isActive: true
+          isActive: true,
+          ...Reading.UNFLAGGED
         }
       },
       {
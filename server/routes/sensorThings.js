@@ -0,0 +1,62 @@
+const express = require('express');
+const { ODataError, parseQueryOptions } = require('../services/odataParser');
+const { createContext, getServiceRoot, handleRequest } = require('../services/sensorThingsService');
+
+const router = express.Router();
+
+const getBaseUrl = req => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// @desc    SensorThings service root
+// @route   GET /sta/v1.1
+// @access  Public
+router.get('/', (req, res) => {
+  res.json(getServiceRoot(getBaseUrl(req)));
+});
+
+// @desc    Read-only SensorThings resources (Things, Locations, Datastreams, Observations, ...)
+// @route   GET /sta/v1.1/*
+// @access  Public
+router.get('/*', async (req, res) => {
+  try {
+    const options = parseQueryOptions(req.query);
+    const baseUrl = getBaseUrl(req);
+
+    // Same request with a later $skip
+    const nextLink = (skip) => {
+      const params = new URLSearchParams(req.query);
+      params.set('$skip', skip);
+      return `${baseUrl}${req.path}?${params.toString()}`;
+    };
+
+    const ctx = await createContext(baseUrl);
+    const result = await handleRequest(decodeURIComponent(req.path), options, nextLink, ctx);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entity not found'
+      });
+    }
+
+    if (result.raw !== undefined) {
+      return res.type('text/plain').send(typeof result.raw === 'object' ? JSON.stringify(result.raw) : String(result.raw));
+    }
+
+    res.json(result.body);
+  } catch (error) {
+    if (error instanceof ODataError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('SensorThings request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while handling SensorThings request'
+    });
+  }
+});
+
+module.exports = router;
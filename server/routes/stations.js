@@ -1,11 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Station = require('../models/Station');
 const Reading = require('../models/Reading');
+const ThresholdProfile = require('../models/ThresholdProfile');
+const DeviceCredential = require('../models/DeviceCredential');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { recomputeReadingStatuses } = require('../services/thresholdService');
+const { predictFutureLevels } = require('../services/mlPredictionService');
+const { MODELS } = require('../services/forecastService');
+const { getGapReport, fillStationGaps } = require('../services/gapFillingService');
+const { HEALTH_STATES, assessStationHealth, getFleetHealth } = require('../services/stationHealthService');
+const { publish } = require('../services/eventBus');
 
 const router = express.Router();
 
+// Station fields PUT /:id leaves alone
+const SERVER_MANAGED_FIELDS = ['thresholds', 'lastReading', 'health', 'mqtt'];
+
 // @desc    Get all stations with pagination and filters
 // @route   GET /api/stations
 // @access  Public
@@ -97,6 +108,41 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @desc    Get fleet health summary (offline stations, battery and signal problems)
+// @route   GET /api/stations/health
+// @access  Public
+router.get('/health', optionalAuth, [
+  query('state').optional().isIn(HEALTH_STATES).withMessage(`State must be one of ${HEALTH_STATES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be 1-1000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fleet = await getFleetHealth({
+      state: req.query.state,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      success: true,
+      data: fleet
+    });
+  } catch (error) {
+    console.error('Get fleet health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fleet health'
+    });
+  }
+});
+
 // @desc    Get single station by ID
 // @route   GET /api/stations/:id
 // @access  Public
@@ -172,7 +218,8 @@ router.get('/:id/readings', optionalAuth, async (req, res) => {
         $gte: startDate,
         $lte: endDate
       },
-      isActive: true
+      isActive: true,
+      ...(req.query.includeFlagged === 'true' ? {} : Reading.UNFLAGGED)
     })
     .sort({ timestamp: -1 })
     .limit(limit);
@@ -190,7 +237,8 @@ router.get('/:id/readings', optionalAuth, async (req, res) => {
           waterLevel: r.waterLevel,
           status: r.waterLevelStatus,
           rainfall: r.rainfall,
-          confidence: r.metadata.confidence
+          confidence: r.metadata.confidence,
+          qualityFlags: r.qualityFlags
         })),
         period: {
           start: startDate,
@@ -260,6 +308,517 @@ router.get('/:id/trends', optionalAuth, async (req, res) => {
   }
 });
 
+// @desc    Forecast station water levels
+// @route   GET /api/stations/:id/forecast
+// @access  Public
+router.get('/:id/forecast', optionalAuth, [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1-365'),
+  query('model').optional().isIn(MODELS).withMessage(`Model must be one of: ${MODELS.join(', ')}`),
+  query('confidence').optional().isIn(['0.8', '0.9', '0.95', '0.99']).withMessage('Confidence must be 0.8, 0.9, 0.95 or 0.99')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const forecast = await predictFutureLevels(station._id, days, {
+      model: req.query.model || 'auto',
+      confidenceLevel: parseFloat(req.query.confidence) || 0.95
+    });
+
+    if (!forecast) {
+      return res.status(422).json({
+        success: false,
+        message: 'Not enough readings to produce a forecast for this station'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        station: {
+          id: station._id,
+          name: station.name
+        },
+        horizon: days,
+        ...forecast
+      }
+    });
+  } catch (error) {
+    console.error('Get station forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while forecasting station levels'
+    });
+  }
+});
+
+// @desc    Get station telemetry coverage and gaps
+// @route   GET /api/stations/:id/gaps
+// @access  Public
+router.get('/:id/gaps', optionalAuth, [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('period').optional().isIn(['day', 'week', 'month']).withMessage('Period must be day, week or month')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (startDate >= endDate || endDate - startDate > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range must be positive and at most one year'
+      });
+    }
+
+    const report = await getGapReport(station, {
+      startDate,
+      endDate,
+      period: req.query.period || 'day'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        station: {
+          id: station._id,
+          name: station.name
+        },
+        range: { startDate, endDate },
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get station gaps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching station gaps'
+    });
+  }
+});
+
+// @desc    Fill station telemetry gaps with interpolated readings (Admin only)
+// @route   POST /api/stations/:id/gaps/fill
+// @access  Private (Admin)
+router.post('/:id/gaps/fill', protect, authorize('admin'), [
+  body('lookbackDays').optional().isInt({ min: 1, max: 365 }).withMessage('Lookback must be 1-365 days'),
+  body('method').optional().isIn(['auto', 'linear', 'spline', 'seasonal']).withMessage('Method must be auto, linear, spline or seasonal')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const options = {};
+    if (req.body.lookbackDays) options.lookbackDays = parseInt(req.body.lookbackDays);
+    if (req.body.method) options.method = req.body.method;
+
+    const result = await fillStationGaps(station, options);
+
+    res.json({
+      success: true,
+      message: `Filled ${result.filled} readings across ${result.gaps} gaps`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Fill station gaps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while filling station gaps'
+    });
+  }
+});
+
+// @desc    Get current health of a station (connectivity, battery forecast, signal)
+// @route   GET /api/stations/:id/health
+// @access  Public
+router.get('/:id/health', optionalAuth, async (req, res) => {
+  try {
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        station: {
+          id: station._id,
+          name: station.name,
+          status: station.status,
+          dataFrequency: station.metadata?.dataFrequency || 'hourly'
+        },
+        health: await assessStationHealth(station)
+      }
+    });
+  } catch (error) {
+    console.error('Get station health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching station health'
+    });
+  }
+});
+
+// @desc    Get station water level thresholds
+// @route   GET /api/stations/:id/thresholds
+// @access  Public
+router.get('/:id/thresholds', optionalAuth, async (req, res) => {
+  try {
+    const station = await Station.findById(req.params.id).populate('thresholds.profile');
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const bands = await station.resolveThresholdBands();
+    let source = 'default';
+    if (station.thresholds?.bands?.length > 0) source = 'station';
+    else if (station.thresholds?.profile?.isActive) source = 'profile';
+    else if (bands !== ThresholdProfile.DEFAULT_BANDS) source = 'aquifer';
+
+    res.json({
+      success: true,
+      data: {
+        station: {
+          id: station._id,
+          name: station.name,
+          aquiferType: station.technicalDetails?.aquiferType
+        },
+        profile: station.thresholds?.profile || null,
+        bands,
+        source,
+        currentStatus: ThresholdProfile.classify(station.lastReading?.waterLevel, bands)
+      }
+    });
+  } catch (error) {
+    console.error('Get station thresholds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching station thresholds'
+    });
+  }
+});
+
+// @desc    Set station water level thresholds (Admin only)
+// @route   PUT /api/stations/:id/thresholds
+// @access  Private (Admin)
+router.put('/:id/thresholds', protect, authorize('admin'), [
+  body('profileId').optional({ nullable: true }).isMongoId().withMessage('Valid profile ID required'),
+  body('bands').optional({ nullable: true }).custom(bands => {
+    if (bands.length === 0) return true; // Empty clears the override
+    const error = ThresholdProfile.validateBands(bands);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body('recompute').optional().isBoolean().withMessage('Recompute must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const { profileId, bands, recompute = false } = req.body;
+
+    if (profileId) {
+      const profile = await ThresholdProfile.findById(profileId);
+      if (!profile || !profile.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Threshold profile not found'
+        });
+      }
+    }
+
+    if (profileId !== undefined) station.thresholds.profile = profileId || undefined;
+    if (bands !== undefined) station.thresholds.bands = bands || [];
+
+    await station.save();
+
+    // Recomputing historic readings can take a while, so run it in the background
+    if (recompute) {
+      recomputeReadingStatuses({ stationIds: [station._id] })
+        .then(summary => console.log(`Threshold recompute for station ${station.stationId}:`, summary))
+        .catch(error => console.error('Threshold recompute error:', error));
+    }
+
+    res.json({
+      success: true,
+      message: 'Station thresholds updated successfully',
+      data: {
+        thresholds: station.thresholds,
+        bands: await station.resolveThresholdBands(),
+        recomputeStarted: recompute
+      }
+    });
+  } catch (error) {
+    console.error('Update station thresholds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating station thresholds'
+    });
+  }
+});
+
+// @desc    Get device credentials for a station (Admin only)
+// @route   GET /api/stations/:id/credentials
+// @access  Private (Admin)
+router.get('/:id/credentials', protect, authorize('admin'), async (req, res) => {
+  try {
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const credentials = await DeviceCredential.find({ station: station._id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { credentials }
+    });
+  } catch (error) {
+    console.error('Get device credentials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device credentials'
+    });
+  }
+});
+
+// @desc    Issue a device credential for a station (Admin only)
+// @route   POST /api/stations/:id/credentials
+// @access  Private (Admin)
+router.post('/:id/credentials', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Credential name is required'),
+  body('type').optional().isIn(['api_key', 'hmac']).withMessage('Type must be api_key or hmac')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+
+    if (!station || !station.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    if (!DeviceCredential.canIssue(req.body.type)) {
+      return res.status(503).json({
+        success: false,
+        message: 'HMAC credentials cannot be issued until DEVICE_SECRET_KEY is set on the server'
+      });
+    }
+
+    const { credential, secret } = await DeviceCredential.issue({
+      station: station._id,
+      type: req.body.type,
+      name: req.body.name,
+      createdBy: req.user.id
+    });
+
+    // The secret is not stored in readable form, so this is the only time it is shown
+    res.status(201).json({
+      success: true,
+      message: 'Device credential issued successfully',
+      data: { credential, secret }
+    });
+  } catch (error) {
+    console.error('Issue device credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing device credential'
+    });
+  }
+});
+
+// @desc    Rotate a device credential, keeping the old one valid for a grace period (Admin only)
+// @route   POST /api/stations/:id/credentials/:credentialId/rotate
+// @access  Private (Admin)
+router.post('/:id/credentials/:credentialId/rotate', protect, authorize('admin'), [
+  body('graceHours').optional().isInt({ min: 0, max: 720 }).withMessage('Grace period must be 0-720 hours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const current = await DeviceCredential.findOne({
+      _id: req.params.credentialId,
+      station: req.params.id,
+      status: 'active'
+    });
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active device credential not found'
+      });
+    }
+
+    if (!DeviceCredential.canIssue(current.type)) {
+      return res.status(503).json({
+        success: false,
+        message: 'HMAC credentials cannot be issued until DEVICE_SECRET_KEY is set on the server'
+      });
+    }
+
+    const { credential, secret } = await DeviceCredential.issue({
+      station: current.station,
+      type: current.type,
+      name: current.name,
+      createdBy: req.user.id
+    });
+
+    const graceHours = req.body.graceHours !== undefined ? parseInt(req.body.graceHours) : 24;
+    const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    // Never extend a credential that was already due to expire sooner
+    current.expiresAt = current.expiresAt && current.expiresAt < expiresAt ? current.expiresAt : expiresAt;
+    current.rotatedTo = credential._id;
+    await current.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Device credential rotated; the old one expires at ${current.expiresAt.toISOString()}`,
+      data: { credential, secret, previous: current }
+    });
+  } catch (error) {
+    console.error('Rotate device credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating device credential'
+    });
+  }
+});
+
+// @desc    Revoke a device credential (Admin only)
+// @route   DELETE /api/stations/:id/credentials/:credentialId
+// @access  Private (Admin)
+router.delete('/:id/credentials/:credentialId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const credential = await DeviceCredential.findOne({
+      _id: req.params.credentialId,
+      station: req.params.id
+    });
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device credential not found'
+      });
+    }
+
+    if (credential.status !== 'revoked') {
+      credential.status = 'revoked';
+      credential.revokedAt = new Date();
+      credential.revokedBy = req.user.id;
+      await credential.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Device credential revoked successfully',
+      data: { credential }
+    });
+  } catch (error) {
+    console.error('Revoke device credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking device credential'
+    });
+  }
+});
+
 // @desc    Create new station (Admin only)
 // @route   POST /api/stations
 // @access  Private (Admin)
@@ -319,9 +878,17 @@ router.post('/', protect, authorize('admin'), [
 // @access  Private (Admin)
 router.put('/:id', protect, authorize('admin'), async (req, res) => {
   try {
+    // Thresholds are validated and applied to the last reading by PUT /:id/thresholds;
+    // the last reading, health and MQTT status are maintained by the server. Dotted paths
+    // and update operators would reach the same fields, so they are dropped as well
+    const updates = Object.fromEntries(Object.entries(req.body).filter(([key]) => (
+      !key.startsWith('$') && !SERVER_MANAGED_FIELDS.includes(key.split('.')[0])
+    )));
+
+    const previous = await Station.findById(req.params.id).select('status');
     const station = await Station.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -332,6 +899,10 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    if (previous && previous.status !== station.status) {
+      publish('station.status_changed', { station, previousStatus: previous.status, status: station.status, reason: 'admin' });
+    }
+
     res.json({
       success: true,
       message: 'Station updated successfully',
@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ThresholdProfile = require('../models/ThresholdProfile');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { recomputeReadingStatuses, getStationsUsingProfile } = require('../services/thresholdService');
+
+const router = express.Router();
+
+const profileValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Profile name cannot be empty'),
+  body('aquiferType').optional().isIn(['unconfined', 'confined', 'semi-confined', 'leaky']).withMessage('Invalid aquifer type'),
+  body('isAquiferDefault').optional().isBoolean().withMessage('isAquiferDefault must be boolean'),
+  body('bands').optional().custom(bands => {
+    const error = ThresholdProfile.validateBands(bands);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body('bands.*.status').optional().isIn(['critical', 'low', 'moderate', 'good']).withMessage('Invalid band status'),
+  body('recompute').optional().isBoolean().withMessage('Recompute must be boolean')
+];
+
+// @desc    Get all threshold profiles
+// @route   GET /api/thresholds
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const filter = { isActive: true };
+
+    if (req.query.aquiferType) {
+      filter.aquiferType = req.query.aquiferType;
+    }
+
+    const profiles = await ThresholdProfile.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        profiles,
+        defaultBands: ThresholdProfile.DEFAULT_BANDS,
+        count: profiles.length
+      }
+    });
+  } catch (error) {
+    console.error('Get threshold profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching threshold profiles'
+    });
+  }
+});
+
+// @desc    Get single threshold profile
+// @route   GET /api/thresholds/:id
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const profile = await ThresholdProfile.findById(req.params.id);
+
+    if (!profile || !profile.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Threshold profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Get threshold profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching threshold profile'
+    });
+  }
+});
+
+// @desc    Create threshold profile (Admin only)
+// @route   POST /api/thresholds
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Profile name is required'),
+  body('bands').isArray({ min: 1 }).withMessage('Bands are required'),
+  ...profileValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, aquiferType, isAquiferDefault = false, bands, recompute } = req.body;
+
+    const existingProfile = await ThresholdProfile.findOne({ name });
+    if (existingProfile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Threshold profile with this name already exists'
+      });
+    }
+
+    // Only one default profile per aquifer type
+    if (isAquiferDefault && aquiferType) {
+      await ThresholdProfile.updateMany(
+        { aquiferType, isAquiferDefault: true },
+        { isAquiferDefault: false }
+      );
+    }
+
+    const profile = await ThresholdProfile.create({
+      name,
+      description,
+      aquiferType,
+      isAquiferDefault,
+      bands,
+      createdBy: req.user._id
+    });
+
+    const recomputeStarted = recompute ? await startRecompute(profile) : false;
+
+    res.status(201).json({
+      success: true,
+      message: 'Threshold profile created successfully',
+      data: { profile, recomputeStarted }
+    });
+  } catch (error) {
+    console.error('Create threshold profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating threshold profile'
+    });
+  }
+});
+
+// @desc    Update threshold profile (Admin only)
+// @route   PUT /api/thresholds/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), profileValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ThresholdProfile.findById(req.params.id);
+
+    if (!profile || !profile.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Threshold profile not found'
+      });
+    }
+
+    const fields = ['name', 'description', 'aquiferType', 'isAquiferDefault', 'bands'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) profile[field] = req.body[field];
+    });
+
+    if (profile.isAquiferDefault && profile.aquiferType) {
+      await ThresholdProfile.updateMany(
+        { _id: { $ne: profile._id }, aquiferType: profile.aquiferType, isAquiferDefault: true },
+        { isAquiferDefault: false }
+      );
+    }
+
+    await profile.save();
+
+    const recomputeStarted = req.body.recompute ? await startRecompute(profile) : false;
+
+    res.json({
+      success: true,
+      message: 'Threshold profile updated successfully',
+      data: { profile, recomputeStarted }
+    });
+  } catch (error) {
+    console.error('Update threshold profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating threshold profile'
+    });
+  }
+});
+
+// @desc    Delete threshold profile (Admin only)
+// @route   DELETE /api/thresholds/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await ThresholdProfile.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, isAquiferDefault: false },
+      { new: true }
+    );
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Threshold profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Threshold profile deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete threshold profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting threshold profile'
+    });
+  }
+});
+
+/**
+ * Recompute historic readings for every station using a profile, in the background
+ */
+async function startRecompute(profile) {
+  const stations = await getStationsUsingProfile(profile);
+  if (stations.length === 0) return false;
+
+  recomputeReadingStatuses({ stationIds: stations.map(s => s._id) })
+    .then(summary => console.log(`Threshold recompute for profile ${profile.name}:`, summary))
+    .catch(error => console.error('Threshold recompute error:', error));
+
+  return true;
+}
+
+module.exports = router;
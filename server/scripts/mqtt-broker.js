@@ -0,0 +1,31 @@
+const net = require('net');
+const aedes = require('aedes');
+
+// Embedded MQTT broker for developing and testing the MQTT bridge without external infrastructure
+// Usage: node scripts/mqtt-broker.js [port], then start the server with
+//   MQTT_URL=mqtt://localhost:1883 MQTT_CLIENT_ID=groundwater-dev
+const port = parseInt(process.argv[2]) || 1883;
+
+// Aedes has no shared subscriptions; for the single bridge of a development setup a plain subscription is equivalent
+const broker = aedes({
+  authorizeSubscribe(client, subscription, callback) {
+    subscription.topic = subscription.topic.replace(/^\$share\/[^/]+\//, '');
+    callback(null, subscription);
+  }
+});
+const server = net.createServer(broker.handle);
+
+broker.on('client', client => console.log(`Client connected: ${client.id}`));
+broker.on('clientDisconnect', client => console.log(`Client disconnected: ${client.id}`));
+broker.on('publish', (packet, client) => {
+  if (client) console.log(`${client.id} -> ${packet.topic}: ${packet.payload.toString().slice(0, 200)}`);
+});
+
+server.listen(port, () => {
+  console.log(`MQTT broker listening on port ${port}`);
+});
+
+process.on('SIGINT', () => {
+  server.close();
+  broker.close(() => process.exit(0));
+});
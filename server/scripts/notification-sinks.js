@@ -0,0 +1,93 @@
+const http = require('http');
+const crypto = require('crypto');
+const { SMTPServer } = require('smtp-server');
+
+// Local stand-ins for the notification providers: an SMTP sink, an HTTP SMS gateway,
+// a webhook receiver and a Web Push service. Everything received is printed.
+// Usage: node scripts/notification-sinks.js [httpPort] [smtpPort], then start the server with
+//   NOTIFICATION_ALLOWED_HOSTS=localhost (webhooks and push may not reach private hosts otherwise)
+//   EMAIL_HOST=localhost EMAIL_PORT=2525
+//   SMS_GATEWAY_URL=http://localhost:4010/sms
+//   webhook URL http://localhost:4010/webhook in a user's preferences
+// and register the printed push subscription for a user.
+const httpPort = parseInt(process.argv[2]) || 4010;
+const smtpPort = parseInt(process.argv[3]) || 2525;
+
+const smtp = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onAuth(auth, session, callback) {
+    callback(null, { user: auth.username });
+  },
+  onData(stream, session, callback) {
+    let size = 0;
+    let headers = '';
+    stream.on('data', chunk => {
+      if (size < 2000) headers += chunk.toString();
+      size += chunk.length;
+    });
+    stream.on('end', () => {
+      const subject = (headers.match(/^Subject: (.*)$/m) || [])[1];
+      console.log(`[smtp] ${session.envelope.mailFrom.address} -> ${session.envelope.rcptTo.map(r => r.address).join(', ')}: ${subject} (${size} bytes)`);
+      callback();
+    });
+  }
+});
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const body = await readBody(req);
+
+  if (req.method === 'POST' && req.url === '/sms') {
+    const id = crypto.randomUUID();
+    console.log(`[sms] ${id} ${body}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ id, status: 'queued' }));
+  }
+
+  if (req.method === 'POST' && req.url === '/webhook') {
+    console.log(`[webhook] ${req.headers['x-webhook-id']} signature=${req.headers['x-webhook-signature'] || 'none'} ${body.slice(0, 300)}`);
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (req.method === 'POST' && req.url.startsWith('/push/')) {
+    // The payload is encrypted for the browser; the push service only sees its size
+    console.log(`[push] ${req.url} ttl=${req.headers.ttl} ${Buffer.byteLength(body)} bytes`);
+    res.writeHead(201, { Location: `http://localhost:${httpPort}/messages/${crypto.randomUUID()}` });
+    return res.end();
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+// A subscription with real keys so web-push can encrypt payloads for it
+const ecdh = crypto.createECDH('prime256v1');
+ecdh.generateKeys();
+const subscription = {
+  endpoint: `http://localhost:${httpPort}/push/${crypto.randomBytes(8).toString('hex')}`,
+  keys: {
+    p256dh: ecdh.getPublicKey().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url')
+  }
+};
+
+smtp.listen(smtpPort, () => console.log(`SMTP sink listening on port ${smtpPort}`));
+server.listen(httpPort, () => {
+  console.log(`SMS gateway, webhook and push stand-ins listening on port ${httpPort}`);
+  console.log('Test push subscription (POST to /api/notifications/push/subscriptions):');
+  console.log(JSON.stringify(subscription));
+});
+
+process.on('SIGINT', () => {
+  server.close();
+  smtp.close(() => process.exit(0));
+});
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { recomputeReadingStatuses } = require('../services/thresholdService');
+
+// Usage: node scripts/recompute-water-level-status.js [stationObjectId ...]
+const stationIds = process.argv.slice(2);
+
+const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/groundwater';
+console.log('Connecting to MongoDB...');
+
+mongoose.connect(mongoURI)
+.then(async () => {
+  console.log(stationIds.length > 0
+    ? `Recomputing water level status for ${stationIds.length} station(s)...`
+    : 'Recomputing water level status for all stations...');
+
+  const summary = await recomputeReadingStatuses({ stationIds });
+
+  console.log(`Stations processed: ${summary.stations}`);
+  console.log(`Readings scanned: ${summary.scanned}`);
+  console.log(`Readings updated: ${summary.updated}`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+})
+.catch(async err => {
+  console.error('Migration error:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
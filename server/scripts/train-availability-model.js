@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { trainAvailabilityModel } = require('../services/modelTrainingService');
+
+// Usage: node scripts/train-availability-model.js [--no-activate]
+const activate = !process.argv.includes('--no-activate');
+
+const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/groundwater';
+console.log('Connecting to MongoDB...');
+
+mongoose.connect(mongoURI)
+.then(async () => {
+  console.log('Training groundwater availability model...');
+
+  const model = await trainAvailabilityModel({ activate });
+
+  console.log(`Model version: ${model.version} (${model.status})`);
+  console.log(`Training samples: ${model.training.samples}`);
+  console.log(`Validation RMSE: ${model.metrics.validationRmse} m (persistence: ${model.metrics.persistenceRmse} m)`);
+  console.log('Feature importance:', model.featureImportance);
+
+  await mongoose.disconnect();
+  process.exit(0);
+})
+.catch(async err => {
+  console.error('Training error:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
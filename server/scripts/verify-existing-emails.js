@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+
+// Accounts created before email verification existed have no emailVerified field, and email alerts,
+// critical-area alerts and digests skip them. This marks them verified (they have been receiving email
+// all along), or with --send asks each of them to confirm their address instead.
+// Usage: node scripts/verify-existing-emails.js [--send]
+const sendEmails = process.argv.includes('--send');
+
+const PRE_VERIFICATION_FILTER = { emailVerified: { $exists: false } };
+
+async function grandfatherAccounts() {
+  const result = await User.updateMany(PRE_VERIFICATION_FILTER, {
+    $set: { emailVerified: true, emailVerifiedAt: new Date() }
+  });
+  console.log(`Accounts marked verified: ${result.modifiedCount}`);
+}
+
+async function requestVerification() {
+  // Loaded here so grandfathering does not need the mail settings
+  const { sendVerificationEmail } = require('../services/accountTokenService');
+  const { isSuccessful } = require('../services/notificationService');
+
+  const users = await User.find(PRE_VERIFICATION_FILTER);
+  let sent = 0;
+
+  for (const user of users) {
+    const receipt = await sendVerificationEmail(user);
+    if (!isSuccessful(receipt)) {
+      console.error(`Verification email to ${user.email} failed: ${receipt.error}`);
+      continue;
+    }
+    // Stored explicitly so a second run does not email the same accounts again
+    await User.updateOne({ _id: user._id }, { $set: { emailVerified: false } });
+    sent++;
+  }
+
+  console.log(`Accounts without a verified address: ${users.length}`);
+  console.log(`Verification emails sent: ${sent}`);
+}
+
+const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/groundwater';
+console.log('Connecting to MongoDB...');
+
+mongoose.connect(mongoURI)
+.then(async () => {
+  await (sendEmails ? requestVerification() : grandfatherAccounts());
+
+  await mongoose.disconnect();
+  process.exit(0);
+})
+.catch(async err => {
+  console.error('Migration error:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+const jwt = require('jsonwebtoken');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const { sendEmailNotification, isSuccessful } = require('./notificationService');
+const { renderTemplate } = require('./emailTemplates');
+const { revokeSessions } = require('./sessionService');
+
+const ACCOUNT_TOKEN_OPTIONS = {
+  verificationHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+  resetMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60,
+  minResendSeconds: 60 // between two emails of the same kind to one account
+};
+
+const PURPOSES = {
+  email_verification: {
+    ttlMs: () => ACCOUNT_TOKEN_OPTIONS.verificationHours * 60 * 60 * 1000,
+    expiresLabel: () => `${ACCOUNT_TOKEN_OPTIONS.verificationHours} hours`,
+    path: '/verify-email'
+  },
+  password_reset: {
+    ttlMs: () => ACCOUNT_TOKEN_OPTIONS.resetMinutes * 60 * 1000,
+    expiresLabel: () => `${ACCOUNT_TOKEN_OPTIONS.resetMinutes} minutes`,
+    path: '/reset-password'
+  }
+};
+
+// Raised when a verification or reset link cannot be issued or used; `code` tells the client why
+class AccountTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AccountTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Create a single-use token for a user, replacing any earlier one for the same purpose
+ */
+async function issueAccountToken(user, purpose, req) {
+  const recent = await AccountToken.findOne({
+    user: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - ACCOUNT_TOKEN_OPTIONS.minResendSeconds * 1000) }
+  });
+  if (recent) {
+    throw new AccountTokenError('An email was sent moments ago; please wait before requesting another', 'throttled');
+  }
+
+  await AccountToken.invalidate(user._id, purpose);
+
+  const ttlMs = PURPOSES[purpose].ttlMs();
+  const record = await AccountToken.create({
+    user: user._id,
+    purpose,
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+    requestedIp: req?.ip
+  });
+
+  // Signed with the purpose as audience, so neither kind of link works as the other or as an access token
+  const token = jwt.sign({ uid: user._id }, process.env.JWT_SECRET, {
+    audience: purpose,
+    jwtid: record._id.toString(),
+    expiresIn: Math.floor(ttlMs / 1000)
+  });
+
+  return { token, record };
+}
+
+/**
+ * Check a token's signature and expiry, then mark its record used
+ */
+async function consumeAccountToken(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AccountTokenError('This link has expired; please request a new one', 'expired');
+    }
+    throw new AccountTokenError('This link is invalid', 'invalid');
+  }
+
+  const record = await AccountToken.consume(decoded.jti, decoded.uid, purpose);
+  if (!record) {
+    throw new AccountTokenError('This link has already been used or was replaced by a newer one', 'used');
+  }
+
+  return record;
+}
+
+/**
+ * Email a user a link carrying a new token
+ */
+async function sendAccountEmail(user, purpose, content, req) {
+  const { token } = await issueAccountToken(user, purpose, req);
+  const actionUrl = `${process.env.CLIENT_URL}${PURPOSES[purpose].path}?token=${encodeURIComponent(token)}`;
+  const data = {
+    ...content,
+    userName: user.name,
+    actionUrl,
+    expiresIn: PURPOSES[purpose].expiresLabel()
+  };
+
+  const receipt = await sendEmailNotification({
+    user,
+    title: content.title,
+    message: content.intro,
+    subject: `[Groundwater] ${content.title}`,
+    html: renderTemplate('account-action.html.hbs', data),
+    text: renderTemplate('account-action.text.hbs', data)
+  });
+
+  // Without a mail server in development the link is only reachable from the log
+  if (!isSuccessful(receipt) && process.env.NODE_ENV !== 'production') {
+    console.log(`${content.title} link for ${user.email} (email not sent: ${receipt.error}): ${actionUrl}`);
+  }
+
+  return receipt;
+}
+
+/**
+ * Send the link that confirms a user's email address
+ */
+async function sendVerificationEmail(user, req) {
+  return await sendAccountEmail(user, 'email_verification', {
+    title: 'Confirm your email address',
+    intro: 'Please confirm this is your email address. Alerts and digests are only emailed to confirmed addresses.',
+    actionLabel: 'Confirm Email',
+    footer: 'If you did not create an account, you can ignore this email.'
+  }, req);
+}
+
+/**
+ * Send the link that lets a user choose a new password
+ */
+async function sendPasswordResetEmail(user, req) {
+  return await sendAccountEmail(user, 'password_reset', {
+    title: 'Reset your password',
+    intro: 'We received a request to reset the password for your account. Choose a new password with the link below.',
+    actionLabel: 'Reset Password',
+    footer: 'If you did not ask to reset your password, you can ignore this email; your password stays the same.'
+  }, req);
+}
+
+/**
+ * Mark the user's email verified from a verification link
+ */
+async function confirmEmailVerification(token) {
+  const record = await consumeAccountToken(token, 'email_verification');
+  const user = await User.findById(record.user);
+
+  if (!user || !user.isActive || user.email !== record.email) {
+    throw new AccountTokenError('This link is invalid', 'invalid');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  return user;
+}
+
+/**
+ * Set a new password from a reset link and log out every session
+ */
+async function resetPassword(token, password) {
+  const record = await consumeAccountToken(token, 'password_reset');
+  const user = await User.findById(record.user);
+
+  if (!user || !user.isActive || user.email !== record.email) {
+    throw new AccountTokenError('This link is invalid', 'invalid');
+  }
+
+  user.password = password;
+  // Following the emailed link proves the address belongs to the user
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await AccountToken.invalidate(user._id, 'password_reset');
+  await revokeSessions({ user: user._id }, 'password_changed');
+
+  return user;
+}
+
+module.exports = {
+  ACCOUNT_TOKEN_OPTIONS,
+  AccountTokenError,
+  issueAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  confirmEmailVerification,
+  resetPassword
+};
@@ -0,0 +1,279 @@
+const AlertRule = require('../models/AlertRule');
+const MaintenanceTask = require('../models/MaintenanceTask');
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+const User = require('../models/User');
+const { sendStationAlert, sendCriticalAlert, sendTrendAlert } = require('./notificationService');
+const { publish } = require('./eventBus');
+
+const SEVERITY_ORDER = { critical: 3, warning: 2, info: 1 };
+
+// Maps rule conditions onto the notification categories used in the inbox
+const ALERT_TYPES = {
+  depth_exceeds: 'low',
+  level_drop: 'trend',
+  battery_below: 'maintenance',
+  no_reading: 'offline'
+};
+
+/**
+ * Evaluate all applicable alert rules against a freshly ingested reading
+ */
+async function evaluateReading(reading, station) {
+  try {
+    // Readings taken while technicians are on site are expected to be unusual
+    if (station.status === 'maintenance' || await MaintenanceTask.findActiveWindow(station._id, reading.timestamp)) {
+      return [];
+    }
+
+    // A level that failed quality control should not raise water level alerts
+    const flagged = reading.qualityFlags && reading.qualityFlags.length > 0;
+    const rules = await AlertRule.getRulesForStation(
+      station._id,
+      flagged ? ['battery_below'] : ['depth_exceeds', 'level_drop', 'battery_below']
+    );
+
+    if (rules.length === 0) return [];
+
+    const matches = [];
+    for (const rule of rules) {
+      const result = await evaluateCondition(rule, reading, station);
+      if (result) matches.push({ rule, ...result });
+    }
+
+    return await fireMatches(matches, station);
+  } catch (error) {
+    console.error('Alert evaluation error:', error);
+    return [];
+  }
+}
+
+/**
+ * Evaluate "no reading for H hours" rules against every station they cover
+ */
+async function checkStaleStations(now = new Date()) {
+  try {
+    const rules = await AlertRule.find({
+      enabled: true,
+      isActive: true,
+      'condition.type': 'no_reading'
+    });
+
+    const fired = [];
+    for (const rule of rules) {
+      const cutoff = new Date(now.getTime() - rule.condition.threshold * 60 * 60 * 1000);
+      const filter = {
+        isActive: true,
+        status: { $ne: 'maintenance' },
+        'lastReading.timestamp': { $lt: cutoff }
+      };
+
+      if (rule.stations.length > 0) {
+        filter._id = { $in: rule.stations };
+      }
+
+      const staleStations = await Station.find(filter);
+
+      for (const station of staleStations) {
+        const hoursSilent = Math.round((now - station.lastReading.timestamp) / (60 * 60 * 1000));
+        const results = await fireMatches([{
+          rule,
+          value: hoursSilent,
+          message: `No reading received from ${station.name} for ${hoursSilent} hours.`
+        }], station, now);
+        fired.push(...results);
+      }
+    }
+
+    return fired;
+  } catch (error) {
+    console.error('Stale station check error:', error);
+    return [];
+  }
+}
+
+/**
+ * Email subscribers of stations whose water table has a significant yearly Mann-Kendall decline
+ */
+async function sendTrendAlerts() {
+  // Required here, analysisService pulls in the prediction stack this module does not need at load time
+  const { calculateTrendAnalysis } = require('./analysisService');
+  const SIGNIFICANT = ['significant', 'very_significant', 'highly_significant'];
+
+  const users = await User.find({
+    isActive: true,
+    'preferences.notifications.email': true,
+    'preferences.monitoringStations.0': { $exists: true }
+  });
+
+  const stationIds = [...new Set(users.flatMap(user => user.preferences.monitoringStations.map(String)))];
+  const stations = await Station.find({ _id: { $in: stationIds }, isActive: true, status: { $ne: 'maintenance' } });
+
+  const declining = new Map();
+  for (const station of stations) {
+    const trend = await calculateTrendAnalysis(station._id);
+    // The test runs on depth below ground, so a declining water table shows as a rising series
+    if (trend.direction === 'rising' && SIGNIFICANT.includes(trend.significance)) {
+      declining.set(station._id.toString(), { station, trend: { ...trend, direction: 'falling' } });
+    }
+  }
+
+  let sent = 0;
+  for (const user of users) {
+    for (const stationId of user.preferences.monitoringStations) {
+      const match = declining.get(stationId.toString());
+      if (!match) continue;
+      await sendTrendAlert({ user, station: match.station, trend: match.trend, period: 365 });
+      sent++;
+    }
+  }
+
+  return { stations: stations.length, declining: declining.size, alertsSent: sent };
+}
+
+/**
+ * Check whether a single rule matches the reading
+ */
+async function evaluateCondition(rule, reading, station) {
+  const { type, threshold, windowDays } = rule.condition;
+
+  switch (type) {
+    case 'depth_exceeds':
+      if (reading.waterLevel > threshold) {
+        return {
+          value: reading.waterLevel,
+          message: `Water level at ${station.name} is ${reading.waterLevel}m below ground, deeper than the ${threshold}m threshold.`
+        };
+      }
+      return null;
+
+    case 'level_drop': {
+      const endDate = reading.timestamp;
+      const startDate = new Date(endDate.getTime() - (windowDays || 7) * 24 * 60 * 60 * 1000);
+      const readings = await Reading.getReadingsInRange(station._id, startDate, endDate);
+
+      if (readings.length < 2) return null;
+
+      // Water level is depth below ground, so a falling water table shows as increasing depth
+      const shallowest = Math.min(...readings.map(r => r.waterLevel));
+      const drop = reading.waterLevel - shallowest;
+
+      if (drop >= threshold) {
+        return {
+          value: Math.round(drop * 100) / 100,
+          message: `Water level at ${station.name} dropped ${drop.toFixed(2)}m within ${windowDays || 7} days.`
+        };
+      }
+      return null;
+    }
+
+    case 'battery_below':
+      if (reading.batteryLevel !== undefined && reading.batteryLevel !== null && reading.batteryLevel < threshold) {
+        return {
+          value: reading.batteryLevel,
+          message: `Battery at ${station.name} is at ${reading.batteryLevel}%, below ${threshold}%.`
+        };
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fire matched rules, respecting cooldowns and notifying each user at most once per evaluation
+ */
+async function fireMatches(matches, station, now = new Date()) {
+  const fired = [];
+  const notifiedUsers = new Set();
+
+  // Most severe alerts go out first so deduplicated users get the important one
+  matches.sort((a, b) => SEVERITY_ORDER[b.rule.severity] - SEVERITY_ORDER[a.rule.severity]);
+
+  for (const match of matches) {
+    const claimed = await AlertRule.claimFiring(match.rule, station._id, now);
+    if (!claimed) continue; // Still cooling down for this station
+
+    const result = await fireAlert({ ...match, station, notifiedUsers });
+    fired.push(result);
+  }
+
+  return fired;
+}
+
+/**
+ * Publish the alert event and deliver notifications for a fired rule
+ */
+async function fireAlert({ rule, station, value, message, notifiedUsers }) {
+  const alertType = rule.severity === 'critical' && rule.condition.type === 'depth_exceeds'
+    ? 'critical'
+    : ALERT_TYPES[rule.condition.type];
+
+  const payload = {
+    stationId: station._id,
+    stationName: station.name,
+    ruleId: rule._id,
+    ruleName: rule.name,
+    condition: rule.condition.type,
+    severity: rule.severity,
+    alertType,
+    value,
+    message,
+    timestamp: new Date()
+  };
+
+  // Real-time alert to subscribers, users nearby and operators
+  publish('alert.fired', { station, alert: payload });
+
+  // Personal rules notify their owner, global rules notify everyone monitoring the station
+  const recipientFilter = rule.scope === 'user'
+    ? { _id: rule.owner }
+    : { 'preferences.monitoringStations': station._id };
+
+  const recipients = (await User.find({ ...recipientFilter, isActive: true }))
+    .filter(user => !notifiedUsers.has(user._id.toString()));
+
+  recipients.forEach(user => notifiedUsers.add(user._id.toString()));
+
+  const delivery = await sendStationAlert({
+    users: recipients,
+    station,
+    title: rule.name,
+    message,
+    data: {
+      stationId: station._id,
+      ruleId: rule._id,
+      severity: rule.severity,
+      value,
+      alertType
+    }
+  });
+
+  // Critical global depth alerts also reach everyone in the surrounding area
+  let areaDelivery = null;
+  if (rule.scope === 'global' && alertType === 'critical') {
+    areaDelivery = await sendCriticalAlert({
+      latitude: station.location.coordinates[1],
+      longitude: station.location.coordinates[0],
+      radius: parseInt(process.env.CRITICAL_ALERT_RADIUS_KM) || 10,
+      station,
+      waterLevel: value,
+      excludeUserIds: [...notifiedUsers]
+    });
+  }
+
+  return {
+    ruleId: rule._id,
+    stationId: station._id,
+    severity: rule.severity,
+    usersNotified: delivery.usersNotified + (areaDelivery?.usersNotified || 0)
+  };
+}
+
+module.exports = {
+  evaluateReading,
+  checkStaleStations,
+  sendTrendAlerts,
+  evaluateCondition
+};
@@ -1,8 +1,11 @@
+const Analysis = require('../models/Analysis');
 const Station = require('../models/Station');
 const Reading = require('../models/Reading');
+const User = require('../models/User');
 const { getExternalData } = require('./externalDataService');
 const { calculateMannKendallTrend } = require('./statisticalAnalysis');
 const { predictGroundwaterLevel } = require('./mlPredictionService');
+const { interpolateWaterLevel } = require('./spatialInterpolationService');
 
 /**
  * Perform comprehensive groundwater analysis for a given location
@@ -19,25 +22,28 @@ async function performGroundwaterAnalysis({ latitude, longitude, extractionRate,
     
     // 3. Calculate trends using Mann-Kendall test
     const trendAnalysis = await calculateTrendAnalysis(nearestStationData.station._id);
+
+    // 4. Estimate the local water level from all stations in range
+    const depthEstimate = await estimateDepth(latitude, longitude, nearestStationData);
     
-    // 4. Perform ML prediction
+    // 5. Perform ML prediction
     const mlPrediction = await predictGroundwaterLevel({
       latitude,
       longitude,
-      stationData: nearestStationData,
+      stationData: depthEstimate.stationData,
       environmentalData,
       trendAnalysis
     });
 
-    // 5. Calculate sustainability metrics
+    // 6. Calculate sustainability metrics
     const sustainability = calculateSustainability({
-      currentLevel: nearestStationData.latestReading?.waterLevel,
+      currentLevel: depthEstimate.estimated,
       trend: trendAnalysis,
       extractionRate,
       rechargeRate: environmentalData.annualRainfall * 0.3 // Rough estimate
     });
 
-    // 6. Generate recommendations
+    // 7. Generate recommendations
     const recommendations = generateRecommendations({
       availability: mlPrediction.availability,
       sustainability,
@@ -45,9 +51,9 @@ async function performGroundwaterAnalysis({ latitude, longitude, extractionRate,
       trendAnalysis
     });
 
-    // 7. Calculate usage suitability
+    // 8. Calculate usage suitability
     const usageSuitability = calculateUsageSuitability({
-      waterLevel: nearestStationData.latestReading?.waterLevel,
+      waterLevel: depthEstimate.estimated,
       quality: nearestStationData.station.technicalDetails?.waterQuality,
       sustainability
     });
@@ -66,11 +72,14 @@ async function performGroundwaterAnalysis({ latitude, longitude, extractionRate,
           confidence: mlPrediction.confidence
         },
         depth: {
-          estimated: nearestStationData.latestReading?.waterLevel || 15,
-          range: {
-            min: Math.max(0, (nearestStationData.latestReading?.waterLevel || 15) - 5),
-            max: (nearestStationData.latestReading?.waterLevel || 15) + 5
-          }
+          estimated: depthEstimate.estimated || 15,
+          range: depthEstimate.range || {
+            min: Math.max(0, (depthEstimate.estimated || 15) - 5),
+            max: (depthEstimate.estimated || 15) + 5
+          },
+          method: depthEstimate.method,
+          uncertainty: depthEstimate.uncertainty,
+          stations: depthEstimate.stations
         },
         sustainability
       },
@@ -82,7 +91,8 @@ async function performGroundwaterAnalysis({ latitude, longitude, extractionRate,
       recommendations,
       usageSuitability,
       mlPredictions: {
-        model: 'ensemble',
+        model: mlPrediction.model,
+        modelVersion: mlPrediction.modelVersion,
         features: mlPrediction.features,
         featureImportance: mlPrediction.featureImportance,
         predictionConfidence: mlPrediction.confidence,
@@ -125,7 +135,8 @@ async function findNearestStationData(latitude, longitude) {
 
   const latestReading = await Reading.findOne({
     stationId: station._id,
-    isActive: true
+    isActive: true,
+    ...Reading.UNFLAGGED
   }).sort({ timestamp: -1 });
 
   const distance = station.distanceTo(latitude, longitude);
@@ -137,11 +148,47 @@ async function findNearestStationData(latitude, longitude) {
   };
 }
 
+/**
+ * Estimate depth to water by spatial interpolation, falling back to the nearest station
+ */
+async function estimateDepth(latitude, longitude, nearestStationData) {
+  const nearest = {
+    estimated: nearestStationData.latestReading?.waterLevel,
+    method: 'nearest',
+    range: null,
+    uncertainty: null,
+    stations: [],
+    stationData: nearestStationData
+  };
+
+  const interpolation = await interpolateWaterLevel(latitude, longitude);
+  if (!interpolation || interpolation.method === 'nearest') return nearest;
+
+  // The model sees the interpolated level, classified with the nearest station's thresholds
+  const { station, latestReading } = nearestStationData;
+  return {
+    estimated: interpolation.estimate,
+    method: interpolation.method,
+    range: interpolation.range,
+    uncertainty: interpolation.uncertainty,
+    stations: interpolation.stations.map(({ stationId, distance, waterLevel, weight }) => ({
+      stationId, distance, waterLevel, weight
+    })),
+    stationData: {
+      ...nearestStationData,
+      latestReading: {
+        waterLevel: interpolation.estimate,
+        waterLevelStatus: await station.classifyWaterLevel(interpolation.estimate),
+        metadata: latestReading?.metadata
+      }
+    }
+  };
+}
+
 /**
  * Calculate trend analysis using Mann-Kendall test
  */
-async function calculateTrendAnalysis(stationId) {
-  const endDate = new Date();
+async function calculateTrendAnalysis(stationId, endDate = new Date()) {
   const startDate = new Date(endDate.getTime() - (365 * 24 * 60 * 60 * 1000)); // 1 year
 
   const readings = await Reading.getReadingsInRange(stationId, startDate, endDate);
@@ -305,9 +352,61 @@ function calculateUsageSuitability({ waterLevel, quality, sustainability }) {
   };
 }
 
+/**
+ * Re-run analyses for the locations of active users who monitor stations, so their dashboards never serve stale results
+ */
+async function refreshSubscribedAnalyses({ maxAgeHours = 20 } = {}) {
+  // Every account has a location (registration defaults to Delhi), so only monitoring users are refreshed
+  const users = await User.find({
+    isActive: true,
+    'preferences.monitoringStations.0': { $exists: true }
+  }).select('location');
+
+  // Users in the same ~1 km cell share one analysis, as the analyze endpoint does
+  const locations = new Map();
+  users.forEach(user => {
+    const [longitude, latitude] = user.location?.coordinates || [];
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+    const key = `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
+    if (!locations.has(key)) locations.set(key, { latitude, longitude });
+  });
+
+  const summary = { locations: locations.size, refreshed: 0, current: 0, failed: 0 };
+  const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+
+  for (const { latitude, longitude } of locations.values()) {
+    try {
+      const existing = await Analysis.getAnalysisByLocation(latitude, longitude, 1);
+      if (existing && existing.metadata.analysisDate.getTime() > cutoff) {
+        summary.current++;
+        continue;
+      }
+
+      const result = await performGroundwaterAnalysis({ latitude, longitude, extractionRate: 2000 });
+      await Analysis.create({
+        location: { type: 'Point', coordinates: [longitude, latitude] },
+        ...result
+      });
+      summary.refreshed++;
+    } catch (error) {
+      console.error(`Analysis refresh error at ${latitude}, ${longitude}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  // A run where every location failed points at a broken dependency, so fail it and let it retry
+  if (summary.failed > 0 && summary.refreshed === 0 && summary.current === 0) {
+    throw new Error(`All ${summary.failed} analysis refreshes failed`);
+  }
+
+  return summary;
+}
+
 module.exports = {
   performGroundwaterAnalysis,
+  refreshSubscribedAnalyses,
   findNearestStationData,
+  estimateDepth,
   calculateTrendAnalysis,
   calculateSustainability,
   generateRecommendations,
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const simpleStats = require('simple-statistics');
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+const ForecastEvaluation = require('../models/ForecastEvaluation');
+const { forecastReadings } = require('./forecastService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+const DEFAULT_OPTIONS = {
+  models: ['holt-winters', 'holt', 'linear', 'persistence'],
+  horizonDays: 30,
+  stepDays: 14,
+  maxOrigins: 20,
+  minTrainingDays: 60,
+  confidenceLevel: 0.95,
+  historyDays: 730
+};
+
+// Lead-time buckets used to show how error grows with the horizon
+const HORIZON_BUCKETS = [[1, 7], [8, 14], [15, 30], [31, 90], [91, 365]];
+
+/**
+ * Run a rolling-origin backtest of each model over a station's readings
+ */
+function backtestReadings(readings, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const sorted = [...readings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  if (sorted.length < 2) return { origins: [], results: [] };
+
+  // Observed daily means are the ground truth; interpolated and gap-filled days are never scored
+  const actuals = new Map();
+  sorted.forEach(r => {
+    if (r.metadata?.dataSource === 'interpolated') return;
+    const day = Math.floor(new Date(r.timestamp).getTime() / DAY_MS);
+    if (!actuals.has(day)) actuals.set(day, []);
+    actuals.get(day).push(r.waterLevel);
+  });
+  actuals.forEach((values, day) => actuals.set(day, simpleStats.mean(values)));
+
+  const firstDay = Math.floor(new Date(sorted[0].timestamp).getTime() / DAY_MS);
+  const lastDay = Math.floor(new Date(sorted[sorted.length - 1].timestamp).getTime() / DAY_MS);
+
+  // Most recent origins first, so capping keeps the freshest evidence
+  const origins = [];
+  for (let origin = lastDay - config.horizonDays; origin >= firstDay + config.minTrainingDays; origin -= config.stepDays) {
+    origins.push(origin);
+    if (origins.length >= config.maxOrigins) break;
+  }
+  origins.reverse();
+
+  const results = config.models.map(model => {
+    const errors = [];
+    let evaluatedOrigins = 0;
+    let cutoff = 0;
+
+    for (const origin of origins) {
+      const originEnd = (origin + 1) * DAY_MS;
+      while (cutoff < sorted.length && new Date(sorted[cutoff].timestamp).getTime() < originEnd) cutoff++;
+      const training = sorted.slice(0, cutoff);
+
+      const predictions = model === 'persistence'
+        ? persistenceForecast(training, config)
+        : modelForecast(training, model, config);
+
+      if (!predictions) continue;
+      evaluatedOrigins++;
+
+      predictions.forEach(p => {
+        const day = Math.floor(p.date.getTime() / DAY_MS);
+        const lead = day - origin;
+        if (lead < 1 || lead > config.horizonDays || !actuals.has(day)) return;
+
+        errors.push({
+          lead,
+          actual: actuals.get(day),
+          predicted: p.predictedLevel,
+          lower: p.lower,
+          upper: p.upper
+        });
+      });
+    }
+
+    return {
+      model,
+      origins: evaluatedOrigins,
+      metrics: calculateErrorMetrics(errors),
+      byHorizon: HORIZON_BUCKETS
+        .filter(([from]) => from <= config.horizonDays)
+        .map(([from, to]) => ({
+          fromDay: from,
+          toDay: Math.min(to, config.horizonDays),
+          ...calculateErrorMetrics(errors.filter(e => e.lead >= from && e.lead <= to))
+        }))
+    };
+  });
+
+  return {
+    origins,
+    period: {
+      start: new Date(firstDay * DAY_MS),
+      end: new Date(lastDay * DAY_MS)
+    },
+    results
+  };
+}
+
+/**
+ * Forecast with one of the time series models, skipping origins where it would fall back
+ */
+function modelForecast(training, model, config) {
+  const forecast = forecastReadings(training, {
+    horizonDays: config.horizonDays,
+    model,
+    confidenceLevel: config.confidenceLevel
+  });
+
+  if (!forecast || forecast.model !== model) return null;
+  return forecast.predictions;
+}
+
+/**
+ * Naive baseline: carry the last observed level forward, with random-walk intervals.
+ * This is also what location analyses report as the current depth estimate.
+ */
+function persistenceForecast(training, config) {
+  if (training.length < 2) return null;
+
+  const dailyMeans = new Map();
+  training.forEach(r => {
+    const day = Math.floor(new Date(r.timestamp).getTime() / DAY_MS);
+    if (!dailyMeans.has(day)) dailyMeans.set(day, []);
+    dailyMeans.get(day).push(r.waterLevel);
+  });
+
+  const days = [...dailyMeans.keys()].sort((a, b) => a - b);
+  const levels = days.map(day => simpleStats.mean(dailyMeans.get(day)));
+  const lastDay = days[days.length - 1];
+  const lastLevel = levels[levels.length - 1];
+
+  // Daily step volatility, normalised for gaps between observed days
+  const steps = [];
+  for (let i = 1; i < days.length; i++) {
+    steps.push((levels[i] - levels[i - 1]) / Math.sqrt(days[i] - days[i - 1]));
+  }
+  const sigma = steps.length > 1 ? simpleStats.standardDeviation(steps) : 0;
+  const z = Z_SCORES[config.confidenceLevel] || Z_SCORES[0.95];
+
+  const predictions = [];
+  for (let h = 1; h <= config.horizonDays; h++) {
+    const spread = z * sigma * Math.sqrt(h);
+    predictions.push({
+      date: new Date((lastDay + h) * DAY_MS),
+      predictedLevel: lastLevel,
+      lower: Math.max(0, lastLevel - spread),
+      upper: lastLevel + spread
+    });
+  }
+
+  return predictions;
+}
+
+/**
+ * Calculate MAE, RMSE, MAPE and interval coverage for a set of forecast errors
+ */
+function calculateErrorMetrics(errors) {
+  if (errors.length === 0) {
+    return { mae: null, rmse: null, mape: null, coverage: null, samples: 0 };
+  }
+
+  const absErrors = errors.map(e => Math.abs(e.actual - e.predicted));
+  const squaredErrors = absErrors.map(e => e * e);
+  // MAPE is undefined where the actual level is zero
+  const percentErrors = errors
+    .filter(e => e.actual !== 0)
+    .map(e => Math.abs((e.actual - e.predicted) / e.actual) * 100);
+  const withIntervals = errors.filter(e => e.lower !== undefined && e.upper !== undefined);
+  const covered = withIntervals.filter(e => e.actual >= e.lower && e.actual <= e.upper).length;
+
+  const round = (value, digits = 4) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+  return {
+    mae: round(simpleStats.mean(absErrors)),
+    rmse: round(Math.sqrt(simpleStats.mean(squaredErrors))),
+    mape: percentErrors.length > 0 ? round(simpleStats.mean(percentErrors), 2) : null,
+    coverage: withIntervals.length > 0 ? round(covered / withIntervals.length) : null,
+    samples: errors.length
+  };
+}
+
+/**
+ * Backtest a station's stored readings and persist the results
+ */
+async function backtestStation(stationId, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const runId = options.runId || crypto.randomUUID();
+  const endDate = new Date();
+  const startDate = new Date(endDate.getTime() - (config.historyDays * DAY_MS));
+
+  const readings = await Reading.getReadingsInRange(stationId, startDate, endDate);
+  const backtest = backtestReadings(readings, config);
+
+  const evaluations = backtest.results
+    .filter(result => result.metrics.samples > 0)
+    .map(result => ({
+      stationId,
+      model: result.model,
+      horizonDays: config.horizonDays,
+      metrics: result.metrics,
+      byHorizon: result.byHorizon,
+      evaluation: {
+        method: 'rolling-origin',
+        origins: result.origins,
+        stepDays: config.stepDays,
+        minTrainingDays: config.minTrainingDays,
+        confidenceLevel: config.confidenceLevel,
+        period: backtest.period
+      },
+      runId,
+      runAt: endDate
+    }));
+
+  if (evaluations.length === 0) return [];
+
+  return await ForecastEvaluation.insertMany(evaluations);
+}
+
+/**
+ * Backtest several stations (all active stations by default)
+ */
+async function backtestStations({ stationIds, ...options } = {}) {
+  const runId = options.runId || crypto.randomUUID();
+  const filter = { isActive: true };
+  if (stationIds && stationIds.length > 0) {
+    filter._id = { $in: stationIds };
+  }
+
+  const stations = await Station.find(filter).select('_id stationId');
+  const summary = { runId, stations: stations.length, evaluated: 0, failed: 0 };
+
+  // Sequential on purpose: fitting is CPU bound and shares the API process
+  for (const station of stations) {
+    try {
+      const evaluations = await backtestStation(station._id, { ...options, runId });
+      if (evaluations.length > 0) summary.evaluated++;
+    } catch (error) {
+      console.error(`Backtest error for station ${station.stationId}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  backtestReadings,
+  calculateErrorMetrics,
+  backtestStation,
+  backtestStations
+};
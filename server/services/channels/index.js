@@ -0,0 +1,20 @@
+const { registerChannel } = require('../notificationChannels');
+
+let registered = false;
+
+/**
+ * Register the built-in channel adapters (email, sms, push, webhook) once per process
+ */
+function registerNotificationChannels() {
+  if (registered) return;
+  registered = true;
+
+  registerChannel(require('./smtpChannel'));
+  registerChannel(require('./smsGatewayChannel'));
+  registerChannel(require('./webPushChannel'));
+  registerChannel(require('./webhookChannel'));
+}
+
+module.exports = {
+  registerNotificationChannels
+};
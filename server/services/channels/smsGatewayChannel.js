@@ -0,0 +1,40 @@
+const axios = require('axios');
+const { ChannelError, httpChannelError } = require('../notificationChannels');
+
+/**
+ * Send a text through a generic HTTP gateway; message carries { to, text }
+ *
+ * The gateway receives POST SMS_GATEWAY_URL with JSON { to, from, text, reference, statusCallback }
+ * and answers with { id } (or messageId); delivery reports go to the receipts endpoint.
+ */
+async function send({ to, text, deliveryId }) {
+  if (!to) {
+    throw new ChannelError('No phone number on file');
+  }
+
+  try {
+    const response = await axios.post(process.env.SMS_GATEWAY_URL, {
+      to,
+      from: process.env.SMS_SENDER_ID,
+      text,
+      reference: deliveryId,
+      statusCallback: process.env.SMS_STATUS_CALLBACK_URL || undefined
+    }, {
+      headers: process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {},
+      timeout: 10000
+    });
+
+    const body = response.data || {};
+    return { messageId: body.id || body.messageId || body.message_id, status: 'sent' };
+  } catch (error) {
+    throw httpChannelError(error, 'SMS gateway');
+  }
+}
+
+module.exports = {
+  name: 'sms',
+  provider: 'http-gateway',
+  defaults: { ratePerMinute: parseInt(process.env.SMS_RATE_PER_MINUTE) || 30 },
+  isConfigured: () => Boolean(process.env.SMS_GATEWAY_URL),
+  send
+};
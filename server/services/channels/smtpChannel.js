@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+const { ChannelError } = require('../notificationChannels');
+
+const RETRYABLE_ERRORS = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+let transport = null;
+
+// One pooled transport for the process instead of a new connection per email
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      } : undefined,
+      pool: true
+    });
+  }
+  return transport;
+}
+
+/**
+ * Send an email; message carries { to, subject, html, text, attachments }
+ */
+async function send({ to, subject, html, text, attachments }) {
+  try {
+    const info = await getTransport().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to,
+      subject,
+      html,
+      text,
+      attachments
+    });
+
+    return { messageId: info.messageId, status: 'sent' };
+  } catch (error) {
+    // SMTP 4xx replies and connection failures are temporary; 5xx replies and auth errors are not
+    const code = error.responseCode;
+    throw new ChannelError(`SMTP delivery failed: ${error.message}`, {
+      status: code,
+      retryable: code ? code >= 400 && code < 500 : RETRYABLE_ERRORS.includes(error.code)
+    });
+  }
+}
+
+/**
+ * Close the pooled connections
+ */
+function close() {
+  if (transport) transport.close();
+  transport = null;
+}
+
+module.exports = {
+  name: 'email',
+  provider: 'smtp',
+  defaults: { ratePerMinute: parseInt(process.env.EMAIL_RATE_PER_MINUTE) || 60 },
+  isConfigured: () => Boolean(process.env.EMAIL_HOST),
+  send,
+  close
+};
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const webpush = require('web-push');
+const PushSubscription = require('../../models/PushSubscription');
+const { ChannelError, httpChannelError, signDeliveryId } = require('../notificationChannels');
+const { OutboundUrlError, checkPushEndpoint, postToPublicUrl } = require('../outboundRequests');
+
+// Deactivate a subscription after this many consecutive failures
+const MAX_SUBSCRIPTION_FAILURES = 5;
+
+function isConfigured() {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+/**
+ * Push to every active subscription of the user; message carries { userId, title, body, data }
+ *
+ * The payload includes a signed receipt the service worker posts back once it shows the notification.
+ */
+async function send({ userId, title, body, data = {}, deliveryId }) {
+  const subscriptions = await PushSubscription.find({ user: userId, isActive: true });
+  if (subscriptions.length === 0) {
+    throw new ChannelError('No push subscriptions');
+  }
+
+  const payload = JSON.stringify({
+    title,
+    body,
+    data,
+    url: data.stationId ? `/stations/${data.stationId}` : '/dashboard',
+    receipt: { deliveryId, token: signDeliveryId(deliveryId) }
+  });
+  const options = {
+    vapidDetails: {
+      subject: process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_USER || 'admin@localhost'}`,
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY
+    },
+    TTL: 24 * 60 * 60
+  };
+
+  let delivered = 0;
+  let lastError = null;
+
+  for (const subscription of subscriptions) {
+    try {
+      // Endpoints come from the browser, so only push services (or allow-listed stand-ins) are contacted
+      await checkPushEndpoint(subscription.endpoint);
+
+      // web-push only encrypts and signs; sending ourselves keeps plain-HTTP stand-ins usable
+      const request = webpush.generateRequestDetails(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        payload,
+        options
+      );
+      await postToPublicUrl(request.endpoint, request.body, { headers: request.headers, timeout: 10000 }, {
+        protocols: ['https']
+      });
+      delivered++;
+      subscription.lastSuccessAt = new Date();
+      subscription.failureCount = 0;
+    } catch (error) {
+      const status = error.response?.status;
+      // The push service forgot the subscription, or its keys cannot be used; the browser has to subscribe again
+      const gone = status === 404 || status === 410 || !axios.isAxiosError(error);
+      subscription.failureCount += 1;
+      if (gone || subscription.failureCount >= MAX_SUBSCRIPTION_FAILURES) {
+        subscription.isActive = false;
+      }
+      if (error instanceof OutboundUrlError) {
+        lastError = new ChannelError(`Push endpoint refused: ${error.message}`);
+      } else {
+        lastError = axios.isAxiosError(error)
+          ? httpChannelError(error, 'Push service')
+          : new ChannelError(`Invalid push subscription: ${error.message}`);
+      }
+    }
+    await subscription.save();
+  }
+
+  // Retrying after a partial success would notify the delivered browsers twice
+  if (delivered === 0) throw lastError;
+
+  return { messageId: deliveryId, status: 'sent' };
+}
+
+module.exports = {
+  name: 'push',
+  provider: 'web-push',
+  defaults: { ratePerMinute: parseInt(process.env.PUSH_RATE_PER_MINUTE) || 300, burst: 50 },
+  isConfigured,
+  send
+};
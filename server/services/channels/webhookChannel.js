@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { ChannelError, httpChannelError } = require('../notificationChannels');
+const { OUTBOUND_OPTIONS, OutboundUrlError, postToPublicUrl } = require('../outboundRequests');
+
+/**
+ * POST the notification as JSON to the user's webhook; message carries { url, secret, event }
+ *
+ * Requests are signed like device ingestion: X-Webhook-Signature is the hex HMAC-SHA256 of
+ * `${X-Webhook-Timestamp}.${body}` under the user's webhook secret.
+ */
+async function send({ url, secret, event, deliveryId }) {
+  if (!url) {
+    throw new ChannelError('No webhook URL configured');
+  }
+
+  const body = JSON.stringify({ id: deliveryId, ...event, sentAt: new Date().toISOString() });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Timestamp': timestamp
+  };
+  if (secret) {
+    headers['X-Webhook-Signature'] = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  try {
+    await postToPublicUrl(url, body, { headers, timeout: 10000 }, { protocols: OUTBOUND_OPTIONS.webhookProtocols });
+    // A 2xx answer is the receiver's acknowledgement
+    return { messageId: deliveryId, status: 'delivered' };
+  } catch (error) {
+    if (error instanceof OutboundUrlError) {
+      throw new ChannelError(`Webhook URL refused: ${error.message}`);
+    }
+    throw httpChannelError(error, 'Webhook');
+  }
+}
+
+module.exports = {
+  name: 'webhook',
+  provider: 'http',
+  defaults: { ratePerMinute: parseInt(process.env.WEBHOOK_RATE_PER_MINUTE) || 120, burst: 20 },
+  isConfigured: () => true,
+  send
+};
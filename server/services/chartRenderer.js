@@ -0,0 +1,150 @@
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an RGB pixel buffer as a PNG image
+ */
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour
+
+  // Every scanline starts with a filter byte, 0 = none
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Average the values into at most size buckets
+ */
+function downsample(values, size) {
+  if (values.length <= size) return values;
+
+  const buckets = [];
+  for (let i = 0; i < size; i++) {
+    const slice = values.slice(Math.floor(i * values.length / size), Math.floor((i + 1) * values.length / size));
+    buckets.push(slice.reduce((sum, v) => sum + v, 0) / slice.length);
+  }
+  return buckets;
+}
+
+/**
+ * Render a small line chart as a PNG buffer; larger values are drawn lower, so a
+ * depth series reads like the water table. Returns null with fewer than two values.
+ */
+function renderSparkline(values, {
+  width = 240,
+  height = 60,
+  padding = 4,
+  line = [37, 99, 235],
+  area = [219, 234, 254],
+  background = [255, 255, 255]
+} = {}) {
+  const points = downsample(values.filter(Number.isFinite), width - 2 * padding);
+  if (points.length < 2) return null;
+
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = background[0];
+    pixels[i * 3 + 1] = background[1];
+    pixels[i * 3 + 2] = background[2];
+  }
+
+  const setPixel = (x, y, [r, g, b]) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const offset = (y * width + x) * 3;
+    pixels[offset] = r;
+    pixels[offset + 1] = g;
+    pixels[offset + 2] = b;
+  };
+
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min || 1;
+  const plotWidth = width - 2 * padding - 1;
+  const plotHeight = height - 2 * padding - 1;
+  const coords = points.map((value, i) => [
+    Math.round(padding + i * plotWidth / (points.length - 1)),
+    Math.round(padding + (value - min) / range * plotHeight)
+  ]);
+
+  // Shade below the line down to the bottom edge
+  for (let i = 1; i < coords.length; i++) {
+    const [x0, y0] = coords[i - 1];
+    const [x1, y1] = coords[i];
+    for (let x = x0; x <= x1; x++) {
+      const top = x1 === x0 ? y1 : Math.round(y0 + (y1 - y0) * (x - x0) / (x1 - x0));
+      for (let y = top + 1; y < height - padding; y++) setPixel(x, y, area);
+    }
+  }
+
+  // Two pixel wide line between consecutive points
+  for (let i = 1; i < coords.length; i++) {
+    let [x0, y0] = coords[i - 1];
+    const [x1, y1] = coords[i];
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+
+    while (true) {
+      setPixel(x0, y0, line);
+      setPixel(x0, y0 + 1, line);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+  }
+
+  // Mark the latest value
+  const [lastX, lastY] = coords[coords.length - 1];
+  for (let x = lastX - 2; x <= lastX + 2; x++) {
+    for (let y = lastY - 2; y <= lastY + 2; y++) setPixel(x, y, line);
+  }
+
+  return encodePng(width, height, pixels);
+}
+
+module.exports = {
+  encodePng,
+  renderSparkline
+};
@@ -0,0 +1,349 @@
+const User = require('../models/User');
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+const Notification = require('../models/Notification');
+const { calculateMannKendallTrend } = require('./statisticalAnalysis');
+const { renderSparkline } = require('./chartRenderer');
+const { renderTemplate } = require('./emailTemplates');
+const { sendEmailNotification, recordNotification, isSuccessful } = require('./notificationService');
+
+const DIGEST_OPTIONS = {
+  trendDays: 90, // Mann-Kendall window, tested on daily means
+  chartDays: { daily: 7, weekly: 30 },
+  periodDays: { daily: 1, weekly: 7 }, // lookback for a first digest
+  minGapHours: { daily: 20, weekly: 6 * 24 }, // guards against a second send in the same slot
+  defaultTimezone: 'Asia/Kolkata'
+};
+
+const SIGNIFICANT = ['significant', 'very_significant', 'highly_significant'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local hour and weekday of a moment in the given IANA timezone
+ */
+function getLocalTime(date, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || DIGEST_OPTIONS.defaultTimezone,
+      hour: 'numeric',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(date);
+  } catch (error) {
+    // Unknown timezone stored before validation; use the default instead of skipping the user
+    return getLocalTime(date, DIGEST_OPTIONS.defaultTimezone);
+  }
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    hour: parseInt(parts.find(p => p.type === 'hour').value),
+    weekday: weekdays.indexOf(parts.find(p => p.type === 'weekday').value)
+  };
+}
+
+/**
+ * Whether the user's digest should go out at this moment
+ */
+function isDigestDue(digest, now = new Date()) {
+  if (!digest || !['daily', 'weekly'].includes(digest.frequency)) return false;
+
+  const local = getLocalTime(now, digest.timezone);
+  if (local.hour !== digest.hour) return false;
+  if (digest.frequency === 'weekly' && local.weekday !== digest.weekday) return false;
+
+  const minGapMs = DIGEST_OPTIONS.minGapHours[digest.frequency] * 60 * 60 * 1000;
+  return !digest.lastSentAt || now - new Date(digest.lastSentAt) >= minGapMs;
+}
+
+/**
+ * Verified readings of a station over the trend window, oldest first
+ */
+async function loadStationReadings(stationId, now) {
+  return await Reading.find({
+    stationId,
+    timestamp: { $gte: new Date(now.getTime() - DIGEST_OPTIONS.trendDays * DAY_MS), $lte: now },
+    isActive: true,
+    ...Reading.UNFLAGGED
+  })
+    .select('waterLevel timestamp')
+    .sort({ timestamp: 1 })
+    .lean();
+}
+
+/**
+ * Mann-Kendall trend of daily mean depths, reported for the water table
+ */
+function summarizeTrend(readings) {
+  const days = new Map();
+  for (const reading of readings) {
+    const day = Math.floor(reading.timestamp.getTime() / DAY_MS);
+    const bucket = days.get(day) || { sum: 0, count: 0 };
+    bucket.sum += reading.waterLevel;
+    bucket.count++;
+    days.set(day, bucket);
+  }
+
+  const dayKeys = Array.from(days.keys());
+  const result = calculateMannKendallTrend(
+    dayKeys.map(day => days.get(day).sum / days.get(day).count),
+    dayKeys.map(day => day * DAY_MS)
+  );
+
+  // The series is depth below ground, so rising depth means a declining water table
+  const direction = result.direction === 'rising' ? 'declining' : result.direction === 'falling' ? 'recovering' : 'stable';
+  const significant = SIGNIFICANT.includes(result.significance);
+
+  let text;
+  if (result.significance === 'insufficient_data') {
+    text = 'Not enough data';
+  } else if (!significant || direction === 'stable') {
+    text = 'No significant trend';
+  } else {
+    text = `Water table ${direction} (${Math.abs(result.trend * 30).toFixed(2)} m/month, p=${result.pValue.toFixed(3)})`;
+  }
+
+  return {
+    direction,
+    significance: result.significance,
+    slopePerDay: result.trend,
+    pValue: result.pValue,
+    text
+  };
+}
+
+/**
+ * Change in depth between the last reading before `since` and the latest reading
+ */
+function summarizeChange(readings, since) {
+  const latest = readings[readings.length - 1];
+  let baseline = null;
+  for (const reading of readings) {
+    if (reading.timestamp > since) break;
+    baseline = reading;
+  }
+  baseline = baseline || readings[0];
+
+  if (!latest || baseline === latest) {
+    return { value: null, text: 'No new readings', color: '#6c757d' };
+  }
+
+  const value = latest.waterLevel - baseline.waterLevel;
+  if (Math.abs(value) < 0.005) {
+    return { value: 0, text: 'No change', color: '#6c757d' };
+  }
+
+  // Deeper water means the table fell
+  return value > 0
+    ? { value, text: `Water table fell ${value.toFixed(2)} m`, color: '#dc3545' }
+    : { value, text: `Water table rose ${Math.abs(value).toFixed(2)} m`, color: '#28a745' };
+}
+
+/**
+ * Conditions currently affecting the station
+ */
+function getActiveConditions(station) {
+  const conditions = [];
+  const level = station.waterLevelStatus;
+
+  if (level === 'critical' || level === 'low') {
+    conditions.push(`Water level is ${level}`);
+  }
+  if (station.status === 'maintenance') {
+    conditions.push('Station is under maintenance');
+  }
+  for (const issue of station.health?.issues || []) {
+    conditions.push(issue.message);
+  }
+
+  return conditions;
+}
+
+function formatTime(date, timezone) {
+  try {
+    return new Date(date).toLocaleString('en-IN', { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' });
+  } catch (error) {
+    return new Date(date).toLocaleString('en-IN', { timeZone: DIGEST_OPTIONS.defaultTimezone, dateStyle: 'medium', timeStyle: 'short' });
+  }
+}
+
+/**
+ * Build a user's digest; `cache` shares station readings across users within one run
+ */
+async function buildDigest(user, { now = new Date(), cache = new Map() } = {}) {
+  const digest = user.preferences.digest || {};
+  const frequency = digest.frequency === 'weekly' ? 'weekly' : 'daily';
+  const timezone = digest.timezone || DIGEST_OPTIONS.defaultTimezone;
+  const since = digest.lastSentAt || new Date(now.getTime() - DIGEST_OPTIONS.periodDays[frequency] * DAY_MS);
+  const chartDays = DIGEST_OPTIONS.chartDays[frequency];
+
+  const stations = await Station.find({
+    _id: { $in: user.preferences.monitoringStations },
+    isActive: true
+  }).populate('thresholds.profile');
+
+  const notifications = await Notification.find({
+    user: user._id,
+    station: { $in: stations.map(s => s._id) },
+    type: { $nin: ['digest', 'test', 'general'] },
+    createdAt: { $gt: since },
+    isActive: true
+  }).sort({ createdAt: -1 }).lean();
+
+  const charts = [];
+  const sections = [];
+
+  for (const station of stations) {
+    const key = station._id.toString();
+    if (!cache.has(key)) {
+      cache.set(key, await loadStationReadings(station._id, now));
+    }
+    const readings = cache.get(key);
+    const latest = readings[readings.length - 1];
+
+    const alerts = new Map();
+    for (const notification of notifications.filter(n => n.station?.toString() === key)) {
+      const entry = alerts.get(notification.title) || { title: notification.title, count: 0, lastAt: formatTime(notification.createdAt, timezone) };
+      entry.count++;
+      alerts.set(notification.title, entry);
+    }
+
+    const chartStart = now.getTime() - chartDays * DAY_MS;
+    const chart = renderSparkline(readings.filter(r => r.timestamp.getTime() >= chartStart).map(r => r.waterLevel));
+    const chartId = `station-${key}@digest`;
+    if (chart) charts.push({ cid: chartId, content: chart });
+
+    sections.push({
+      id: key,
+      name: station.name,
+      stationId: station.stationId,
+      location: [station.address?.district, station.address?.state].filter(Boolean).join(', '),
+      latest: latest ? {
+        level: latest.waterLevel.toFixed(2),
+        status: station.waterLevelStatus,
+        time: formatTime(latest.timestamp, timezone)
+      } : null,
+      change: summarizeChange(readings, since),
+      trend: summarizeTrend(readings),
+      conditions: getActiveConditions(station),
+      alerts: Array.from(alerts.values()),
+      chartId: chart ? chartId : null
+    });
+  }
+
+  return {
+    frequency,
+    since,
+    charts,
+    context: {
+      userName: user.name,
+      frequencyLabel: frequency,
+      sinceLabel: digest.lastSentAt ? `your last digest on ${formatTime(since, timezone)}` : `${formatTime(since, timezone)}`,
+      trendDays: DIGEST_OPTIONS.trendDays,
+      chartDays,
+      dashboardUrl: `${process.env.CLIENT_URL}/dashboard`,
+      stations: sections
+    }
+  };
+}
+
+/**
+ * Render a built digest; charts are referenced by content id for email or inlined as data URIs
+ */
+function renderDigest({ context, charts }, { inlineCharts = false } = {}) {
+  const chartSrc = new Map(charts.map(chart => [
+    chart.cid,
+    inlineCharts ? `data:image/png;base64,${chart.content.toString('base64')}` : `cid:${chart.cid}`
+  ]));
+  const data = {
+    ...context,
+    stations: context.stations.map(station => ({ ...station, chartSrc: chartSrc.get(station.chartId) }))
+  };
+
+  return {
+    html: renderTemplate('digest.html.hbs', data),
+    text: renderTemplate('digest.text.hbs', data)
+  };
+}
+
+/**
+ * Build, render and email a user's digest, then record it and move lastSentAt forward
+ */
+async function sendDigest(user, { now = new Date(), cache } = {}) {
+  const digest = await buildDigest(user, { now, cache });
+  const { html, text } = renderDigest(digest);
+  const title = `Your ${digest.frequency} station digest`;
+  const message = `Summary of ${digest.context.stations.length} monitored station(s) since ${digest.since.toISOString()}`;
+
+  const receipt = await sendEmailNotification({
+    user,
+    title,
+    message,
+    subject: `[Groundwater Digest] ${title}`,
+    html,
+    text,
+    attachments: digest.charts.map(chart => ({
+      filename: `${chart.cid.split('@')[0]}.png`,
+      content: chart.content,
+      cid: chart.cid
+    }))
+  });
+
+  await recordNotification({
+    user,
+    channel: 'email',
+    title,
+    message,
+    data: { alertType: 'digest', frequency: digest.frequency, stations: digest.context.stations.length },
+    receipt
+  });
+
+  const delivered = isSuccessful(receipt);
+
+  // A failed delivery keeps lastSentAt, so the next digest still covers this period
+  if (delivered) {
+    await User.updateOne({ _id: user._id }, { 'preferences.digest.lastSentAt': now });
+  }
+
+  return delivered;
+}
+
+/**
+ * Send digests to every user whose delivery hour is now
+ */
+async function sendDueDigests(now = new Date()) {
+  const users = await User.find({
+    isActive: true,
+    emailVerified: true,
+    'preferences.notifications.email': true,
+    'preferences.digest.frequency': { $in: ['daily', 'weekly'] },
+    'preferences.monitoringStations.0': { $exists: true }
+  });
+
+  const cache = new Map();
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    if (!isDigestDue(user.preferences.digest, now)) continue;
+
+    try {
+      if (await sendDigest(user, { now, cache })) sent++;
+      else failed++;
+    } catch (error) {
+      console.error(`Digest error for user ${user._id}:`, error);
+      failed++;
+    }
+  }
+
+  return { subscribers: users.length, sent, failed };
+}
+
+module.exports = {
+  DIGEST_OPTIONS,
+  isDigestDue,
+  buildDigest,
+  renderDigest,
+  sendDigest,
+  sendDueDigests
+};
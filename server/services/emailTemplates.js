@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const handlebars = Handlebars.create();
+handlebars.registerHelper('gt', (a, b) => a > b);
+
+const templates = {};
+
+/**
+ * Render an email template from templates/email; .text.hbs templates are not HTML-escaped
+ */
+function renderTemplate(name, data) {
+  if (!templates[name]) {
+    const source = fs.readFileSync(path.join(TEMPLATE_DIR, name), 'utf8');
+    templates[name] = handlebars.compile(source, { noEscape: name.endsWith('.text.hbs') });
+  }
+  return templates[name](data);
+}
+
+module.exports = {
+  renderTemplate
+};
@@ -0,0 +1,183 @@
+const os = require('os');
+const crypto = require('crypto');
+const { createClient } = require('redis');
+
+const EVENT_BUS_OPTIONS = {
+  url: process.env.REDIS_URL,
+  channel: process.env.EVENT_BUS_CHANNEL || 'groundwater:events'
+};
+
+// Identifies this process so it can ignore its own events coming back from Redis
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+const subscriptions = [];
+let publisher = null;
+let subscriber = null;
+let busState = { connected: false, url: null, channel: null, since: null, lastError: null };
+const counters = { published: 0, received: 0, handlerErrors: 0 };
+
+/**
+ * Whether an event type matches a subscription pattern: exact, "prefix.*" or "*"
+ */
+function matchesPattern(pattern, type) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+  return pattern === type;
+}
+
+/**
+ * Subscribe to events; handlers run on the publishing instance only, unless everyInstance is set
+ * (for per-process state such as caches). Returns a function that removes the subscription.
+ */
+function subscribe(pattern, handler, { everyInstance = false } = {}) {
+  const subscription = { pattern, handler, everyInstance };
+  subscriptions.push(subscription);
+
+  return () => {
+    const index = subscriptions.indexOf(subscription);
+    if (index !== -1) subscriptions.splice(index, 1);
+  };
+}
+
+/**
+ * Run the handlers for an event; local events reach every subscriber, remote ones only everyInstance subscribers
+ */
+function dispatch(event, { remote = false } = {}) {
+  for (const subscription of subscriptions) {
+    if (!matchesPattern(subscription.pattern, event.type)) continue;
+    if (remote && !subscription.everyInstance) continue;
+
+    // Handlers run after the publisher moves on; one failing does not affect the others
+    Promise.resolve()
+      .then(() => subscription.handler(event.payload, event))
+      .catch(error => {
+        counters.handlerErrors++;
+        console.error(`Event handler error for ${event.type}:`, error);
+      });
+  }
+}
+
+/**
+ * Publish a domain event. Local handlers receive the payload as given (documents included);
+ * other instances receive its JSON form through Redis.
+ */
+function publish(type, payload) {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    occurredAt: new Date(),
+    origin: INSTANCE_ID
+  };
+
+  counters.published++;
+  dispatch(event);
+
+  if (publisher?.isReady) {
+    publisher.publish(busState.channel, JSON.stringify(event))
+      .catch(error => console.error('Event bus publish error:', error));
+  }
+
+  return event;
+}
+
+/**
+ * Handle an event relayed by Redis from another instance
+ */
+function handleRemoteMessage(message) {
+  let event;
+  try {
+    event = JSON.parse(message);
+  } catch (error) {
+    console.error('Event bus received an invalid message:', error.message);
+    return;
+  }
+
+  if (!event?.type || event.origin === INSTANCE_ID) return;
+
+  counters.received++;
+  dispatch(event, { remote: true });
+}
+
+// Redis URLs often carry a password; status output shows only the host
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Connect to Redis so events are shared with the other API instances (enabled by REDIS_URL)
+ */
+async function startEventBus(options = {}) {
+  const config = { ...EVENT_BUS_OPTIONS, ...options };
+  if (!config.url) return null;
+  if (publisher) return publisher;
+
+  publisher = createClient({ url: config.url });
+  subscriber = publisher.duplicate();
+  busState = { connected: false, url: redactUrl(config.url), channel: config.channel, since: null, lastError: null };
+
+  for (const client of [publisher, subscriber]) {
+    client.on('error', error => {
+      // Reconnection attempts repeat the same error; log it once
+      if (busState.lastError !== error.message) console.error('Event bus Redis error:', error.message);
+      busState.lastError = error.message;
+    });
+  }
+  subscriber.on('ready', () => {
+    busState.connected = true;
+    busState.since = new Date();
+    busState.lastError = null;
+  });
+  subscriber.on('end', () => {
+    busState.connected = false;
+    busState.since = new Date();
+  });
+
+  await Promise.all([publisher.connect(), subscriber.connect()]);
+  await subscriber.subscribe(config.channel, handleRemoteMessage);
+  console.log(`Event bus connected to Redis channel ${config.channel}`);
+
+  return publisher;
+}
+
+/**
+ * Disconnect from Redis; events keep being delivered to local subscribers
+ */
+async function stopEventBus() {
+  const clients = [publisher, subscriber].filter(Boolean);
+  publisher = null;
+  subscriber = null;
+  busState.connected = false;
+  await Promise.all(clients.map(client => client.quit().catch(() => client.disconnect())));
+}
+
+/**
+ * Bus connection status and this instance's counters
+ */
+function getEventBusStatus() {
+  return {
+    enabled: Boolean(publisher),
+    instanceId: INSTANCE_ID,
+    ...busState,
+    subscriptions: subscriptions.length,
+    ...counters
+  };
+}
+
+module.exports = {
+  EVENT_BUS_OPTIONS,
+  INSTANCE_ID,
+  matchesPattern,
+  subscribe,
+  publish,
+  startEventBus,
+  stopEventBus,
+  getEventBusStatus
+};
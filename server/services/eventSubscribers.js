@@ -0,0 +1,81 @@
+const { subscribe, INSTANCE_ID } = require('./eventBus');
+
+let registered = false;
+
+/**
+ * Subscribe the socket layer, alerting and per-process caches to domain events
+ */
+function registerEventSubscribers() {
+  if (registered) return;
+  registered = true;
+
+  const { emitStationEvent, emitToUser, closeSessionSockets } = require('./socketService');
+  const { evaluateReading } = require('./alertService');
+  const { loadActiveModel } = require('./mlPredictionService');
+  const { clearTwoFactorPolicyCache } = require('./twoFactorService');
+
+  // Socket.IO emits run on the publishing instance; the Redis adapter carries them to the others
+  subscribe('reading.created', ({ station, reading }) => {
+    emitStationEvent(station, 'new-reading', {
+      stationId: station._id,
+      reading: {
+        waterLevel: reading.waterLevel,
+        status: reading.waterLevelStatus,
+        timestamp: reading.timestamp,
+        qualityFlags: reading.qualityFlags
+      }
+    });
+  });
+
+  subscribe('alert.fired', ({ station, alert }) => {
+    emitStationEvent(station, 'station-alert', alert, { region: true, ops: true });
+  });
+
+  subscribe('station.status_changed', ({ station, previousStatus, status, reason }) => {
+    emitStationEvent(station, 'station-status', {
+      stationId: station._id,
+      previousStatus,
+      status,
+      reason
+    }, { ops: true });
+  });
+
+  subscribe('station.health_changed', ({ station, health }) => {
+    emitStationEvent(station, 'station-health', {
+      stationId: station._id,
+      status: station.status,
+      health
+    }, { ops: true });
+  });
+
+  subscribe('device.status_changed', ({ station, connected, since }) => {
+    emitStationEvent(station, 'device-status', {
+      stationId: station._id,
+      connected,
+      since
+    }, { ops: true });
+  });
+
+  subscribe('notification.created', ({ userId, notification }) => {
+    emitToUser(userId, 'notification', notification);
+  });
+
+  subscribe('session.revoked', ({ sessionIds }) => closeSessionSockets(sessionIds));
+
+  // Alert rules are evaluated once, by the instance that stored the reading
+  subscribe('reading.created', ({ station, reading }) => evaluateReading(reading, station));
+
+  // Every instance keeps its own copy of the active model; the publishing one has already switched
+  subscribe('model.activated', (payload, event) => {
+    if (event.origin !== INSTANCE_ID) return loadActiveModel();
+  }, { everyInstance: true });
+
+  // Policy changes take effect everywhere at once rather than when each instance's cache expires
+  subscribe('security_policy.updated', (payload, event) => {
+    if (event.origin !== INSTANCE_ID) clearTwoFactorPolicyCache();
+  }, { everyInstance: true });
+}
+
+module.exports = {
+  registerEventSubscribers
+};
@@ -0,0 +1,298 @@
+const simpleStats = require('simple-statistics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEASONAL_PERIOD = 365; // days, annual monsoon recharge cycle
+const MIN_SEASONAL_DAYS = SEASONAL_PERIOD + 90;
+const MIN_HOLT_DAYS = 14;
+const MIN_LINEAR_READINGS = 3;
+const MIN_LINEAR_DAYS = 2; // readings all taken at one time leave the trend undefined
+
+const MODELS = ['auto', 'holt-winters', 'holt', 'linear'];
+
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+// Parameter grids searched when fitting exponential smoothing models
+const GRID = {
+  alpha: [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9],
+  beta: [0, 0.01, 0.05, 0.1, 0.2],
+  gamma: [0.05, 0.1, 0.2, 0.3, 0.5],
+  phi: [0.9, 0.98]
+};
+
+/**
+ * Resample irregular readings onto a daily grid using daily means,
+ * filling missing days by linear interpolation in time
+ */
+function resampleDaily(readings) {
+  if (readings.length === 0) return null;
+
+  const buckets = new Map();
+  readings.forEach(r => {
+    const day = Math.floor(new Date(r.timestamp).getTime() / DAY_MS);
+    if (!buckets.has(day)) buckets.set(day, []);
+    buckets.get(day).push(r.waterLevel);
+  });
+
+  const days = [...buckets.keys()].sort((a, b) => a - b);
+  const firstDay = days[0];
+  const lastDay = days[days.length - 1];
+  const values = new Array(lastDay - firstDay + 1).fill(null);
+
+  days.forEach(day => {
+    values[day - firstDay] = simpleStats.mean(buckets.get(day));
+  });
+
+  // Linear interpolation across gaps
+  let filled = 0;
+  let previous = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] === null) continue;
+    for (let j = previous + 1; j < i; j++) {
+      values[j] = values[previous] + (values[i] - values[previous]) * (j - previous) / (i - previous);
+      filled++;
+    }
+    previous = i;
+  }
+
+  return {
+    start: new Date(firstDay * DAY_MS),
+    end: new Date(lastDay * DAY_MS),
+    values,
+    observedDays: days.length,
+    filledDays: filled
+  };
+}
+
+/**
+ * Run additive Holt-Winters (or damped Holt when period is 0) over a series
+ */
+function runExponentialSmoothing(y, { alpha, beta, gamma = 0, phi = 1, period = 0 }) {
+  const n = y.length;
+  const season = new Array(period).fill(0);
+  let level;
+  let trend;
+  let start;
+
+  if (period > 0) {
+    const firstCycle = simpleStats.mean(y.slice(0, period));
+    level = firstCycle;
+    trend = n >= 2 * period
+      ? (simpleStats.mean(y.slice(period, 2 * period)) - firstCycle) / period
+      : 0;
+    for (let i = 0; i < period; i++) season[i] = y[i] - firstCycle;
+    start = period;
+  } else {
+    level = y[0];
+    trend = y[1] - y[0];
+    start = 1;
+  }
+
+  const residuals = [];
+  for (let t = start; t < n; t++) {
+    const s = period > 0 ? season[t % period] : 0;
+    const fitted = level + phi * trend + s;
+    residuals.push(y[t] - fitted);
+
+    const newLevel = alpha * (y[t] - s) + (1 - alpha) * (level + phi * trend);
+    trend = beta * (newLevel - level) + (1 - beta) * phi * trend;
+    if (period > 0) season[t % period] = gamma * (y[t] - newLevel) + (1 - gamma) * s;
+    level = newLevel;
+  }
+
+  const sse = residuals.reduce((sum, e) => sum + e * e, 0);
+
+  return { level, trend, season, residuals, sse, n };
+}
+
+/**
+ * Fit smoothing parameters by minimising one-step-ahead squared error over a grid
+ */
+function fitExponentialSmoothing(y, period = 0) {
+  let best = null;
+  const gammas = period > 0 ? GRID.gamma : [0];
+
+  for (const alpha of GRID.alpha) {
+    for (const beta of GRID.beta) {
+      for (const gamma of gammas) {
+        for (const phi of GRID.phi) {
+          const params = { alpha, beta, gamma, phi, period };
+          const state = runExponentialSmoothing(y, params);
+          if (!best || state.sse < best.state.sse) {
+            best = { params, state };
+          }
+        }
+      }
+    }
+  }
+
+  const { params, state } = best;
+  const parameterCount = period > 0 ? 4 : 3;
+  const dof = Math.max(1, state.residuals.length - parameterCount);
+
+  return {
+    params,
+    state,
+    sigma: Math.sqrt(state.sse / dof)
+  };
+}
+
+/**
+ * Forecast h steps ahead from a fitted smoothing model with prediction intervals
+ * Variance follows the ETS(A,Ad,A) closed form: sigma^2 * (1 + sum c_j^2)
+ */
+function forecastExponentialSmoothing(fit, horizon, z) {
+  const { params, state, sigma } = fit;
+  const { alpha, beta, gamma, phi, period } = params;
+  const results = [];
+
+  let dampedSum = 0;
+  let varianceSum = 0;
+
+  for (let h = 1; h <= horizon; h++) {
+    dampedSum += Math.pow(phi, h);
+    const s = period > 0 ? state.season[(state.n - 1 + h) % period] : 0;
+    const mean = state.level + dampedSum * state.trend + s;
+
+    const spread = z * sigma * Math.sqrt(1 + varianceSum);
+    results.push({ mean, lower: mean - spread, upper: mean + spread });
+
+    // c_j for the next step, in ETS parameterisation (beta* = alpha*beta, gamma* = gamma*(1-alpha))
+    const seasonalTerm = period > 0 && h % period === 0 ? gamma * (1 - alpha) : 0;
+    const c = alpha + alpha * beta * dampedSum + seasonalTerm;
+    varianceSum += c * c;
+  }
+
+  return results;
+}
+
+/**
+ * Fit an ordinary least squares trend on the actual time axis (days)
+ */
+function fitLinearTrend(readings) {
+  const t0 = new Date(readings[0].timestamp).getTime();
+  const points = readings.map(r => [
+    (new Date(r.timestamp).getTime() - t0) / DAY_MS,
+    r.waterLevel
+  ]);
+
+  const { m, b } = simpleStats.linearRegression(points);
+  const xs = points.map(p => p[0]);
+  const xMean = simpleStats.mean(xs);
+  const sxx = xs.reduce((sum, x) => sum + (x - xMean) * (x - xMean), 0);
+  const sse = points.reduce((sum, [x, yv]) => sum + Math.pow(yv - (m * x + b), 2), 0);
+  const sigma = Math.sqrt(sse / Math.max(1, points.length - 2));
+
+  return { slope: m, intercept: b, t0, xMean, sxx, sigma, n: points.length };
+}
+
+/**
+ * Choose the model to use given the requested one and the available history
+ */
+function selectModel(requested, historyDays, readingCount) {
+  const available = {
+    'holt-winters': historyDays >= MIN_SEASONAL_DAYS,
+    holt: historyDays >= MIN_HOLT_DAYS,
+    linear: readingCount >= MIN_LINEAR_READINGS && historyDays >= MIN_LINEAR_DAYS
+  };
+
+  if (requested !== 'auto' && available[requested]) return requested;
+
+  return ['holt-winters', 'holt', 'linear'].find(model => available[model]) || null;
+}
+
+/**
+ * Forecast a station's water level from its readings
+ */
+function forecastReadings(readings, { horizonDays = 30, model = 'auto', confidenceLevel = 0.95 } = {}) {
+  const sorted = [...readings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const series = resampleDaily(sorted);
+
+  if (!series) return null;
+
+  const chosen = selectModel(model, series.values.length, sorted.length);
+  if (!chosen) return null;
+
+  const z = Z_SCORES[confidenceLevel] || Z_SCORES[0.95];
+  const warnings = [];
+
+  if (model !== 'auto' && model !== chosen) {
+    warnings.push(`Not enough history for ${model}; fell back to ${chosen}`);
+  }
+
+  let steps;
+  let parameters;
+  let residualStdDev;
+  let origin;
+
+  if (chosen === 'linear') {
+    const fit = fitLinearTrend(sorted);
+    origin = new Date(sorted[sorted.length - 1].timestamp);
+    const originX = (origin.getTime() - fit.t0) / DAY_MS;
+
+    steps = [];
+    for (let h = 1; h <= horizonDays; h++) {
+      const x = originX + h;
+      const mean = fit.slope * x + fit.intercept;
+      const leverage = fit.sxx > 0 ? Math.pow(x - fit.xMean, 2) / fit.sxx : 0;
+      const spread = z * fit.sigma * Math.sqrt(1 + 1 / fit.n + leverage);
+      steps.push({ mean, lower: mean - spread, upper: mean + spread });
+    }
+
+    parameters = { slopePerDay: fit.slope, intercept: fit.intercept };
+    residualStdDev = fit.sigma;
+  } else {
+    const period = chosen === 'holt-winters' ? SEASONAL_PERIOD : 0;
+    const fit = fitExponentialSmoothing(series.values, period);
+    origin = series.end;
+
+    steps = forecastExponentialSmoothing(fit, horizonDays, z);
+    parameters = {
+      alpha: fit.params.alpha,
+      beta: fit.params.beta,
+      gamma: period > 0 ? fit.params.gamma : undefined,
+      phi: fit.params.phi,
+      seasonalPeriod: period || undefined
+    };
+    residualStdDev = fit.sigma;
+  }
+
+  if (series.filledDays > series.values.length * 0.3) {
+    warnings.push(`${series.filledDays} of ${series.values.length} days were interpolated; intervals may be optimistic`);
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    model: chosen,
+    requestedModel: model,
+    parameters,
+    confidenceLevel: Z_SCORES[confidenceLevel] ? confidenceLevel : 0.95,
+    residualStdDev: round(residualStdDev),
+    history: {
+      start: series.start,
+      end: series.end,
+      readings: sorted.length,
+      days: series.values.length,
+      interpolatedDays: series.filledDays
+    },
+    // Depth below ground cannot be negative
+    predictions: steps.map((step, i) => ({
+      date: new Date(origin.getTime() + (i + 1) * DAY_MS),
+      predictedLevel: round(Math.max(0, step.mean)),
+      lower: round(Math.max(0, step.lower)),
+      upper: round(Math.max(0, step.upper))
+    })),
+    warnings
+  };
+}
+
+module.exports = {
+  MODELS,
+  resampleDaily,
+  runExponentialSmoothing,
+  fitExponentialSmoothing,
+  forecastExponentialSmoothing,
+  fitLinearTrend,
+  selectModel,
+  forecastReadings
+};
@@ -0,0 +1,368 @@
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+const ThresholdProfile = require('../models/ThresholdProfile');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const YEAR_MS = 365 * DAY_MS;
+
+// Expected spacing of readings for each Station.metadata.dataFrequency
+const FREQUENCY_MS = {
+  hourly: HOUR_MS,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+const GAP_OPTIONS = {
+  lookbackDays: 30,
+  method: 'auto', // 'auto' | 'linear' | 'spline' | 'seasonal'
+  gapTolerance: 1.5, // spacing beyond this many expected intervals is a gap
+  splineMaxDays: 2, // auto mode uses a spline up to this length, seasonal beyond it
+  maxFillDays: 30, // longer outages are reported but never filled
+  baseConfidence: { linear: 70, spline: 70, seasonal: 50 }
+};
+
+/**
+ * Get a station's expected reading interval in milliseconds
+ */
+function getExpectedInterval(station) {
+  return FREQUENCY_MS[station.metadata?.dataFrequency] || FREQUENCY_MS.hourly;
+}
+
+/**
+ * Find spacings between consecutive readings that exceed the expected interval
+ */
+function findGaps(readings, intervalMs, { gapTolerance = GAP_OPTIONS.gapTolerance } = {}) {
+  const gaps = [];
+
+  for (let i = 1; i < readings.length; i++) {
+    const start = new Date(readings[i - 1].timestamp).getTime();
+    const end = new Date(readings[i].timestamp).getTime();
+    const missing = Math.round((end - start) / intervalMs) - 1;
+
+    if (end - start > gapTolerance * intervalMs && missing > 0) {
+      gaps.push({
+        index: i,
+        start: new Date(start),
+        end: new Date(end),
+        missing,
+        durationHours: Math.round((end - start) / HOUR_MS * 10) / 10
+      });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Estimate the missing values in a gap. Returns null when the method lacks the data it needs.
+ */
+function interpolateGap(readings, gap, intervalMs, method, reference = []) {
+  const before = readings[gap.index - 1];
+  const after = readings[gap.index];
+  const t0 = new Date(before.timestamp).getTime();
+  const t1 = new Date(after.timestamp).getTime();
+  const v0 = before.waterLevel;
+  const v1 = after.waterLevel;
+
+  const times = [];
+  for (let k = 1; k <= gap.missing; k++) {
+    times.push(t0 + k * intervalMs);
+  }
+
+  const linear = t => v0 + (v1 - v0) * (t - t0) / (t1 - t0);
+
+  if (method === 'linear') {
+    return times.map(t => ({ timestamp: new Date(t), waterLevel: linear(t) }));
+  }
+
+  if (method === 'spline') {
+    // Monotone cubic Hermite (Fritsch-Carlson) so fills never overshoot the endpoints
+    const slope = (a, b) => (b.waterLevel - a.waterLevel) / (new Date(b.timestamp) - new Date(a.timestamp));
+    const secant = (v1 - v0) / (t1 - t0);
+    const slopeBefore = gap.index >= 2 ? slope(readings[gap.index - 2], before) : secant;
+    const slopeAfter = gap.index + 1 < readings.length ? slope(after, readings[gap.index + 1]) : secant;
+    const tangent = (a, b) => {
+      if (a * b <= 0) return 0;
+      const mean = 2 / (1 / a + 1 / b);
+      return Math.sign(mean) * Math.min(Math.abs(mean), 3 * Math.abs(a), 3 * Math.abs(b));
+    };
+    const m0 = secant === 0 ? 0 : tangent(slopeBefore, secant);
+    const m1 = secant === 0 ? 0 : tangent(secant, slopeAfter);
+    const h = t1 - t0;
+
+    return times.map(t => {
+      const s = (t - t0) / h;
+      const h00 = 2 * s ** 3 - 3 * s ** 2 + 1;
+      const h10 = s ** 3 - 2 * s ** 2 + s;
+      const h01 = -2 * s ** 3 + 3 * s ** 2;
+      const h11 = s ** 3 - s ** 2;
+      return { timestamp: new Date(t), waterLevel: h00 * v0 + h10 * h * m0 + h01 * v1 + h11 * h * m1 };
+    });
+  }
+
+  if (method === 'seasonal') {
+    // Follow the shape of the same window last year, pinned to this year's endpoints
+    const referenceAt = t => valueAt(reference, t - YEAR_MS, 3 * intervalMs + DAY_MS);
+    const r0 = referenceAt(t0);
+    const r1 = referenceAt(t1);
+    if (r0 === null || r1 === null) return null;
+
+    const values = [];
+    for (const t of times) {
+      const r = referenceAt(t);
+      if (r === null) return null;
+      const referenceLinear = r0 + (r1 - r0) * (t - t0) / (t1 - t0);
+      values.push({ timestamp: new Date(t), waterLevel: linear(t) + (r - referenceLinear) });
+    }
+    return values;
+  }
+
+  return null;
+}
+
+/**
+ * Linearly interpolate a sorted series at a time, or null if no reading is close enough
+ */
+function valueAt(series, t, maxDistanceMs) {
+  let lower = null;
+  let upper = null;
+  for (const r of series) {
+    const rt = new Date(r.timestamp).getTime();
+    if (rt <= t) lower = r;
+    if (rt >= t) { upper = r; break; }
+  }
+
+  if (!lower || !upper) return null;
+
+  const lt = new Date(lower.timestamp).getTime();
+  const ut = new Date(upper.timestamp).getTime();
+  if (t - lt > maxDistanceMs || ut - t > maxDistanceMs) return null;
+  if (ut === lt) return lower.waterLevel;
+
+  return lower.waterLevel + (upper.waterLevel - lower.waterLevel) * (t - lt) / (ut - lt);
+}
+
+/**
+ * Find and fill a station's telemetry gaps with interpolated readings
+ */
+async function fillStationGaps(station, options = {}) {
+  const config = { ...GAP_OPTIONS, ...options };
+  const intervalMs = getExpectedInterval(station);
+  const endDate = config.endDate ? new Date(config.endDate) : new Date();
+  const startDate = new Date(endDate.getTime() - config.lookbackDays * DAY_MS);
+
+  const allReadings = await Reading.getReadingsInRange(station._id, startDate, endDate);
+
+  // Real telemetry that arrived late replaces earlier fills in the same slot
+  const observed = allReadings.filter(r => r.metadata?.dataSource !== 'interpolated');
+  const superseded = allReadings.filter(r => (
+    r.metadata?.dataSource === 'interpolated' &&
+    observed.some(o => Math.abs(o.timestamp - r.timestamp) < intervalMs / 2)
+  ));
+  if (superseded.length > 0) {
+    await Reading.updateMany(
+      { _id: { $in: superseded.map(r => r._id) } },
+      { $set: { isActive: false } }
+    );
+  }
+
+  const supersededIds = new Set(superseded.map(r => r._id.toString()));
+  const readings = allReadings.filter(r => !supersededIds.has(r._id.toString()));
+  const gaps = findGaps(readings, intervalMs, config)
+    .filter(gap => gap.end - gap.start <= config.maxFillDays * DAY_MS);
+
+  const bands = await station.resolveThresholdBands();
+  const generatedAt = new Date();
+  const filled = [];
+
+  for (const gap of gaps) {
+    const before = readings[gap.index - 1];
+    const after = readings[gap.index];
+    const method = config.method === 'auto'
+      ? (gap.end - gap.start <= config.splineMaxDays * DAY_MS ? 'spline' : 'seasonal')
+      : config.method;
+
+    let values = null;
+    let usedMethod = method;
+
+    if (method === 'seasonal') {
+      const margin = 3 * intervalMs + DAY_MS;
+      const reference = await Reading.getReadingsInRange(
+        station._id,
+        new Date(gap.start.getTime() - YEAR_MS - margin),
+        new Date(gap.end.getTime() - YEAR_MS + margin)
+      );
+      values = interpolateGap(
+        readings,
+        gap,
+        intervalMs,
+        'seasonal',
+        reference.filter(r => r.metadata?.dataSource !== 'interpolated')
+      );
+    } else {
+      values = interpolateGap(readings, gap, intervalMs, method);
+    }
+
+    // Without last year's data a long gap falls back to a straight line
+    if (!values) {
+      usedMethod = 'linear';
+      values = interpolateGap(readings, gap, intervalMs, 'linear');
+    }
+
+    values.forEach(value => {
+      const t = value.timestamp.getTime();
+      const distance = Math.min(t - gap.start.getTime(), gap.end.getTime() - t);
+      const waterLevel = Math.round(Math.max(0, value.waterLevel) * 1000) / 1000;
+
+      filled.push({
+        stationId: station._id,
+        timestamp: value.timestamp,
+        waterLevel,
+        waterLevelStatus: ThresholdProfile.classify(waterLevel, bands),
+        metadata: {
+          dataSource: 'interpolated',
+          // Confidence falls the further the value is from real readings
+          confidence: Math.round(
+            config.baseConfidence[usedMethod] * (1 - 0.5 * Math.min(1, distance / (config.maxFillDays * DAY_MS)))
+          ),
+          notes: `Gap fill (${usedMethod}) between readings at ${gap.start.toISOString()} and ${gap.end.toISOString()}`,
+          provenance: {
+            method: usedMethod,
+            basedOn: [before._id, after._id],
+            generatedAt
+          }
+        }
+      });
+    });
+  }
+
+  if (filled.length > 0) {
+    await Reading.insertMany(filled);
+  }
+
+  return {
+    stationId: station._id,
+    gaps: gaps.length,
+    filled: filled.length,
+    superseded: superseded.length
+  };
+}
+
+/**
+ * Fill gaps for every active station
+ */
+async function fillAllStationGaps(options = {}) {
+  const stations = await Station.find({ isActive: true });
+  const summary = { stations: stations.length, gaps: 0, filled: 0, failed: 0 };
+
+  for (const station of stations) {
+    try {
+      const result = await fillStationGaps(station, options);
+      summary.gaps += result.gaps;
+      summary.filled += result.filled;
+    } catch (error) {
+      console.error(`Gap filling error for station ${station.stationId}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Report telemetry coverage per period and the gaps in a station's record
+ */
+async function getGapReport(station, { startDate, endDate, period = 'day' } = {}) {
+  const intervalMs = getExpectedInterval(station);
+  const readings = await Reading.getReadingsInRange(station._id, startDate, endDate, { includeFlagged: true });
+
+  const observed = readings.filter(r => r.metadata?.dataSource !== 'interpolated' && r.qualityFlags.length === 0);
+  const interpolated = readings.filter(r => r.metadata?.dataSource === 'interpolated');
+  const flagged = readings.filter(r => r.qualityFlags.length > 0);
+
+  const slotOf = r => Math.floor(new Date(r.timestamp).getTime() / intervalMs);
+  const observedSlots = new Set(observed.map(slotOf));
+  const filledSlots = new Set(interpolated.map(slotOf).filter(slot => !observedSlots.has(slot)));
+
+  const periods = [];
+  for (let start = startOfPeriod(startDate, period); start < endDate; start = nextPeriod(start, period)) {
+    const from = Math.max(start.getTime(), startDate.getTime());
+    const to = Math.min(nextPeriod(start, period).getTime(), endDate.getTime());
+    const firstSlot = Math.ceil(from / intervalMs);
+    const lastSlot = Math.ceil(to / intervalMs) - 1;
+    const expected = Math.max(0, lastSlot - firstSlot + 1);
+
+    let observedCount = 0;
+    let filledCount = 0;
+    for (let slot = firstSlot; slot <= lastSlot; slot++) {
+      if (observedSlots.has(slot)) observedCount++;
+      else if (filledSlots.has(slot)) filledCount++;
+    }
+
+    periods.push({
+      start: new Date(from),
+      end: new Date(to),
+      expected,
+      observed: observedCount,
+      interpolated: filledCount,
+      coverage: expected > 0 ? Math.round(observedCount / expected * 1000) / 10 : null,
+      coverageWithFills: expected > 0 ? Math.round((observedCount + filledCount) / expected * 1000) / 10 : null
+    });
+  }
+
+  // Gaps in real telemetry, including before the first and after the last reading
+  const bounded = [{ timestamp: startDate }, ...observed, { timestamp: endDate }];
+  const gaps = findGaps(bounded, intervalMs).map(({ index, ...gap }) => ({
+    ...gap,
+    filled: interpolated.filter(r => r.timestamp > gap.start && r.timestamp < gap.end).length
+  }));
+
+  const expectedTotal = periods.reduce((sum, p) => sum + p.expected, 0);
+  const observedTotal = periods.reduce((sum, p) => sum + p.observed, 0);
+  const filledTotal = periods.reduce((sum, p) => sum + p.interpolated, 0);
+
+  return {
+    expectedInterval: station.metadata?.dataFrequency || 'hourly',
+    periods,
+    gaps,
+    summary: {
+      expected: expectedTotal,
+      observed: observedTotal,
+      interpolated: filledTotal,
+      flagged: flagged.length,
+      coverage: expectedTotal > 0 ? Math.round(observedTotal / expectedTotal * 1000) / 10 : null,
+      coverageWithFills: expectedTotal > 0 ? Math.round((observedTotal + filledTotal) / expectedTotal * 1000) / 10 : null,
+      gaps: gaps.length
+    }
+  };
+}
+
+/**
+ * Period boundary helpers (UTC)
+ */
+function startOfPeriod(date, period) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7)); // Monday
+  if (period === 'month') d.setUTCDate(1);
+  return d;
+}
+
+function nextPeriod(date, period) {
+  const d = new Date(date);
+  if (period === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  else if (period === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setUTCDate(d.getUTCDate() + 1);
+  return d;
+}
+
+module.exports = {
+  FREQUENCY_MS,
+  GAP_OPTIONS,
+  getExpectedInterval,
+  findGaps,
+  interpolateGap,
+  fillStationGaps,
+  fillAllStationGaps,
+  getGapReport
+};
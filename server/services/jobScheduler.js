@@ -0,0 +1,210 @@
+const os = require('os');
+const cron = require('node-cron');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+const JOB_DEFAULTS = {
+  retries: 2, // further attempts after a failure
+  retryDelayMs: 30 * 1000, // doubled for each retry
+  lockMs: 30 * 60 * 1000 // renewed every third of this while the job runs
+};
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const definitions = new Map();
+const tasks = new Map();
+
+/**
+ * Register a recurring job; handlers return a summary stored with the run and throw to fail it
+ */
+function defineJob({ name, schedule, description, handler, ...options }) {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression "${schedule}" for job ${name}`);
+  }
+  definitions.set(name, { name, schedule, description, handler, ...JOB_DEFAULTS, ...options });
+}
+
+/**
+ * Store the registered jobs and start their cron timers on this instance
+ */
+async function startScheduler() {
+  for (const definition of definitions.values()) {
+    // The schedule follows the code; enabled is left to admins
+    await Job.updateOne(
+      { name: definition.name },
+      {
+        $set: { schedule: definition.schedule, description: definition.description },
+        $setOnInsert: { enabled: true }
+      },
+      { upsert: true }
+    );
+
+    if (tasks.has(definition.name)) continue;
+
+    tasks.set(definition.name, cron.schedule(definition.schedule, () => {
+      // Every instance fires on the same minute; the slot lets only one of them run it
+      const slot = new Date(Math.floor(Date.now() / 60000) * 60000);
+      runJob(definition.name, { trigger: 'schedule', slot })
+        .catch(error => console.error(`Job ${definition.name} error:`, error));
+    }));
+  }
+
+  console.log(`Job scheduler started with ${definitions.size} jobs`);
+}
+
+/**
+ * Stop this instance's cron timers
+ */
+function stopScheduler() {
+  tasks.forEach(task => task.stop());
+  tasks.clear();
+}
+
+/**
+ * Claim a job and start a run; resolves with the run once it has finished, or null if the job is locked
+ */
+async function runJob(name, { trigger = 'manual', triggeredBy, slot } = {}) {
+  const run = await startRun(name, { trigger, triggeredBy, slot });
+  if (!run) return null;
+  return await executeRun(run);
+}
+
+/**
+ * Claim a job and run it in the background, resolving with the run as soon as it has started
+ */
+async function triggerJob(name, triggeredBy) {
+  const run = await startRun(name, { trigger: 'manual', triggeredBy });
+  if (!run) return null;
+
+  executeRun(run).catch(error => console.error(`Job ${name} error:`, error));
+  return run;
+}
+
+async function startRun(name, { trigger, triggeredBy, slot }) {
+  const definition = definitions.get(name);
+  if (!definition) throw new Error(`Unknown job ${name}`);
+
+  const job = await Job.acquireLock(name, INSTANCE_ID, definition.lockMs, { slot });
+  if (!job) return null;
+
+  const run = await JobRun.create({ job: name, trigger, triggeredBy, instance: INSTANCE_ID });
+  await Job.updateOne({ name }, { lastRun: { startedAt: run.startedAt, status: 'running' } });
+
+  return run;
+}
+
+async function executeRun(run) {
+  const definition = definitions.get(run.job);
+
+  // Another instance may claim the job once the lock expires; its run then owns the job's state
+  let lockLost = false;
+  const keepLock = async () => {
+    const result = await Job.renewLock(run.job, INSTANCE_ID, definition.lockMs);
+    if (result.matchedCount === 0) lockLost = true;
+  };
+  const renewal = setInterval(() => {
+    keepLock().catch(error => console.error(`Job ${run.job} lock renewal error:`, error));
+  }, definition.lockMs / 3);
+  renewal.unref();
+
+  try {
+    for (let attempt = 0; attempt <= definition.retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, definition.retryDelayMs * 2 ** (attempt - 1)));
+      }
+      await keepLock();
+      if (lockLost) break;
+
+      const startedAt = new Date();
+      try {
+        run.result = await definition.handler();
+        run.attempts.push({ startedAt, finishedAt: new Date() });
+        run.status = 'succeeded';
+        run.error = undefined;
+        break;
+      } catch (error) {
+        console.error(`Job ${run.job} attempt ${attempt + 1} failed:`, error);
+        run.attempts.push({ startedAt, finishedAt: new Date(), error: error.message });
+        run.status = 'failed';
+        run.error = error.message;
+      }
+    }
+
+    // Checked again before recording the outcome
+    if (!lockLost) await keepLock();
+    if (lockLost) {
+      run.status = 'failed';
+      run.error = 'The job lock expired and was taken by another run';
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    if (!lockLost) {
+      await Job.updateOne({ name: run.job }, {
+        $set: {
+          lastRun: {
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            status: run.status,
+            error: run.error
+          }
+        },
+        $inc: { runCount: 1, failureCount: run.status === 'failed' ? 1 : 0 }
+      });
+    }
+  } finally {
+    clearInterval(renewal);
+    await Job.releaseLock(run.job, INSTANCE_ID);
+  }
+
+  return run;
+}
+
+/**
+ * Registered jobs with their stored state
+ */
+async function listJobs() {
+  const jobs = await Job.find({ name: { $in: Array.from(definitions.keys()) } }).lean();
+  const byName = new Map(jobs.map(job => [job.name, job]));
+
+  return Array.from(definitions.values()).map(definition => {
+    const job = byName.get(definition.name) || {};
+    return {
+      name: definition.name,
+      description: definition.description,
+      schedule: definition.schedule,
+      enabled: job.enabled ?? true,
+      running: Boolean(job.lock?.expiresAt && job.lock.expiresAt > new Date()),
+      lastRun: job.lastRun || null,
+      runCount: job.runCount || 0,
+      failureCount: job.failureCount || 0,
+      retries: definition.retries
+    };
+  });
+}
+
+/**
+ * Enable or disable scheduled runs of a job on every instance
+ */
+async function setJobEnabled(name, enabled) {
+  if (!definitions.has(name)) return null;
+  return await Job.findOneAndUpdate({ name }, { enabled }, { new: true });
+}
+
+function isJobDefined(name) {
+  return definitions.has(name);
+}
+
+module.exports = {
+  JOB_DEFAULTS,
+  defineJob,
+  startScheduler,
+  stopScheduler,
+  runJob,
+  triggerJob,
+  listJobs,
+  setJobEnabled,
+  isJobDefined
+};
@@ -0,0 +1,193 @@
+const MaintenanceTask = require('../models/MaintenanceTask');
+const Station = require('../models/Station');
+const User = require('../models/User');
+const { sendMaintenanceNotification } = require('./notificationService');
+const { publish } = require('./eventBus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAINTENANCE_OPTIONS = {
+  defaultIntervalDays: parseInt(process.env.MAINTENANCE_INTERVAL_DAYS) || 180
+};
+
+/**
+ * Days until the next routine maintenance: task override, then station setting, then the default
+ */
+function getMaintenanceInterval(task, station) {
+  return task.nextDueIntervalDays ||
+    station.metadata?.maintenanceIntervalDays ||
+    MAINTENANCE_OPTIONS.defaultIntervalDays;
+}
+
+/**
+ * Schedule a task's maintenance window and tell the station's subscribers
+ */
+async function scheduleTask(task, { start, end }, now = new Date()) {
+  const station = await Station.findById(task.station);
+
+  // Moving a window that is already in progress ends it first
+  if (task.schedule?.windowStarted) {
+    await endMaintenanceWindow(task, station, now);
+  }
+
+  task.schedule = { start, end, windowStarted: false };
+  task.status = 'scheduled';
+  await task.save();
+
+  station.metadata.nextMaintenance = start;
+  await station.save();
+
+  if (start <= now && end >= now) {
+    await beginMaintenanceWindow(task, station);
+  }
+
+  // Notifications go out in the background so scheduling is not held up by email delivery
+  User.find({ 'preferences.monitoringStations': station._id, isActive: true })
+    .then(users => sendMaintenanceNotification({ station, maintenanceDate: start, users }))
+    .catch(error => console.error('Maintenance notification error:', error));
+
+  return task;
+}
+
+/**
+ * Put the station into maintenance for a window that has started
+ */
+async function beginMaintenanceWindow(task, station) {
+  // Inactive stations stay inactive; maintenance also overrides an automatic error
+  if (station.status !== 'inactive') {
+    const previousStatus = station.status;
+    station.status = 'maintenance';
+    if (station.health) station.health.statusChangedByCheck = false;
+    await station.save();
+
+    if (previousStatus !== 'maintenance') {
+      publish('station.status_changed', { station, previousStatus, status: 'maintenance', reason: 'maintenance' });
+    }
+  }
+
+  task.schedule.windowStarted = true;
+  await task.save();
+}
+
+/**
+ * Return the station to service once no other maintenance window covers it
+ */
+async function endMaintenanceWindow(task, station, now = new Date()) {
+  task.schedule.windowStarted = false;
+
+  const otherWindow = await MaintenanceTask.findOne({
+    _id: { $ne: task._id },
+    station: station._id,
+    status: 'scheduled',
+    'schedule.windowStarted': true,
+    'schedule.end': { $gte: now },
+    isActive: true
+  });
+
+  if (!otherWindow && station.status === 'maintenance') {
+    station.status = 'active';
+    await station.save();
+    publish('station.status_changed', { station, previousStatus: 'maintenance', status: 'active', reason: 'maintenance' });
+  }
+}
+
+/**
+ * Complete a task: record the notes, update the station's maintenance dates and end its window
+ */
+async function completeTask(task, { notes, completedAt = new Date() }, user) {
+  const station = await Station.findById(task.station);
+  const nextMaintenance = new Date(completedAt.getTime() + getMaintenanceInterval(task, station) * DAY_MS);
+
+  task.status = 'completed';
+  task.completion = {
+    completedAt,
+    completedBy: user._id,
+    notes,
+    nextMaintenance
+  };
+
+  if (task.schedule?.windowStarted) {
+    await endMaintenanceWindow(task, station);
+  }
+  await task.save();
+
+  station.metadata.lastMaintenance = completedAt;
+  station.metadata.nextMaintenance = nextMaintenance;
+  await station.save();
+
+  return task;
+}
+
+/**
+ * Cancel a task, returning the station to service if its window had started
+ */
+async function cancelTask(task) {
+  const station = await Station.findById(task.station);
+  const wasScheduled = task.status === 'scheduled';
+
+  task.status = 'cancelled';
+  if (task.schedule?.windowStarted) {
+    await endMaintenanceWindow(task, station);
+  }
+  await task.save();
+
+  // The cancelled visit is no longer the next one due
+  if (wasScheduled && station.metadata.nextMaintenance?.getTime() === task.schedule.start?.getTime()) {
+    const lastMaintenance = station.metadata.lastMaintenance;
+    station.metadata.nextMaintenance = lastMaintenance
+      ? new Date(lastMaintenance.getTime() + getMaintenanceInterval(task, station) * DAY_MS)
+      : undefined;
+    await station.save();
+  }
+
+  return task;
+}
+
+/**
+ * Start maintenance windows that have opened and end those that have passed without completion
+ */
+async function applyMaintenanceWindows(now = new Date()) {
+  const summary = { started: 0, ended: 0 };
+
+  const opening = await MaintenanceTask.find({
+    status: 'scheduled',
+    'schedule.windowStarted': false,
+    'schedule.start': { $lte: now },
+    'schedule.end': { $gte: now },
+    isActive: true
+  });
+
+  for (const task of opening) {
+    const station = await Station.findById(task.station);
+    if (!station) continue;
+    await beginMaintenanceWindow(task, station);
+    summary.started++;
+  }
+
+  // Overdue tasks stay open, but the station resumes normal alerting
+  const closing = await MaintenanceTask.find({
+    status: 'scheduled',
+    'schedule.windowStarted': true,
+    'schedule.end': { $lt: now },
+    isActive: true
+  });
+
+  for (const task of closing) {
+    const station = await Station.findById(task.station);
+    if (!station) continue;
+    await endMaintenanceWindow(task, station, now);
+    await task.save();
+    summary.ended++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  MAINTENANCE_OPTIONS,
+  getMaintenanceInterval,
+  scheduleTask,
+  completeTask,
+  cancelTask,
+  applyMaintenanceWindows
+};
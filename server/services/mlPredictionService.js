@@ -1,6 +1,32 @@
-const { Matrix } = require('ml-matrix');
-const { SimpleLinearRegression } = require('ml-regression');
-const simpleStats = require('simple-statistics');
+const { MultivariateLinearRegression } = require('ml-regression');
+const { forecastReadings } = require('./forecastService');
+
+const AVAILABILITY_MODEL = 'groundwater-availability';
+
+// Order of the feature vector fed to trained models
+const FEATURE_NAMES = [
+  'latitude',
+  'longitude',
+  'distance_to_station',
+  'current_water_level',
+  'water_level_status',
+  'trend_direction',
+  'trend_significance',
+  'trend_magnitude',
+  'annual_rainfall',
+  'monsoon_rainfall',
+  'rainfall_trend',
+  'nearest_river_distance',
+  'nearest_waterbody_distance',
+  'river_influence',
+  'soil_permeability',
+  'aquifer_depth',
+  'well_depth',
+  'aquifer_type'
+];
+
+// Trained ensemble used for predictions; null until a version is trained and loaded
+let activeModel = null;
 
 /**
  * Predict groundwater level using ensemble ML approach
@@ -16,24 +42,18 @@ async function predictGroundwaterLevel({ latitude, longitude, stationData, envir
       trendAnalysis
     });
 
-    // Calculate availability score using multiple models
-    const linearScore = calculateLinearAvailability(features);
-    const weightedScore = calculateWeightedAvailability(features);
-    const trendScore = calculateTrendBasedAvailability(features);
-
-    // Ensemble prediction (weighted average)
-    const ensembleScore = (
-      linearScore * 0.4 +
-      weightedScore * 0.4 +
-      trendScore * 0.2
-    );
+    // Use the trained ensemble when one is loaded, otherwise the hand-tuned formulas
+    const prediction = activeModel
+      ? predictWithTrainedModel(features)
+      : predictWithHeuristics(features);
 
     // Determine status based on score
+    const score = prediction.score;
     let status;
-    if (ensembleScore >= 80) status = 'excellent';
-    else if (ensembleScore >= 60) status = 'good';
-    else if (ensembleScore >= 40) status = 'moderate';
-    else if (ensembleScore >= 20) status = 'low';
+    if (score >= 80) status = 'excellent';
+    else if (score >= 60) status = 'good';
+    else if (score >= 40) status = 'moderate';
+    else if (score >= 20) status = 'low';
     else status = 'critical';
 
     // Calculate confidence based on data quality
@@ -41,18 +61,15 @@ async function predictGroundwaterLevel({ latitude, longitude, stationData, envir
 
     return {
       availability: {
-        score: Math.round(ensembleScore),
+        score: Math.round(score),
         status
       },
       confidence,
+      model: prediction.model,
+      modelVersion: prediction.modelVersion,
       features: Object.keys(features),
-      featureImportance: calculateFeatureImportance(features),
-      modelDetails: {
-        linearScore,
-        weightedScore,
-        trendScore,
-        ensembleScore
-      }
+      featureImportance: prediction.featureImportance,
+      modelDetails: prediction.modelDetails
     };
   } catch (error) {
     console.error('ML prediction error:', error);
@@ -63,12 +80,147 @@ async function predictGroundwaterLevel({ latitude, longitude, stationData, envir
         status: 'moderate'
       },
       confidence: 30,
+      model: 'fallback',
+      modelVersion: null,
       features: ['fallback'],
       featureImportance: { fallback: 1.0 }
     };
   }
 }
 
+/**
+ * Predict availability with the loaded trained ensemble
+ */
+function predictWithTrainedModel(features) {
+  const { depth, spread } = predictDepth(activeModel, features);
+
+  return {
+    score: depthToAvailabilityScore(depth),
+    model: activeModel.algorithm,
+    modelVersion: activeModel.version,
+    featureImportance: activeModel.featureImportance,
+    modelDetails: {
+      predictedDepth: Math.round(depth * 100) / 100,
+      memberSpread: Math.round(spread * 100) / 100,
+      targetHorizonDays: activeModel.target?.horizonDays
+    }
+  };
+}
+
+/**
+ * Predict availability with the hand-tuned formulas (used until a model is trained)
+ */
+function predictWithHeuristics(features) {
+  const linearScore = calculateLinearAvailability(features);
+  const weightedScore = calculateWeightedAvailability(features);
+  const trendScore = calculateTrendBasedAvailability(features);
+
+  // Ensemble prediction (weighted average)
+  const ensembleScore = (
+    linearScore * 0.4 +
+    weightedScore * 0.4 +
+    trendScore * 0.2
+  );
+
+  return {
+    score: ensembleScore,
+    model: 'heuristic',
+    modelVersion: null,
+    // The formulas are not fitted, so there is no importance to report
+    featureImportance: {},
+    modelDetails: {
+      linearScore,
+      weightedScore,
+      trendScore,
+      ensembleScore
+    }
+  };
+}
+
+/**
+ * Predict depth to water with a serialized ensemble, returning the member mean and spread
+ */
+function predictDepth(model, features) {
+  const x = toScaledVector(features, model.featureNames, model.scaling);
+  const predictions = model.regressors.map(regressor => regressor.predict(x)[0]);
+  const depth = predictions.reduce((sum, value) => sum + value, 0) / predictions.length;
+  const spread = Math.sqrt(
+    predictions.reduce((sum, value) => sum + Math.pow(value - depth, 2), 0) / predictions.length
+  );
+
+  return { depth: Math.max(0, depth), spread };
+}
+
+/**
+ * Build a standardised feature vector in the model's feature order
+ */
+function toScaledVector(features, featureNames, scaling) {
+  return featureNames.map((name, i) => {
+    const value = Number(features[name]) || 0;
+    return (value - scaling.means[i]) / (scaling.stds[i] || 1);
+  });
+}
+
+/**
+ * Convert a predicted depth to water (m) to a 0-100 availability score
+ */
+function depthToAvailabilityScore(depth) {
+  // Same depth scale as the water level component of the weighted score
+  return Math.max(0, Math.min(100, 100 - depth * 3));
+}
+
+/**
+ * Deserialize a stored model version for prediction
+ */
+function hydrateModel(doc) {
+  return {
+    name: doc.name,
+    version: doc.version,
+    algorithm: doc.algorithm,
+    target: doc.target,
+    featureNames: doc.featureNames,
+    scaling: doc.scaling,
+    featureImportance: doc.featureImportance,
+    regressors: doc.members.map(member => MultivariateLinearRegression.load(member))
+  };
+}
+
+/**
+ * Use a model version for subsequent predictions (null reverts to the heuristics)
+ */
+function setActiveModel(doc) {
+  activeModel = doc ? hydrateModel(doc) : null;
+  return activeModel;
+}
+
+/**
+ * Get the name and version of the model currently used for predictions
+ */
+function getActiveModelInfo() {
+  if (!activeModel) return null;
+  return { name: activeModel.name, version: activeModel.version, algorithm: activeModel.algorithm };
+}
+
+/**
+ * Load the active availability model from the database
+ */
+async function loadActiveModel() {
+  try {
+    const TrainedModel = require('../models/TrainedModel');
+    const doc = await TrainedModel.getActive(AVAILABILITY_MODEL);
+
+    setActiveModel(doc);
+    console.log(doc
+      ? `Loaded ${AVAILABILITY_MODEL} model v${doc.version}`
+      : `No trained ${AVAILABILITY_MODEL} model, using heuristic scoring`);
+
+    return activeModel;
+  } catch (error) {
+    console.error('Load ML model error:', error);
+    return null;
+  }
+}
+
 /**
  * Extract features for ML model
  */
@@ -235,24 +387,6 @@ function calculatePredictionConfidence(features, stationData) {
   return Math.min(100, confidence);
 }
 
-/**
- * Calculate feature importance
- */
-function calculateFeatureImportance(features) {
-  const importance = {};
-
-  // Water level is most important
-  importance.current_water_level = 0.25;
-  importance.annual_rainfall = 0.20;
-  importance.trend_direction = 0.15;
-  importance.nearest_river_distance = 0.15;
-  importance.soil_permeability = 0.10;
-  importance.monsoon_rainfall = 0.10;
-  importance.trend_significance = 0.05;
-
-  return importance;
-}
-
 /**
  * Helper functions for feature encoding
  */
@@ -293,41 +427,21 @@ function getAquiferTypeValue(aquiferType) {
 }
 
 /**
- * Predict future water levels using time series forecasting
+ * Predict future water levels using seasonal time series forecasting
  */
-async function predictFutureLevels(stationId, days = 30) {
+async function predictFutureLevels(stationId, days = 30, { model = 'auto', confidenceLevel = 0.95, historyDays = 730 } = {}) {
   try {
-    // This would typically use LSTM or ARIMA models
-    // For now, using simple linear trend extrapolation
-    
     const Reading = require('../models/Reading');
     const endDate = new Date();
-    const startDate = new Date(endDate.getTime() - (90 * 24 * 60 * 60 * 1000)); // 90 days
+    const startDate = new Date(endDate.getTime() - (historyDays * 24 * 60 * 60 * 1000));
 
     const readings = await Reading.getReadingsInRange(stationId, startDate, endDate);
-    
-    if (readings.length < 10) {
-      return null;
-    }
 
-    // Simple linear regression for trend
-    const data = readings.map((r, i) => [i, r.waterLevel]);
-    const regression = new SimpleLinearRegression(data);
-    
-    const predictions = [];
-    for (let i = 0; i < days; i++) {
-      const futureIndex = readings.length + i;
-      const predictedLevel = regression.predict(futureIndex);
-      const date = new Date(endDate.getTime() + (i * 24 * 60 * 60 * 1000));
-      
-      predictions.push({
-        date,
-        predictedLevel: Math.max(0, predictedLevel),
-        confidence: Math.max(50, 100 - i * 2) // Decreasing confidence over time
-      });
-    }
-
-    return predictions;
+    return forecastReadings(readings, {
+      horizonDays: days,
+      model,
+      confidenceLevel
+    });
   } catch (error) {
     console.error('Future prediction error:', error);
     return null;
@@ -335,8 +449,16 @@ async function predictFutureLevels(stationId, days = 30) {
 }
 
 module.exports = {
+  AVAILABILITY_MODEL,
+  FEATURE_NAMES,
   predictGroundwaterLevel,
   predictFutureLevels,
+  predictDepth,
+  toScaledVector,
+  depthToAvailabilityScore,
+  setActiveModel,
+  getActiveModelInfo,
+  loadActiveModel,
   extractFeatures,
   calculateLinearAvailability,
   calculateWeightedAvailability,
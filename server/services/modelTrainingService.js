@@ -0,0 +1,304 @@
+const simpleStats = require('simple-statistics');
+const { MultivariateLinearRegression } = require('ml-regression');
+const Analysis = require('../models/Analysis');
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+const TrainedModel = require('../models/TrainedModel');
+const { calculateTrendAnalysis } = require('./analysisService');
+const {
+  AVAILABILITY_MODEL,
+  FEATURE_NAMES,
+  extractFeatures,
+  predictDepth,
+  setActiveModel
+} = require('./mlPredictionService');
+const { publish } = require('./eventBus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  horizonDays: 90, // target is the depth observed this long after the analysis
+  windowDays: 15, // readings within +/- this many days of the horizon are averaged
+  maxSamples: 2000,
+  members: 25,
+  validationSplit: 0.2,
+  permutationRepeats: 5,
+  minSamples: 30,
+  seed: 42
+};
+
+/**
+ * Build training samples from stored analyses and the readings observed after them
+ */
+async function buildTrainingSamples(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const cutoff = new Date(Date.now() - (config.horizonDays + config.windowDays) * DAY_MS);
+
+  // Only analyses old enough for their target readings to exist
+  const analyses = await Analysis.find({
+    isActive: true,
+    'metadata.analysisDate': { $lte: cutoff }
+  })
+    .sort({ 'metadata.analysisDate': -1 })
+    .limit(config.maxSamples)
+    .lean();
+
+  const stations = new Map();
+  const samples = [];
+
+  for (const analysis of analyses) {
+    const stationId = analysis.nearestStation?.stationId?.toString();
+    if (!stationId) continue;
+
+    if (!stations.has(stationId)) {
+      stations.set(stationId, await Station.findById(stationId));
+    }
+    const station = stations.get(stationId);
+    if (!station) continue;
+
+    const analysisDate = new Date(analysis.metadata.analysisDate);
+    const targetDate = analysisDate.getTime() + config.horizonDays * DAY_MS;
+    const windowReadings = await Reading.getReadingsInRange(
+      station._id,
+      new Date(targetDate - config.windowDays * DAY_MS),
+      new Date(targetDate + config.windowDays * DAY_MS)
+    );
+    // Gap-filled readings are not ground truth
+    const targetReadings = windowReadings.filter(r => r.metadata?.dataSource !== 'interpolated');
+    if (targetReadings.length === 0) continue;
+
+    // Rebuild the inputs as they were when the analysis ran
+    const trendAnalysis = await calculateTrendAnalysis(station._id, analysisDate);
+    // The depth the model saw: interpolated when several stations were in range
+    const waterLevel = analysis.groundwaterAssessment?.depth?.estimated ?? analysis.nearestStation.waterLevel;
+    const features = extractFeatures({
+      latitude: analysis.location.coordinates[1],
+      longitude: analysis.location.coordinates[0],
+      stationData: {
+        station,
+        distance: analysis.nearestStation.distance,
+        latestReading: {
+          waterLevel,
+          waterLevelStatus: await station.classifyWaterLevel(waterLevel)
+        }
+      },
+      environmentalData: analysis.environmentalFactors || {},
+      trendAnalysis
+    });
+
+    samples.push({
+      features,
+      target: simpleStats.mean(targetReadings.map(r => r.waterLevel)),
+      date: analysisDate
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Train a bagged ensemble of linear regressions and evaluate it on held-out samples
+ */
+function trainEnsemble(samples, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  if (samples.length < config.minSamples) {
+    throw new Error(`At least ${config.minSamples} training samples are required, found ${samples.length}`);
+  }
+
+  const rng = createRandom(config.seed);
+  const { training, validation } = splitByDate(samples, config);
+
+  // Evaluate a model fitted without the held-out samples
+  const holdoutModel = fitEnsemble(training, config.members, rng);
+  const actuals = validation.map(s => s.target);
+  const predicted = validation.map(s => predictDepth(holdoutModel, s.features).depth);
+  const persistence = validation.map(s => s.features.current_water_level);
+
+  const metrics = {
+    validationRmse: round(rmse(actuals, predicted)),
+    validationMae: round(simpleStats.mean(actuals.map((a, i) => Math.abs(a - predicted[i])))),
+    r2: round(rSquared(actuals, predicted)),
+    persistenceRmse: round(rmse(actuals, persistence)),
+    validationSamples: validation.length,
+    validationFrom: validation[0].date
+  };
+
+  const featureImportance = calculatePermutationImportance(holdoutModel, validation, {
+    repeats: config.permutationRepeats,
+    rng
+  });
+
+  // The stored model uses every sample
+  const model = fitEnsemble(samples, config.members, rng);
+
+  return {
+    featureNames: model.featureNames,
+    scaling: model.scaling,
+    members: model.regressors.map(regressor => regressor.toJSON()),
+    metrics,
+    featureImportance
+  };
+}
+
+/**
+ * Hold out the newest samples for validation, training on older ones whose targets were observed before them
+ */
+function splitByDate(samples, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const ordered = [...samples].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const validationSize = Math.max(1, Math.round(ordered.length * config.validationSplit));
+  const validation = ordered.slice(ordered.length - validationSize);
+
+  // Analyses of nearby dates share target readings, so a training sample whose target window
+  // reaches the held-out period would leak it into the evaluation
+  const validationStart = new Date(validation[0].date).getTime();
+  const lookaheadMs = (config.horizonDays + config.windowDays) * DAY_MS;
+  const training = ordered
+    .slice(0, ordered.length - validationSize)
+    .filter(s => new Date(s.date).getTime() + lookaheadMs < validationStart);
+
+  // A regression needs more samples than features
+  if (training.length <= FEATURE_NAMES.length) {
+    throw new Error(`Training samples must span more than ${config.horizonDays + config.windowDays} days before the newest ${validationSize} held out for validation`);
+  }
+
+  return { training, validation };
+}
+
+/**
+ * Fit bootstrap-resampled linear regressions on standardised features
+ */
+function fitEnsemble(samples, members, rng) {
+  const rows = samples.map(s => FEATURE_NAMES.map(name => Number(s.features[name]) || 0));
+  const scaling = {
+    means: FEATURE_NAMES.map((name, i) => simpleStats.mean(rows.map(row => row[i]))),
+    stds: FEATURE_NAMES.map((name, i) => simpleStats.standardDeviation(rows.map(row => row[i])) || 1)
+  };
+  const scaled = rows.map(row => row.map((value, i) => (value - scaling.means[i]) / scaling.stds[i]));
+
+  const regressors = [];
+  for (let m = 0; m < members; m++) {
+    const indices = samples.map(() => Math.floor(rng() * samples.length));
+    regressors.push(new MultivariateLinearRegression(
+      indices.map(i => scaled[i]),
+      indices.map(i => [samples[i].target]),
+      { statistics: false }
+    ));
+  }
+
+  return { featureNames: FEATURE_NAMES, scaling, regressors };
+}
+
+/**
+ * Permutation importance: how much held-out RMSE grows when each feature is shuffled
+ */
+function calculatePermutationImportance(model, samples, { repeats = 5, rng = Math.random } = {}) {
+  const actuals = samples.map(s => s.target);
+  const predictAll = featureSets => featureSets.map(features => predictDepth(model, features).depth);
+  const baseline = rmse(actuals, predictAll(samples.map(s => s.features)));
+
+  const increases = {};
+  model.featureNames.forEach(name => {
+    let total = 0;
+    for (let r = 0; r < repeats; r++) {
+      const values = shuffle(samples.map(s => s.features[name]), rng);
+      const permuted = samples.map((s, i) => ({ ...s.features, [name]: values[i] }));
+      total += rmse(actuals, predictAll(permuted)) - baseline;
+    }
+    increases[name] = Math.max(0, total / repeats);
+  });
+
+  // Normalise to shares of the total increase, most important first
+  const sum = Object.values(increases).reduce((acc, value) => acc + value, 0);
+  return Object.fromEntries(
+    Object.entries(increases)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, value]) => [name, sum > 0 ? round(value / sum) : 0])
+  );
+}
+
+/**
+ * Train, store and optionally activate a new availability model version
+ */
+async function trainAvailabilityModel({ trainedBy, activate = true, ...options } = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const samples = await buildTrainingSamples(config);
+  const result = trainEnsemble(samples, config);
+  const dates = samples.map(s => s.date.getTime());
+
+  const model = await TrainedModel.create({
+    name: AVAILABILITY_MODEL,
+    version: await TrainedModel.getNextVersion(AVAILABILITY_MODEL),
+    algorithm: 'bagged-linear-regression',
+    target: {
+      description: `Mean depth to water at the nearest station ${config.horizonDays} days after the analysis`,
+      horizonDays: config.horizonDays
+    },
+    ...result,
+    training: {
+      samples: samples.length,
+      from: new Date(Math.min(...dates)),
+      to: new Date(Math.max(...dates)),
+      seed: config.seed
+    },
+    trainedBy
+  });
+
+  if (activate) {
+    const activeModel = await TrainedModel.activate(AVAILABILITY_MODEL, model.version);
+    setActiveModel(activeModel);
+    publish('model.activated', { name: AVAILABILITY_MODEL, version: activeModel.version });
+    return activeModel;
+  }
+
+  return model;
+}
+
+/**
+ * Helper functions
+ */
+function rmse(actuals, predicted) {
+  return Math.sqrt(simpleStats.mean(actuals.map((a, i) => Math.pow(a - predicted[i], 2))));
+}
+
+function rSquared(actuals, predicted) {
+  const mean = simpleStats.mean(actuals);
+  const total = actuals.reduce((sum, a) => sum + Math.pow(a - mean, 2), 0);
+  const residual = actuals.reduce((sum, a, i) => sum + Math.pow(a - predicted[i], 2), 0);
+  return total > 0 ? 1 - residual / total : 0;
+}
+
+function round(value, digits = 4) {
+  return Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+}
+
+// Seeded generator (mulberry32) so training runs are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, rng) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  buildTrainingSamples,
+  trainEnsemble,
+  splitByDate,
+  calculatePermutationImportance,
+  trainAvailabilityModel
+};
@@ -0,0 +1,236 @@
+const os = require('os');
+const mqtt = require('mqtt');
+const mongoose = require('mongoose');
+const Station = require('../models/Station');
+const { parseDevicePayload, ingestDeviceReadings } = require('./readingIngestionService');
+const { publish } = require('./eventBus');
+
+const MQTT_OPTIONS = {
+  url: process.env.MQTT_URL,
+  // {stationId} is the station code or database ID; it becomes a single-level wildcard
+  readingsTopic: process.env.MQTT_READINGS_TOPIC || 'stations/{stationId}/readings',
+  // Loggers publish "online" here and set "offline" as their retained last will
+  statusTopic: process.env.MQTT_STATUS_TOPIC || 'stations/{stationId}/status',
+  // Unique per instance and unchanged across restarts, so the broker resumes its session
+  clientId: process.env.MQTT_CLIENT_ID || `groundwater-bridge-${os.hostname()}`,
+  // Instances subscribe as one shared group so each message is stored once; empty for brokers without shared subscriptions
+  sharedGroup: process.env.MQTT_SHARED_GROUP ?? 'groundwater-bridge',
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  qos: 1
+};
+
+const STATION_PLACEHOLDER = '{stationId}';
+
+let client = null;
+let bridgeState = { connected: false, url: null, since: null, lastError: null };
+const queues = new Map(); // station code -> promise chain, so each station's messages are stored in order
+
+/**
+ * Turn a topic template into a subscription filter and a matcher that extracts the station
+ */
+function compileTopic(template) {
+  const levels = template.split('/');
+  const position = levels.indexOf(STATION_PLACEHOLDER);
+  if (position === -1) throw new Error(`MQTT topic "${template}" must contain ${STATION_PLACEHOLDER}`);
+
+  return {
+    filter: levels.map(level => (level === STATION_PLACEHOLDER ? '+' : level)).join('/'),
+    match: topic => {
+      const parts = topic.split('/');
+      if (parts.length !== levels.length) return null;
+      const matches = levels.every((level, i) => i === position || level === parts[i]);
+      return matches ? parts[position] : null;
+    }
+  };
+}
+
+/**
+ * Connect to the broker and subscribe to station readings and status topics
+ */
+function startMqttBridge(options = {}) {
+  const config = { ...MQTT_OPTIONS, ...options };
+  if (!config.url) return null;
+  if (client) return client;
+
+  const readings = compileTopic(config.readingsTopic);
+  const status = compileTopic(config.statusTopic);
+  const filters = [readings.filter, status.filter].map(filter => (
+    config.sharedGroup ? `$share/${config.sharedGroup}/${filter}` : filter
+  ));
+
+  client = mqtt.connect(config.url, {
+    clientId: config.clientId,
+    username: config.username,
+    password: config.password,
+    // Persistent session so readings published while the server restarts are delivered afterwards
+    clean: false,
+    reconnectPeriod: 5000
+  });
+  bridgeState = { connected: false, url: config.url, clientId: config.clientId, since: null, lastError: null };
+
+  client.on('connect', () => {
+    bridgeState.connected = true;
+    bridgeState.since = new Date();
+    client.subscribe(filters, { qos: config.qos }, error => {
+      if (error) console.error('MQTT subscribe error:', error);
+      else console.log(`MQTT bridge subscribed to ${filters.join(' and ')}`);
+    });
+  });
+
+  client.on('close', () => {
+    if (bridgeState.connected) bridgeState.since = new Date();
+    bridgeState.connected = false;
+  });
+
+  client.on('error', error => {
+    bridgeState.lastError = error.message;
+    console.error('MQTT bridge error:', error.message);
+  });
+
+  client.on('message', (topic, message) => {
+    const readingsStation = readings.match(topic);
+    if (readingsStation) {
+      enqueue(readingsStation, () => handleReadings(readingsStation, message));
+      return;
+    }
+
+    const statusStation = status.match(topic);
+    if (statusStation) {
+      enqueue(statusStation, () => handleStatus(statusStation, message));
+    }
+  });
+
+  return client;
+}
+
+/**
+ * Disconnect from the broker
+ */
+async function stopMqttBridge() {
+  if (!client) return;
+  const closing = client;
+  client = null;
+  await closing.endAsync();
+  bridgeState.connected = false;
+}
+
+function enqueue(stationCode, task) {
+  const previous = queues.get(stationCode) || Promise.resolve();
+  const next = previous.then(task).catch(error => console.error('MQTT message error:', error));
+  queues.set(stationCode, next);
+  next.then(() => {
+    if (queues.get(stationCode) === next) queues.delete(stationCode);
+  });
+  return next;
+}
+
+/**
+ * Validate and store a readings message published for a station
+ */
+async function handleReadings(stationCode, message) {
+  const station = await findStation(stationCode);
+  if (!station) {
+    console.error(`MQTT readings for unknown or inactive station ${stationCode}`);
+    return null;
+  }
+
+  const result = await storeReadings(station, message);
+  const rejected = result.rejected.length;
+
+  // Instances share the subscription, so each one adds the messages it handled to the station's counters
+  await Station.updateOne({ _id: station._id }, {
+    $set: {
+      'mqtt.lastMessageAt': new Date(),
+      'mqtt.lastError': rejected > 0 ? result.rejected[0].error : null
+    },
+    $inc: { 'mqtt.messages': 1, 'mqtt.accepted': result.accepted, 'mqtt.rejected': rejected }
+  });
+
+  return result;
+}
+
+async function storeReadings(station, message) {
+  let payload;
+  try {
+    payload = JSON.parse(message.toString('utf8'));
+  } catch (error) {
+    return { accepted: 0, duplicates: 0, rejected: [{ index: null, error: 'Payload is not valid JSON' }] };
+  }
+
+  const { readings, rejected, wrongStation } = parseDevicePayload(payload, station);
+  if (wrongStation) {
+    return { accepted: 0, duplicates: 0, rejected: [{ index: null, error: 'Payload names a different station than the topic' }] };
+  }
+
+  const result = await ingestDeviceReadings(station, readings);
+  return {
+    accepted: result.created.length,
+    duplicates: result.duplicates.length,
+    rejected: [...rejected, ...result.errors]
+  };
+}
+
+/**
+ * Record a device connection status message ("online"/"offline" or { "status": ... })
+ */
+async function handleStatus(stationCode, message) {
+  const text = message.toString('utf8').trim();
+  let value = text;
+  try {
+    value = JSON.parse(text).status ?? text;
+  } catch (error) {
+    // Plain string payload
+  }
+
+  const station = await findStation(stationCode);
+  if (!station) return null;
+
+  const connected = ['online', 'connected', '1', 'true'].includes(String(value).toLowerCase());
+  const since = new Date();
+
+  // Only the instance whose update changes the stored status announces it
+  const { modifiedCount } = await Station.updateOne(
+    { _id: station._id, 'mqtt.connected': { $ne: connected } },
+    { $set: { 'mqtt.connected': connected, 'mqtt.since': since } }
+  );
+  if (modifiedCount > 0) {
+    publish('device.status_changed', { station, connected, since });
+  }
+  return connected;
+}
+
+async function findStation(stationCode) {
+  const filter = mongoose.isValidObjectId(stationCode) && /^[0-9a-f]{24}$/i.test(stationCode)
+    ? { $or: [{ _id: stationCode }, { stationId: stationCode }] }
+    : { stationId: stationCode };
+  return await Station.findOne({ ...filter, isActive: true });
+}
+
+/**
+ * This instance's bridge connection and the per-device status stored by every instance
+ */
+async function getBridgeStatus() {
+  const stations = await Station.find({
+    $or: [{ 'mqtt.lastMessageAt': { $exists: true } }, { 'mqtt.since': { $exists: true } }]
+  })
+    .select('stationId name mqtt')
+    .sort({ stationId: 1 })
+    .lean();
+
+  return {
+    enabled: Boolean(client),
+    ...bridgeState,
+    devices: stations.map(({ stationId, name, mqtt: device }) => ({ stationId, name, ...device }))
+  };
+}
+
+module.exports = {
+  MQTT_OPTIONS,
+  compileTopic,
+  startMqttBridge,
+  stopMqttBridge,
+  handleReadings,
+  handleStatus,
+  getBridgeStatus
+};
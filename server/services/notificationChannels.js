@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+const CHANNEL_DEFAULTS = {
+  retries: 3, // further attempts after a retryable failure
+  retryDelayMs: 1000, // doubled for each retry
+  ratePerMinute: 60,
+  burst: 10, // sends allowed back to back before the rate applies
+  maxQueueWaitMs: 2 * 60 * 1000 // give up instead of waiting longer for a send slot
+};
+
+// Raised by channel adapters; retryable failures (timeouts, 5xx, 429) are attempted again
+class ChannelError extends Error {
+  constructor(message, { retryable = false, status, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ChannelError';
+    this.retryable = retryable;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const channels = new Map();
+
+/**
+ * Spread sends over time (GCRA): up to `burst` at once, then one every 60/ratePerMinute seconds
+ */
+function createRateLimiter(ratePerMinute, burst) {
+  const intervalMs = 60000 / ratePerMinute;
+  const toleranceMs = intervalMs * (burst - 1);
+  let theoreticalArrival = 0;
+
+  return {
+    // Reserve a send slot, waiting for it; false if the wait would exceed maxWaitMs
+    async acquire(maxWaitMs) {
+      const now = Date.now();
+      const arrival = Math.max(theoreticalArrival, now);
+      const waitMs = arrival - toleranceMs - now;
+      if (waitMs > maxWaitMs) return false;
+
+      theoreticalArrival = arrival + intervalMs;
+      if (waitMs > 0) await new Promise(resolve => setTimeout(resolve, waitMs));
+      return true;
+    }
+  };
+}
+
+/**
+ * Register an adapter: { name, provider, isConfigured(), send(message) } where send resolves
+ * with { messageId, status } and throws ChannelError on failure
+ */
+function registerChannel(adapter, options = {}) {
+  const config = { ...CHANNEL_DEFAULTS, ...adapter.defaults, ...options };
+  channels.set(adapter.name, {
+    adapter,
+    config,
+    limiter: createRateLimiter(config.ratePerMinute, config.burst),
+    stats: { sent: 0, failed: 0, retried: 0, rateLimited: 0 }
+  });
+}
+
+/**
+ * Send a message through a channel with rate limiting and retries, resolving with a delivery receipt
+ */
+async function deliver(name, message) {
+  const channel = channels.get(name);
+  const deliveryId = crypto.randomUUID();
+  const receipt = {
+    channel: name,
+    provider: channel?.adapter.provider,
+    deliveryId,
+    status: 'skipped',
+    attempts: 0,
+    attemptedAt: new Date()
+  };
+
+  if (!channel) {
+    return { ...receipt, error: `Unknown channel ${name}` };
+  }
+  if (!channel.adapter.isConfigured()) {
+    return { ...receipt, error: `${name} channel is not configured` };
+  }
+
+  const { config, limiter, stats } = channel;
+
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    if (!(await limiter.acquire(config.maxQueueWaitMs))) {
+      stats.rateLimited++;
+      receipt.status = 'failed';
+      receipt.error = `${name} rate limit exceeded`;
+      break;
+    }
+
+    receipt.attempts++;
+    try {
+      const result = await channel.adapter.send({ ...message, deliveryId });
+      stats.sent++;
+      return {
+        ...receipt,
+        status: result.status || 'sent',
+        messageId: result.messageId || deliveryId,
+        deliveredAt: result.status === 'delivered' ? new Date() : undefined,
+        error: undefined
+      };
+    } catch (error) {
+      receipt.status = 'failed';
+      receipt.error = error.message;
+
+      if (!(error instanceof ChannelError) || !error.retryable || attempt === config.retries) break;
+
+      stats.retried++;
+      const backoffMs = config.retryDelayMs * 2 ** attempt;
+      await new Promise(resolve => setTimeout(resolve, Math.max(backoffMs, error.retryAfterMs || 0)));
+    }
+  }
+
+  stats.failed++;
+  console.error(`${name} delivery failed after ${receipt.attempts} attempt(s):`, receipt.error);
+  return receipt;
+}
+
+/**
+ * Registered channels with their configuration and this instance's counters
+ */
+function listChannels() {
+  return Array.from(channels.entries()).map(([name, { adapter, config, stats }]) => ({
+    name,
+    provider: adapter.provider,
+    configured: adapter.isConfigured(),
+    ratePerMinute: config.ratePerMinute,
+    burst: config.burst,
+    retries: config.retries,
+    stats: { ...stats }
+  }));
+}
+
+/**
+ * Token that lets a receipt callback for a delivery be accepted without a shared secret
+ */
+function signDeliveryId(deliveryId) {
+  const key = process.env.NOTIFICATION_RECEIPT_TOKEN || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', key).update(String(deliveryId)).digest('hex');
+}
+
+/**
+ * Check a receipt callback token against the delivery it reports on
+ */
+function verifyDeliveryToken(deliveryId, token) {
+  if (typeof token !== 'string') return false;
+
+  const expected = Buffer.from(signDeliveryId(deliveryId));
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Classify an HTTP failure from a provider into a ChannelError
+ */
+function httpChannelError(error, label) {
+  const status = error.response?.status;
+  if (!status) {
+    // Network errors and timeouts
+    return new ChannelError(`${label} unreachable: ${error.message}`, { retryable: true });
+  }
+
+  const retryAfter = parseInt(error.response.headers?.['retry-after']);
+  return new ChannelError(`${label} responded with ${status}`, {
+    status,
+    retryable: status === 429 || status >= 500,
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined
+  });
+}
+
+module.exports = {
+  CHANNEL_DEFAULTS,
+  ChannelError,
+  createRateLimiter,
+  registerChannel,
+  deliver,
+  listChannels,
+  signDeliveryId,
+  verifyDeliveryToken,
+  httpChannelError
+};
@@ -1,4 +1,8 @@
-const nodemailer = require('nodemailer');
+const { deliver } = require('./notificationChannels');
+const { registerNotificationChannels } = require('./channels');
+const { publish } = require('./eventBus');
+
+registerNotificationChannels();
 
 /**
  * Send notification to user
@@ -6,42 +10,37 @@ const nodemailer = require('nodemailer');
 async function sendNotification({ user, type, title, message, data = {} }) {
   try {
     const results = [];
+    let receipt = null;
+    const send = CHANNEL_SENDERS[type];
 
-    // Email notification
-    if (type === 'email' && user.preferences.notifications.email) {
-      const emailResult = await sendEmailNotification({
-        user,
-        title,
-        message,
-        data
+    if (send && user.preferences.notifications[type]) {
+      // Nothing is emailed to an address the user has not confirmed
+      receipt = type === 'email' && !user.emailVerified
+        ? { channel: 'email', status: 'skipped', attempts: 0, attemptedAt: new Date(), error: 'Email address is not verified' }
+        : await send({ user, title, message, data });
+      results.push({
+        type,
+        success: isSuccessful(receipt),
+        status: receipt.status,
+        messageId: receipt.messageId,
+        error: receipt.error
       });
-      results.push({ type: 'email', success: emailResult });
     }
 
-    // SMS notification (mock implementation)
-    if (type === 'sms' && user.preferences.notifications.sms) {
-      const smsResult = await sendSMSNotification({
-        user,
-        message,
-        data
-      });
-      results.push({ type: 'sms', success: smsResult });
-    }
-
-    // Push notification (mock implementation)
-    if (type === 'push' && user.preferences.notifications.push) {
-      const pushResult = await sendPushNotification({
-        user,
-        title,
-        message,
-        data
-      });
-      results.push({ type: 'push', success: pushResult });
-    }
+    // Store the delivery in the user's notification history
+    const notification = await recordNotification({
+      user,
+      channel: type,
+      title,
+      message,
+      data,
+      receipt
+    });
 
     return {
       success: results.some(r => r.success),
-      results
+      results,
+      notificationId: notification?._id
     };
   } catch (error) {
     console.error('Send notification error:', error);
@@ -50,109 +49,152 @@ async function sendNotification({ user, type, title, message, data = {} }) {
 }
 
 /**
- * Send email notification
+ * Whether a channel accepted the message
  */
-async function sendEmailNotification({ user, title, message, data }) {
+function isSuccessful(receipt) {
+  return Boolean(receipt) && ['sent', 'delivered'].includes(receipt.status);
+}
+
+/**
+ * Persist a notification delivery for the user's history; receipt is the channel's delivery receipt
+ */
+async function recordNotification({ user, channel, title, message, data = {}, receipt }) {
   try {
-    // Configure email transporter
-    const transporter = nodemailer.createTransporter({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
+    const Notification = require('../models/Notification');
+
+    const notification = await Notification.create({
+      user: user._id,
+      type: data.alertType || 'general',
+      title,
+      message,
+      channel,
+      delivery: receipt ? {
+        status: receipt.status,
+        attemptedAt: receipt.attemptedAt,
+        attempts: receipt.attempts,
+        provider: receipt.provider,
+        messageId: receipt.messageId,
+        deliveredAt: receipt.deliveredAt,
+        error: receipt.error
+      } : {
+        status: 'skipped',
+        attemptedAt: new Date()
+      },
+      station: data.stationId,
+      data
     });
 
-    // Email template
-    const htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
-          <h1 style="color: white; margin: 0;">Groundwater Detection System</h1>
-        </div>
-        <div style="padding: 20px; background: #f8f9fa;">
-          <h2 style="color: #333; margin-top: 0;">${title}</h2>
-          <p style="color: #666; line-height: 1.6;">${message}</p>
-          ${data.stationId ? `
-            <div style="background: #e9ecef; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0; color: #495057;">Station Details</h3>
-              <p><strong>Station ID:</strong> ${data.stationId}</p>
-              ${data.waterLevel ? `<p><strong>Water Level:</strong> ${data.waterLevel}m</p>` : ''}
-              ${data.status ? `<p><strong>Status:</strong> ${data.status}</p>` : ''}
-            </div>
-          ` : ''}
-          <div style="text-align: center; margin-top: 30px;">
-            <a href="${process.env.CLIENT_URL}/dashboard" 
-               style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
-              View Dashboard
-            </a>
+    // Live inbox update for the user's open sessions
+    publish('notification.created', { userId: user._id, notification });
+
+    return notification;
+  } catch (error) {
+    // History is best-effort; never block delivery on it
+    console.error('Record notification error:', error);
+    return null;
+  }
+}
+
+/**
+ * Send email notification; callers with their own template pass html, text and attachments
+ */
+async function sendEmailNotification({ user, title, message, data = {}, subject, html, text, attachments }) {
+  // Email template
+  const htmlContent = html || `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+        <h1 style="color: white; margin: 0;">Groundwater Detection System</h1>
+      </div>
+      <div style="padding: 20px; background: #f8f9fa;">
+        <h2 style="color: #333; margin-top: 0;">${title}</h2>
+        <p style="color: #666; line-height: 1.6;">${message}</p>
+        ${data.stationId ? `
+          <div style="background: #e9ecef; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <h3 style="margin-top: 0; color: #495057;">Station Details</h3>
+            <p><strong>Station ID:</strong> ${data.stationId}</p>
+            ${data.waterLevel ? `<p><strong>Water Level:</strong> ${data.waterLevel}m</p>` : ''}
+            ${data.status ? `<p><strong>Status:</strong> ${data.status}</p>` : ''}
           </div>
+        ` : ''}
+        <div style="text-align: center; margin-top: 30px;">
+          <a href="${process.env.CLIENT_URL}/dashboard" 
+             style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View Dashboard
+          </a>
         </div>
-        <div style="background: #6c757d; color: white; padding: 15px; text-align: center; font-size: 12px;">
-          <p>This is an automated message from the Groundwater Detection System.</p>
-          <p>To unsubscribe, please update your notification preferences in your account settings.</p>
-        </div>
       </div>
-    `;
+      <div style="background: #6c757d; color: white; padding: 15px; text-align: center; font-size: 12px;">
+        <p>This is an automated message from the Groundwater Detection System.</p>
+        <p>To unsubscribe, please update your notification preferences in your account settings.</p>
+      </div>
+    </div>
+  `;
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: user.email,
-      subject: `[Groundwater Alert] ${title}`,
-      html: htmlContent
-    };
+  return await deliver('email', {
+    to: user.email,
+    subject: subject || `[Groundwater Alert] ${title}`,
+    html: htmlContent,
+    text: text || message,
+    attachments
+  });
+}
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully:', result.messageId);
-    
-    return true;
-  } catch (error) {
-    console.error('Email notification error:', error);
-    return false;
-  }
+/**
+ * Send SMS notification through the configured gateway
+ */
+async function sendSMSNotification({ user, message }) {
+  return await deliver('sms', {
+    to: user.phone,
+    text: message
+  });
 }
 
 /**
- * Send SMS notification (mock implementation)
+ * Send Web Push notification to the user's subscribed browsers
  */
-async function sendSMSNotification({ user, message, data }) {
-  try {
-    // In production, integrate with SMS service like Twilio, AWS SNS, etc.
-    console.log(`SMS to ${user.name}: ${message}`);
-    
-    // Mock SMS sending
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    return true;
-  } catch (error) {
-    console.error('SMS notification error:', error);
-    return false;
-  }
+async function sendPushNotification({ user, title, message, data = {} }) {
+  return await deliver('push', {
+    userId: user._id,
+    title,
+    body: message,
+    data
+  });
 }
 
 /**
- * Send push notification (mock implementation)
+ * Send notification to the user's webhook
  */
-async function sendPushNotification({ user, title, message, data }) {
-  try {
-    // In production, integrate with push notification service like Firebase, OneSignal, etc.
-    console.log(`Push notification to ${user.name}: ${title} - ${message}`);
-    
-    // Mock push notification sending
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    return true;
-  } catch (error) {
-    console.error('Push notification error:', error);
-    return false;
-  }
+async function sendWebhookNotification({ user, title, message, data = {} }) {
+  const User = require('../models/User');
+  // The signing secret is not selected with the user by default
+  const owner = await User.findById(user._id).select('+preferences.webhook.secret');
+
+  return await deliver('webhook', {
+    url: owner?.preferences.webhook?.url,
+    secret: owner?.preferences.webhook?.secret,
+    event: {
+      event: 'notification',
+      type: data.alertType || 'general',
+      title,
+      message,
+      stationId: data.stationId,
+      data,
+      user: { id: user._id }
+    }
+  });
 }
 
+const CHANNEL_SENDERS = {
+  email: sendEmailNotification,
+  sms: sendSMSNotification,
+  push: sendPushNotification,
+  webhook: sendWebhookNotification
+};
+
 /**
  * Send critical alert to all users in area
  */
-async function sendCriticalAlert({ latitude, longitude, radius, station, waterLevel }) {
+async function sendCriticalAlert({ latitude, longitude, radius, station, waterLevel, excludeUserIds = [] }) {
   try {
     const User = require('../models/User');
     
@@ -167,7 +209,9 @@ async function sendCriticalAlert({ latitude, longitude, radius, station, waterLe
           $maxDistance: radius * 1000 // Convert km to meters
         }
       },
+      _id: { $nin: excludeUserIds },
       isActive: true,
+      emailVerified: true,
       'preferences.notifications.email': true
     });
 
@@ -201,6 +245,47 @@ async function sendCriticalAlert({ latitude, longitude, radius, station, waterLe
   }
 }
 
+/**
+ * Send a station alert to users on every channel they have enabled
+ */
+async function sendStationAlert({ users, station, title, message, data = {} }) {
+  try {
+    const results = [];
+
+    for (const user of users) {
+      const channels = Object.keys(CHANNEL_SENDERS).filter(
+        channel => user.preferences.notifications[channel]
+      );
+
+      const channelResults = [];
+      for (const channel of channels) {
+        const result = await sendNotification({
+          user,
+          type: channel,
+          title,
+          message,
+          data: {
+            stationId: station._id,
+            ...data
+          }
+        });
+        channelResults.push({ channel, result });
+      }
+
+      results.push({ userId: user._id, results: channelResults });
+    }
+
+    return {
+      success: true,
+      usersNotified: users.length,
+      results
+    };
+  } catch (error) {
+    console.error('Station alert error:', error);
+    return { success: false, usersNotified: 0, error: error.message };
+  }
+}
+
 /**
  * Send maintenance notification
  */
@@ -241,7 +326,7 @@ async function sendMaintenanceNotification({ station, maintenanceDate, users })
 async function sendTrendAlert({ user, station, trend, period }) {
   try {
     const direction = trend.direction === 'falling' ? 'declining' : 'rising';
-    const significance = trend.significance === 'significant' ? 'significantly' : 'slightly';
+    const significance = ['significant', 'very_significant', 'highly_significant'].includes(trend.significance) ? 'significantly' : 'slightly';
     
     const result = await sendNotification({
       user,
@@ -265,10 +350,14 @@ async function sendTrendAlert({ user, station, trend, period }) {
 
 module.exports = {
   sendNotification,
+  isSuccessful,
+  recordNotification,
   sendEmailNotification,
   sendSMSNotification,
   sendPushNotification,
+  sendWebhookNotification,
   sendCriticalAlert,
+  sendStationAlert,
   sendMaintenanceNotification,
   sendTrendAlert
 };
@@ -0,0 +1,347 @@
+// Parser and evaluator for the OData query options used by the SensorThings API
+// ($filter, $expand, $orderby, $select, $top, $skip, $count)
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+
+const FUNCTIONS = {
+  substringof: (needle, haystack) => typeof haystack === 'string' && haystack.includes(needle),
+  contains: (haystack, needle) => typeof haystack === 'string' && haystack.includes(needle),
+  startswith: (value, prefix) => typeof value === 'string' && value.startsWith(prefix),
+  endswith: (value, suffix) => typeof value === 'string' && value.endsWith(suffix),
+  tolower: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  toupper: value => (typeof value === 'string' ? value.toUpperCase() : value),
+  length: value => (typeof value === 'string' ? value.length : null),
+  year: value => toDate(value)?.getUTCFullYear() ?? null,
+  month: value => (toDate(value) ? toDate(value).getUTCMonth() + 1 : null),
+  day: value => toDate(value)?.getUTCDate() ?? null,
+  hour: value => toDate(value)?.getUTCHours() ?? null,
+  minute: value => toDate(value)?.getUTCMinutes() ?? null
+};
+
+const DEFAULT_TOP = 100;
+const MAX_TOP = 1000;
+
+// Raised for malformed or unsupported query options; routes answer these with 400
+class ODataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ODataError';
+  }
+}
+
+/**
+ * Split a $filter expression into tokens
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === "'") {
+      // Quotes inside strings are doubled
+      let value = '';
+      i++;
+      while (i < input.length) {
+        if (input[i] === "'" && input[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (input[i] === "'") {
+          break;
+        } else {
+          value += input[i++];
+        }
+      }
+      if (i >= input.length) throw new ODataError('Unterminated string in $filter');
+      i++;
+      tokens.push({ type: 'literal', value });
+    } else {
+      const match = input.slice(i).match(/^[^\s(),']+/);
+      const word = match[0];
+      i += word.length;
+
+      if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(word)) {
+        tokens.push({ type: 'literal', value: new Date(word) });
+      } else if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(word)) {
+        tokens.push({ type: 'literal', value: Number(word) });
+      } else if (word === 'true' || word === 'false') {
+        tokens.push({ type: 'literal', value: word === 'true' });
+      } else if (word === 'null') {
+        tokens.push({ type: 'literal', value: null });
+      } else if (['and', 'or', 'not', ...COMPARISON_OPERATORS].includes(word)) {
+        tokens.push({ type: 'keyword', value: word });
+      } else {
+        tokens.push({ type: 'name', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a $filter expression into an AST
+ */
+function parseFilter(input) {
+  const tokens = tokenize(input);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isKeyword = value => peek()?.type === 'keyword' && peek().value === value;
+  const expect = (type) => {
+    if (peek()?.type !== type) throw new ODataError(`Expected "${type}" in $filter`);
+    return tokens[position++];
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isKeyword('or')) {
+      position++;
+      node = { type: 'logical', operator: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isKeyword('and')) {
+      position++;
+      node = { type: 'logical', operator: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isKeyword('not')) {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    if (peek()?.type === 'keyword' && COMPARISON_OPERATORS.includes(peek().value)) {
+      const operator = tokens[position++].value;
+      return { type: 'comparison', operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (!token) throw new ODataError('Unexpected end of $filter');
+
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'literal') {
+      position++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (peek()?.type === '(') {
+        const name = token.value.toLowerCase();
+        if (!FUNCTIONS[name]) throw new ODataError(`Unsupported function "${token.value}" in $filter`);
+        position++;
+        const args = [];
+        while (peek()?.type !== ')') {
+          args.push(parseOr());
+          if (peek()?.type === ',') position++;
+          else break;
+        }
+        expect(')');
+        return { type: 'function', name, args };
+      }
+      return { type: 'property', path: token.value.split('/') };
+    }
+
+    throw new ODataError(`Unexpected "${token.value || token.type}" in $filter`);
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) throw new ODataError('Unexpected trailing tokens in $filter');
+  return ast;
+}
+
+/**
+ * Evaluate a $filter AST, resolving property paths with the given function
+ */
+function evaluateFilter(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'property':
+      return resolve(node.path);
+    case 'function':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateFilter(arg, resolve)));
+    case 'not':
+      return !evaluateFilter(node.operand, resolve);
+    case 'logical':
+      return node.operator === 'and'
+        ? evaluateFilter(node.left, resolve) && evaluateFilter(node.right, resolve)
+        : evaluateFilter(node.left, resolve) || evaluateFilter(node.right, resolve);
+    case 'comparison':
+      return compare(evaluateFilter(node.left, resolve), node.operator, evaluateFilter(node.right, resolve));
+    default:
+      throw new ODataError('Invalid $filter expression');
+  }
+}
+
+/**
+ * Compare two values, treating ISO strings as dates when the other side is a date
+ */
+function compare(left, operator, right) {
+  let a = left;
+  let b = right;
+  if (a instanceof Date || b instanceof Date) {
+    a = toDate(a)?.getTime() ?? null;
+    b = toDate(b)?.getTime() ?? null;
+  }
+
+  switch (operator) {
+    case 'eq': return a === b || (a == null && b == null);
+    case 'ne': return !(a === b || (a == null && b == null));
+    case 'gt': return a != null && b != null && a > b;
+    case 'ge': return a != null && b != null && a >= b;
+    case 'lt': return a != null && b != null && a < b;
+    case 'le': return a != null && b != null && a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Split on a separator outside of parentheses and quotes
+ */
+function splitTopLevel(input, separator) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of input) {
+    if (char === "'") quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+
+    if (!quoted && depth === 0 && char === separator) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse $expand, e.g. "Datastreams($top=1;$orderby=name),Locations" or "Datastreams/Observations"
+ */
+function parseExpand(input) {
+  return splitTopLevel(input, ',').map(item => {
+    const open = item.indexOf('(');
+    const path = (open === -1 ? item : item.slice(0, open)).split('/').map(s => s.trim());
+    let options = defaultOptions();
+
+    if (open !== -1) {
+      if (!item.endsWith(')')) throw new ODataError(`Malformed $expand item "${item}"`);
+      const query = {};
+      splitTopLevel(item.slice(open + 1, -1), ';').forEach(option => {
+        const eq = option.indexOf('=');
+        if (eq === -1) throw new ODataError(`Malformed $expand option "${option}"`);
+        query[option.slice(0, eq).trim()] = option.slice(eq + 1).trim();
+      });
+      options = parseQueryOptions(query);
+    }
+
+    return nestPath(path, options);
+  });
+}
+
+// "A/B" expands A with B nested inside it; the options apply to the innermost entity
+function nestPath(path, options) {
+  if (path.length === 1) return { path: path[0], options };
+  return {
+    path: path[0],
+    options: { ...defaultOptions(), expand: [nestPath(path.slice(1), options)] }
+  };
+}
+
+/**
+ * Parse $orderby, e.g. "phenomenonTime desc,result"
+ */
+function parseOrderBy(input) {
+  return splitTopLevel(input, ',').map(item => {
+    const [path, direction = 'asc'] = item.split(/\s+/);
+    if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+      throw new ODataError(`Invalid $orderby direction "${direction}"`);
+    }
+    return { path: path.split('/'), descending: direction.toLowerCase() === 'desc' };
+  });
+}
+
+function defaultOptions() {
+  return { filter: null, expand: [], orderBy: [], select: null, top: DEFAULT_TOP, skip: 0, count: false };
+}
+
+/**
+ * Parse the query options of a request (or of an $expand item)
+ */
+function parseQueryOptions(query = {}) {
+  const options = defaultOptions();
+
+  if (query.$filter) options.filter = parseFilter(query.$filter);
+  if (query.$expand) options.expand = parseExpand(query.$expand);
+  if (query.$orderby) options.orderBy = parseOrderBy(query.$orderby);
+  if (query.$select) options.select = splitTopLevel(query.$select, ',');
+
+  if (query.$top !== undefined) {
+    const top = Number(query.$top);
+    if (!Number.isInteger(top) || top < 0) throw new ODataError('$top must be a non-negative integer');
+    options.top = Math.min(top, MAX_TOP);
+  }
+
+  if (query.$skip !== undefined) {
+    const skip = Number(query.$skip);
+    if (!Number.isInteger(skip) || skip < 0) throw new ODataError('$skip must be a non-negative integer');
+    options.skip = skip;
+  }
+
+  if (query.$count !== undefined) {
+    if (!['true', 'false'].includes(String(query.$count))) throw new ODataError('$count must be true or false');
+    options.count = String(query.$count) === 'true';
+  }
+
+  return options;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+module.exports = {
+  ODataError,
+  DEFAULT_TOP,
+  MAX_TOP,
+  parseFilter,
+  evaluateFilter,
+  compare,
+  parseQueryOptions
+};
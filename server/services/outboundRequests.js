@@ -0,0 +1,153 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const parseList = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const OUTBOUND_OPTIONS = {
+  // Hosts that may be private (local stand-ins, an on-premise receiver); everything else must be public
+  allowedHosts: parseList(process.env.NOTIFICATION_ALLOWED_HOSTS),
+  // Browsers only hand out push endpoints on these services (and their subdomains)
+  pushServiceHosts: parseList(process.env.PUSH_SERVICE_HOSTS || [
+    'fcm.googleapis.com',
+    'updates.push.services.mozilla.com',
+    'push.apple.com',
+    'notify.windows.com'
+  ].join(',')),
+  // Webhook receivers may use plain HTTP outside production
+  webhookProtocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https']
+};
+
+// Loopback, private, link-local (cloud metadata), shared, documentation, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Raised when a URL may not be requested; the message is safe to show the user
+class OutboundUrlError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OutboundUrlError';
+    this.code = code;
+  }
+}
+
+const hostnameOf = url => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+const isAllowedHost = hostname => OUTBOUND_OPTIONS.allowedHosts.includes(hostname);
+
+/**
+ * Whether an IP address is in a range outbound requests must not reach (IPv4-mapped IPv6 included)
+ */
+function isBlockedAddress(address) {
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return blockedAddresses.check(address, type);
+}
+
+// DNS lookup for outbound sockets that refuses private answers, so a name cannot be re-pointed after the check
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const allowed = isAllowedHost(hostname.toLowerCase());
+    const blocked = addresses.find(({ address }) => !allowed && isBlockedAddress(address));
+    if (blocked) {
+      return callback(new OutboundUrlError(`${hostname} resolves to a private address`, 'private_address'));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+/**
+ * Check that a URL uses an allowed protocol and that its host resolves only to public addresses
+ */
+async function checkOutboundUrl(value, { protocols = ['https'] } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new OutboundUrlError('Invalid URL', 'invalid_url');
+  }
+
+  const hostname = hostnameOf(url);
+  const allowed = isAllowedHost(hostname);
+
+  // Allow-listed stand-ins may use plain HTTP
+  if (!protocols.includes(url.protocol.slice(0, -1)) && !(allowed && url.protocol === 'http:')) {
+    throw new OutboundUrlError(`URL must use ${protocols.join(' or ')}`, 'protocol');
+  }
+  if (url.username || url.password) {
+    throw new OutboundUrlError('URL must not contain credentials', 'credentials');
+  }
+  if (allowed) return url;
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new OutboundUrlError(`${hostname} could not be resolved`, 'unresolvable');
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw new OutboundUrlError(`${hostname} is a private or reserved address`, 'private_address');
+  }
+
+  return url;
+}
+
+/**
+ * Check that a push subscription endpoint belongs to a browser push service
+ */
+async function checkPushEndpoint(value) {
+  const url = await checkOutboundUrl(value, { protocols: ['https'] });
+  const hostname = hostnameOf(url);
+
+  const known = OUTBOUND_OPTIONS.pushServiceHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  if (!known && !isAllowedHost(hostname)) {
+    throw new OutboundUrlError(`${hostname} is not a known push service`, 'unknown_push_service');
+  }
+
+  return url;
+}
+
+/**
+ * POST to a user-supplied URL: checked up front, again at connect time, and never redirected
+ */
+async function postToPublicUrl(url, body, config = {}, checkOptions) {
+  await checkOutboundUrl(url, checkOptions);
+  try {
+    return await axios.post(url, body, { ...config, ...agents, maxRedirects: 0 });
+  } catch (error) {
+    // The connect-time lookup refused the address
+    if (error.cause instanceof OutboundUrlError) throw error.cause;
+    throw error;
+  }
+}
+
+module.exports = {
+  OUTBOUND_OPTIONS,
+  OutboundUrlError,
+  isBlockedAddress,
+  checkOutboundUrl,
+  checkPushEndpoint,
+  postToPublicUrl
+};
@@ -0,0 +1,193 @@
+const simpleStats = require('simple-statistics');
+const Reading = require('../models/Reading');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const QC_OPTIONS = {
+  maxRatePerHour: 1, // meters of change per hour a DWLR can plausibly record
+  hampelWindow: 12, // preceding clean readings used for the outlier test
+  hampelThreshold: 3, // scaled MADs from the window median
+  minMad: 0.01, // meters; stops a perfectly flat window flagging every change
+  levelShiftCount: 3, // preceding readings that must agree with a new level before it is accepted
+  flatlineCount: 24, // identical consecutive values that mark a stuck sensor
+  flatlineTolerance: 0.001, // meters
+  driftTolerance: 0.2, // meters between the sensor and a manual dip reading
+  driftWindowHours: 6, // sensor readings this close to a manual dip are compared with it
+  contextDays: 7, // how far back to look for preceding readings
+  confidencePenalty: 30 // confidence points removed per flag
+};
+
+/**
+ * Run every quality check on a reading given its preceding readings (oldest first)
+ */
+function checkReading(reading, { history = [], station, duplicate = false, calibration = null } = {}, options = {}) {
+  const config = { ...QC_OPTIONS, ...options };
+  const flags = [];
+  const timestamp = new Date(reading.timestamp).getTime();
+  const level = reading.waterLevel;
+
+  // Rate and outlier tests compare against readings that passed QC themselves
+  const clean = history.filter(r => !r.qualityFlags || r.qualityFlags.length === 0);
+
+  if (duplicate) {
+    flags.push('duplicate');
+  }
+
+  // Depth below ground cannot exceed the bottom of the well
+  const wellDepth = station?.technicalDetails?.wellDepth;
+  if (wellDepth && level > wellDepth) {
+    flags.push('out_of_range');
+  }
+
+  // Noise of the preceding window, the scale both the outlier and level shift tests use
+  const window = clean.slice(-config.hampelWindow).map(r => r.waterLevel);
+  const median = window.length > 0 ? simpleStats.median(window) : null;
+  const mad = window.length > 0 ? 1.4826 * simpleStats.median(window.map(v => Math.abs(v - median))) : 0;
+  const tolerance = config.hampelThreshold * Math.max(mad, config.minMad);
+
+  // A real step in the water table: the latest readings settle on a new level together
+  const levelShift = isLevelShift(level, history, tolerance, config);
+
+  const previous = clean[clean.length - 1];
+  if (previous && !levelShift) {
+    const hours = (timestamp - new Date(previous.timestamp).getTime()) / HOUR_MS;
+    if (hours > 0 && Math.abs(level - previous.waterLevel) / hours > config.maxRatePerHour) {
+      flags.push('rate_of_change');
+    }
+  }
+
+  // Hampel filter on the preceding window
+  if (window.length >= 5 && !levelShift && Math.abs(level - median) > tolerance) {
+    flags.push('outlier');
+  }
+
+  // A stuck sensor repeats the same value, flagged or not
+  const recent = history.slice(-(config.flatlineCount - 1));
+  if (recent.length === config.flatlineCount - 1 &&
+      recent.every(r => Math.abs(r.waterLevel - level) <= config.flatlineTolerance)) {
+    flags.push('flatline');
+  }
+
+  // Sensor drift: the logger disagrees with a manual dip taken around the same time
+  if (calibration && Math.abs(level - calibration.manualLevel) > config.driftTolerance) {
+    flags.push('drift');
+  }
+
+  return flags;
+}
+
+/**
+ * Whether a level and the readings just before it (flagged or not) agree within the window's noise
+ */
+function isLevelShift(level, history, tolerance, config) {
+  const recent = history.slice(-config.levelShiftCount);
+  if (recent.length < config.levelShiftCount) return false;
+
+  // Readings flagged for anything other than the jump itself are not evidence of a new level
+  const jumpFlags = ['rate_of_change', 'outlier'];
+  if (recent.some(r => (r.qualityFlags || []).some(flag => !jumpFlags.includes(flag)))) return false;
+
+  const values = [...recent.map(r => r.waterLevel), level];
+  const median = simpleStats.median(values);
+  return values.every(v => Math.abs(v - median) <= tolerance);
+}
+
+/**
+ * Manual dip readings of a station close enough to calibrate sensor readings taken between two times
+ */
+async function getManualDips(stationId, from, to, config = QC_OPTIONS) {
+  const window = config.driftWindowHours * HOUR_MS;
+  return await Reading.find({
+    stationId,
+    'metadata.dataSource': 'manual',
+    timestamp: {
+      $gte: new Date(new Date(from).getTime() - window),
+      $lte: new Date(new Date(to).getTime() + window)
+    },
+    isActive: true
+  }).select('timestamp waterLevel');
+}
+
+/**
+ * Calibration from the manual dip taken closest to a sensor reading, within the drift window
+ */
+function findCalibration(dips, timestamp, config = QC_OPTIONS) {
+  const time = new Date(timestamp).getTime();
+  const nearby = dips.filter(dip => Math.abs(new Date(dip.timestamp).getTime() - time) <= config.driftWindowHours * HOUR_MS);
+  if (nearby.length === 0) return null;
+
+  const closest = nearby.reduce((best, dip) => (
+    Math.abs(new Date(dip.timestamp).getTime() - time) < Math.abs(new Date(best.timestamp).getTime() - time) ? dip : best
+  ));
+
+  return { manualLevel: closest.waterLevel };
+}
+
+async function getCalibration(stationId, timestamp, config) {
+  return findCalibration(await getManualDips(stationId, timestamp, timestamp, config), timestamp, config);
+}
+
+/**
+ * Load a reading's preceding readings and run the quality checks against them
+ */
+async function runQualityChecks(reading, station, options = {}) {
+  const config = { ...QC_OPTIONS, ...options };
+  const timestamp = new Date(reading.timestamp);
+
+  // Only logger readings can drift; manual dips are the reference
+  const isSensorReading = (reading.metadata?.dataSource || 'dwlr') === 'dwlr';
+
+  const [history, duplicate, calibration] = await Promise.all([
+    Reading.find({
+      stationId: station._id,
+      timestamp: {
+        $gte: new Date(timestamp.getTime() - config.contextDays * 24 * HOUR_MS),
+        $lt: timestamp
+      },
+      isActive: true
+    })
+      .sort({ timestamp: -1 })
+      .limit(Math.max(config.hampelWindow, config.flatlineCount) * 2)
+      .select('timestamp waterLevel qualityFlags'),
+    Reading.exists({ stationId: station._id, timestamp, isActive: true }),
+    isSensorReading ? getCalibration(station._id, timestamp, config) : null
+  ]);
+
+  return checkReading(reading, {
+    history: history.reverse(),
+    station,
+    duplicate: !!duplicate,
+    calibration
+  }, config);
+}
+
+/**
+ * Attach quality flags to reading data before it is stored, lowering its confidence
+ */
+async function applyQualityChecks(readingData, station, options = {}) {
+  const config = { ...QC_OPTIONS, ...options };
+  const qualityFlags = await runQualityChecks(readingData, station, config);
+
+  if (qualityFlags.length === 0) {
+    return { ...readingData, qualityFlags };
+  }
+
+  const confidence = readingData.metadata?.confidence ?? 100;
+  return {
+    ...readingData,
+    qualityFlags,
+    metadata: {
+      ...readingData.metadata,
+      confidence: Math.max(0, confidence - config.confidencePenalty * qualityFlags.length)
+    }
+  };
+}
+
+module.exports = {
+  QC_OPTIONS,
+  checkReading,
+  getManualDips,
+  findCalibration,
+  runQualityChecks,
+  applyQualityChecks
+};
@@ -0,0 +1,290 @@
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  waterml: { contentType: 'application/xml; charset=utf-8', extension: 'wml2.xml' }
+};
+
+const QUALITY_FILTERS = ['clean', 'flagged', 'all'];
+
+const CSV_COLUMNS = [
+  'station_id', 'station_name', 'timestamp', 'water_level_m', 'status', 'data_source',
+  'confidence', 'quality_flags', 'battery_level', 'signal_strength', 'temperature', 'rainfall'
+];
+
+const CURSOR_BATCH_SIZE = 1000;
+
+/**
+ * Resolve export stations from Mongo IDs or human station codes (all active stations if none given)
+ */
+async function resolveStations(identifiers = []) {
+  if (identifiers.length === 0) {
+    return Station.find({ isActive: true }).sort({ stationId: 1 });
+  }
+
+  const ids = identifiers.filter(id => mongoose.Types.ObjectId.isValid(id));
+  return Station.find({
+    isActive: true,
+    $or: [{ _id: { $in: ids } }, { stationId: { $in: identifiers } }]
+  }).sort({ stationId: 1 });
+}
+
+/**
+ * Build the reading query for an export
+ */
+function buildExportFilter(stations, { startDate, endDate, quality = 'clean', includeInterpolated = true } = {}) {
+  const filter = {
+    stationId: { $in: stations.map(station => station._id) },
+    isActive: true
+  };
+
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+
+  if (quality === 'clean') {
+    Object.assign(filter, Reading.UNFLAGGED);
+  } else if (quality === 'flagged') {
+    filter['qualityFlags.0'] = { $exists: true };
+  }
+
+  if (!includeInterpolated) {
+    filter['metadata.dataSource'] = { $ne: 'interpolated' };
+  }
+
+  return filter;
+}
+
+/**
+ * Stream matching readings to a writable response in the requested format
+ */
+async function streamReadings(res, { format, stations, filter }) {
+  const writer = FORMAT_WRITERS[format];
+  const stationsById = new Map(stations.map(station => [station.id, station]));
+  const context = { stations: stationsById, filter, current: null, count: 0 };
+
+  // Prepared before anything is sent, so a failure here can still be answered with an error status
+  const header = await writer.start(context);
+
+  // One station's series at a time, oldest first
+  const cursor = Reading.find(filter)
+    .sort({ stationId: 1, timestamp: 1 })
+    .select('-__v -createdAt -updatedAt')
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  try {
+    // Waits for the client to drain; if it disconnects, the generator is stopped and the cursor closed
+    await pipeline(exportChunks(writer, context, cursor, header), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return context.count;
+    throw error;
+  }
+
+  return context.count;
+}
+
+// The export document piece by piece, read from the cursor only as fast as the client takes it
+async function* exportChunks(writer, context, cursor, header) {
+  yield header;
+
+  for await (const reading of cursor) {
+    const stationId = reading.stationId.toString();
+    const station = context.stations.get(stationId);
+    if (context.current !== stationId) {
+      if (context.current) yield writer.endStation(context);
+      context.current = stationId;
+      yield writer.startStation(context, station);
+    }
+
+    yield writer.reading(reading, station);
+    context.count++;
+  }
+
+  if (context.current) yield writer.endStation(context);
+  yield writer.end(context);
+}
+
+/**
+ * Format writers: each returns the text to emit at that point of the stream
+ */
+const FORMAT_WRITERS = {
+  csv: {
+    start: () => `${CSV_COLUMNS.join(',')}\n`,
+    startStation: () => '',
+    reading: (reading, station) => `${[
+      station.stationId,
+      station.name,
+      reading.timestamp.toISOString(),
+      reading.waterLevel,
+      reading.waterLevelStatus,
+      reading.metadata?.dataSource,
+      reading.metadata?.confidence,
+      (reading.qualityFlags || []).join(';'),
+      reading.batteryLevel,
+      reading.signalStrength,
+      reading.temperature,
+      reading.rainfall
+    ].map(csvValue).join(',')}\n`,
+    endStation: () => '',
+    end: () => ''
+  },
+
+  ndjson: {
+    start: () => '',
+    startStation: () => '',
+    reading: (reading, station) => `${JSON.stringify({
+      stationId: station.stationId,
+      stationName: station.name,
+      timestamp: reading.timestamp,
+      waterLevel: reading.waterLevel,
+      waterLevelStatus: reading.waterLevelStatus,
+      dataSource: reading.metadata?.dataSource,
+      confidence: reading.metadata?.confidence,
+      qualityFlags: reading.qualityFlags || [],
+      batteryLevel: reading.batteryLevel,
+      signalStrength: reading.signalStrength,
+      temperature: reading.temperature,
+      humidity: reading.humidity,
+      rainfall: reading.rainfall,
+      quality: reading.quality
+    })}\n`,
+    endStation: () => '',
+    end: () => ''
+  },
+
+  // OGC WaterML 2.0 Part 1 (TimeseriesML): one observation per station
+  waterml: {
+    start: async (context) => {
+      // Each observation header needs its phenomenon time before the points stream
+      const ranges = await Reading.aggregate([
+        { $match: context.filter },
+        { $group: { _id: '$stationId', begin: { $min: '$timestamp' }, end: { $max: '$timestamp' } } }
+      ]);
+      context.ranges = new Map(ranges.map(range => [range._id.toString(), range]));
+      context.generated = new Date().toISOString();
+
+      return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<wml2:Collection xmlns:wml2="http://www.opengis.net/waterml/2.0" ' +
+        'xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:om="http://www.opengis.net/om/2.0" ' +
+        'xmlns:sa="http://www.opengis.net/sampling/2.0" xmlns:sams="http://www.opengis.net/samplingSpatial/2.0" ' +
+        'xmlns:swe="http://www.opengis.net/swe/2.0" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:schemaLocation="http://www.opengis.net/waterml/2.0 http://schemas.opengis.net/waterml/2.0/waterml2.xsd" ' +
+        'gml:id="readings-export">\n' +
+        '  <wml2:metadata>\n' +
+        '    <wml2:DocumentMetadata gml:id="document-metadata">\n' +
+        `      <wml2:generationDate>${context.generated}</wml2:generationDate>\n` +
+        '      <wml2:generationSystem>Groundwater Detection System</wml2:generationSystem>\n' +
+        '    </wml2:DocumentMetadata>\n' +
+        '  </wml2:metadata>\n';
+    },
+    startStation: (context, station) => {
+      const range = context.ranges.get(station.id);
+      const id = xmlId(station.stationId);
+      const [longitude, latitude] = station.location.coordinates;
+
+      return '  <wml2:observationMember>\n' +
+        `    <om:OM_Observation gml:id="observation-${id}">\n` +
+        '      <om:phenomenonTime>\n' +
+        `        <gml:TimePeriod gml:id="period-${id}">\n` +
+        `          <gml:beginPosition>${range.begin.toISOString()}</gml:beginPosition>\n` +
+        `          <gml:endPosition>${range.end.toISOString()}</gml:endPosition>\n` +
+        '        </gml:TimePeriod>\n' +
+        '      </om:phenomenonTime>\n' +
+        '      <om:resultTime>\n' +
+        `        <gml:TimeInstant gml:id="result-time-${id}">\n` +
+        `          <gml:timePosition>${context.generated}</gml:timePosition>\n` +
+        '        </gml:TimeInstant>\n' +
+        '      </om:resultTime>\n' +
+        '      <om:procedure xlink:title="Digital Water Level Recorder"/>\n' +
+        '      <om:observedProperty xlink:title="Depth to groundwater below ground level"/>\n' +
+        '      <om:featureOfInterest>\n' +
+        `        <wml2:MonitoringPoint gml:id="station-${id}">\n` +
+        `          <gml:identifier codeSpace="stationId">${xmlEscape(station.stationId)}</gml:identifier>\n` +
+        `          <gml:name>${xmlEscape(station.name)}</gml:name>\n` +
+        '          <sa:sampledFeature xlink:title="Groundwater aquifer"/>\n' +
+        '          <sams:shape>\n' +
+        `            <gml:Point gml:id="location-${id}" srsName="urn:ogc:def:crs:EPSG::4326">\n` +
+        `              <gml:pos>${latitude} ${longitude}</gml:pos>\n` +
+        '            </gml:Point>\n' +
+        '          </sams:shape>\n' +
+        `        </wml2:MonitoringPoint>\n` +
+        '      </om:featureOfInterest>\n' +
+        '      <om:result>\n' +
+        `        <wml2:MeasurementTimeseries gml:id="timeseries-${id}">\n` +
+        '          <wml2:defaultPointMetadata>\n' +
+        '            <wml2:DefaultTVPMeasurementMetadata>\n' +
+        '              <wml2:uom code="m"/>\n' +
+        '              <wml2:interpolationType xlink:href="http://www.opengis.net/def/waterml/2.0/interpolationType/Continuous" xlink:title="Instantaneous"/>\n' +
+        '            </wml2:DefaultTVPMeasurementMetadata>\n' +
+        '          </wml2:defaultPointMetadata>\n';
+    },
+    reading: (reading) => {
+      // Quality flags and gap fills travel as point qualifiers
+      const qualifiers = [...(reading.qualityFlags || [])];
+      if (reading.metadata?.dataSource === 'interpolated') qualifiers.push('interpolated');
+
+      const metadata = qualifiers.length === 0 ? '' :
+        '              <wml2:metadata>\n' +
+        '                <wml2:TVPMeasurementMetadata>\n' +
+        qualifiers.map(q => (
+          '                  <wml2:qualifier>\n' +
+          `                    <swe:Category><swe:value>${q}</swe:value></swe:Category>\n` +
+          '                  </wml2:qualifier>\n'
+        )).join('') +
+        '                </wml2:TVPMeasurementMetadata>\n' +
+        '              </wml2:metadata>\n';
+
+      return '          <wml2:point>\n' +
+        '            <wml2:MeasurementTVP>\n' +
+        `              <wml2:time>${reading.timestamp.toISOString()}</wml2:time>\n` +
+        `              <wml2:value>${reading.waterLevel}</wml2:value>\n` +
+        metadata +
+        '            </wml2:MeasurementTVP>\n' +
+        '          </wml2:point>\n';
+    },
+    endStation: () => '        </wml2:MeasurementTimeseries>\n' +
+      '      </om:result>\n' +
+      '    </om:OM_Observation>\n' +
+      '  </wml2:observationMember>\n',
+    end: () => '</wml2:Collection>\n'
+  }
+};
+
+/**
+ * Helper functions
+ */
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// gml:id values must be valid XML NCNames
+function xmlId(value) {
+  return String(value).replace(/[^A-Za-z0-9_.-]/g, '_');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  QUALITY_FILTERS,
+  resolveStations,
+  buildExportFilter,
+  streamReadings
+};
@@ -0,0 +1,391 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+const ThresholdProfile = require('../models/ThresholdProfile');
+const { QC_OPTIONS, checkReading, getManualDips, findCalibration } = require('./qualityControlService');
+
+const IMPORT_OPTIONS = {
+  chunkSize: 500,
+  previewRows: 100, // rows echoed back in a dry run
+  maxErrors: 500, // row errors listed in a dry run
+  maxRows: 50000
+};
+
+// Reading fields and the (normalised) column headers recognised for each
+const COLUMN_ALIASES = {
+  stationId: ['stationid', 'station', 'stationcode', 'code', 'wellid'],
+  timestamp: ['timestamp', 'datetime', 'date', 'time', 'recordedat', 'observedat'],
+  waterLevel: ['waterlevel', 'level', 'depth', 'depthtowater', 'waterlevelm', 'depthm', 'mbgl'],
+  batteryLevel: ['batterylevel', 'battery'],
+  signalStrength: ['signalstrength', 'signal', 'rssi'],
+  temperature: ['temperature', 'temp'],
+  humidity: ['humidity'],
+  rainfall: ['rainfall', 'rain', 'rainfallmm'],
+  ph: ['ph'],
+  tds: ['tds'],
+  turbidity: ['turbidity'],
+  conductivity: ['conductivity', 'ec'],
+  dataSource: ['datasource', 'source'],
+  notes: ['notes', 'note', 'comment', 'comments', 'remarks']
+};
+
+const NUMERIC_FIELDS = ['waterLevel', 'batteryLevel', 'signalStrength', 'temperature', 'humidity', 'rainfall', 'ph', 'tds', 'turbidity', 'conductivity'];
+const QUALITY_FIELDS = ['ph', 'tds', 'turbidity', 'conductivity'];
+const IMPORT_SOURCES = ['dwlr', 'manual'];
+
+// Readings past the TTL on Reading.timestamp are removed by MongoDB
+const RETENTION_MS = 63072000 * 1000;
+
+/**
+ * Parse an uploaded CSV or Excel file into rows keyed by column header
+ */
+async function parseFile(buffer, filename = '') {
+  const extension = filename.split('.').pop().toLowerCase();
+
+  if (extension === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    return sheetRows(sheet);
+  }
+
+  if (extension === 'csv') {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from(buffer)
+        .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  throw new Error('Unsupported file type, upload a .csv or .xlsx file (save .xls workbooks as .xlsx first)');
+}
+
+/**
+ * Rows of a worksheet keyed by the headers in its first row, blank rows skipped
+ */
+function sheetRows(sheet) {
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cellValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) record[header] = cellValue(row.getCell(column).value);
+    });
+    rows.push(record);
+  });
+
+  return rows;
+}
+
+// Plain value of a cell: formulas give their result, rich text and hyperlinks their text, errors nothing
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellValue(value.text);
+  return '';
+}
+
+/**
+ * Match file columns to reading fields, letting an explicit mapping override the aliases
+ */
+function resolveColumnMapping(columns, mapping = {}) {
+  const normalise = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const resolved = {};
+
+  Object.entries(mapping || {}).forEach(([field, column]) => {
+    if (COLUMN_ALIASES[field] && columns.includes(column)) {
+      resolved[field] = column;
+    }
+  });
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    if (resolved[field]) return;
+    const column = columns.find(c => aliases.includes(normalise(c)) && !Object.values(resolved).includes(c));
+    if (column) resolved[field] = column;
+  });
+
+  return resolved;
+}
+
+/**
+ * Read a timestamp cell: Date objects, ISO/parsable strings or Excel serial day numbers
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === 'number') {
+    // Excel serial days count from 1899-12-30
+    return new Date(Math.round((value - 25569) * 86400 * 1000));
+  }
+
+  const text = String(value).trim();
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Validate parsed rows and find duplicates, without writing anything
+ */
+async function validateRows(rows, { mapping = {}, dataSource = 'dwlr' } = {}) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const columnMapping = resolveColumnMapping(columns, mapping);
+
+  const missingColumns = ['stationId', 'timestamp', 'waterLevel'].filter(field => !columnMapping[field]);
+  if (missingColumns.length > 0) {
+    return { columnMapping, missingColumns, columns, results: [], stations: [] };
+  }
+
+  // Resolve human station codes in one query
+  const codes = [...new Set(rows.map(row => String(row[columnMapping.stationId]).trim()).filter(Boolean))];
+  const stations = await Station.find({ stationId: { $in: codes }, isActive: true });
+  const stationsByCode = new Map(stations.map(station => [station.stationId, station]));
+
+  const now = Date.now();
+  const results = rows.map((row, index) => {
+    const errors = [];
+    const warnings = [];
+    const data = {};
+
+    const code = String(row[columnMapping.stationId]).trim();
+    const station = stationsByCode.get(code);
+    if (!code) errors.push('Station ID is required');
+    else if (!station) errors.push(`Unknown station "${code}"`);
+
+    const timestamp = parseTimestamp(row[columnMapping.timestamp]);
+    if (!timestamp) errors.push('Timestamp is missing or invalid');
+    else if (timestamp.getTime() > now) errors.push('Timestamp is in the future');
+    else if (now - timestamp.getTime() > RETENTION_MS) warnings.push('Older than the two-year retention period and will expire');
+
+    NUMERIC_FIELDS.forEach(field => {
+      const column = columnMapping[field];
+      if (!column || row[column] === '' || row[column] === undefined || row[column] === null) return;
+      const value = Number(row[column]);
+      if (isNaN(value)) errors.push(`${field} must be a number`);
+      else data[field] = value;
+    });
+
+    if (data.waterLevel === undefined && !errors.some(e => e.startsWith('waterLevel'))) {
+      errors.push('waterLevel is required');
+    } else if (data.waterLevel < 0) {
+      errors.push('waterLevel cannot be negative');
+    }
+    if (data.batteryLevel !== undefined && (data.batteryLevel < 0 || data.batteryLevel > 100)) {
+      errors.push('batteryLevel must be between 0-100');
+    }
+    if (data.ph !== undefined && (data.ph < 0 || data.ph > 14)) {
+      errors.push('ph must be between 0-14');
+    }
+
+    const source = columnMapping.dataSource && row[columnMapping.dataSource]
+      ? String(row[columnMapping.dataSource]).trim().toLowerCase()
+      : dataSource;
+    if (!IMPORT_SOURCES.includes(source)) {
+      errors.push(`dataSource must be one of: ${IMPORT_SOURCES.join(', ')}`);
+    }
+
+    return {
+      row: index + 2, // spreadsheet row number, after the header
+      stationCode: code,
+      station,
+      timestamp,
+      data,
+      dataSource: source,
+      notes: columnMapping.notes ? String(row[columnMapping.notes] || '').trim() : '',
+      errors,
+      warnings,
+      duplicate: null
+    };
+  });
+
+  await markDuplicates(results.filter(result => result.errors.length === 0));
+
+  const stationSummary = stations.map(station => ({
+    id: station._id,
+    stationId: station.stationId,
+    name: station.name,
+    rows: results.filter(result => result.station === station).length
+  }));
+
+  return { columnMapping, missingColumns, columns, results, stations: stationSummary };
+}
+
+/**
+ * Mark rows repeating another row in the file or a reading already stored
+ */
+async function markDuplicates(results) {
+  const seen = new Set();
+  const byStation = new Map();
+
+  results.forEach(result => {
+    const key = `${result.station._id}:${result.timestamp.getTime()}`;
+    if (seen.has(key)) {
+      result.duplicate = 'file';
+      return;
+    }
+    seen.add(key);
+
+    if (!byStation.has(result.station.id)) byStation.set(result.station.id, []);
+    byStation.get(result.station.id).push(result);
+  });
+
+  for (const stationResults of byStation.values()) {
+    const times = stationResults.map(result => result.timestamp.getTime());
+    const existing = await Reading.find({
+      stationId: stationResults[0].station._id,
+      timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) },
+      isActive: true
+    }).select('timestamp');
+
+    const existingTimes = new Set(existing.map(reading => reading.timestamp.getTime()));
+    stationResults.forEach(result => {
+      if (existingTimes.has(result.timestamp.getTime())) result.duplicate = 'existing';
+    });
+  }
+}
+
+/**
+ * Summarise a validation run for the dry-run preview
+ */
+function buildPreview(validation, options = {}) {
+  const config = { ...IMPORT_OPTIONS, ...options };
+  const { results } = validation;
+  const invalid = results.filter(result => result.errors.length > 0);
+  const duplicates = results.filter(result => result.duplicate);
+
+  const describe = result => ({
+    row: result.row,
+    stationId: result.stationCode,
+    timestamp: result.timestamp,
+    ...result.data,
+    dataSource: result.dataSource,
+    errors: result.errors,
+    warnings: result.warnings,
+    duplicate: result.duplicate
+  });
+
+  return {
+    columns: validation.columns,
+    columnMapping: validation.columnMapping,
+    missingColumns: validation.missingColumns,
+    totalRows: results.length,
+    validRows: results.length - invalid.length - duplicates.length,
+    invalidRows: invalid.length,
+    duplicateRows: duplicates.length,
+    warningRows: results.filter(result => result.warnings.length > 0).length,
+    stations: validation.stations,
+    errors: invalid.slice(0, config.maxErrors).map(describe),
+    rows: results.slice(0, config.previewRows).map(describe)
+  };
+}
+
+/**
+ * Store the valid, non-duplicate rows in chunks, running quality checks against each station's history
+ */
+async function commitImport(validation, options = {}) {
+  const config = { ...IMPORT_OPTIONS, ...options };
+  const importable = validation.results
+    .filter(result => result.errors.length === 0 && !result.duplicate)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const summary = { imported: 0, flagged: 0, chunks: 0, skipped: validation.results.length - importable.length };
+  const byStation = new Map();
+  importable.forEach(result => {
+    if (!byStation.has(result.station.id)) byStation.set(result.station.id, []);
+    byStation.get(result.station.id).push(result);
+  });
+
+  for (const stationResults of byStation.values()) {
+    const station = stationResults[0].station;
+    const bands = await station.resolveThresholdBands();
+
+    // Quality checks see the stored readings before the import, then the imported ones in order
+    const history = (await Reading.find({
+      stationId: station._id,
+      timestamp: { $lt: stationResults[0].timestamp },
+      isActive: true
+    })
+      .sort({ timestamp: -1 })
+      .limit(48)
+      .select('timestamp waterLevel qualityFlags')).reverse();
+
+    // Sensor readings are checked for drift against manual dips, stored or in this import, as at ingest
+    const storedDips = await getManualDips(station._id, stationResults[0].timestamp, stationResults[stationResults.length - 1].timestamp);
+    const dips = [
+      ...storedDips,
+      ...stationResults.filter(result => result.dataSource === 'manual').map(result => ({
+        timestamp: result.timestamp,
+        waterLevel: result.data.waterLevel
+      }))
+    ];
+
+    const documents = stationResults.map(result => {
+      const { ph, tds, turbidity, conductivity, ...fields } = result.data;
+      const reading = {
+        stationId: station._id,
+        timestamp: result.timestamp,
+        ...fields,
+        waterLevelStatus: ThresholdProfile.classify(result.data.waterLevel, bands),
+        metadata: { dataSource: result.dataSource, notes: result.notes || `Imported from row ${result.row}` }
+      };
+
+      const quality = Object.fromEntries(QUALITY_FIELDS.filter(f => result.data[f] !== undefined).map(f => [f, result.data[f]]));
+      if (Object.keys(quality).length > 0) reading.quality = quality;
+
+      const calibration = result.dataSource === 'dwlr' ? findCalibration(dips, result.timestamp) : null;
+      reading.qualityFlags = checkReading(reading, { history: history.slice(-48), station, calibration });
+      if (reading.qualityFlags.length > 0) {
+        reading.metadata.confidence = Math.max(0, 100 - QC_OPTIONS.confidencePenalty * reading.qualityFlags.length);
+      }
+      history.push(reading);
+
+      return reading;
+    });
+
+    for (let i = 0; i < documents.length; i += config.chunkSize) {
+      const chunk = documents.slice(i, i + config.chunkSize);
+      await Reading.insertMany(chunk);
+      summary.imported += chunk.length;
+      summary.flagged += chunk.filter(reading => reading.qualityFlags.length > 0).length;
+      summary.chunks++;
+    }
+
+    // Move the station's last reading forward only if the import is newer
+    const newest = documents[documents.length - 1];
+    if (!station.lastReading?.timestamp || newest.timestamp > station.lastReading.timestamp) {
+      await Station.findByIdAndUpdate(station._id, {
+        lastReading: {
+          waterLevel: newest.waterLevel,
+          waterLevelStatus: newest.waterLevelStatus,
+          timestamp: newest.timestamp,
+          batteryLevel: newest.batteryLevel,
+          signalStrength: newest.signalStrength
+        }
+      });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  IMPORT_OPTIONS,
+  COLUMN_ALIASES,
+  parseFile,
+  resolveColumnMapping,
+  validateRows,
+  buildPreview,
+  commitImport
+};
@@ -0,0 +1,217 @@
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+const ThresholdProfile = require('../models/ThresholdProfile');
+const { applyQualityChecks } = require('./qualityControlService');
+const { publish } = require('./eventBus');
+
+const DEVICE_OPTIONS = {
+  maxBatchSize: 1000, // readings per upload, enough for several days of hourly buffer
+  maxFutureSkewMs: 5 * 60 * 1000 // logger clocks may run slightly ahead
+};
+
+// Positional fields of array readings: [time, level, battery, signal, temperature]
+const COMPACT_FIELDS = ['timestamp', 'waterLevel', 'batteryLevel', 'signalStrength', 'temperature'];
+
+// Short keys accepted in object readings
+const COMPACT_KEYS = {
+  t: 'timestamp',
+  wl: 'waterLevel',
+  bat: 'batteryLevel',
+  sig: 'signalStrength',
+  temp: 'temperature',
+  hum: 'humidity',
+  rain: 'rainfall'
+};
+
+/**
+ * Store a reading for a station: derive status and quality flags, update the station, notify and alert
+ */
+async function ingestReading(station, readingData, { bands } = {}) {
+  // Status and quality flags are always derived here, never taken from the caller
+  const { qualityFlags, waterLevelStatus, ...submitted } = readingData;
+  const thresholdBands = bands || await station.resolveThresholdBands();
+
+  const reading = await Reading.create(await applyQualityChecks({
+    ...submitted,
+    stationId: station._id,
+    waterLevelStatus: ThresholdProfile.classify(submitted.waterLevel, thresholdBands),
+    timestamp: submitted.timestamp ? new Date(submitted.timestamp) : new Date()
+  }, station));
+
+  // Buffered readings uploaded late must not move the last reading backwards
+  await Station.updateOne(
+    { _id: station._id, 'lastReading.timestamp': { $not: { $gt: reading.timestamp } } },
+    {
+      lastReading: {
+        waterLevel: reading.waterLevel,
+        waterLevelStatus: reading.waterLevelStatus,
+        timestamp: reading.timestamp,
+        batteryLevel: reading.batteryLevel,
+        signalStrength: reading.signalStrength
+      }
+    }
+  );
+
+  // Subscribers push the reading to clients and evaluate alert rules without delaying the caller
+  publish('reading.created', { station, reading });
+
+  return reading;
+}
+
+/**
+ * Store a batch of readings for one station, oldest first so each is checked against the ones before it
+ */
+async function ingestReadings(station, readingsData) {
+  const bands = await station.resolveThresholdBands();
+  const ordered = readingsData
+    .map((data, index) => ({ data, index }))
+    .sort((a, b) => new Date(a.data.timestamp || 0) - new Date(b.data.timestamp || 0));
+
+  const created = [];
+  const errors = [];
+
+  for (const { data, index } of ordered) {
+    try {
+      created.push(await ingestReading(station, data, { bands }));
+    } catch (error) {
+      errors.push({ index, error: error.message });
+    }
+  }
+
+  return { created, errors };
+}
+
+/**
+ * Expand a compact device payload into reading data, rejecting entries it cannot use
+ *
+ * Accepts one reading ({ t, wl, ... }) or a batch ({ station, readings: [[t, wl, bat, sig, temp], { t, wl }] }).
+ * Times are epoch seconds, epoch milliseconds or ISO strings; a missing time means "now".
+ */
+function parseDevicePayload(payload, station, options = {}) {
+  const config = { ...DEVICE_OPTIONS, ...options };
+  const matchesStation = code => code === undefined || code === null ||
+    String(code) === station.stationId || String(code) === station.id;
+
+  if (!payload || typeof payload !== 'object') {
+    return { readings: [], rejected: [{ index: null, error: 'Payload must be a JSON object' }], wrongStation: false };
+  }
+
+  const items = Array.isArray(payload.readings) ? payload.readings : [payload];
+  const stationCodes = [payload.station, payload.s, ...items.map(item => item?.s ?? item?.station)];
+  if (!stationCodes.every(matchesStation)) {
+    return { readings: [], rejected: [], wrongStation: true };
+  }
+
+  if (items.length > config.maxBatchSize) {
+    return { readings: [], rejected: [{ index: null, error: `At most ${config.maxBatchSize} readings per upload` }], wrongStation: false };
+  }
+
+  const readings = [];
+  const rejected = [];
+  const latestAllowed = Date.now() + config.maxFutureSkewMs;
+
+  items.forEach((item, index) => {
+    const data = {};
+    if (Array.isArray(item)) {
+      COMPACT_FIELDS.forEach((field, i) => {
+        if (item[i] !== undefined && item[i] !== null) data[field] = item[i];
+      });
+    } else if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, value]) => {
+        const field = COMPACT_KEYS[key] || (COMPACT_FIELDS.includes(key) || ['humidity', 'rainfall'].includes(key) ? key : null);
+        if (field && value !== undefined && value !== null) data[field] = value;
+      });
+    } else {
+      rejected.push({ index, error: 'Reading must be an array or object' });
+      return;
+    }
+
+    const timestamp = parseDeviceTime(data.timestamp);
+    if (!timestamp) {
+      rejected.push({ index, error: 'Invalid time' });
+      return;
+    }
+    if (timestamp.getTime() > latestAllowed) {
+      rejected.push({ index, error: 'Time is in the future' });
+      return;
+    }
+
+    const numeric = {};
+    for (const field of ['waterLevel', 'batteryLevel', 'signalStrength', 'temperature', 'humidity', 'rainfall']) {
+      if (data[field] === undefined) continue;
+      numeric[field] = Number(data[field]);
+      if (!Number.isFinite(numeric[field])) {
+        rejected.push({ index, error: `${field} must be a number` });
+        return;
+      }
+    }
+
+    if (numeric.waterLevel === undefined || numeric.waterLevel < 0) {
+      rejected.push({ index, error: 'Water level must be a non-negative number' });
+      return;
+    }
+    if (numeric.batteryLevel !== undefined && (numeric.batteryLevel < 0 || numeric.batteryLevel > 100)) {
+      rejected.push({ index, error: 'Battery level must be between 0-100' });
+      return;
+    }
+
+    readings.push({ index, ...numeric, timestamp, metadata: { dataSource: 'dwlr' } });
+  });
+
+  return { readings, rejected, wrongStation: false };
+}
+
+/**
+ * Ingest a parsed device batch, skipping readings already stored for the same time (logger retries)
+ */
+async function ingestDeviceReadings(station, readings) {
+  if (readings.length === 0) {
+    return { created: [], duplicates: [], errors: [] };
+  }
+
+  const times = readings.map(r => r.timestamp.getTime());
+  const existing = await Reading.find({
+    stationId: station._id,
+    timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) },
+    isActive: true
+  }).select('timestamp');
+  const seen = new Set(existing.map(r => r.timestamp.getTime()));
+
+  const fresh = [];
+  const duplicates = [];
+  readings.forEach(reading => {
+    if (seen.has(reading.timestamp.getTime())) {
+      duplicates.push(reading.index);
+    } else {
+      seen.add(reading.timestamp.getTime());
+      fresh.push(reading);
+    }
+  });
+
+  const { created, errors } = await ingestReadings(station, fresh.map(({ index, ...data }) => data));
+
+  return {
+    created,
+    duplicates,
+    errors: errors.map(({ index, error }) => ({ index: fresh[index].index, error }))
+  };
+}
+
+function parseDeviceTime(value) {
+  if (value === undefined) return new Date();
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    // Epoch seconds until the year 33658, milliseconds after that
+    return new Date(number < 1e12 ? number * 1000 : number);
+  }
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+module.exports = {
+  DEVICE_OPTIONS,
+  ingestReading,
+  ingestReadings,
+  parseDevicePayload,
+  ingestDeviceReadings
+};
@@ -0,0 +1,67 @@
+const { defineJob } = require('./jobScheduler');
+
+/**
+ * Register the server's recurring jobs with the scheduler
+ */
+function registerScheduledJobs() {
+  defineJob({
+    name: 'stale-station-check',
+    description: 'Evaluate "no reading" alert rules',
+    schedule: '*/15 * * * *',
+    retries: 0, // the next run is only 15 minutes away
+    handler: async () => {
+      const fired = await require('./alertService').checkStaleStations();
+      return { alertsFired: fired.length };
+    }
+  });
+
+  defineJob({
+    name: 'maintenance-windows',
+    description: 'Open and close scheduled maintenance windows',
+    schedule: '*/15 * * * *',
+    retries: 0,
+    handler: () => require('./maintenanceService').applyMaintenanceWindows()
+  });
+
+  defineJob({
+    name: 'station-health',
+    description: 'Offline detection, battery forecasts and signal checks',
+    schedule: '10 * * * *',
+    handler: () => require('./stationHealthService').checkAllStationHealth()
+  });
+
+  defineJob({
+    name: 'gap-filling',
+    description: 'Fill telemetry gaps with interpolated readings',
+    schedule: '30 2 * * *',
+    lockMs: 2 * 60 * 60 * 1000,
+    handler: () => require('./gapFillingService').fillAllStationGaps()
+  });
+
+  defineJob({
+    name: 'analysis-refresh',
+    description: 'Refresh groundwater analyses for the locations of users who monitor stations',
+    schedule: '0 3 * * *',
+    lockMs: 2 * 60 * 60 * 1000,
+    handler: () => require('./analysisService').refreshSubscribedAnalyses()
+  });
+
+  defineJob({
+    name: 'trend-alerts',
+    description: 'Email subscribers about significant water table declines',
+    schedule: '0 7 * * 1',
+    retries: 0, // a partial retry would email the same users twice
+    handler: () => require('./alertService').sendTrendAlerts()
+  });
+
+  defineJob({
+    name: 'email-digests',
+    description: 'Send daily and weekly station digests at each user\'s delivery hour',
+    schedule: '5 * * * *',
+    handler: () => require('./digestService').sendDueDigests()
+  });
+}
+
+module.exports = {
+  registerScheduledJobs
+};
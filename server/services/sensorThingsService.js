@@ -0,0 +1,596 @@
+const mongoose = require('mongoose');
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+const { ODataError, evaluateFilter, compare } = require('./odataParser');
+
+// Sensor parameters published as one Datastream per station
+const PARAMETERS = {
+  waterLevel: {
+    field: 'waterLevel',
+    name: 'Depth to groundwater',
+    description: 'Depth to the water table below ground level',
+    unit: { name: 'metre', symbol: 'm', definition: 'ucum:m' }
+  },
+  temperature: {
+    field: 'temperature',
+    name: 'Water temperature',
+    description: 'Temperature measured by the logger',
+    unit: { name: 'degree Celsius', symbol: '°C', definition: 'ucum:Cel' }
+  },
+  batteryLevel: {
+    field: 'batteryLevel',
+    name: 'Battery level',
+    description: 'Remaining logger battery charge',
+    unit: { name: 'percent', symbol: '%', definition: 'ucum:%' }
+  },
+  ph: {
+    field: 'quality.ph',
+    name: 'pH',
+    description: 'Groundwater pH',
+    unit: { name: 'pH', symbol: 'pH', definition: 'ucum:[pH]' }
+  },
+  tds: {
+    field: 'quality.tds',
+    name: 'Total dissolved solids',
+    description: 'Total dissolved solids in groundwater',
+    unit: { name: 'milligram per litre', symbol: 'mg/L', definition: 'ucum:mg/L' }
+  }
+};
+
+const SENSOR = {
+  id: 'dwlr',
+  name: 'Digital Water Level Recorder',
+  description: 'Pressure transducer logger installed in the observation well',
+  encodingType: 'text/plain',
+  metadata: 'DWLR telemetry with optional water quality probe'
+};
+
+const OBSERVATION_TYPE = 'http://www.opengis.net/def/observationType/OGC-OM/2.0/OM_Measurement';
+
+const CONFORMANCE = [
+  'http://www.opengis.net/spec/iot_sensing/1.1/req/datamodel',
+  'http://www.opengis.net/spec/iot_sensing/1.1/req/resource-path/resource-path-to-entities',
+  'http://www.opengis.net/spec/iot_sensing/1.1/req/request-data'
+];
+
+const MONGO_OPERATORS = { eq: '$eq', ne: '$ne', gt: '$gt', ge: '$gte', lt: '$lt', le: '$lte' };
+const FLIPPED_OPERATORS = { eq: 'eq', ne: 'ne', gt: 'lt', ge: 'le', lt: 'gt', le: 'ge' };
+
+// Entity properties for each entity set, without links
+const ENTITY_PROPERTIES = {
+  Things: ({ station }) => ({
+    name: station.name,
+    description: `Groundwater monitoring station ${station.stationId}`,
+    properties: {
+      stationId: station.stationId,
+      status: station.status,
+      state: station.address?.state,
+      district: station.address?.district,
+      aquiferType: station.technicalDetails?.aquiferType,
+      wellDepth: station.technicalDetails?.wellDepth,
+      dataFrequency: station.metadata?.dataFrequency
+    }
+  }),
+  Locations: ({ station }) => ({
+    name: station.name,
+    description: [station.address?.village, station.address?.district, station.address?.state].filter(Boolean).join(', '),
+    encodingType: 'application/geo+json',
+    location: { type: 'Point', coordinates: station.location.coordinates }
+  }),
+  HistoricalLocations: ({ station }) => ({
+    time: (station.metadata?.installationDate || station.createdAt)?.toISOString()
+  }),
+  FeaturesOfInterest: ({ station }) => ({
+    name: station.name,
+    description: `Aquifer sampled by well ${station.stationId}`,
+    encodingType: 'application/geo+json',
+    feature: { type: 'Point', coordinates: station.location.coordinates }
+  }),
+  Datastreams: ({ station, parameter }) => ({
+    name: `${station.name} - ${PARAMETERS[parameter].name}`,
+    description: `${PARAMETERS[parameter].description} at station ${station.stationId}`,
+    unitOfMeasurement: PARAMETERS[parameter].unit,
+    observationType: OBSERVATION_TYPE,
+    properties: { parameter }
+  }),
+  Sensors: () => ({
+    name: SENSOR.name,
+    description: SENSOR.description,
+    encodingType: SENSOR.encodingType,
+    metadata: SENSOR.metadata
+  }),
+  ObservedProperties: ({ parameter }) => ({
+    name: PARAMETERS[parameter].name,
+    definition: `urn:groundwater:observed-property:${parameter}`,
+    description: PARAMETERS[parameter].description
+  }),
+  Observations: ({ doc }) => ({
+    phenomenonTime: doc.timestamp.toISOString(),
+    resultTime: doc.timestamp.toISOString(),
+    result: doc.obs.r,
+    parameters: {
+      dataSource: doc.metadata?.dataSource,
+      confidence: doc.metadata?.confidence
+    }
+  })
+};
+
+const stationRecord = station => ({ id: station.id, station });
+const datastreamRecords = (stations, parameters = Object.keys(PARAMETERS)) => stations.flatMap(station => (
+  parameters.map(parameter => ({ id: `${station.id}-${parameter}`, station, parameter }))
+));
+
+// Navigation properties: small sets resolve to records, Observations to a query base
+const NAVIGATION = {
+  Things: {
+    Locations: { set: 'Locations', many: true, resolve: r => [stationRecord(r.station)] },
+    HistoricalLocations: { set: 'HistoricalLocations', many: true, resolve: r => [stationRecord(r.station)] },
+    Datastreams: { set: 'Datastreams', many: true, resolve: r => datastreamRecords([r.station]) }
+  },
+  Locations: {
+    Things: { set: 'Things', many: true, resolve: r => [stationRecord(r.station)] },
+    HistoricalLocations: { set: 'HistoricalLocations', many: true, resolve: r => [stationRecord(r.station)] }
+  },
+  HistoricalLocations: {
+    Thing: { set: 'Things', many: false, resolve: r => stationRecord(r.station) },
+    Locations: { set: 'Locations', many: true, resolve: r => [stationRecord(r.station)] }
+  },
+  Datastreams: {
+    Thing: { set: 'Things', many: false, resolve: r => stationRecord(r.station) },
+    Sensor: { set: 'Sensors', many: false, resolve: () => ({ id: SENSOR.id }) },
+    ObservedProperty: { set: 'ObservedProperties', many: false, resolve: r => ({ id: r.parameter, parameter: r.parameter }) },
+    Observations: { set: 'Observations', many: true, resolve: r => ({ stationId: r.station._id, parameter: r.parameter }) }
+  },
+  Sensors: {
+    Datastreams: { set: 'Datastreams', many: true, resolve: (r, ctx) => datastreamRecords(ctx.stations) }
+  },
+  ObservedProperties: {
+    Datastreams: { set: 'Datastreams', many: true, resolve: (r, ctx) => datastreamRecords(ctx.stations, [r.parameter]) }
+  },
+  Observations: {
+    Datastream: { set: 'Datastreams', many: false, resolve: r => ({ id: `${r.station.id}-${r.parameter}`, station: r.station, parameter: r.parameter }) },
+    FeatureOfInterest: { set: 'FeaturesOfInterest', many: false, resolve: r => stationRecord(r.station) }
+  },
+  FeaturesOfInterest: {
+    Observations: { set: 'Observations', many: true, resolve: r => ({ stationId: r.station._id }) }
+  }
+};
+
+// Every record of the in-memory entity sets
+const ENTITY_RECORDS = {
+  Things: ctx => ctx.stations.map(stationRecord),
+  Locations: ctx => ctx.stations.map(stationRecord),
+  HistoricalLocations: ctx => ctx.stations.map(stationRecord),
+  FeaturesOfInterest: ctx => ctx.stations.map(stationRecord),
+  Datastreams: ctx => datastreamRecords(ctx.stations),
+  Sensors: () => [{ id: SENSOR.id }],
+  ObservedProperties: () => Object.keys(PARAMETERS).map(parameter => ({ id: parameter, parameter }))
+};
+
+/**
+ * Load the stations every request resolves entities against
+ */
+async function createContext(baseUrl) {
+  const stations = await Station.find({ isActive: true }).sort({ stationId: 1 });
+  return {
+    baseUrl,
+    stations,
+    stationsById: new Map(stations.map(station => [station.id, station]))
+  };
+}
+
+/**
+ * Service root document listing the entity sets
+ */
+function getServiceRoot(baseUrl) {
+  return {
+    value: Object.keys(NAVIGATION).map(name => ({ name, url: `${baseUrl}/${name}` })),
+    serverSettings: { conformance: CONFORMANCE }
+  };
+}
+
+/**
+ * Render an entity with its self and navigation links
+ */
+function renderEntity(set, record, ctx) {
+  const selfLink = `${ctx.baseUrl}/${set}('${record.id}')`;
+  const json = {
+    '@iot.id': record.id,
+    '@iot.selfLink': selfLink,
+    ...ENTITY_PROPERTIES[set](record)
+  };
+
+  Object.keys(NAVIGATION[set]).forEach(name => {
+    json[`${name}@iot.navigationLink`] = `${selfLink}/${name}`;
+  });
+
+  return json;
+}
+
+/**
+ * Resolve a $filter/$orderby property path, following single-valued navigation properties
+ */
+function resolvePath(set, record, path, ctx) {
+  let currentSet = set;
+  let current = record;
+
+  for (let i = 0; i < path.length; i++) {
+    const navigation = NAVIGATION[currentSet][path[i]];
+    if (!navigation) {
+      let value = renderEntity(currentSet, current, ctx);
+      for (const segment of path.slice(i)) {
+        value = value?.[segment];
+      }
+      return value;
+    }
+    if (navigation.many) {
+      throw new ODataError(`Cannot filter on multi-valued navigation property "${path[i]}"`);
+    }
+    current = navigation.resolve(current, ctx);
+    currentSet = navigation.set;
+    if (!current) return null;
+  }
+
+  return current.id;
+}
+
+/**
+ * Apply $filter, $orderby, $skip and $top to an in-memory entity set
+ */
+function querySmallSet(set, records, options, ctx) {
+  let result = records;
+
+  if (options.filter) {
+    result = result.filter(record => evaluateFilter(options.filter, path => resolvePath(set, record, path, ctx)));
+  }
+
+  if (options.orderBy.length > 0) {
+    result = [...result].sort((a, b) => {
+      for (const { path, descending } of options.orderBy) {
+        const left = resolvePath(set, a, path, ctx);
+        const right = resolvePath(set, b, path, ctx);
+        if (compare(left, 'eq', right)) continue;
+        const ascending = left == null || compare(left, 'lt', right) ? -1 : 1;
+        return descending ? -ascending : ascending;
+      }
+      return 0;
+    });
+  }
+
+  return {
+    records: result.slice(options.skip, options.skip + options.top),
+    count: result.length,
+    hasMore: options.skip + options.top < result.length
+  };
+}
+
+/**
+ * Query observations, one per reading and parameter, with the filter and paging run in MongoDB
+ */
+async function queryObservations(ctx, base, options) {
+  // Listed in key order, so observations of one reading come out as sorting by parameter would put them
+  const parameters = base.parameter ? [base.parameter] : Object.keys(PARAMETERS).sort();
+  const { readingConditions, observationConditions } = splitObservationFilter(
+    options.filter ? compileObservationFilter(options.filter, ctx) : null
+  );
+
+  // Conditions on the reading itself narrow the scan before each reading is split into observations
+  const match = {
+    isActive: true,
+    ...Reading.UNFLAGGED,
+    stationId: base.stationId || { $in: ctx.stations.map(station => station._id) }
+  };
+  if (base.parameter) match[PARAMETERS[base.parameter].field] = { $ne: null };
+  if (readingConditions.length > 0) match.$and = readingConditions;
+
+  const toObservations = [
+    {
+      $project: {
+        stationId: 1,
+        timestamp: 1,
+        metadata: 1,
+        obs: parameters.map(key => ({ p: key, r: `$${PARAMETERS[key].field}` }))
+      }
+    },
+    { $unwind: '$obs' },
+    {
+      $match: {
+        'obs.r': { $ne: null },
+        ...(observationConditions.length > 0 ? { $and: observationConditions } : {})
+      }
+    }
+  ];
+
+  const sort = {};
+  options.orderBy.forEach(({ path, descending }) => {
+    sort[observationSortField(path)] = descending ? -1 : 1;
+  });
+  if (options.orderBy.length === 0) sort.timestamp = -1;
+  sort._id = sort._id || 1;
+
+  // Readings are sorted before unwinding unless the order depends on the observed value
+  let page;
+  if (sort['obs.r'] === undefined) {
+    page = [{ $match: match }, { $sort: sort }, ...toObservations];
+  } else {
+    page = [{ $match: match }, ...toObservations, { $sort: { ...sort, 'obs.p': 1 } }];
+  }
+
+  const [docs, counted] = await Promise.all([
+    Reading.aggregate([...page, { $skip: options.skip }, { $limit: options.top + 1 }]).allowDiskUse(true),
+    options.count ? Reading.aggregate([{ $match: match }, ...toObservations, { $count: 'total' }]) : null
+  ]);
+
+  return {
+    records: docs.slice(0, options.top).map(doc => observationRecord(doc, ctx)),
+    count: counted ? (counted[0]?.total || 0) : undefined,
+    hasMore: docs.length > options.top
+  };
+}
+
+/**
+ * Split a compiled Observations match into conditions on readings and conditions on unwound observations
+ */
+function splitObservationFilter(match) {
+  const readingConditions = [];
+  const observationConditions = [];
+
+  conjuncts(match).forEach(condition => {
+    (usesObservation(condition) ? observationConditions : readingConditions).push(condition);
+  });
+
+  return { readingConditions, observationConditions };
+}
+
+// The conditions of a match that must all hold, with implicit and explicit $and taken apart
+function conjuncts(match) {
+  if (!match) return [];
+  if (Object.keys(match).length === 1 && match.$and) return match.$and.flatMap(conjuncts);
+
+  const keys = Object.keys(match);
+  if (keys.length > 1 && keys.every(key => !key.startsWith('$'))) {
+    return keys.map(key => ({ [key]: match[key] }));
+  }
+  return [match];
+}
+
+// Whether a condition refers to the unwound observation (parameter or result) anywhere inside it
+function usesObservation(condition) {
+  return Object.entries(condition).some(([key, value]) => (
+    key.startsWith('obs.') || (Array.isArray(value) && value.some(usesObservation))
+  ));
+}
+
+function observationRecord(doc, ctx) {
+  return {
+    id: `${doc._id}-${doc.obs.p}`,
+    station: ctx.stationsById.get(doc.stationId.toString()),
+    parameter: doc.obs.p,
+    doc
+  };
+}
+
+function observationSortField(path) {
+  const name = path.join('/');
+  if (name === 'result') return 'obs.r';
+  if (name === 'phenomenonTime' || name === 'resultTime') return 'timestamp';
+  if (name === '@iot.id') return '_id';
+  throw new ODataError(`Cannot order Observations by "${name}"`);
+}
+
+/**
+ * Compile an Observations $filter to a MongoDB match on the unwound readings (`obs.p` parameter, `obs.r` result)
+ */
+function compileObservationFilter(node, ctx) {
+  if (node.type === 'logical') {
+    return { [`$${node.operator}`]: [compileObservationFilter(node.left, ctx), compileObservationFilter(node.right, ctx)] };
+  }
+
+  if (node.type === 'not') {
+    return { $nor: [compileObservationFilter(node.operand, ctx)] };
+  }
+
+  if (node.type !== 'comparison') {
+    throw new ODataError('Observation $filter supports comparisons joined by and/or/not');
+  }
+
+  let { left, right, operator } = node;
+  if (left.type === 'literal' && right.type === 'property') {
+    [left, right] = [right, left];
+    operator = FLIPPED_OPERATORS[operator];
+  }
+  if (left.type !== 'property' || right.type !== 'literal') {
+    throw new ODataError('Observation $filter compares a property with a literal value');
+  }
+
+  const property = left.path.join('/');
+  const value = right.value;
+  const condition = (field, fieldValue) => ({ [field]: { [MONGO_OPERATORS[operator]]: fieldValue } });
+  const equalityOnly = () => {
+    if (operator !== 'eq' && operator !== 'ne') {
+      throw new ODataError(`Only eq and ne are supported for "${property}"`);
+    }
+  };
+  const toObjectId = (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ODataError(`Invalid id "${id}"`);
+    return new mongoose.Types.ObjectId(id);
+  };
+
+  switch (property) {
+    case 'result':
+      return condition('obs.r', value);
+    case 'phenomenonTime':
+    case 'resultTime':
+      return condition('timestamp', value instanceof Date ? value : new Date(value));
+    case 'parameters/dataSource':
+      return condition('metadata.dataSource', value);
+    case 'parameters/confidence':
+      return condition('metadata.confidence', value);
+    case 'Datastream/ObservedProperty/@iot.id':
+      return condition('obs.p', value);
+    case 'Datastream/Thing/@iot.id':
+    case 'FeatureOfInterest/@iot.id':
+      equalityOnly();
+      return condition('stationId', toObjectId(value));
+    case 'Datastream/Thing/properties/stationId': {
+      equalityOnly();
+      const station = ctx.stations.find(s => s.stationId === value);
+      return condition('stationId', station ? station._id : null);
+    }
+    case 'Datastream/@iot.id': {
+      equalityOnly();
+      const [stationId, parameter] = String(value).split('-');
+      const match = { stationId: toObjectId(stationId), 'obs.p': parameter };
+      return operator === 'eq' ? match : { $nor: [match] };
+    }
+    default:
+      throw new ODataError(`Cannot filter Observations by "${property}"`);
+  }
+}
+
+/**
+ * Find a single entity by id
+ */
+async function findEntity(set, id, ctx) {
+  if (set !== 'Observations') {
+    return ENTITY_RECORDS[set](ctx).find(record => record.id === id) || null;
+  }
+
+  const [readingId, parameter] = id.split('-');
+  if (!PARAMETERS[parameter] || !mongoose.Types.ObjectId.isValid(readingId)) return null;
+
+  const reading = await Reading.findOne({ _id: readingId, isActive: true, ...Reading.UNFLAGGED }).lean();
+  const value = reading && PARAMETERS[parameter].field.split('.').reduce((obj, key) => obj?.[key], reading);
+  if (value === undefined || value === null || !ctx.stationsById.has(reading.stationId.toString())) return null;
+
+  return observationRecord({ ...reading, obs: { p: parameter, r: value } }, ctx);
+}
+
+/**
+ * Run a collection query against either an in-memory set or Observations
+ */
+async function queryCollection(collection, options, ctx) {
+  if (collection.set === 'Observations') {
+    return queryObservations(ctx, collection.base, options);
+  }
+  return querySmallSet(collection.set, collection.records, options, ctx);
+}
+
+/**
+ * Render an entity with its $expand and $select options applied
+ */
+async function renderWithOptions(set, record, options, ctx) {
+  const json = renderEntity(set, record, ctx);
+  const expanded = [];
+
+  for (const item of options.expand) {
+    const navigation = NAVIGATION[set][item.path];
+    if (!navigation) {
+      throw new ODataError(`${set} has no navigation property "${item.path}"`);
+    }
+    expanded.push(item.path);
+
+    if (!navigation.many) {
+      const related = navigation.resolve(record, ctx);
+      json[item.path] = related ? await renderWithOptions(navigation.set, related, item.options, ctx) : null;
+      continue;
+    }
+
+    const related = navigation.resolve(record, ctx);
+    const page = await queryCollection(
+      navigation.set === 'Observations' ? { set: navigation.set, base: related } : { set: navigation.set, records: related },
+      item.options,
+      ctx
+    );
+    json[item.path] = await Promise.all(page.records.map(r => renderWithOptions(navigation.set, r, item.options, ctx)));
+    if (item.options.count) json[`${item.path}@iot.count`] = page.count;
+  }
+
+  if (!options.select) return json;
+
+  return Object.fromEntries(
+    Object.entries(json).filter(([key]) => options.select.includes(key) || expanded.includes(key))
+  );
+}
+
+/**
+ * Parse a resource path such as "Things('id')/Datastreams" into segments
+ */
+function parsePath(path) {
+  return path.split('/').filter(Boolean).map(segment => {
+    const match = segment.match(/^(\$?[A-Za-z@.]+)(?:\((.+)\))?$/);
+    if (!match) throw new ODataError(`Invalid path segment "${segment}"`);
+
+    let key = match[2];
+    if (key !== undefined) {
+      const quoted = key.match(/^'(.*)'$/);
+      key = quoted ? quoted[1].replace(/''/g, "'") : key;
+    }
+    return { name: match[1], key };
+  });
+}
+
+/**
+ * Resolve a SensorThings resource path and query options to a response body
+ */
+async function handleRequest(path, options, nextLink, ctx) {
+  const segments = parsePath(path);
+  const [first, ...rest] = segments;
+
+  if (!NAVIGATION[first.name]) return null;
+
+  let target = first.key === undefined
+    ? { kind: 'collection', set: first.name, records: first.name === 'Observations' ? undefined : ENTITY_RECORDS[first.name](ctx), base: {} }
+    : { kind: 'entity', set: first.name, record: await findEntity(first.name, first.key, ctx) };
+
+  for (let i = 0; i < rest.length; i++) {
+    const segment = rest[i];
+    if (target.kind !== 'entity' || !target.record) return null;
+
+    const navigation = NAVIGATION[target.set][segment.name];
+
+    if (!navigation) {
+      // Property of the entity, optionally as its raw $value
+      const value = renderEntity(target.set, target.record, ctx)[segment.name];
+      if (value === undefined || segment.key !== undefined) return null;
+      if (rest[i + 1]?.name === '$value' && i + 2 === rest.length) return { raw: value };
+      if (i + 1 !== rest.length) return null;
+      return { body: { [segment.name]: value } };
+    }
+
+    const related = navigation.resolve(target.record, ctx);
+    if (!navigation.many) {
+      target = { kind: 'entity', set: navigation.set, record: related };
+    } else if (segment.key !== undefined) {
+      // Entity within the navigation collection, e.g. Things('x')/Datastreams('y')
+      const record = await findEntity(navigation.set, segment.key, ctx);
+      const belongs = record && (navigation.set === 'Observations'
+        ? record.station._id.equals(related.stationId) && (!related.parameter || record.parameter === related.parameter)
+        : related.some(r => r.id === record.id));
+      target = { kind: 'entity', set: navigation.set, record: belongs ? record : null };
+    } else {
+      target = navigation.set === 'Observations'
+        ? { kind: 'collection', set: navigation.set, base: related }
+        : { kind: 'collection', set: navigation.set, records: related };
+    }
+  }
+
+  if (target.kind === 'entity') {
+    return target.record ? { body: await renderWithOptions(target.set, target.record, options, ctx) } : null;
+  }
+
+  const page = await queryCollection(target, options, ctx);
+  const body = {};
+  if (options.count) body['@iot.count'] = page.count;
+  body.value = await Promise.all(page.records.map(record => renderWithOptions(target.set, record, options, ctx)));
+  if (page.hasMore) body['@iot.nextLink'] = nextLink(options.skip + options.top);
+
+  return { body };
+}
+
+module.exports = {
+  PARAMETERS,
+  createContext,
+  getServiceRoot,
+  handleRequest
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { publish } = require('./eventBus');
+
+const SESSION_OPTIONS = {
+  accessTokenExpiresIn: process.env.JWT_EXPIRE || '15m',
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30, // extended on every refresh
+  reuseGraceMs: 30 * 1000, // a replaced token still works this long, for tabs that refreshed at the same time
+  cookieName: 'refreshToken',
+  cookiePath: '/api/auth',
+  cookieSameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised when a refresh token cannot be exchanged; `code` tells the client why
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Short-lived access token for a user's session
+ */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: SESSION_OPTIONS.accessTokenExpiresIn
+  });
+}
+
+/**
+ * New refresh token for a session: "<session id>.<random secret>", only the secret's hash is stored
+ */
+function createRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret] = typeof token === 'string' ? token.split('.') : [];
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, tokenHash: hashToken(secret) };
+}
+
+/**
+ * Sign a user in on a new device, resolving with an access token and the refresh token for the cookie
+ */
+async function startSession(user, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refresh = createRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: refresh.tokenHash,
+    userAgent: req.get('user-agent')?.slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + SESSION_OPTIONS.refreshTokenDays * DAY_MS)
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken: refresh.token
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token. Presenting a token
+ * that was already replaced revokes the session, since a copy of it is in someone else's hands.
+ */
+async function refreshSession(token, req) {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) throw new SessionError('Refresh token is missing or malformed', 'invalid');
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive) throw new SessionError('Session has ended', 'revoked');
+  if (session.expiresAt <= new Date()) throw new SessionError('Session has expired', 'expired');
+
+  // Another request rotated this token moments ago; hand out an access token but keep the rotation
+  if (parsed.tokenHash === session.previousTokenHash && Date.now() - session.rotatedAt < SESSION_OPTIONS.reuseGraceMs) {
+    return { session, accessToken: signAccessToken(session.user, session._id), refreshToken: null };
+  }
+
+  if (parsed.tokenHash !== session.tokenHash) {
+    await revokeSessions({ _id: session._id }, 'reuse_detected');
+    console.warn(`Refresh token reuse detected for session ${session._id} of user ${session.user}`);
+    throw new SessionError('Refresh token has already been used', 'reused');
+  }
+
+  const refresh = createRefreshToken(session._id);
+  const now = new Date();
+
+  // Conditional on the current hash so two concurrent refreshes cannot both rotate
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: parsed.tokenHash, isActive: true },
+    {
+      tokenHash: refresh.tokenHash,
+      previousTokenHash: parsed.tokenHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ipAddress: req.ip,
+      expiresAt: new Date(now.getTime() + SESSION_OPTIONS.refreshTokenDays * DAY_MS)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { session, accessToken: signAccessToken(session.user, session._id), refreshToken: null };
+  }
+
+  return {
+    session: rotated,
+    accessToken: signAccessToken(rotated.user, rotated._id),
+    refreshToken: refresh.token
+  };
+}
+
+/**
+ * Revoke sessions and close their live socket connections
+ */
+async function revokeSessions(filter, reason) {
+  const sessionIds = await Session.revoke(filter, reason);
+  if (sessionIds.length > 0) {
+    publish('session.revoked', { sessionIds, reason });
+  }
+  return sessionIds;
+}
+
+/**
+ * Log out the session a refresh token belongs to; a token replaced moments ago is accepted too
+ */
+async function endSession(token) {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return null;
+
+  const [sessionId] = await revokeSessions({
+    _id: parsed.sessionId,
+    $or: [{ tokenHash: parsed.tokenHash }, { previousTokenHash: parsed.tokenHash }]
+  }, 'logout');
+  return sessionId || null;
+}
+
+/**
+ * Cookie options for the refresh token; it is only sent to the auth routes
+ */
+function getRefreshCookieOptions(clear = false) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: SESSION_OPTIONS.cookieSameSite,
+    path: SESSION_OPTIONS.cookiePath,
+    ...(clear ? {} : { maxAge: SESSION_OPTIONS.refreshTokenDays * DAY_MS })
+  };
+}
+
+module.exports = {
+  SESSION_OPTIONS,
+  SessionError,
+  signAccessToken,
+  startSession,
+  refreshSession,
+  revokeSessions,
+  endSession,
+  getRefreshCookieOptions
+};
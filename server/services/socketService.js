@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Station = require('../models/Station');
+const User = require('../models/User');
+
+const SOCKET_OPTIONS = {
+  regionCellDegrees: 0.25, // region rooms are grid cells of this size (~28 km)
+  maxRegionCells: 100
+};
+
+const stationRoom = (stationId) => `station-${stationId}`;
+const userRoom = (userId) => `user-${userId}`;
+const roleRoom = (role) => `role-${role}`;
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+const OPS_ROOM = roleRoom('admin');
+
+let io = null;
+let adapterClients = null;
+
+/**
+ * Region room of the grid cell containing a point
+ */
+function regionRoom(longitude, latitude) {
+  const size = SOCKET_OPTIONS.regionCellDegrees;
+  return `region-${Math.floor(longitude / size)}:${Math.floor(latitude / size)}`;
+}
+
+/**
+ * Region rooms of every grid cell touching the circle of radiusKm around a point
+ */
+function regionRoomsAround(longitude, latitude, radiusKm) {
+  const size = SOCKET_OPTIONS.regionCellDegrees;
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+  const rooms = [];
+  for (let x = Math.floor((longitude - lngDelta) / size); x <= Math.floor((longitude + lngDelta) / size); x++) {
+    for (let y = Math.floor((latitude - latDelta) / size); y <= Math.floor((latitude + latDelta) / size); y++) {
+      rooms.push(`region-${x}:${y}`);
+      if (rooms.length >= SOCKET_OPTIONS.maxRegionCells) return rooms;
+    }
+  }
+  return rooms;
+}
+
+/**
+ * Rooms a user belongs to from their profile: own room, role, monitored stations and alert region
+ */
+function getUserRooms(user) {
+  const rooms = [userRoom(user._id), roleRoom(user.role)];
+
+  for (const stationId of user.preferences?.monitoringStations || []) {
+    rooms.push(stationRoom(stationId));
+  }
+
+  const [longitude, latitude] = user.location?.coordinates || [];
+  if (Number.isFinite(longitude) && Number.isFinite(latitude)) {
+    rooms.push(...regionRoomsAround(longitude, latitude, user.preferences?.alertRadius || 10));
+  }
+
+  return rooms;
+}
+
+/**
+ * Wire authentication and room handling onto the Socket.IO server
+ */
+function attachSocketHandlers(server) {
+  io = server;
+  const { authenticateSocket } = require('../middleware/auth');
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket;
+    console.log(`User ${user._id} connected:`, socket.id);
+
+    socket.join(getUserRooms(user));
+    if (socket.sessionId) socket.join(sessionRoom(socket.sessionId));
+
+    // Close the connection when the token it was opened with expires
+    let expiryTimer = null;
+    if (socket.tokenExpiresAt) {
+      expiryTimer = setTimeout(() => {
+        socket.emit('session-expired');
+        socket.disconnect(true);
+      }, Math.min(socket.tokenExpiresAt - Date.now(), 2 ** 31 - 1));
+    }
+
+    socket.on('subscribe-station', async (stationId, ack) => {
+      const result = await subscribeSocket(socket, stationId);
+      if (typeof ack === 'function') ack(result);
+    });
+
+    socket.on('unsubscribe-station', (stationId, ack) => {
+      socket.leave(stationRoom(stationId));
+      if (typeof ack === 'function') ack({ success: true });
+    });
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+      console.log(`User ${user._id} disconnected:`, socket.id);
+    });
+  });
+}
+
+/**
+ * Share rooms and broadcasts with the other API instances through Redis (enabled by REDIS_URL)
+ */
+async function attachRedisAdapter(url = process.env.REDIS_URL) {
+  if (!url || !io) return false;
+  if (adapterClients) return true;
+
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+  adapterClients = [pubClient, subClient];
+
+  let lastError = null;
+  for (const client of adapterClients) {
+    client.on('error', error => {
+      // Reconnection attempts repeat the same error; log it once
+      if (lastError !== error.message) console.error('Socket.IO Redis adapter error:', error.message);
+      lastError = error.message;
+    });
+    client.on('ready', () => { lastError = null; });
+  }
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log('Socket.IO Redis adapter attached');
+  return true;
+}
+
+/**
+ * Join a socket to a station room after checking the station exists
+ */
+async function subscribeSocket(socket, stationId) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(stationId)) {
+      return { success: false, message: 'Valid station ID required' };
+    }
+
+    const exists = await Station.exists({ _id: stationId, isActive: true });
+    if (!exists) {
+      return { success: false, message: 'Station not found' };
+    }
+
+    socket.join(stationRoom(stationId));
+    return { success: true };
+  } catch (error) {
+    console.error('Socket subscribe error:', error);
+    return { success: false, message: 'Server error while subscribing to station' };
+  }
+}
+
+/**
+ * Emit a station event to its subscribers, plus nearby users and the ops room when asked
+ */
+function emitStationEvent(station, event, payload, { region = false, ops = false } = {}) {
+  if (!io) return;
+
+  const rooms = [stationRoom(station._id)];
+  const [longitude, latitude] = station.location?.coordinates || [];
+  if (region && Number.isFinite(longitude) && Number.isFinite(latitude)) {
+    rooms.push(regionRoom(longitude, latitude));
+  }
+  if (ops) rooms.push(OPS_ROOM);
+
+  // A socket in several of the rooms receives the event once
+  io.to(rooms).emit(event, payload);
+}
+
+/**
+ * Emit an event to every connection of a user
+ */
+function emitToUser(userId, event, payload) {
+  if (io) io.to(userRoom(userId)).emit(event, payload);
+}
+
+/**
+ * Re-derive the rooms of a user's open connections after their profile changed
+ */
+async function syncUserRooms(userId) {
+  if (!io) return;
+
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const rooms = new Set(getUserRooms(user));
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+
+  for (const socket of sockets) {
+    // Station rooms joined on request are kept; profile-derived rooms are replaced
+    for (const room of socket.rooms) {
+      if ((room.startsWith('region-') || room.startsWith('role-')) && !rooms.has(room)) {
+        socket.leave(room);
+      }
+    }
+    socket.join(Array.from(rooms));
+  }
+}
+
+/**
+ * Remove a user's open connections from a station room
+ */
+function leaveStationRoom(userId, stationId) {
+  if (io) io.in(userRoom(userId)).socketsLeave(stationRoom(stationId));
+}
+
+/**
+ * Tell the connections of revoked sessions and close them
+ */
+function closeSessionSockets(sessionIds) {
+  if (!io || sessionIds.length === 0) return;
+
+  const rooms = sessionIds.map(sessionRoom);
+  io.to(rooms).emit('session-revoked');
+  io.in(rooms).disconnectSockets(true);
+}
+
+module.exports = {
+  SOCKET_OPTIONS,
+  OPS_ROOM,
+  stationRoom,
+  userRoom,
+  roleRoom,
+  sessionRoom,
+  regionRoom,
+  regionRoomsAround,
+  getUserRooms,
+  attachSocketHandlers,
+  attachRedisAdapter,
+  emitStationEvent,
+  emitToUser,
+  syncUserRooms,
+  leaveStationRoom,
+  closeSessionSockets
+};
@@ -0,0 +1,443 @@
+const { Matrix, pseudoInverse } = require('ml-matrix');
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+
+const EARTH_RADIUS_KM = 6371;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  radiusKm: 50,
+  date: null, // estimate levels as of this date (defaults to now)
+  maxAgeDays: 90, // ignore stations whose latest reading is older than this
+  method: 'auto', // 'auto' | 'kriging' | 'idw'
+  idwPower: 2,
+  minKrigingStations: 5,
+  lags: 6
+};
+
+const SURFACE_OPTIONS = {
+  cells: 50, // cells along the longer side of the bounding box
+  maxDistanceKm: 25, // cells further than this from every station are left empty
+  maxStations: 150
+};
+
+const VARIOGRAM_MODELS = {
+  spherical: (h, range) => (h >= range ? 1 : 1.5 * (h / range) - 0.5 * Math.pow(h / range, 3)),
+  exponential: (h, range) => 1 - Math.exp(-3 * h / range),
+  gaussian: (h, range) => 1 - Math.exp(-3 * Math.pow(h / range, 2))
+};
+
+/**
+ * Get active stations within a radius with their latest water level
+ */
+async function getStationLevels(latitude, longitude, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  const stations = await Station.find({
+    location: {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [longitude, latitude]
+        },
+        $maxDistance: config.radiusKm * 1000
+      }
+    },
+    isActive: true,
+    status: 'active'
+  });
+
+  if (stations.length === 0) return [];
+
+  const readingsByStation = await getLatestLevels(stations, config);
+
+  return stations
+    .filter(station => readingsByStation.has(station._id.toString()))
+    .map(station => {
+      const [stationLng, stationLat] = station.location.coordinates;
+      const reading = readingsByStation.get(station._id.toString());
+      return {
+        station,
+        latestReading: reading,
+        value: reading.waterLevel,
+        distance: station.distanceTo(latitude, longitude),
+        ...project(stationLat, stationLng, latitude, longitude)
+      };
+    });
+}
+
+/**
+ * Get each station's latest reading as of a date, keyed by station id
+ */
+async function getLatestLevels(stations, { date, maxAgeDays = DEFAULT_OPTIONS.maxAgeDays } = {}) {
+  const asOf = date ? new Date(date) : new Date();
+
+  const latestReadings = await Reading.aggregate([
+    {
+      $match: {
+        stationId: { $in: stations.map(s => s._id) },
+        timestamp: { $gte: new Date(asOf.getTime() - maxAgeDays * DAY_MS), $lte: asOf },
+        isActive: true,
+        ...Reading.UNFLAGGED
+      }
+    },
+    { $sort: { stationId: 1, timestamp: -1 } },
+    { $group: { _id: '$stationId', latestReading: { $first: '$$ROOT' } } }
+  ]);
+
+  return new Map(latestReadings.map(r => [r._id.toString(), r.latestReading]));
+}
+
+/**
+ * Estimate the water level at a location from the stations around it
+ */
+async function interpolateWaterLevel(latitude, longitude, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const points = await getStationLevels(latitude, longitude, config);
+
+  return interpolatePoints(points, config);
+}
+
+/**
+ * Interpolate at the projection origin from projected station points
+ */
+function interpolatePoints(points, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  if (points.length === 0) return null;
+
+  const target = { x: 0, y: 0 };
+  let result = null;
+
+  if (points.length === 1) {
+    result = { method: 'nearest', estimate: points[0].value, uncertainty: null, weights: [1] };
+  } else {
+    const useKriging = config.method === 'kriging' ||
+      (config.method === 'auto' && points.length >= config.minKrigingStations);
+    const variogram = useKriging ? fitVariogram(points, config) : null;
+
+    result = variogram
+      ? krigingInterpolate(points, target, variogram)
+      : idwInterpolate(points, target, config);
+  }
+
+  const estimate = Math.max(0, result.estimate);
+  const spread = result.uncertainty === null ? null : 1.96 * result.uncertainty;
+
+  return {
+    method: result.method,
+    estimate: round(estimate),
+    uncertainty: result.uncertainty === null ? null : round(result.uncertainty),
+    range: spread === null ? null : {
+      min: round(Math.max(0, estimate - spread)),
+      max: round(estimate + spread)
+    },
+    variogram: result.variogram || null,
+    stations: points.map((point, i) => ({
+      stationId: point.station._id,
+      name: point.station.name,
+      distance: round(point.distance),
+      waterLevel: point.value,
+      weight: round(result.weights[i])
+    }))
+  };
+}
+
+/**
+ * Inverse distance weighting with a weighted spread as the uncertainty
+ */
+function idwInterpolate(points, target, { idwPower = 2 } = {}) {
+  const distances = points.map(p => Math.hypot(p.x - target.x, p.y - target.y));
+
+  // A station at the location itself is the estimate
+  const coincident = distances.findIndex(d => d < 0.001);
+  if (coincident !== -1) {
+    return {
+      method: 'idw',
+      estimate: points[coincident].value,
+      uncertainty: 0,
+      weights: points.map((p, i) => (i === coincident ? 1 : 0))
+    };
+  }
+
+  const raw = distances.map(d => 1 / Math.pow(d, idwPower));
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  const weights = raw.map(w => w / total);
+  const estimate = points.reduce((sum, p, i) => sum + weights[i] * p.value, 0);
+  const variance = points.reduce((sum, p, i) => sum + weights[i] * Math.pow(p.value - estimate, 2), 0);
+
+  return { method: 'idw', estimate, uncertainty: Math.sqrt(variance), weights };
+}
+
+/**
+ * Fit a semivariogram model (nugget, sill, range) to the station values
+ */
+function fitVariogram(points, { lags = 6 } = {}) {
+  const pairs = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      pairs.push({
+        distance: Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y),
+        semivariance: 0.5 * Math.pow(points[i].value - points[j].value, 2)
+      });
+    }
+  }
+
+  // Empirical variogram over half the largest separation
+  const maxDistance = Math.max(...pairs.map(p => p.distance)) / 2;
+  if (!(maxDistance > 0)) return null;
+
+  const lagWidth = maxDistance / lags;
+  const bins = [];
+  for (let k = 0; k < lags; k++) {
+    const inBin = pairs.filter(p => p.distance > k * lagWidth && p.distance <= (k + 1) * lagWidth);
+    if (inBin.length === 0) continue;
+    bins.push({
+      distance: inBin.reduce((sum, p) => sum + p.distance, 0) / inBin.length,
+      semivariance: inBin.reduce((sum, p) => sum + p.semivariance, 0) / inBin.length,
+      count: inBin.length
+    });
+  }
+  if (bins.length < 3) return null;
+
+  // For a given model and range, nugget and partial sill are a weighted linear least squares fit
+  let best = null;
+  Object.entries(VARIOGRAM_MODELS).forEach(([model, shape]) => {
+    for (let step = 1; step <= 20; step++) {
+      const range = (2 * maxDistance * step) / 20;
+      const fit = fitNuggetAndSill(bins, h => shape(h, range));
+      if (fit && (!best || fit.error < best.error)) {
+        best = { model, range, ...fit };
+      }
+    }
+  });
+
+  if (!best || best.partialSill <= 0) return null;
+
+  return {
+    model: best.model,
+    nugget: round(best.nugget),
+    sill: round(best.nugget + best.partialSill),
+    range: round(best.range),
+    lags: bins.length
+  };
+}
+
+/**
+ * Weighted least squares for gamma(h) = nugget + partialSill * f(h), both non-negative
+ */
+function fitNuggetAndSill(bins, f) {
+  let sw = 0, swf = 0, swff = 0, swy = 0, swfy = 0;
+  bins.forEach(bin => {
+    const fh = f(bin.distance);
+    sw += bin.count;
+    swf += bin.count * fh;
+    swff += bin.count * fh * fh;
+    swy += bin.count * bin.semivariance;
+    swfy += bin.count * fh * bin.semivariance;
+  });
+
+  const det = sw * swff - swf * swf;
+  let nugget = det !== 0 ? (swff * swy - swf * swfy) / det : 0;
+  let partialSill = det !== 0 ? (sw * swfy - swf * swy) / det : 0;
+
+  if (nugget < 0) {
+    nugget = 0;
+    partialSill = swff > 0 ? swfy / swff : 0;
+  }
+  if (partialSill < 0) {
+    partialSill = 0;
+    nugget = swy / sw;
+  }
+
+  const error = bins.reduce((sum, bin) => (
+    sum + bin.count * Math.pow(bin.semivariance - (nugget + partialSill * f(bin.distance)), 2)
+  ), 0);
+
+  return { nugget, partialSill, error };
+}
+
+/**
+ * Ordinary kriging with the kriging standard deviation as the uncertainty.
+ * Pass a precomputed inverse when kriging many targets from the same stations.
+ */
+function krigingInterpolate(points, target, variogram, inverse = krigingInverse(points, variogram)) {
+  const n = points.length;
+  const rhs = points.map(p => semivariance(Math.hypot(p.x - target.x, p.y - target.y), variogram));
+  rhs.push(1);
+
+  const solution = inverse.map(row => row.reduce((sum, value, j) => sum + value * rhs[j], 0));
+  const weights = solution.slice(0, n);
+  const lagrange = solution[n];
+
+  const estimate = weights.reduce((sum, w, i) => sum + w * points[i].value, 0);
+  const variance = weights.reduce((sum, w, i) => sum + w * rhs[i], 0) + lagrange;
+
+  return {
+    method: 'kriging',
+    estimate,
+    uncertainty: Math.sqrt(Math.max(0, variance)),
+    weights,
+    variogram
+  };
+}
+
+/**
+ * Invert the ordinary kriging system for a set of stations
+ */
+function krigingInverse(points, variogram) {
+  const n = points.length;
+  const lhs = Matrix.zeros(n + 1, n + 1);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      lhs.set(i, j, semivariance(Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y), variogram));
+    }
+    lhs.set(i, n, 1);
+    lhs.set(n, i, 1);
+  }
+
+  // The SVD based pseudo-inverse copes with stations that share a location
+  return pseudoInverse(lhs).to2DArray();
+}
+
+/**
+ * Interpolate a water level grid over a bounding box
+ */
+async function interpolateSurface({ south, west, north, east }, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...SURFACE_OPTIONS, ...options };
+  const centerLat = (south + north) / 2;
+  const centerLng = (west + east) / 2;
+
+  // Include stations just outside the box so edges are not extrapolated
+  const marginLat = config.maxDistanceKm / 111;
+  const marginLng = marginLat / Math.max(0.1, Math.cos(centerLat * Math.PI / 180));
+  const [s, w, n, e] = [
+    Math.max(-90, south - marginLat),
+    Math.max(-180, west - marginLng),
+    Math.min(90, north + marginLat),
+    Math.min(180, east + marginLng)
+  ];
+
+  const stations = await Station.find({
+    location: {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]]
+        }
+      }
+    },
+    isActive: true,
+    status: 'active'
+  }).limit(config.maxStations);
+
+  const readingsByStation = await getLatestLevels(stations, config);
+  const points = stations
+    .filter(station => readingsByStation.has(station._id.toString()))
+    .map(station => {
+      const [stationLng, stationLat] = station.location.coordinates;
+      return {
+        station,
+        value: readingsByStation.get(station._id.toString()).waterLevel,
+        ...project(stationLat, stationLng, centerLat, centerLng)
+      };
+    });
+
+  if (points.length < 2) return null;
+
+  const useKriging = config.method === 'kriging' ||
+    (config.method === 'auto' && points.length >= config.minKrigingStations);
+  const variogram = useKriging ? fitVariogram(points, config) : null;
+  const inverse = variogram ? krigingInverse(points, variogram) : null;
+
+  // Square cells in degrees, rows from north to south, columns from west to east
+  const cellSize = Math.max(north - south, east - west) / config.cells;
+  const width = Math.max(1, Math.ceil((east - west) / cellSize));
+  const height = Math.max(1, Math.ceil((north - south) / cellSize));
+  const values = [];
+  const uncertainty = [];
+
+  for (let row = 0; row < height; row++) {
+    const lat = north - (row + 0.5) * cellSize;
+    for (let col = 0; col < width; col++) {
+      const target = project(lat, west + (col + 0.5) * cellSize, centerLat, centerLng);
+      const nearest = Math.min(...points.map(p => Math.hypot(p.x - target.x, p.y - target.y)));
+
+      if (nearest > config.maxDistanceKm) {
+        values.push(null);
+        uncertainty.push(null);
+        continue;
+      }
+
+      const result = variogram
+        ? krigingInterpolate(points, target, variogram, inverse)
+        : idwInterpolate(points, target, config);
+      values.push(round(Math.max(0, result.estimate)));
+      uncertainty.push(round(result.uncertainty));
+    }
+  }
+
+  const filled = values.filter(v => v !== null);
+
+  return {
+    bbox: { south, west, north: south + height * cellSize, east: west + width * cellSize },
+    date: config.date ? new Date(config.date) : new Date(),
+    method: variogram ? 'kriging' : 'idw',
+    variogram,
+    width,
+    height,
+    cellSize,
+    values,
+    uncertainty,
+    stats: {
+      min: filled.length > 0 ? Math.min(...filled) : null,
+      max: filled.length > 0 ? Math.max(...filled) : null,
+      cells: filled.length
+    },
+    stations: points.map(p => ({
+      stationId: p.station._id,
+      name: p.station.name,
+      latitude: p.station.location.coordinates[1],
+      longitude: p.station.location.coordinates[0],
+      waterLevel: p.value
+    }))
+  };
+}
+
+/**
+ * Semivariance at a separation for a fitted variogram
+ */
+function semivariance(h, { model, nugget, sill, range }) {
+  if (h === 0) return 0;
+  return nugget + (sill - nugget) * VARIOGRAM_MODELS[model](h, range);
+}
+
+/**
+ * Project a coordinate to km east/north of an origin (equirectangular, fine at station scale)
+ */
+function project(latitude, longitude, originLat, originLng) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  return {
+    x: EARTH_RADIUS_KM * toRad(longitude - originLng) * Math.cos(toRad(originLat)),
+    y: EARTH_RADIUS_KM * toRad(latitude - originLat)
+  };
+}
+
+function round(value, digits = 2) {
+  return Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  SURFACE_OPTIONS,
+  getStationLevels,
+  getLatestLevels,
+  interpolateWaterLevel,
+  interpolateSurface,
+  interpolatePoints,
+  idwInterpolate,
+  fitVariogram,
+  krigingInterpolate,
+  krigingInverse,
+  semivariance,
+  project
+};
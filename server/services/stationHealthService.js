@@ -0,0 +1,253 @@
+const simpleStats = require('simple-statistics');
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+const { getExpectedInterval } = require('./gapFillingService');
+const { publish } = require('./eventBus');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const HEALTH_OPTIONS = {
+  offlineAfterIntervals: 3, // missed reporting intervals before a station counts as offline
+  batteryWindowDays: 14,
+  batteryCutoff: 10, // % at which loggers stop transmitting reliably
+  batteryLowLevel: 20,
+  batteryWarningDays: 14, // warn when the forecast reaches the cutoff sooner than this
+  batteryRechargeJump: 10, // a rise this large means the battery was replaced or recharged
+  signalWindowDays: 3,
+  signalBaselineDays: 30,
+  signalWeakDbm: -105,
+  signalDropDb: 10 // recent median this far below the baseline counts as degradation
+};
+
+// Ordered from most to least severe, for sorting the fleet listing
+const HEALTH_STATES = ['offline', 'degraded', 'unknown', 'ok'];
+
+/**
+ * Forecast when the battery reaches the cutoff from the discharge since the last recharge
+ */
+function forecastBatteryDepletion(readings, now = new Date(), options = {}) {
+  const config = { ...HEALTH_OPTIONS, ...options };
+  const series = readings.filter(r => typeof r.batteryLevel === 'number');
+  if (series.length === 0) return null;
+
+  // Only the current discharge cycle says anything about when this battery runs out
+  let start = 0;
+  for (let i = 1; i < series.length; i++) {
+    if (series[i].batteryLevel - series[i - 1].batteryLevel >= config.batteryRechargeJump) start = i;
+  }
+  const cycle = series.slice(start);
+  const level = cycle[cycle.length - 1].batteryLevel;
+
+  const spanMs = new Date(cycle[cycle.length - 1].timestamp) - new Date(cycle[0].timestamp);
+  if (cycle.length < 3 || spanMs < DAY_MS) {
+    return { level, ratePerDay: null, depletionDate: null };
+  }
+
+  const points = cycle.map(r => [new Date(r.timestamp).getTime() / DAY_MS, r.batteryLevel]);
+  const { m: ratePerDay } = simpleStats.linearRegression(points);
+
+  let depletionDate = null;
+  if (ratePerDay < 0) {
+    const daysRemaining = Math.max(0, (level - config.batteryCutoff) / -ratePerDay);
+    depletionDate = new Date(now.getTime() + daysRemaining * DAY_MS);
+  }
+
+  return { level, ratePerDay: Math.round(ratePerDay * 100) / 100, depletionDate };
+}
+
+/**
+ * Compare recent signal strength against the station's own baseline
+ */
+function assessSignal(readings, now = new Date(), options = {}) {
+  const config = { ...HEALTH_OPTIONS, ...options };
+  const recentStart = now.getTime() - config.signalWindowDays * DAY_MS;
+  const series = readings.filter(r => typeof r.signalStrength === 'number');
+
+  const recent = series.filter(r => new Date(r.timestamp).getTime() >= recentStart).map(r => r.signalStrength);
+  const baseline = series.filter(r => new Date(r.timestamp).getTime() < recentStart).map(r => r.signalStrength);
+  if (recent.length === 0) return null;
+
+  const current = simpleStats.median(recent);
+  const baselineMedian = baseline.length >= 3 ? simpleStats.median(baseline) : null;
+
+  return {
+    current,
+    baseline: baselineMedian,
+    weak: current <= config.signalWeakDbm,
+    degraded: baselineMedian !== null && baselineMedian - current >= config.signalDropDb
+  };
+}
+
+/**
+ * Work out a station's health from its reporting gaps, battery and signal series
+ */
+async function assessStationHealth(station, now = new Date(), options = {}) {
+  const config = { ...HEALTH_OPTIONS, ...options };
+  const since = new Date(now.getTime() - Math.max(config.batteryWindowDays, config.signalBaselineDays) * DAY_MS);
+
+  const readings = await Reading.find({
+    stationId: station._id,
+    timestamp: { $gte: since, $lte: now },
+    'metadata.dataSource': { $ne: 'interpolated' },
+    isActive: true
+  })
+    .select('timestamp batteryLevel signalStrength')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const issues = [];
+  const lastReadingAt = station.lastReading?.timestamp;
+  const silentHours = lastReadingAt ? Math.round((now - new Date(lastReadingAt)) / HOUR_MS * 10) / 10 : null;
+
+  const intervalMs = getExpectedInterval(station);
+  const offline = lastReadingAt && now - new Date(lastReadingAt) > config.offlineAfterIntervals * intervalMs;
+  if (offline) {
+    issues.push({
+      code: 'offline',
+      message: `No reading for ${Math.round(silentHours)} hours (expected ${station.metadata?.dataFrequency || 'hourly'})`
+    });
+  }
+
+  const batteryStart = now.getTime() - config.batteryWindowDays * DAY_MS;
+  const battery = forecastBatteryDepletion(
+    readings.filter(r => new Date(r.timestamp).getTime() >= batteryStart),
+    now,
+    config
+  );
+  if (battery && battery.level <= config.batteryLowLevel) {
+    issues.push({ code: 'battery_low', message: `Battery at ${battery.level}%` });
+  } else if (battery?.depletionDate && battery.depletionDate - now < config.batteryWarningDays * DAY_MS) {
+    const days = Math.round((battery.depletionDate - now) / DAY_MS);
+    issues.push({
+      code: 'battery_depleting',
+      message: `Battery forecast to reach ${config.batteryCutoff}% in ${days} days (${battery.ratePerDay}%/day)`
+    });
+  }
+
+  const signal = assessSignal(readings, now, config);
+  if (signal?.weak) {
+    issues.push({ code: 'signal_weak', message: `Signal at ${signal.current} dBm` });
+  }
+  if (signal?.degraded) {
+    issues.push({
+      code: 'signal_degraded',
+      message: `Signal ${Math.round(signal.baseline - signal.current)} dB below its ${config.signalBaselineDays}-day baseline`
+    });
+  }
+
+  let state = 'ok';
+  if (!lastReadingAt) state = 'unknown';
+  else if (offline) state = 'offline';
+  else if (issues.length > 0) state = 'degraded';
+
+  return {
+    state,
+    issues,
+    silentHours,
+    battery: battery || {},
+    signal: signal ? { current: signal.current, baseline: signal.baseline } : {},
+    checkedAt: now
+  };
+}
+
+/**
+ * Store a station's health and move it into or out of error as it goes offline or recovers
+ */
+async function checkStationHealth(station, now = new Date(), options = {}) {
+  const health = await assessStationHealth(station, now, options);
+  const previousState = station.health?.state;
+  const previousStatus = station.status;
+  let statusChangedByCheck = station.health?.statusChangedByCheck || false;
+
+  // Maintenance and inactive are set by people and left alone
+  if (health.state === 'offline' && station.status === 'active') {
+    station.status = 'error';
+    statusChangedByCheck = true;
+  } else if (health.state !== 'offline' && station.status === 'error' && statusChangedByCheck) {
+    station.status = 'active';
+    statusChangedByCheck = false;
+  } else if (station.status !== 'error') {
+    statusChangedByCheck = false;
+  }
+
+  station.health = { ...health, statusChangedByCheck };
+  await station.save();
+
+  if (previousStatus !== station.status) {
+    publish('station.status_changed', { station, previousStatus, status: station.status, reason: 'health_check' });
+  }
+  if (previousState !== health.state) {
+    publish('station.health_changed', { station, previousState, health: station.health });
+  }
+
+  return station.health;
+}
+
+/**
+ * Run the health check over every active station
+ */
+async function checkAllStationHealth(now = new Date()) {
+  const stations = await Station.find({ isActive: true });
+  const summary = { checked: 0, errors: 0 };
+  HEALTH_STATES.forEach(state => { summary[state] = 0; });
+
+  for (const station of stations) {
+    try {
+      const health = await checkStationHealth(station, now);
+      summary[health.state]++;
+      summary.checked++;
+    } catch (error) {
+      console.error(`Health check error for station ${station.stationId}:`, error);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Fleet summary from the stored health of each station, worst first
+ */
+async function getFleetHealth({ state, limit = 100 } = {}) {
+  const stations = await Station.find({ isActive: true })
+    .select('stationId name status address.state address.district lastReading health')
+    .lean();
+
+  const summary = { total: stations.length, byState: {}, byStatus: {}, byIssue: {} };
+  HEALTH_STATES.forEach(s => { summary.byState[s] = 0; });
+
+  stations.forEach(station => {
+    const stationState = station.health?.state || 'unknown';
+    summary.byState[stationState]++;
+    summary.byStatus[station.status] = (summary.byStatus[station.status] || 0) + 1;
+    (station.health?.issues || []).forEach(issue => {
+      summary.byIssue[issue.code] = (summary.byIssue[issue.code] || 0) + 1;
+    });
+  });
+
+  const severity = s => HEALTH_STATES.indexOf(s.health?.state || 'unknown');
+  const listed = stations
+    .filter(s => !state || (s.health?.state || 'unknown') === state)
+    .sort((a, b) => severity(a) - severity(b) || (b.health?.silentHours || 0) - (a.health?.silentHours || 0))
+    .slice(0, limit);
+
+  const checkedTimes = stations.map(s => s.health?.checkedAt).filter(Boolean).map(d => new Date(d).getTime());
+
+  return {
+    summary,
+    lastCheckedAt: checkedTimes.length > 0 ? new Date(Math.max(...checkedTimes)) : null,
+    stations: listed
+  };
+}
+
+module.exports = {
+  HEALTH_OPTIONS,
+  HEALTH_STATES,
+  forecastBatteryDepletion,
+  assessSignal,
+  assessStationHealth,
+  checkStationHealth,
+  checkAllStationHealth,
+  getFleetHealth
+};
@@ -0,0 +1,91 @@
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+const ThresholdProfile = require('../models/ThresholdProfile');
+
+/**
+ * Recompute stored waterLevelStatus for historic readings and each station's last reading using its thresholds
+ */
+async function recomputeReadingStatuses({ stationIds, batchSize = 1000 } = {}) {
+  const filter = {};
+  if (stationIds && stationIds.length > 0) {
+    filter._id = { $in: stationIds };
+  }
+
+  const stations = await Station.find(filter);
+  const summary = {
+    stations: stations.length,
+    scanned: 0,
+    updated: 0
+  };
+
+  for (const station of stations) {
+    const bands = await station.resolveThresholdBands();
+
+    const lastStatus = ThresholdProfile.classify(station.lastReading?.waterLevel, bands);
+    if (lastStatus !== 'unknown' && lastStatus !== station.lastReading.waterLevelStatus) {
+      // Only if no newer reading has replaced it meanwhile
+      await Station.updateOne(
+        { _id: station._id, 'lastReading.timestamp': station.lastReading.timestamp },
+        { $set: { 'lastReading.waterLevelStatus': lastStatus } }
+      );
+    }
+
+    const cursor = Reading.find({ stationId: station._id })
+      .select('waterLevel waterLevelStatus')
+      .lean()
+      .cursor({ batchSize });
+
+    let operations = [];
+    for await (const reading of cursor) {
+      summary.scanned++;
+
+      const status = ThresholdProfile.classify(reading.waterLevel, bands);
+      if (status !== reading.waterLevelStatus) {
+        operations.push({
+          updateOne: {
+            filter: { _id: reading._id },
+            update: { $set: { waterLevelStatus: status } }
+          }
+        });
+      }
+
+      if (operations.length >= batchSize) {
+        const result = await Reading.bulkWrite(operations, { ordered: false });
+        summary.updated += result.modifiedCount;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      const result = await Reading.bulkWrite(operations, { ordered: false });
+      summary.updated += result.modifiedCount;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Find stations whose thresholds come from a profile (directly or via aquifer default)
+ */
+async function getStationsUsingProfile(profile) {
+  // Stations with their own band override are unaffected by profile changes
+  const filter = {
+    'thresholds.bands.0': { $exists: false },
+    $or: [{ 'thresholds.profile': profile._id }]
+  };
+
+  if (profile.isAquiferDefault && profile.aquiferType) {
+    filter.$or.push({
+      'thresholds.profile': null,
+      'technicalDetails.aquiferType': profile.aquiferType
+    });
+  }
+
+  return await Station.find(filter).select('_id');
+}
+
+module.exports = {
+  recomputeReadingStatuses,
+  getStationsUsingProfile
+};
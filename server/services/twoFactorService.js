@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { publish } = require('./eventBus');
+
+const TWO_FACTOR_OPTIONS = {
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Groundwater Detection System',
+  digits: 6,
+  periodSeconds: 30,
+  window: 1, // also accept the codes either side of the current one, for clock drift
+  secretBytes: 20,
+  recoveryCodeCount: 10,
+  challengeExpiresIn: '5m', // between the password and the code step of a login
+  maxFailedAttempts: 5,
+  lockoutMinutes: 15,
+  policyCacheMs: 60 * 1000
+};
+
+const CHALLENGE_AUDIENCE = 'two_factor_login';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Raised when a second factor cannot be set up or checked; `code` tells the client why
+class TwoFactorError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+  }
+}
+
+let policyCache = null;
+
+// Authenticator apps exchange secrets as RFC 4648 base32
+const toBase32 = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+// TOTP secrets must be recoverable to check codes, so they are stored encrypted
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_SECRET_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join(':');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+// Recovery codes are compared without case, spaces or dashes
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const createRecoveryCodes = () => Array.from({ length: TWO_FACTOR_OPTIONS.recoveryCodeCount }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * RFC 6238 code for a secret at a given 30-second time step
+ */
+function generateTotp(secret, step = Math.floor(Date.now() / 1000 / TWO_FACTOR_OPTIONS.periodSeconds)) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TWO_FACTOR_OPTIONS.digits).padStart(TWO_FACTOR_OPTIONS.digits, '0');
+}
+
+/**
+ * Time step a code was generated for, within the drift window, or null if it matches none
+ */
+function findTotpStep(secret, code, now = Date.now()) {
+  if (!new RegExp(`^\\d{${TWO_FACTOR_OPTIONS.digits}}$`).test(code || '')) return null;
+
+  const current = Math.floor(now / 1000 / TWO_FACTOR_OPTIONS.periodSeconds);
+  for (let offset = -TWO_FACTOR_OPTIONS.window; offset <= TWO_FACTOR_OPTIONS.window; offset++) {
+    const expected = generateTotp(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return current + offset;
+  }
+  return null;
+}
+
+/**
+ * Load a user with the second factor fields that are normally left out
+ */
+async function loadTwoFactorUser(userId) {
+  return await User.findById(userId).select(
+    '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes +twoFactor.failedAttempts +twoFactor.lockedUntil'
+  );
+}
+
+/**
+ * Start enrollment: a new secret, as an otpauth:// URL and the QR code that carries it
+ */
+async function beginEnrollment(userId) {
+  const user = await loadTwoFactorUser(userId);
+  if (user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 'already_enabled');
+  }
+
+  const secret = crypto.randomBytes(TWO_FACTOR_OPTIONS.secretBytes);
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const base32Secret = toBase32(secret);
+  const label = encodeURIComponent(`${TWO_FACTOR_OPTIONS.issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret: base32Secret,
+    issuer: TWO_FACTOR_OPTIONS.issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR_OPTIONS.digits),
+    period: String(TWO_FACTOR_OPTIONS.periodSeconds)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret: base32Secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+/**
+ * Finish enrollment with a code from the app; resolves with the recovery codes, shown once
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await loadTwoFactorUser(userId);
+  if (user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 'already_enabled');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first', 'not_started');
+  }
+
+  const step = findTotpStep(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new TwoFactorError('Invalid authentication code', 'invalid_code');
+  }
+
+  const recoveryCodes = createRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = undefined;
+  await user.save();
+
+  return recoveryCodes;
+}
+
+// Refuse second factor checks for a while; the attempt count starts again afterwards
+async function lockSecondFactor(userId) {
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.failedAttempts': 0,
+      'twoFactor.lockedUntil': new Date(Date.now() + TWO_FACTOR_OPTIONS.lockoutMinutes * 60 * 1000)
+    }
+  });
+}
+
+/**
+ * Check an authenticator code or a recovery code, each usable once, with lockout after repeated failures
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await loadTwoFactorUser(userId);
+  if (!user || !user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled', 'not_enabled');
+  }
+
+  // Each check reserves an attempt up front with $inc, so parallel guesses cannot slip past the limit
+  const attempt = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ 'twoFactor.lockedUntil': null }, { 'twoFactor.lockedUntil': { $lte: new Date() } }] },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+
+  if (!attempt || attempt.twoFactor.failedAttempts > TWO_FACTOR_OPTIONS.maxFailedAttempts) {
+    if (attempt) await lockSecondFactor(user._id);
+    throw new TwoFactorError('Too many incorrect codes; please try again later', 'locked');
+  }
+
+  let method = null;
+
+  if (recoveryCode) {
+    // Pulling the hash is atomic, so a recovery code cannot be spent twice
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+    );
+    if (result.modifiedCount) method = 'recovery_code';
+  } else {
+    const step = findTotpStep(decryptSecret(user.twoFactor.secret), code);
+    if (step !== null) {
+      // Only a code newer than the last accepted one counts, so an observed code cannot be replayed
+      const result = await User.updateOne(
+        { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (result.modifiedCount) method = 'totp';
+    }
+  }
+
+  if (!method) {
+    if (attempt.twoFactor.failedAttempts >= TWO_FACTOR_OPTIONS.maxFailedAttempts) {
+      await lockSecondFactor(user._id);
+    }
+    throw new TwoFactorError('Invalid authentication code', 'invalid_code');
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.failedAttempts': 0 } });
+
+  const remaining = user.twoFactor.recoveryCodes.length - (method === 'recovery_code' ? 1 : 0);
+  return { method, recoveryCodesRemaining: remaining };
+}
+
+/**
+ * Replace a user's recovery codes after checking their second factor
+ */
+async function regenerateRecoveryCodes(userId, proof) {
+  await verifySecondFactor(userId, proof);
+
+  const recoveryCodes = createRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } });
+  return recoveryCodes;
+}
+
+/**
+ * Turn off two-factor authentication after checking the second factor, unless the user's role requires it
+ */
+async function disableTwoFactor(user, proof) {
+  const policy = await getTwoFactorPolicy();
+  if (policy.twoFactorRequiredRoles.includes(user.role)) {
+    throw new TwoFactorError(`Two-factor authentication is required for the ${user.role} role`, 'required_by_policy');
+  }
+
+  await verifySecondFactor(user._id, proof);
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+    $unset: {
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lockedUntil': 1
+    }
+  });
+}
+
+/**
+ * Short-lived token that proves the password step of a login passed
+ */
+function issueLoginChallenge(user) {
+  return jwt.sign({ uid: user._id }, process.env.JWT_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: TWO_FACTOR_OPTIONS.challengeExpiresIn
+  });
+}
+
+/**
+ * User id from a login challenge token
+ */
+function resolveLoginChallenge(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).uid;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new TwoFactorError('Login took too long; please sign in again', 'challenge_expired');
+    }
+    throw new TwoFactorError('Please sign in again', 'invalid_challenge');
+  }
+}
+
+/**
+ * Current two-factor policy, cached briefly since it is read on every authenticated request
+ */
+async function getTwoFactorPolicy() {
+  if (policyCache && policyCache.expiresAt > Date.now()) return policyCache.policy;
+
+  const policy = await SecurityPolicy.getCurrent();
+  policyCache = { policy, expiresAt: Date.now() + TWO_FACTOR_OPTIONS.policyCacheMs };
+  return policy;
+}
+
+/**
+ * Change the roles that must use two-factor authentication and tell every instance
+ */
+async function updateTwoFactorPolicy(roles, updatedBy) {
+  const policy = await SecurityPolicy.updateCurrent({
+    twoFactorRequiredRoles: [...new Set(roles)],
+    updatedBy
+  });
+  clearTwoFactorPolicyCache();
+  publish('security_policy.updated', { twoFactorRequiredRoles: policy.twoFactorRequiredRoles });
+  return policy;
+}
+
+function clearTwoFactorPolicyCache() {
+  policyCache = null;
+}
+
+/**
+ * Whether the user's role requires a second factor they have not set up yet
+ */
+async function isTwoFactorSetupRequired(user) {
+  if (user.twoFactor?.enabled) return false;
+  const policy = await getTwoFactorPolicy();
+  return policy.twoFactorRequiredRoles.includes(user.role);
+}
+
+module.exports = {
+  TWO_FACTOR_OPTIONS,
+  TwoFactorError,
+  generateTotp,
+  findTotpStep,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueLoginChallenge,
+  resolveLoginChallenge,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  clearTwoFactorPolicyCache,
+  isTwoFactorSetupRequired
+};
@@ -0,0 +1,53 @@
+const { ChannelError } = require('../../services/notificationChannels');
+const smsGatewayChannel = require('../../services/channels/smsGatewayChannel');
+const { startHttpSink } = require('../helpers/httpSink');
+
+describe('sms gateway channel', () => {
+  let gateway;
+
+  beforeAll(async () => {
+    gateway = await startHttpSink({ status: 200, body: { id: 'gw-1', status: 'queued' } });
+    process.env.SMS_GATEWAY_URL = `${gateway.url}/sms`;
+    process.env.SMS_GATEWAY_TOKEN = 'gateway-token';
+    process.env.SMS_SENDER_ID = 'GWATER';
+  });
+
+  afterEach(() => gateway.reset());
+
+  afterAll(() => gateway.close());
+
+  test('posts the text to the gateway and returns its id', async () => {
+    const result = await smsGatewayChannel.send({ to: '+919800000000', text: 'Level critical', deliveryId: 'd-1' });
+
+    expect(result).toEqual({ messageId: 'gw-1', status: 'sent' });
+    expect(gateway.requests).toHaveLength(1);
+    const [request] = gateway.requests;
+    expect(request.url).toBe('/sms');
+    expect(request.headers.authorization).toBe('Bearer gateway-token');
+    expect(JSON.parse(request.body)).toEqual({ to: '+919800000000', from: 'GWATER', text: 'Level critical', reference: 'd-1' });
+  });
+
+  test('refuses to send without a phone number', async () => {
+    await expect(smsGatewayChannel.send({ text: 'x' })).rejects.toThrow('No phone number on file');
+    expect(gateway.requests).toHaveLength(0);
+  });
+
+  test('marks gateway outages and throttling as retryable', async () => {
+    gateway.respondWith({ status: 503, body: {} }, { status: 429, headers: { 'Retry-After': '3' }, body: {} });
+
+    const outage = await smsGatewayChannel.send({ to: '+1', text: 'x' }).catch(e => e);
+    const throttled = await smsGatewayChannel.send({ to: '+1', text: 'x' }).catch(e => e);
+
+    expect(outage).toBeInstanceOf(ChannelError);
+    expect(outage).toMatchObject({ status: 503, retryable: true });
+    expect(throttled).toMatchObject({ status: 429, retryable: true, retryAfterMs: 3000 });
+  });
+
+  test('does not retry a rejected request', async () => {
+    gateway.respondWith({ status: 400, body: { error: 'invalid number' } });
+
+    const error = await smsGatewayChannel.send({ to: 'not-a-number', text: 'x' }).catch(e => e);
+
+    expect(error).toMatchObject({ status: 400, retryable: false, message: 'SMS gateway responded with 400' });
+  });
+});
@@ -0,0 +1,81 @@
+const { SMTPServer } = require('smtp-server');
+const { ChannelError } = require('../../services/notificationChannels');
+const smtpChannel = require('../../services/channels/smtpChannel');
+
+// Recipients the sink refuses, with the SMTP reply code it answers
+const REJECTED = {
+  'unknown@example.com': 550,
+  'busy@example.com': 451
+};
+
+describe('smtp channel', () => {
+  let server;
+  const received = [];
+
+  beforeAll(async () => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onRcptTo(address, session, callback) {
+        const code = REJECTED[address.address];
+        if (!code) return callback();
+        const error = new Error(`Recipient refused (${code})`);
+        error.responseCode = code;
+        callback(error);
+      },
+      onData(stream, session, callback) {
+        let raw = '';
+        stream.on('data', chunk => { raw += chunk; });
+        stream.on('end', () => {
+          received.push({ envelope: session.envelope, raw });
+          callback();
+        });
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.EMAIL_HOST = '127.0.0.1';
+    process.env.EMAIL_PORT = String(server.server.address().port);
+    process.env.EMAIL_FROM = 'alerts@groundwater.test';
+  });
+
+  afterAll(async () => {
+    smtpChannel.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('is configured by EMAIL_HOST', () => {
+    expect(smtpChannel.isConfigured()).toBe(true);
+  });
+
+  test('delivers the message to the SMTP server', async () => {
+    const result = await smtpChannel.send({
+      to: 'farmer@example.com',
+      subject: 'Water level alert',
+      html: '<p>Level dropped</p>',
+      text: 'Level dropped'
+    });
+
+    expect(result.status).toBe('sent');
+    expect(result.messageId).toBeTruthy();
+    expect(received).toHaveLength(1);
+    expect(received[0].envelope.mailFrom.address).toBe('alerts@groundwater.test');
+    expect(received[0].envelope.rcptTo.map(rcpt => rcpt.address)).toEqual(['farmer@example.com']);
+    expect(received[0].raw).toMatch(/^Subject: Water level alert/m);
+  });
+
+  test('treats a permanent rejection as final', async () => {
+    const error = await smtpChannel.send({ to: 'unknown@example.com', subject: 'x', text: 'x' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChannelError);
+    expect(error).toMatchObject({ status: 550, retryable: false });
+  });
+
+  test('retries a temporary rejection', async () => {
+    const error = await smtpChannel.send({ to: 'busy@example.com', subject: 'x', text: 'x' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChannelError);
+    expect(error).toMatchObject({ status: 451, retryable: true });
+  });
+});
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const webpush = require('web-push');
+const PushSubscription = require('../../models/PushSubscription');
+const { ChannelError } = require('../../services/notificationChannels');
+const { OUTBOUND_OPTIONS } = require('../../services/outboundRequests');
+const webPushChannel = require('../../services/channels/webPushChannel');
+const { startHttpSink } = require('../helpers/httpSink');
+
+// A subscription with real keys, as a browser would create it, so web-push can encrypt for it
+function browserSubscription(endpoint, fields = {}) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return new PushSubscription({
+    user: new mongoose.Types.ObjectId(),
+    endpoint,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    },
+    ...fields
+  });
+}
+
+describe('web push channel', () => {
+  let pushService;
+  let subscriptions;
+
+  beforeAll(async () => {
+    pushService = await startHttpSink({ status: 201 });
+    // The local push service stands in for FCM/Mozilla; it is neither public nor a known push host
+    OUTBOUND_OPTIONS.allowedHosts.push('127.0.0.1');
+
+    const vapidKeys = webpush.generateVAPIDKeys();
+    process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+    process.env.VAPID_SUBJECT = 'mailto:alerts@groundwater.test';
+    process.env.NOTIFICATION_RECEIPT_TOKEN = 'receipt-test-key';
+  });
+
+  beforeEach(() => {
+    subscriptions = [];
+    jest.spyOn(PushSubscription, 'find').mockImplementation(async () => subscriptions);
+    jest.spyOn(PushSubscription.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    pushService.reset();
+  });
+
+  afterAll(async () => {
+    OUTBOUND_OPTIONS.allowedHosts.splice(OUTBOUND_OPTIONS.allowedHosts.indexOf('127.0.0.1'), 1);
+    await pushService.close();
+  });
+
+  test('is configured by the VAPID keys', () => {
+    expect(webPushChannel.isConfigured()).toBe(true);
+  });
+
+  test('sends an encrypted, VAPID-signed payload to every active subscription', async () => {
+    subscriptions = [browserSubscription(`${pushService.url}/push/a`), browserSubscription(`${pushService.url}/push/b`)];
+
+    const result = await webPushChannel.send({
+      userId: subscriptions[0].user,
+      title: 'Water level alert',
+      body: 'Station ST-1 is critical',
+      data: { stationId: 'st-1' },
+      deliveryId: 'd-1'
+    });
+
+    expect(result).toEqual({ messageId: 'd-1', status: 'sent' });
+    expect(pushService.requests.map(request => request.url)).toEqual(['/push/a', '/push/b']);
+
+    const [request] = pushService.requests;
+    expect(request.headers['content-encoding']).toBe('aes128gcm');
+    expect(request.headers.authorization).toMatch(/^vapid t=.+, k=/);
+    expect(request.headers.ttl).toBe(String(24 * 60 * 60));
+    expect(request.body.toString('latin1')).not.toContain('Water level alert');
+
+    expect(subscriptions[0].failureCount).toBe(0);
+    expect(subscriptions[0].lastSuccessAt).toBeInstanceOf(Date);
+    expect(PushSubscription.prototype.save).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails without retrying when the user has no subscriptions', async () => {
+    const error = await webPushChannel.send({ userId: new mongoose.Types.ObjectId(), title: 'x', deliveryId: 'd-2' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChannelError);
+    expect(error).toMatchObject({ message: 'No push subscriptions', retryable: false });
+  });
+
+  test('deactivates a subscription the push service no longer knows', async () => {
+    subscriptions = [browserSubscription(`${pushService.url}/push/expired`)];
+    pushService.respondWith({ status: 410 });
+
+    const error = await webPushChannel.send({ userId: subscriptions[0].user, title: 'x', deliveryId: 'd-3' }).catch(e => e);
+
+    expect(error).toMatchObject({ status: 410, retryable: false });
+    expect(subscriptions[0].isActive).toBe(false);
+  });
+
+  test('keeps a subscription through a push service outage and retries', async () => {
+    subscriptions = [browserSubscription(`${pushService.url}/push/a`, { failureCount: 1 })];
+    pushService.respondWith({ status: 503, body: {} });
+
+    const error = await webPushChannel.send({ userId: subscriptions[0].user, title: 'x', deliveryId: 'd-4' }).catch(e => e);
+
+    expect(error).toMatchObject({ status: 503, retryable: true });
+    expect(subscriptions[0]).toMatchObject({ isActive: true, failureCount: 2 });
+  });
+
+  test('does not fail the delivery when another subscription succeeded', async () => {
+    subscriptions = [browserSubscription(`${pushService.url}/push/gone`), browserSubscription(`${pushService.url}/push/ok`)];
+    pushService.respondWith({ status: 404 });
+
+    const result = await webPushChannel.send({ userId: subscriptions[0].user, title: 'x', deliveryId: 'd-5' });
+
+    expect(result.status).toBe('sent');
+    expect(subscriptions.map(subscription => subscription.isActive)).toEqual([false, true]);
+  });
+
+  test('refuses endpoints outside the push services and deactivates them', async () => {
+    subscriptions = [
+      browserSubscription('https://attacker.example.com/push/a'),
+      browserSubscription('http://169.254.169.254/latest/meta-data/')
+    ];
+
+    const error = await webPushChannel.send({ userId: subscriptions[0].user, title: 'x', deliveryId: 'd-6' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChannelError);
+    expect(error.message).toMatch(/^Push endpoint refused/);
+    expect(error.retryable).toBe(false);
+    expect(subscriptions.map(subscription => subscription.isActive)).toEqual([false, false]);
+    expect(pushService.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,36 @@
+const { forecastReadings, selectModel } = require('../services/forecastService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2024, 0, 1, 6);
+
+const readingsAt = offsetsMs => offsetsMs.map((offset, i) => ({ timestamp: new Date(start + offset), waterLevel: 10 + i * 0.1 }));
+
+describe('forecastReadings', () => {
+  test('has no forecast when every reading shares one timestamp', () => {
+    expect(forecastReadings(readingsAt([0, 0, 0]))).toBeNull();
+  });
+
+  test('has no forecast when all readings fall on one day', () => {
+    expect(forecastReadings(readingsAt([0, 3600000, 7200000]))).toBeNull();
+  });
+
+  test('fits a finite linear trend once readings span two days', () => {
+    const forecast = forecastReadings(readingsAt([0, DAY_MS, 2 * DAY_MS]), { horizonDays: 3 });
+
+    expect(forecast.model).toBe('linear');
+    expect(forecast.parameters.slopePerDay).toBeCloseTo(0.1);
+    forecast.predictions.forEach(prediction => {
+      expect(Number.isFinite(prediction.predictedLevel)).toBe(true);
+      expect(Number.isFinite(prediction.lower)).toBe(true);
+      expect(Number.isFinite(prediction.upper)).toBe(true);
+    });
+  });
+});
+
+describe('selectModel', () => {
+  test('needs at least two days of history for a linear trend', () => {
+    expect(selectModel('auto', 1, 10)).toBeNull();
+    expect(selectModel('auto', 2, 3)).toBe('linear');
+    expect(selectModel('auto', 2, 2)).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+const http = require('http');
+
+/**
+ * Local HTTP receiver for channel tests: records every request and answers with the queued
+ * responses in turn ({ status, headers, body }), then with `fallback`
+ */
+async function startHttpSink(fallback = { status: 200, body: {} }) {
+  const requests = [];
+  const responses = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+
+      const { status, headers = {}, body } = responses.shift() || fallback;
+      if (body === undefined) {
+        res.writeHead(status, headers);
+        return res.end();
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Answer the next requests with these responses
+    respondWith: (...queued) => responses.push(...queued),
+    reset: () => {
+      requests.length = 0;
+      responses.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startHttpSink
+};
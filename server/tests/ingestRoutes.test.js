@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const DeviceCredential = require('../models/DeviceCredential');
+const Station = require('../models/Station');
+const readingIngestionService = require('../services/readingIngestionService');
+
+// The route takes the ingestion function when it is loaded
+const ingestDeviceReadings = jest.spyOn(readingIngestionService, 'ingestDeviceReadings');
+const ingestRoutes = require('../routes/ingest');
+
+describe('device ingestion', () => {
+  const station = new Station({ _id: new mongoose.Types.ObjectId(), stationId: 'DWLR001', name: 'Test', isActive: true });
+  const credentials = {};
+
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/ingest', ingestRoutes);
+    return app;
+  };
+
+  const upload = (app, keyId) => request(app)
+    .post('/api/ingest/readings')
+    .set('X-Api-Key', `${keyId}.secret`)
+    .send({ t: Math.floor(Date.now() / 1000), wl: 12.4 });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(DeviceCredential, 'findUsable').mockImplementation(async keyId => credentials[keyId] || null);
+    jest.spyOn(DeviceCredential, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Station, 'findById').mockResolvedValue(station);
+    ingestDeviceReadings.mockResolvedValue({ created: [{}], duplicates: [], errors: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.DEVICE_SECRET_KEY;
+  });
+
+  test('limits uploads per credential, not per shared address', async () => {
+    for (const keyId of ['dk_first', 'dk_second']) {
+      credentials[keyId] = { _id: keyId, keyId, station: station._id, verifyApiKey: () => true };
+    }
+    const app = createApp();
+
+    // Both loggers sit behind one gateway address and together exceed the global 100 per IP
+    for (let i = 0; i < 150; i++) {
+      expect((await upload(app, 'dk_first')).status).toBe(201);
+    }
+    for (let i = 0; i < 150; i++) {
+      expect((await upload(app, 'dk_second')).status).toBe(201);
+    }
+    for (let i = 0; i < 150; i++) {
+      await upload(app, 'dk_first');
+    }
+
+    expect((await upload(app, 'dk_first')).status).toBe(429);
+    expect((await upload(app, 'dk_second')).status).toBe(201);
+  });
+
+  test('blocks an address after repeated refused credentials', async () => {
+    const app = createApp();
+
+    for (let i = 0; i < 100; i++) {
+      expect((await upload(app, 'dk_unknown')).status).toBe(401);
+    }
+
+    expect((await upload(app, 'dk_unknown')).status).toBe(429);
+  });
+
+  test('refuses to issue or verify HMAC secrets without DEVICE_SECRET_KEY', async () => {
+    jest.spyOn(DeviceCredential, 'create').mockImplementation(async data => new DeviceCredential(data));
+
+    expect(DeviceCredential.canIssue('hmac')).toBe(false);
+    expect(DeviceCredential.canIssue('api_key')).toBe(true);
+    await expect(DeviceCredential.issue({ station: station._id, type: 'hmac', name: 'Logger' }))
+      .rejects.toThrow('DEVICE_SECRET_KEY');
+
+    process.env.DEVICE_SECRET_KEY = 'device-key';
+    const { credential, secret } = await DeviceCredential.issue({ station: station._id, type: 'hmac', name: 'Logger' });
+    const signature = crypto.createHmac('sha256', secret).update('payload').digest('hex');
+    expect(credential.verifySignature('payload', signature)).toBe(true);
+
+    delete process.env.DEVICE_SECRET_KEY;
+    expect(() => credential.verifySignature('payload', signature)).toThrow('DEVICE_SECRET_KEY');
+  });
+});
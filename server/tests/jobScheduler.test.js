@@ -0,0 +1,59 @@
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { defineJob, runJob } = require('../services/jobScheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('job scheduler', () => {
+  beforeEach(() => {
+    jest.spyOn(Job, 'acquireLock').mockResolvedValue({ name: 'job' });
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Job, 'releaseLock').mockResolvedValue({});
+    jest.spyOn(JobRun, 'create').mockImplementation(async data => new JobRun(data));
+    jest.spyOn(JobRun.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('keeps renewing the lock while a long run is in progress', async () => {
+    jest.spyOn(Job, 'renewLock').mockResolvedValue({ matchedCount: 1 });
+    defineJob({ name: 'slow-job', schedule: '0 * * * *', lockMs: 300, handler: async () => { await sleep(450); return { done: true }; } });
+
+    const run = await runJob('slow-job');
+
+    expect(run).toMatchObject({ status: 'succeeded', result: { done: true } });
+    // Before the attempt, at least three times during it, and before recording the outcome
+    expect(Job.renewLock.mock.calls.length).toBeGreaterThanOrEqual(5);
+    expect(Job.updateOne).toHaveBeenCalledWith({ name: 'slow-job' }, expect.objectContaining({
+      $set: { lastRun: expect.objectContaining({ status: 'succeeded' }) }
+    }));
+    expect(Job.releaseLock).toHaveBeenCalled();
+  });
+
+  test('does not record the outcome once another run has taken the lock', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Job, 'renewLock')
+      .mockResolvedValueOnce({ matchedCount: 1 })
+      .mockResolvedValue({ matchedCount: 0 });
+    defineJob({ name: 'overrun-job', schedule: '0 * * * *', lockMs: 300, handler: async () => { await sleep(200); return {}; } });
+
+    const run = await runJob('overrun-job');
+
+    expect(run).toMatchObject({ status: 'failed', error: 'The job lock expired and was taken by another run' });
+    expect(Job.updateOne).not.toHaveBeenCalledWith({ name: 'overrun-job' }, expect.objectContaining({ $inc: expect.anything() }));
+  });
+
+  test('stops retrying once the lock is lost', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Job, 'renewLock')
+      .mockResolvedValueOnce({ matchedCount: 1 })
+      .mockResolvedValue({ matchedCount: 0 });
+    const handler = jest.fn(async () => { throw new Error('upstream down'); });
+    defineJob({ name: 'failing-job', schedule: '0 * * * *', retries: 2, retryDelayMs: 10, handler });
+
+    const run = await runJob('failing-job');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(run.status).toBe('failed');
+  });
+});
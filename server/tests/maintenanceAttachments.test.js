@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'maintenance-uploads-'));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const MaintenanceTask = require('../models/MaintenanceTask');
+const { clearTwoFactorPolicyCache } = require('../services/twoFactorService');
+const maintenanceRoutes = require('../routes/maintenance');
+
+describe('maintenance photo attachments', () => {
+  const admin = new User({ _id: new mongoose.Types.ObjectId(), name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+  const token = jwt.sign({ id: admin._id, sid: 'session-1' }, process.env.JWT_SECRET);
+  const app = express();
+  app.use('/api/maintenance', maintenanceRoutes);
+
+  let task;
+
+  beforeEach(() => {
+    clearTwoFactorPolicyCache();
+    task = new MaintenanceTask({ station: new mongoose.Types.ObjectId(), title: 'Replace logger battery' });
+    jest.spyOn(task, 'save').mockResolvedValue(task);
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session-1' });
+    jest.spyOn(SecurityPolicy, 'getCurrent').mockResolvedValue({ twoFactorRequiredRoles: [] });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => admin });
+    jest.spyOn(MaintenanceTask, 'findById').mockImplementation(async () => task);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true }));
+
+  test('serves an SVG uploaded under a .png name as a PNG download, not as SVG', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(document.cookie)</script></svg>';
+
+    const upload = await request(app)
+      .post(`/api/maintenance/${task._id}/attachments`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('photos', Buffer.from(svg), { filename: 'x.png', contentType: 'image/svg+xml' });
+
+    expect(upload.status).toBe(201);
+    const [attachment] = upload.body.data.attachments;
+    expect(attachment.mimeType).toBe('image/png');
+
+    const download = await request(app)
+      .get(`/api/maintenance/${task._id}/attachments/${attachment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(download.status).toBe(200);
+    expect(download.headers['content-type']).toBe('image/png');
+    expect(download.headers['content-disposition']).toBe('attachment; filename="x.png"');
+  });
+
+  test('serves attachments stored with a client-supplied type by their extension', async () => {
+    const filename = 'stored.jpg';
+    fs.mkdirSync(path.join(process.env.UPLOAD_DIR, 'maintenance'), { recursive: true });
+    fs.writeFileSync(path.join(process.env.UPLOAD_DIR, 'maintenance', filename), '<svg/>');
+    task.attachments.push({ filename, originalName: 'site.jpg', mimeType: 'image/svg+xml' });
+
+    const download = await request(app)
+      .get(`/api/maintenance/${task._id}/attachments/${task.attachments[0]._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(download.headers['content-type']).toBe('image/jpeg');
+    expect(download.headers['content-disposition']).toBe('attachment; filename="site.jpg"');
+  });
+});
@@ -0,0 +1,68 @@
+// ml-regression ships ES modules jest cannot load; a mean predictor stands in for each member
+jest.mock('ml-regression', () => ({
+  MultivariateLinearRegression: class {
+    constructor(x, y) {
+      this.mean = y.reduce((sum, [value]) => sum + value, 0) / y.length;
+    }
+
+    predict() {
+      return [this.mean];
+    }
+
+    toJSON() {
+      return { mean: this.mean };
+    }
+  }
+}));
+
+const { FEATURE_NAMES } = require('../services/mlPredictionService');
+const { DEFAULT_OPTIONS, splitByDate, trainEnsemble } = require('../services/modelTrainingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2023, 0, 1);
+
+// Daily analyses whose target depends on two features, shuffled so the split cannot rely on input order
+function buildSamples(count, everyDays = 1) {
+  const samples = Array.from({ length: count }, (_, i) => {
+    const features = Object.fromEntries(FEATURE_NAMES.map((name, f) => [name, Math.sin(i * (f + 1)) * 10 + f]));
+    return {
+      features,
+      target: 5 + 0.5 * features.current_water_level + 0.1 * features.annual_rainfall,
+      date: new Date(start + i * everyDays * DAY_MS)
+    };
+  });
+  return samples.sort((a, b) => Math.sin(a.date.getTime()) - Math.sin(b.date.getTime()));
+}
+
+describe('splitByDate', () => {
+  test('holds out the newest samples and trains only on ones whose targets were observed before them', () => {
+    const samples = buildSamples(400);
+
+    const { training, validation } = splitByDate(samples);
+
+    expect(validation).toHaveLength(80);
+    const validationStart = Math.min(...validation.map(s => s.date.getTime()));
+    const newestTraining = Math.max(...training.map(s => s.date.getTime()));
+    expect(newestTraining).toBeLessThan(validationStart);
+    // Target windows of training samples end before the first held-out analysis
+    const lookaheadMs = (DEFAULT_OPTIONS.horizonDays + DEFAULT_OPTIONS.windowDays) * DAY_MS;
+    expect(newestTraining + lookaheadMs).toBeLessThan(validationStart);
+    expect(training).toHaveLength(320 - 105);
+  });
+
+  test('refuses samples that do not reach far enough back before the held-out period', () => {
+    expect(() => splitByDate(buildSamples(120))).toThrow(/span more than 105 days/);
+  });
+});
+
+describe('trainEnsemble', () => {
+  test('reports metrics for the held-out period', () => {
+    const samples = buildSamples(100, 7);
+
+    const result = trainEnsemble(samples, { members: 5, permutationRepeats: 1 });
+
+    expect(result.metrics.validationSamples).toBe(20);
+    expect(result.metrics.validationFrom).toEqual(new Date(start + 80 * 7 * DAY_MS));
+    expect(result.members).toHaveLength(5);
+  });
+});
@@ -0,0 +1,156 @@
+const net = require('net');
+const os = require('os');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const Station = require('../models/Station');
+const { ingestDeviceReadings } = require('../services/readingIngestionService');
+const { subscribe } = require('../services/eventBus');
+const { MQTT_OPTIONS, startMqttBridge, stopMqttBridge, handleStatus, getBridgeStatus } = require('../services/mqttBridge');
+
+jest.mock('../services/readingIngestionService', () => ({
+  ...jest.requireActual('../services/readingIngestionService'),
+  ingestDeviceReadings: jest.fn(async (station, readings) => ({ created: readings, duplicates: [], errors: [] }))
+}));
+
+const station = { _id: '665f1c2a9b1e8a0012345678', id: '665f1c2a9b1e8a0012345678', stationId: 'DWLR001' };
+
+// Poll until the bridge has handled what the test published
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the MQTT bridge');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('mqtt bridge', () => {
+  let broker;
+  let server;
+  let url;
+  let device;
+  const subscriptions = [];
+
+  beforeAll(async () => {
+    // Aedes has no shared subscriptions: record what the bridge asks for, then subscribe it to the plain filter
+    broker = aedes({
+      authorizeSubscribe(client, subscription, callback) {
+        subscriptions.push({ clientId: client.id, topic: subscription.topic });
+        subscription.topic = subscription.topic.replace(/^\$share\/[^/]+\//, '');
+        callback(null, subscription);
+      }
+    });
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    device = await mqtt.connectAsync(url, { clientId: 'logger-DWLR001' });
+  });
+
+  beforeEach(() => {
+    subscriptions.length = 0;
+    ingestDeviceReadings.mockClear();
+    jest.spyOn(Station, 'findOne').mockResolvedValue(station);
+    jest.spyOn(Station, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await stopMqttBridge();
+  });
+
+  afterAll(async () => {
+    await device.endAsync();
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function startBridge(clientId, options = {}) {
+    const client = startMqttBridge({ url, clientId, ...options });
+    return new Promise(resolve => client.once('connect', resolve));
+  }
+
+  test('defaults the client id to one derived from the host name', () => {
+    expect(MQTT_OPTIONS.clientId).toBe(process.env.MQTT_CLIENT_ID || `groundwater-bridge-${os.hostname()}`);
+  });
+
+  test('subscribes as a shared group under its own client id', async () => {
+    await startBridge('groundwater-bridge-a');
+    await waitFor(() => subscriptions.length === 2);
+
+    expect(subscriptions).toEqual([
+      { clientId: 'groundwater-bridge-a', topic: '$share/groundwater-bridge/stations/+/readings' },
+      { clientId: 'groundwater-bridge-a', topic: '$share/groundwater-bridge/stations/+/status' }
+    ]);
+  });
+
+  test('uses plain subscriptions when no shared group is set', async () => {
+    await startBridge('groundwater-bridge-b', { sharedGroup: '' });
+    await waitFor(() => subscriptions.length === 2);
+
+    expect(subscriptions.map(subscription => subscription.topic)).toEqual(['stations/+/readings', 'stations/+/status']);
+  });
+
+  test('stores readings and device status published by a logger on the station', async () => {
+    await startBridge('groundwater-bridge-c');
+    await waitFor(() => subscriptions.length === 2);
+
+    await device.publishAsync('stations/DWLR001/readings', JSON.stringify({ t: 1718000000, wl: 12.4, bat: 87 }), { qos: 1 });
+    await device.publishAsync('stations/DWLR001/status', 'online', { qos: 1 });
+    await waitFor(() => Station.updateOne.mock.calls.length === 2);
+
+    const [storedStation, readings] = ingestDeviceReadings.mock.calls[0];
+    expect(storedStation).toBe(station);
+    expect(readings).toEqual([expect.objectContaining({ waterLevel: 12.4, batteryLevel: 87 })]);
+    // Counters are incremented and status set on the station, so every instance reports the same
+    expect(Station.updateOne).toHaveBeenCalledWith({ _id: station._id }, {
+      $set: { 'mqtt.lastMessageAt': expect.any(Date), 'mqtt.lastError': null },
+      $inc: { 'mqtt.messages': 1, 'mqtt.accepted': 1, 'mqtt.rejected': 0 }
+    });
+    expect(Station.updateOne).toHaveBeenCalledWith(
+      { _id: station._id, 'mqtt.connected': { $ne: true } },
+      { $set: { 'mqtt.connected': true, 'mqtt.since': expect.any(Date) } }
+    );
+  });
+
+  test('announces a status change only from the instance that stored it', async () => {
+    const events = [];
+    const unsubscribe = subscribe('device.status_changed', payload => events.push(payload));
+
+    await handleStatus('DWLR001', Buffer.from('offline'));
+    // Another instance already stored the same status
+    Station.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    await handleStatus('DWLR001', Buffer.from(JSON.stringify({ status: 'offline' })));
+    await new Promise(resolve => setImmediate(resolve));
+    unsubscribe();
+
+    expect(events).toEqual([expect.objectContaining({ station, connected: false })]);
+  });
+
+  test('reports device status stored by every instance', async () => {
+    const find = { select: () => find, sort: () => find, lean: async () => [
+      { stationId: 'DWLR001', name: 'North well', mqtt: { connected: true, messages: 4, accepted: 4, rejected: 0 } }
+    ] };
+    jest.spyOn(Station, 'find').mockReturnValue(find);
+
+    const status = await getBridgeStatus();
+
+    expect(status.devices).toEqual([
+      { stationId: 'DWLR001', name: 'North well', connected: true, messages: 4, accepted: 4, rejected: 0 }
+    ]);
+  });
+
+  test('receives readings published while it was down once it reconnects with the same client id', async () => {
+    await startBridge('groundwater-bridge-d');
+    await waitFor(() => subscriptions.length === 2);
+    await stopMqttBridge();
+
+    await device.publishAsync('stations/DWLR001/readings', JSON.stringify({ t: 1718000600, wl: 12.6 }), { qos: 1 });
+    expect(ingestDeviceReadings).not.toHaveBeenCalled();
+
+    await startBridge('groundwater-bridge-d');
+    await waitFor(() => ingestDeviceReadings.mock.calls.length === 1);
+
+    expect(ingestDeviceReadings.mock.calls[0][1]).toEqual([expect.objectContaining({ waterLevel: 12.6 })]);
+  });
+});
@@ -0,0 +1,164 @@
+const {
+  ChannelError,
+  createRateLimiter,
+  registerChannel,
+  deliver,
+  listChannels,
+  signDeliveryId,
+  verifyDeliveryToken,
+  httpChannelError
+} = require('../services/notificationChannels');
+
+// Fast retries so the tests do not wait on the production backoff
+const TEST_OPTIONS = { retries: 2, retryDelayMs: 5, ratePerMinute: 60000, burst: 100 };
+
+function testAdapter(name, send, configured = true) {
+  return { name, provider: 'test', isConfigured: () => configured, send: jest.fn(send) };
+}
+
+function statsOf(name) {
+  return listChannels().find(channel => channel.name === name).stats;
+}
+
+describe('createRateLimiter', () => {
+  test('allows a burst at once, then spaces sends by the rate', async () => {
+    const limiter = createRateLimiter(600, 3); // one send every 100ms after a burst of three
+    const started = Date.now();
+
+    for (let i = 0; i < 3; i++) {
+      expect(await limiter.acquire(1000)).toBe(true);
+    }
+    expect(Date.now() - started).toBeLessThan(50);
+
+    expect(await limiter.acquire(1000)).toBe(true);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  test('refuses a slot that would take longer than the allowed wait', async () => {
+    const limiter = createRateLimiter(60, 1); // one send a second
+
+    expect(await limiter.acquire(0)).toBe(true);
+    expect(await limiter.acquire(100)).toBe(false);
+  });
+});
+
+describe('deliver', () => {
+  test('returns a sent receipt with the adapter message id', async () => {
+    const adapter = testAdapter('test-ok', async () => ({ messageId: 'abc', status: 'sent' }));
+    registerChannel(adapter, TEST_OPTIONS);
+
+    const receipt = await deliver('test-ok', { to: 'someone' });
+
+    expect(receipt).toMatchObject({ channel: 'test-ok', provider: 'test', status: 'sent', messageId: 'abc', attempts: 1 });
+    expect(adapter.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'someone', deliveryId: receipt.deliveryId }));
+    expect(statsOf('test-ok').sent).toBe(1);
+  });
+
+  test('retries retryable failures until one succeeds', async () => {
+    let calls = 0;
+    const adapter = testAdapter('test-flaky', async () => {
+      calls++;
+      if (calls < 3) throw new ChannelError('Temporarily unavailable', { retryable: true });
+      return { status: 'delivered' };
+    });
+    registerChannel(adapter, TEST_OPTIONS);
+
+    const receipt = await deliver('test-flaky', {});
+
+    expect(receipt.status).toBe('delivered');
+    expect(receipt.attempts).toBe(3);
+    expect(receipt.deliveredAt).toBeInstanceOf(Date);
+    expect(statsOf('test-flaky')).toMatchObject({ sent: 1, retried: 2, failed: 0 });
+  });
+
+  test('gives up after the configured retries', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const adapter = testAdapter('test-down', async () => {
+      throw new ChannelError('Service unavailable', { retryable: true, status: 503 });
+    });
+    registerChannel(adapter, TEST_OPTIONS);
+
+    const receipt = await deliver('test-down', {});
+
+    expect(receipt).toMatchObject({ status: 'failed', attempts: 3, error: 'Service unavailable' });
+    expect(statsOf('test-down')).toMatchObject({ failed: 1, retried: 2 });
+    console.error.mockRestore();
+  });
+
+  test('does not retry permanent failures or unexpected errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registerChannel(testAdapter('test-rejected', async () => {
+      throw new ChannelError('Bad recipient', { status: 400 });
+    }), TEST_OPTIONS);
+    registerChannel(testAdapter('test-broken', async () => {
+      throw new TypeError('boom');
+    }), TEST_OPTIONS);
+
+    expect(await deliver('test-rejected', {})).toMatchObject({ status: 'failed', attempts: 1, error: 'Bad recipient' });
+    expect(await deliver('test-broken', {})).toMatchObject({ status: 'failed', attempts: 1, error: 'boom' });
+    console.error.mockRestore();
+  });
+
+  test('waits at least as long as the provider asks before retrying', async () => {
+    let calls = 0;
+    registerChannel(testAdapter('test-throttled', async () => {
+      calls++;
+      if (calls === 1) throw new ChannelError('Too many requests', { retryable: true, status: 429, retryAfterMs: 150 });
+      return {};
+    }), TEST_OPTIONS);
+    const started = Date.now();
+
+    const receipt = await deliver('test-throttled', {});
+
+    expect(receipt.status).toBe('sent');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+  });
+
+  test('fails instead of queueing past the maximum wait', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const adapter = testAdapter('test-limited', async () => ({}));
+    registerChannel(adapter, { ...TEST_OPTIONS, ratePerMinute: 1, burst: 1, maxQueueWaitMs: 100 });
+
+    expect((await deliver('test-limited', {})).status).toBe('sent');
+    const receipt = await deliver('test-limited', {});
+
+    expect(receipt).toMatchObject({ status: 'failed', attempts: 0, error: 'test-limited rate limit exceeded' });
+    expect(adapter.send).toHaveBeenCalledTimes(1);
+    expect(statsOf('test-limited').rateLimited).toBe(1);
+    console.error.mockRestore();
+  });
+
+  test('skips unknown and unconfigured channels', async () => {
+    const adapter = testAdapter('test-off', async () => ({}), false);
+    registerChannel(adapter, TEST_OPTIONS);
+
+    expect(await deliver('missing', {})).toMatchObject({ status: 'skipped', error: 'Unknown channel missing' });
+    expect(await deliver('test-off', {})).toMatchObject({ status: 'skipped', error: 'test-off channel is not configured' });
+    expect(adapter.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('httpChannelError', () => {
+  test('treats network errors, 5xx and 429 as retryable', () => {
+    expect(httpChannelError(new Error('ECONNRESET'), 'Gateway').retryable).toBe(true);
+    expect(httpChannelError({ message: 'x', response: { status: 502 } }, 'Gateway').retryable).toBe(true);
+
+    const throttled = httpChannelError({ message: 'x', response: { status: 429, headers: { 'retry-after': '7' } } }, 'Gateway');
+    expect(throttled).toMatchObject({ retryable: true, status: 429, retryAfterMs: 7000 });
+
+    const rejected = httpChannelError({ message: 'x', response: { status: 401, headers: {} } }, 'Gateway');
+    expect(rejected).toMatchObject({ retryable: false, status: 401, message: 'Gateway responded with 401' });
+  });
+});
+
+describe('delivery tokens', () => {
+  test('accept only the token signed for the delivery', () => {
+    process.env.NOTIFICATION_RECEIPT_TOKEN = 'receipt-test-key';
+    const token = signDeliveryId('delivery-1');
+
+    expect(verifyDeliveryToken('delivery-1', token)).toBe(true);
+    expect(verifyDeliveryToken('delivery-2', token)).toBe(false);
+    expect(verifyDeliveryToken('delivery-1', token.slice(1))).toBe(false);
+    expect(verifyDeliveryToken('delivery-1', undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+const Reading = require('../models/Reading');
+const { checkReading, runQualityChecks } = require('../services/qualityControlService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date('2026-03-01T00:00:00Z').getTime();
+const at = hour => new Date(start + hour * HOUR_MS);
+
+// Hourly readings wobbling a centimetre around the given level
+const series = (count, level, fromHour = 0) => Array.from({ length: count }, (_, i) => ({
+  timestamp: at(fromHour + i),
+  waterLevel: level + (i % 2 ? 0.01 : -0.01),
+  qualityFlags: []
+}));
+
+// Feed readings through the checks one at a time, the way ingestion stores them
+const ingest = (history, readings) => readings.map(reading => {
+  const qualityFlags = checkReading(reading, { history: [...history] });
+  history.push({ ...reading, qualityFlags });
+  return qualityFlags;
+});
+
+describe('quality control', () => {
+  test('flags a single spike and accepts the readings after it', () => {
+    const history = series(12, 10);
+    const flags = ingest(history, [
+      { timestamp: at(12), waterLevel: 15 },
+      { timestamp: at(13), waterLevel: 10.01 },
+      { timestamp: at(14), waterLevel: 9.99 }
+    ]);
+
+    expect(flags[0]).toEqual(expect.arrayContaining(['rate_of_change', 'outlier']));
+    expect(flags[1]).toEqual([]);
+    expect(flags[2]).toEqual([]);
+  });
+
+  test('stops flagging once readings settle on a new level', () => {
+    const history = series(12, 10);
+    const flags = ingest(history, series(12, 12, 12).map(({ timestamp, waterLevel }) => ({ timestamp, waterLevel })));
+
+    expect(flags.slice(0, 3).every(f => f.includes('outlier'))).toBe(true);
+    expect(flags.slice(3)).toEqual(Array(9).fill([]));
+  });
+
+  test('keeps flagging a steady ramp that never settles', () => {
+    const history = series(12, 10);
+    const flags = ingest(history, Array.from({ length: 6 }, (_, i) => ({ timestamp: at(12 + i), waterLevel: 10 + 0.5 * (i + 1) })));
+
+    expect(flags.every(f => f.includes('outlier'))).toBe(true);
+  });
+
+  test('compares a sensor reading with the manual dip taken around it', () => {
+    const reading = { timestamp: at(0), waterLevel: 10 };
+
+    expect(checkReading(reading, { calibration: { manualLevel: 10.5 } })).toEqual(['drift']);
+    expect(checkReading(reading, { calibration: { manualLevel: 10.1 } })).toEqual([]);
+    expect(checkReading(reading, { calibration: null })).toEqual([]);
+  });
+
+  describe('runQualityChecks', () => {
+    const station = { _id: '507f1f77bcf86cd799439011' };
+    const query = value => ({
+      sort: () => query(value),
+      limit: () => query(value),
+      select: () => Promise.resolve(value)
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('only looks for manual dips within hours of the reading', async () => {
+      const find = jest.spyOn(Reading, 'find').mockImplementation(filter => (
+        filter['metadata.dataSource'] === 'manual'
+          ? query([{ timestamp: at(-2), waterLevel: 11 }, { timestamp: at(3), waterLevel: 10.05 }])
+          : query([])
+      ));
+      jest.spyOn(Reading, 'exists').mockResolvedValue(null);
+
+      const flags = await runQualityChecks({ timestamp: at(0), waterLevel: 10 }, station);
+
+      const dipFilter = find.mock.calls.map(([filter]) => filter).find(f => f['metadata.dataSource'] === 'manual');
+      expect(dipFilter.timestamp).toEqual({ $gte: at(-6), $lte: at(6) });
+      // The closer dip disagrees by a metre
+      expect(flags).toEqual(['drift']);
+    });
+
+    test('does not compare manual readings against dips', async () => {
+      const find = jest.spyOn(Reading, 'find').mockImplementation(() => query([]));
+      jest.spyOn(Reading, 'exists').mockResolvedValue(null);
+
+      await runQualityChecks({ timestamp: at(0), waterLevel: 10, metadata: { dataSource: 'manual' } }, station);
+
+      expect(find.mock.calls.some(([filter]) => filter['metadata.dataSource'] === 'manual')).toBe(false);
+    });
+  });
+});
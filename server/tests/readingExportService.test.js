@@ -0,0 +1,97 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const Reading = require('../models/Reading');
+const { streamReadings } = require('../services/readingExportService');
+
+const station = {
+  id: new mongoose.Types.ObjectId().toString(),
+  stationId: 'DWLR001',
+  name: 'Test Well',
+  location: { coordinates: [77.2, 28.6] }
+};
+
+// Stand-in for a Mongo cursor over many readings that records whether it was closed
+function fakeCursor(count) {
+  const state = { read: 0, closed: false };
+  const cursor = (async function* () {
+    try {
+      for (let i = 0; i < count; i++) {
+        state.read++;
+        yield {
+          stationId: new mongoose.Types.ObjectId(station.id),
+          timestamp: new Date(Date.UTC(2024, 0, 1) + i * 60000),
+          waterLevel: 12.5,
+          waterLevelStatus: 'normal',
+          metadata: { dataSource: 'dwlr' },
+          qualityFlags: []
+        };
+      }
+    } finally {
+      state.closed = true;
+    }
+  })();
+  return { cursor, state };
+}
+
+function mockReadings(cursor) {
+  const query = { sort: () => query, select: () => query, lean: () => query, cursor: () => cursor };
+  jest.spyOn(Reading, 'find').mockReturnValue(query);
+}
+
+// Serve one export and resolve with what streamReadings returned
+async function serveExport(format) {
+  let finished;
+  const result = new Promise((resolve, reject) => { finished = { resolve, reject }; });
+  const server = http.createServer((req, res) => {
+    streamReadings(res, { format, stations: [station], filter: {} }).then(finished.resolve, finished.reject);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, result, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+describe('streamReadings', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('streams every reading as CSV', async () => {
+    const { cursor } = fakeCursor(3);
+    mockReadings(cursor);
+    const server = await serveExport('csv');
+
+    const body = await new Promise(resolve => http.get(server.url, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve(text));
+    }));
+
+    expect(await server.result).toBe(3);
+    const lines = body.trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toBe('DWLR001,Test Well,2024-01-01T00:00:00.000Z,12.5,normal,dwlr,,,,,,');
+    await server.close();
+  });
+
+  test('stops and closes the cursor when the client disconnects mid-download', async () => {
+    const { cursor, state } = fakeCursor(1000000);
+    mockReadings(cursor);
+    const server = await serveExport('ndjson');
+
+    // Read a little, then hang up while the server is waiting for the socket to drain
+    await new Promise(resolve => {
+      const req = http.get(server.url, res => {
+        res.once('data', () => {
+          res.pause();
+          setTimeout(() => {
+            req.destroy();
+            resolve();
+          }, 100);
+        });
+      });
+      req.on('error', () => {});
+    });
+
+    const count = await server.result;
+    expect(count).toBeLessThan(1000000);
+    expect(state.closed).toBe(true);
+    await server.close();
+  });
+});
@@ -0,0 +1,94 @@
+const ExcelJS = require('exceljs');
+const Reading = require('../models/Reading');
+const Station = require('../models/Station');
+const { parseFile, commitImport } = require('../services/readingImportService');
+
+async function workbookBuffer(build) {
+  const workbook = new ExcelJS.Workbook();
+  build(workbook.addWorksheet('Readings'));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe('parseFile', () => {
+  test('reads the first worksheet of an .xlsx file keyed by its header row', async () => {
+    const buffer = await workbookBuffer(sheet => {
+      sheet.addRow(['Station ID', 'Timestamp', 'Water Level (m)', 'Notes']);
+      sheet.addRow(['DWLR001', new Date('2024-03-01T06:00:00Z'), 12.4, { richText: [{ text: 'after ' }, { text: 'rain' }] }]);
+      sheet.addRow([]);
+      sheet.addRow(['DWLR002', 45352.5, { formula: '10+2.5', result: 12.5 }, null]);
+    });
+
+    const rows = await parseFile(buffer, 'readings.xlsx');
+
+    expect(rows).toEqual([
+      { 'Station ID': 'DWLR001', Timestamp: new Date('2024-03-01T06:00:00Z'), 'Water Level (m)': 12.4, Notes: 'after rain' },
+      { 'Station ID': 'DWLR002', Timestamp: 45352.5, 'Water Level (m)': 12.5, Notes: '' }
+    ]);
+  });
+
+  test('reads CSV files, ignoring a byte order mark', async () => {
+    const rows = await parseFile(Buffer.from('﻿stationId,timestamp,waterLevel\nDWLR001,2024-03-01T06:00:00Z,12.4\n'), 'readings.csv');
+
+    expect(rows).toEqual([{ stationId: 'DWLR001', timestamp: '2024-03-01T06:00:00Z', waterLevel: '12.4' }]);
+  });
+
+  test('refuses legacy .xls workbooks', async () => {
+    await expect(parseFile(Buffer.from('not a workbook'), 'readings.xls')).rejects.toThrow(/save \.xls workbooks as \.xlsx/);
+  });
+
+  test('rejects a corrupt .xlsx file', async () => {
+    await expect(parseFile(Buffer.from('not a workbook'), 'readings.xlsx')).rejects.toThrow();
+  });
+});
+
+describe('commitImport', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const start = Date.UTC(2024, 5, 1);
+  const station = {
+    _id: '665f1c2a9b1e8a0012345678',
+    id: '665f1c2a9b1e8a0012345678',
+    lastReading: null,
+    resolveThresholdBands: async () => []
+  };
+  const row = (hour, waterLevel, dataSource = 'dwlr') => ({
+    row: hour + 2,
+    station,
+    timestamp: new Date(start + hour * HOUR_MS),
+    data: { waterLevel },
+    dataSource,
+    errors: [],
+    warnings: [],
+    duplicate: false
+  });
+
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    // A manual dip already stored an hour before the import
+    const dips = [{ timestamp: new Date(start - HOUR_MS), waterLevel: 11 }];
+    jest.spyOn(Reading, 'find').mockImplementation(filter => {
+      const result = filter['metadata.dataSource'] === 'manual' ? dips : [];
+      const query = { sort: () => query, limit: () => query, select: async () => result };
+      return query;
+    });
+    jest.spyOn(Reading, 'insertMany').mockImplementation(async documents => stored.push(...documents));
+    jest.spyOn(Station, 'findByIdAndUpdate').mockResolvedValue(station);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('checks imported sensor readings for drift against stored and imported manual dips', async () => {
+    await commitImport({
+      results: [row(0, 10), row(1, 10), row(30, 10), row(31, 10.05, 'manual'), row(40, 10)]
+    });
+
+    expect(stored.map(reading => reading.qualityFlags.includes('drift'))).toEqual([
+      true, // a metre from the stored dip an hour earlier
+      true,
+      false, // an hour from the imported dip, which agrees
+      false, // manual dips are the reference
+      false // no dip within hours
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+const express = require('express');
+const request = require('supertest');
+const Station = require('../models/Station');
+const Reading = require('../models/Reading');
+
+const stations = ['DWLR001', 'DWLR002'].map((code, i) => new Station({
+  stationId: code,
+  name: `Station ${i + 1}`,
+  location: { coordinates: [77 + i, 28 + i] },
+  address: { state: 'Delhi', district: 'New Delhi' }
+}));
+
+describe('SensorThings Observations', () => {
+  let app;
+  let pipelines;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/sta/v1.1', require('../routes/sensorThings'));
+  });
+
+  beforeEach(() => {
+    pipelines = [];
+    jest.spyOn(Station, 'find').mockReturnValue({ sort: async () => stations });
+    jest.spyOn(Reading, 'aggregate').mockImplementation(pipeline => {
+      pipelines.push(pipeline);
+      const result = Promise.resolve(pipeline[pipeline.length - 1].$count ? [{ total: 0 }] : []);
+      result.allowDiskUse = () => result;
+      return result;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const stageIndex = (pipeline, name) => pipeline.findIndex(stage => stage[name]);
+
+  test('applies time and station conditions before readings are split into observations', async () => {
+    const datastream = `${stations[0].id}-waterLevel`;
+    const res = await request(app).get(`/sta/v1.1/Datastreams('${datastream}')/Observations`).query({
+      $filter: 'result gt 10 and phenomenonTime ge 2025-01-01T00:00:00Z',
+      $count: 'true'
+    });
+
+    expect(res.status).toBe(200);
+    const [page, count] = pipelines;
+    const [first] = page;
+    expect(first.$match).toMatchObject({
+      stationId: stations[0]._id,
+      waterLevel: { $ne: null },
+      $and: [{ timestamp: { $gte: new Date('2025-01-01T00:00:00Z') } }]
+    });
+
+    // Sorted by reading ahead of the unwind, results filtered after it
+    expect(stageIndex(page, '$sort')).toBeLessThan(stageIndex(page, '$unwind'));
+    const observationMatch = page[stageIndex(page, '$unwind') + 1].$match;
+    expect(observationMatch.$and).toEqual([{ 'obs.r': { $gt: 10 } }]);
+    expect(page.find(stage => stage.$project).$project.obs).toEqual([{ p: 'waterLevel', r: '$waterLevel' }]);
+
+    expect(count[0]).toEqual(first);
+  });
+
+  test('keeps conditions that mix reading and result after the unwind', async () => {
+    const res = await request(app).get('/sta/v1.1/Observations').query({
+      $filter: "Datastream/Thing/properties/stationId eq 'DWLR002' and (resultTime lt 2026-01-01T00:00:00Z or result lt 3)"
+    });
+
+    expect(res.status).toBe(200);
+    const [page] = pipelines;
+    expect(page[0].$match.$and).toEqual([{ stationId: { $eq: stations[1]._id } }]);
+    expect(page[stageIndex(page, '$unwind') + 1].$match.$and).toEqual([
+      { $or: [{ timestamp: { $lt: new Date('2026-01-01T00:00:00Z') } }, { 'obs.r': { $lt: 3 } }] }
+    ]);
+  });
+
+  test('sorts after the unwind when ordering by result', async () => {
+    await request(app).get('/sta/v1.1/Observations').query({ $orderby: 'result desc' });
+
+    const [page] = pipelines;
+    expect(stageIndex(page, '$sort')).toBeGreaterThan(stageIndex(page, '$unwind'));
+    expect(page[stageIndex(page, '$sort')].$sort).toEqual({ 'obs.r': -1, _id: 1, 'obs.p': 1 });
+  });
+});
@@ -0,0 +1,91 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { clearTwoFactorPolicyCache } = require('../services/twoFactorService');
+const { attachSocketHandlers, OPS_ROOM } = require('../services/socketService');
+
+describe('socket authentication', () => {
+  let httpServer;
+  let io;
+  let url;
+  const clients = [];
+
+  const adminWith = (twoFactor) => new User({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Admin',
+    email: 'admin@example.com',
+    password: 'secret123',
+    role: 'admin',
+    twoFactor
+  });
+
+  const connectAs = (user) => {
+    const token = jwt.sign({ id: user._id, sid: 'session-1' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const client = connect(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    return new Promise((resolve, reject) => {
+      client.on('connect', () => resolve(client));
+      client.on('connect_error', reject);
+    });
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    httpServer = http.createServer();
+    io = new Server(httpServer);
+    attachSocketHandlers(io);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    io.close();
+    await new Promise(resolve => httpServer.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    clearTwoFactorPolicyCache();
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session-1' });
+    jest.spyOn(SecurityPolicy, 'getCurrent').mockResolvedValue({ twoFactorRequiredRoles: ['admin'] });
+  });
+
+  afterEach(() => {
+    while (clients.length) clients.pop().close();
+  });
+
+  test('refuses the handshake of an admin who has not set up a required second factor', async () => {
+    const admin = adminWith({ enabled: false });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => admin });
+
+    await expect(connectAs(admin)).rejects.toMatchObject({
+      data: { success: false, code: 'two_factor_setup_required' }
+    });
+    expect((await io.in(OPS_ROOM).fetchSockets())).toHaveLength(0);
+  });
+
+  test('lets an enrolled admin join the operations room', async () => {
+    const admin = adminWith({ enabled: true });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => admin });
+
+    const client = await connectAs(admin);
+
+    const sockets = await io.in(OPS_ROOM).fetchSockets();
+    expect(sockets.map(s => s.id)).toContain(client.id);
+  });
+
+  test('lets users connect when their role does not require a second factor', async () => {
+    SecurityPolicy.getCurrent.mockResolvedValue({ twoFactorRequiredRoles: [] });
+    const admin = adminWith({ enabled: false });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => admin });
+
+    await expect(connectAs(admin)).resolves.toBeDefined();
+  });
+});